@@ -4,11 +4,25 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import excelRoutes from './routes/excel.js';
+import publicRoutes from './routes/public.js';
+import workspaceRoutes from './routes/workspaces.js';
+import recipeRoutes from './routes/recipes.js';
+import ruleSetRoutes from './routes/ruleSets.js';
+import jobRoutes from './routes/jobs.js';
+import { startJobQueue } from './utils/jobQueue.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, rate limiting needs the client address from
+// X-Forwarded-For; TRUST_PROXY takes any value Express accepts (e.g. 1)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  const proxySettings = { true: true, false: false };
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : proxySettings[trustProxy] ?? trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -38,6 +52,11 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/excel', excelRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/recipes', recipeRoutes);
+app.use('/api/rule-sets', ruleSetRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // MongoDB Connection with improved options
 mongoose.connect(process.env.MONGODB_URI, {
@@ -59,6 +78,9 @@ mongoose.connect(process.env.MONGODB_URI, {
   // Log connection details for debugging
   const { host, port, name } = mongoose.connection;
   console.log(`Connected to database: ${name} at ${host}:${port}`);
+
+  // Process queued uploads in worker threads
+  startJobQueue();
 })
 .catch((err) => {
   console.error('MongoDB connection error:', err);
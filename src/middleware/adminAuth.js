@@ -1,21 +1,10 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import { authenticate } from './auth.js';
 
 export const adminAuth = async (req, res, next) => {
   try {
-    // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ message: 'No token, authorization denied' });
-    }
-
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+    const { decoded, user, status, message } = await authenticate(req);
+    if (status) {
+      return res.status(status).json({ message });
     }
 
     // Check if user is admin
@@ -24,10 +13,10 @@ export const adminAuth = async (req, res, next) => {
     }
 
     // Add user to request
-    req.user = decoded;
+    req.user = { ...decoded, role: user.role, email: user.email };
     next();
   } catch (error) {
     console.error('Admin auth error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
+    res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
@@ -1,17 +1,49 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+// Verify the bearer token and check it against the database, so revoked
+// sessions and rejected, deleted or re-passworded users lose access at once
+// instead of when their token expires. Returns { decoded, user } or
+// { status, message } describing why the request is refused.
+export const authenticate = async (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return { status: 401, message: 'No authentication token, access denied' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { status: 401, message: 'Token verification failed, authorization denied' };
+  }
+
+  const user = await User.findById(decoded.userId).select('email role status tokenVersion');
+  if (!user) {
+    return { status: 401, message: 'User not found' };
+  }
+  if (user.status !== 'approved') {
+    return { status: 401, message: 'Account is not active' };
+  }
+  // Tokens issued before the last logout-everywhere or password change
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return { status: 401, message: 'Session has been revoked, please log in again' };
+  }
+
+  return { decoded, user };
+};
 
 export const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No authentication token, access denied' });
+    const { decoded, user, status, message } = await authenticate(req);
+    if (status) {
+      return res.status(status).json({ message });
     }
 
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
+    req.user = { ...decoded, role: user.role, email: user.email };
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Token verification failed, authorization denied' });
+    console.error('Auth error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
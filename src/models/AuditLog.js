@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Append-only record of security-relevant and data-changing actions
+const auditLogSchema = new mongoose.Schema({
+  // Missing for actions without a known user, such as failed logins
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'file', 'graph', 'workspace']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  before: {
+    type: Object
+  },
+  after: {
+    type: Object
+  },
+  // Extra context, e.g. the reason a login failed
+  details: {
+    type: Object
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,28 +1,104 @@
 import mongoose from 'mongoose';
 
+// A column derived from the others by an expression (see utils/expressions.js).
+// Its values are computed whenever rows are read, never stored.
+const computedColumnSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  expression: { type: String, required: true },
+}, { _id: false });
+
+// A saved pivot table (see utils/pivot.js), kept under a name per sheet
+const pivotViewSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  spec: { type: Object, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 const sheetDataSchema = new mongoose.Schema({
   sheetName: { type: String, required: true },
   headers: [{ type: String }],
-  columnTypes: { type: Object }, // Flexible schema for column types
-  data: { type: Array }, // Store the actual JSON rows as an array
+  columnTypes: { type: Object }, // Effective type per column (override, else inferred)
+  inferredColumnTypes: { type: Object }, // { type, confidence, sampled, blank, distinct } per column
+  columnTypeOverrides: { type: Object, default: {} }, // User-chosen types, keyed by column
+  // Rows of files uploaded before chunked storage; newer files keep their
+  // rows in the SheetChunk collection (see utils/sheetStorage.js)
+  data: { type: Array, default: undefined },
+  storage: { type: String, enum: ['inline', 'chunked'], default: 'inline' },
+  // Id the sheet's chunks are stored under when it is not the sheet's own
+  // _id: rows replaced in place go under a fresh id (see utils/sheetStorage.js)
+  storageId: { type: mongoose.Schema.Types.ObjectId },
+  chunkCount: { type: Number },
   rowCount: { type: Number },
   columnCount: { type: Number },
+  // How a rich import read the sheet: header and title rows, merged ranges,
+  // the usual number format of each column and how many formulas it had
+  importDetails: { type: Object },
+  // Listed in `headers` after the stored columns
+  computedColumns: { type: [computedColumnSchema], default: [] },
+  // How the sheet was produced by a cleaning pipeline: source sheet, recipe
+  // (when one was used), the steps and when they ran
+  transform: { type: Object },
+  // How the sheet was produced by joining two sheets: join type, both
+  // sheets, key columns and renamed columns (see utils/joins.js)
+  join: { type: Object },
+  // How the sheet was produced from a pivot table: source sheet and spec
+  pivot: { type: Object },
+  pivots: { type: [pivotViewSchema], default: [] },
+  // Validation rules the sheet is checked against on every new version:
+  // rule set they came from, a copy of the rules and the last check's
+  // summary (see utils/ruleSets.js)
+  quality: { type: Object },
 });
 
+// Earlier contents of a file, kept when a new version is uploaded. Rows of
+// these sheets stay in chunked storage under their own sheet ids.
+const fileVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  fileName: { type: String, required: true },
+  fileType: { type: String },
+  uploadDate: { type: Date },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sheets: [sheetDataSchema],
+}, { _id: false });
+
 const excelFileSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
+  // Shared workspace the file belongs to; null for personal files of `user`
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+  },
   fileName: {
     type: String,
     required: true,
   },
+  // Format sniffed from the uploaded content: xlsx, xls, ods, csv, tsv or json
+  fileType: {
+    type: String,
+    enum: ['xlsx', 'xls', 'ods', 'csv', 'tsv', 'json'],
+  },
   uploadDate: {
     type: Date,
     default: Date.now,
   },
+  // Who uploaded the current version; `user` stays the original uploader
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Number of the current version; `sheets` always hold the current version
+  version: {
+    type: Number,
+    default: 1,
+  },
+  versions: [fileVersionSchema],
   // Store an array of processed sheets
   sheets: [sheetDataSchema],
   // Optionally store validations and statistics if needed for backend logic later
@@ -30,6 +106,9 @@ const excelFileSchema = new mongoose.Schema({
   // statistics: { type: Array },
 });
 
+excelFileSchema.index({ user: 1, workspace: 1 });
+excelFileSchema.index({ workspace: 1, uploadDate: -1 });
+
 const ExcelFile = mongoose.model('ExcelFile', excelFileSchema);
 
 export default ExcelFile; 
\ No newline at end of file
@@ -1,16 +1,61 @@
 import mongoose from 'mongoose';
 
+// Revocable links that give read-only access to a graph without logging in.
+// Only a hash of the token is stored; the token itself is shown once.
+const shareTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastAccessedAt: {
+    type: Date
+  }
+});
+
+// Never send token hashes back to clients
+const hideTokenHash = (doc, ret) => {
+  delete ret.tokenHash;
+  return ret;
+};
+shareTokenSchema.set('toJSON', { transform: hideTokenHash });
+shareTokenSchema.set('toObject', { transform: hideTokenHash });
+
 const graphSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Always the workspace of the graph's file; null for personal graphs
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
   fileId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ExcelFile',
     required: true
   },
+  // Version of the file the graph is pinned to; null follows the latest version
+  fileVersion: {
+    type: Number,
+    default: null
+  },
   title: {
     type: String,
     required: true
@@ -41,6 +86,18 @@ const graphSchema = new mongoose.Schema({
     type: Object,
     required: true
   },
+  // Optional server-side aggregation spec (see utils/aggregation.js) used to
+  // rebuild the chart series from the sheet on demand
+  aggregation: {
+    type: Object,
+    default: null
+  },
+  // Optional pivot spec (see utils/pivot.js) used instead of an aggregation
+  // for stacked and grouped charts: one series per column group
+  pivot: {
+    type: Object,
+    default: null
+  },
   sheetName: {
     type: String,
     required: true
@@ -53,9 +110,18 @@ const graphSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  publishedAt: {
+    type: Date
+  },
+  shareTokens: [shareTokenSchema],
   tags: [{
     type: String
   }],
+  // Incremented on every edit; matches the latest GraphRevision.version
+  version: {
+    type: Number,
+    default: 1
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -75,7 +141,9 @@ graphSchema.pre('save', function(next) {
 // Add indexes for better query performance
 graphSchema.index({ user: 1, createdAt: -1 });
 graphSchema.index({ isPublic: 1, createdAt: -1 });
+graphSchema.index({ workspace: 1, createdAt: -1 });
 graphSchema.index({ tags: 1 });
+graphSchema.index({ 'shareTokens.tokenHash': 1 });
 
 const Graph = mongoose.model('Graph', graphSchema);
 
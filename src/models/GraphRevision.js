@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One entry per saved state of a graph; `snapshot` holds the editable fields
+// and the graph's data
+const graphRevisionSchema = new mongoose.Schema({
+  graph: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Graph',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    required: true
+  },
+  // Names of the fields that differ from the previous revision
+  changes: [{
+    type: String
+  }],
+  restoredFrom: {
+    type: Number
+  },
+  snapshot: {
+    type: Object,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+graphRevisionSchema.index({ graph: 1, version: -1 }, { unique: true });
+
+const GraphRevision = mongoose.model('GraphRevision', graphRevisionSchema);
+
+export default GraphRevision;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+// A queued upload, processed in a worker thread (see utils/jobQueue.js).
+// The uploaded bytes are kept in JobPayload chunks until the job succeeds.
+const jobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'upload' stores a new file, 'version' a new version of `file`
+  type: {
+    type: String,
+    enum: ['upload', 'version'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  stage: {
+    type: String,
+    default: null
+  },
+  // The file created or updated; chosen up front for new uploads
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile',
+    required: true
+  },
+  // fileName, size and the upload options: workspace, importOptions, pinGraphs
+  input: {
+    type: Object,
+    required: true
+  },
+  // Who queued the job, for access checks and audit entries made by the worker
+  requester: {
+    email: String,
+    ip: String,
+    userAgent: String
+  },
+  // Upload response once the job succeeds, with sheet metadata but no rows
+  result: {
+    type: Object,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  // Queued jobs wait until then; retries back off
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the file is saved; the job can no longer be cancelled
+  committedAt: {
+    type: Date,
+    default: null
+  },
+  // Process running the job and its last sign of life
+  owner: {
+    type: String,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // Finished jobs are removed by MongoDB after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.index({ status: 1, runAfter: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// At most one running job per file: the lock that keeps two processes from
+// writing to the same file at once (see utils/jobQueue.js)
+jobSchema.index({ file: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// The uploaded file of a queued job, split across chunk documents since
+// uploads may be larger than MongoDB's 16 MB per-document cap
+const jobPayloadSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+  // Payloads of jobs left unfinished are removed by MongoDB after this
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+jobPayloadSchema.index({ job: 1, index: 1 }, { unique: true });
+jobPayloadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const JobPayload = mongoose.model('JobPayload', jobPayloadSchema);
+
+export default JobPayload;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Single-use password reset token. Only the SHA-256 hash is stored.
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+passwordResetTokenSchema.index({ user: 1 });
+// MongoDB removes tokens once they have expired
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+export default PasswordResetToken;
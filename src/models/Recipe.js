@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// A saved data-cleaning pipeline (see utils/transforms.js). `sourceHeaders`
+// are the headers the steps were written for; with autoApply set, the recipe
+// runs on every newly uploaded sheet that has exactly those headers.
+const recipeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  steps: {
+    type: Array,
+    required: true
+  },
+  sourceHeaders: [{
+    type: String
+  }],
+  autoApply: {
+    type: Boolean,
+    default: false
+  },
+  // Replace the sheet's rows, or add the result as a new sheet
+  applyMode: {
+    type: String,
+    enum: ['inPlace', 'derived'],
+    default: 'derived'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recipeSchema.index({ user: 1, name: 1 }, { unique: true });
+recipeSchema.index({ user: 1, autoApply: 1 });
+
+const Recipe = mongoose.model('Recipe', recipeSchema);
+
+export default Recipe;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A saved set of validation rules (see utils/validationRules.js).
+// `sourceHeaders` are the headers the rules were written for; with autoApply
+// set, the rules check every newly uploaded sheet that has the columns they
+// refer to.
+const ruleSetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  rules: {
+    type: Array,
+    required: true
+  },
+  sourceHeaders: [{
+    type: String
+  }],
+  autoApply: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ruleSetSchema.index({ user: 1, name: 1 }, { unique: true });
+ruleSetSchema.index({ user: 1, autoApply: 1 });
+
+const RuleSet = mongoose.model('RuleSet', ruleSetSchema);
+
+export default RuleSet;
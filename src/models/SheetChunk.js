@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Rows of a sheet are split across several chunk documents so a workbook is
+// never limited by MongoDB's 16 MB per-document cap
+const sheetChunkSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile',
+    required: true
+  },
+  // _id of the sheet subdocument in ExcelFile.sheets
+  sheet: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  rows: {
+    type: Array,
+    default: []
+  },
+  rowCount: {
+    type: Number,
+    required: true
+  },
+  // Formula, number format and merge details of rich imports, aligned with
+  // `rows` (null for rows without any)
+  cells: {
+    type: Array,
+    default: undefined
+  }
+});
+
+sheetChunkSchema.index({ file: 1, sheet: 1, index: 1 }, { unique: true });
+
+const SheetChunk = mongoose.model('SheetChunk', sheetChunkSchema);
+
+export default SheetChunk;
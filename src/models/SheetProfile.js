@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Stored column profile of a sheet (see utils/profiling.js), kept apart
+// from the ExcelFile so version snapshots do not copy it
+const sheetProfileSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExcelFile',
+    required: true
+  },
+  // _id of the sheet subdocument in ExcelFile.sheets
+  sheet: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sheetName: {
+    type: String
+  },
+  rowCount: {
+    type: Number
+  },
+  columnCount: {
+    type: Number
+  },
+  // One entry per column, in header order
+  columns: {
+    type: Array,
+    default: []
+  },
+  correlations: {
+    type: Object
+  },
+  // Hash of the sheet fields the profile was built from, to spot stale profiles
+  fingerprint: {
+    type: String
+  },
+  version: {
+    type: Number
+  },
+  profiledAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sheetProfileSchema.index({ file: 1, sheet: 1 }, { unique: true });
+
+const SheetProfile = mongoose.model('SheetProfile', sheetProfileSchema);
+
+export default SheetProfile;
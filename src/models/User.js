@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Failed logins allowed before the account is locked, and for how long
+export const MAX_LOGIN_ATTEMPTS = Number(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+export const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -34,6 +38,24 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Embedded in access tokens; bumping it invalidates every token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -46,6 +68,12 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    // Tokens issued before a password change must stop working
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
+
     // Generate a salt with a cost factor of 10
     const salt = await bcrypt.genSalt(10);
     // Hash the password using the generated salt
@@ -67,6 +95,36 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed login and lock the account once the limit is reached.
+// Updates are atomic so parallel guesses cannot slip past the counter.
+// Returns the updated user.
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+  // A lock that has run out starts a fresh count
+  const update = this.lockUntil && this.lockUntil <= now
+    ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: 1 } }
+    : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } };
+
+  const updated = await this.constructor.findOneAndUpdate({ _id: this._id }, update, { new: true });
+  if (updated && updated.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS && !updated.isLocked()) {
+    updated.lockUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil: updated.lockUntil } });
+  }
+  return updated;
+};
+
+userSchema.methods.clearFailedLogins = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User; 
\ No newline at end of file
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A team space whose members share files and graphs. Access is decided by
+// each member's role (see utils/access.js).
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+
+workspaceSchema.methods.memberRole = function(userId) {
+  return this.members.find(member => member.user.equals(userId))?.role || null;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
@@ -1,13 +1,79 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import mongoose from 'mongoose';
+import User, { MAX_LOGIN_ATTEMPTS, LOCKOUT_MINUTES } from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import Workspace from '../models/Workspace.js';
+import RefreshToken from '../models/RefreshToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
 import { auth } from '../middleware/auth.js';
 import { adminAuth } from '../middleware/adminAuth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshTokens,
+  revokeAllSessions
+} from '../utils/sessions.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { rateLimit, getRateLimitStore, progressiveDelayMs, sleep } from '../utils/rateLimiter.js';
+import { AUDIT_ACTIONS, AUDIT_CSV_COLUMNS, auditCsvBatches, recordAudit, userSnapshot } from '../utils/audit.js';
+import { CONTENT_TYPES, attachmentHeader, streamDelimited } from '../utils/exporters.js';
 
 const router = express.Router();
 
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const isValidPassword = (password) =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+
+// Per-IP request limits
+const loginLimiter = rateLimit({
+  name: 'login-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many login attempts from this address. Please try again later.'
+});
+const registerLimiter = rateLimit({
+  name: 'register-ip',
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many registrations from this address. Please try again later.'
+});
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many password reset requests. Please try again later.'
+});
+
+// Failed logins per email address, counted whether or not the account
+// exists so responses do not reveal which emails are registered
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES_PER_ACCOUNT = 20;
+const loginFailureKey = (email) => `login-failures:${email}`;
+
+const recordLoginFailure = (email) =>
+  getRateLimitStore().increment(loginFailureKey(email), LOGIN_FAILURE_WINDOW_MS);
+
+const auditLoginFailure = (req, email, user, reason) => recordAudit(req, {
+  action: 'auth.login.failure',
+  actor: user?._id,
+  actorEmail: email,
+  targetType: user ? 'user' : undefined,
+  target: user?._id,
+  details: { reason }
+});
+
+// Unknown emails, wrong passwords and locked accounts all get this, so
+// responses do not reveal which emails are registered or locked
+const invalidCredentials = (res) => res.status(401).json({
+  message: 'Invalid credentials. Please check your email and password.'
+});
+
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   try {
     const { email, password, name } = req.body;
     console.log('Registration attempt for:', email);
@@ -28,9 +94,9 @@ router.post('/register', async (req, res) => {
     }
 
     // Validate password
-    if (!password || password.length < 6) {
+    if (!isValidPassword(password)) {
       return res.status(400).json({ 
-        message: 'Password must be at least 6 characters long' 
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` 
       });
     }
 
@@ -59,26 +125,50 @@ router.post('/register', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
     console.log('Login attempt for email:', email);
 
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
     // Convert email to lowercase for consistency
     const normalizedEmail = email.toLowerCase();
 
+    // Slow down repeated guesses against the same account, and stop them
+    // entirely once the per-account budget is used up
+    const failures = await getRateLimitStore().get(loginFailureKey(normalizedEmail));
+    if (failures && failures.count >= MAX_LOGIN_FAILURES_PER_ACCOUNT) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((failures.resetAt - Date.now()) / 1000))));
+      await auditLoginFailure(req, normalizedEmail, null, 'rate_limited');
+      return res.status(429).json({ message: 'Too many failed login attempts. Please try again later.' });
+    }
+    await sleep(progressiveDelayMs(failures?.count || 0));
+
     // Find user
     const user = await User.findOne({ email: normalizedEmail });
     if (!user) {
       console.log('User not found with email:', normalizedEmail);
-      return res.status(401).json({ 
-        message: 'Invalid credentials. Please check your email and password.' 
-      });
+      await recordLoginFailure(normalizedEmail);
+      await auditLoginFailure(req, normalizedEmail, null, 'unknown_email');
+      return invalidCredentials(res);
+    }
+
+    // Counted like any other failure, so a locked account runs into the
+    // per-email limit just as an unknown email does
+    if (user.isLocked()) {
+      console.log('Login attempt for locked account:', normalizedEmail);
+      await recordLoginFailure(normalizedEmail);
+      await auditLoginFailure(req, normalizedEmail, user, 'locked');
+      return invalidCredentials(res);
     }
 
     // Check if user is approved
     if (user.status !== 'approved') {
       console.log('User not approved. Status:', user.status);
+      await auditLoginFailure(req, normalizedEmail, user, `status_${user.status}`);
       return res.status(403).json({ 
         message: 'Account pending approval. Please wait for admin approval.' 
       });
@@ -88,22 +178,30 @@ router.post('/login', async (req, res) => {
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
       console.log('Password does not match for user:', normalizedEmail);
-      return res.status(401).json({ 
-        message: 'Invalid credentials. Please check your email and password.' 
-      });
+      await recordLoginFailure(normalizedEmail);
+      const updated = await user.registerFailedLogin();
+      await auditLoginFailure(req, normalizedEmail, user, updated?.isLocked() ? 'wrong_password_locked' : 'wrong_password');
+      return invalidCredentials(res);
     }
 
     console.log('Login successful for user:', normalizedEmail);
+    await Promise.all([
+      user.clearFailedLogins(),
+      getRateLimitStore().reset(loginFailureKey(normalizedEmail)),
+      recordAudit(req, {
+        action: 'auth.login.success',
+        actor: user._id,
+        actorEmail: user.email,
+        targetType: 'user',
+        target: user._id
+      })
+    ]);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Short-lived access token plus a refresh token for this session
+    const session = await createSession(user, req);
 
     res.json({
-      token,
+      ...session,
       user: {
         _id: user._id,
         email: user.email,
@@ -118,6 +216,196 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const { session, error } = await rotateSession(refreshToken, req);
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Log out of one session. Works with an expired access token, so only the
+// refresh token is needed.
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    await revokeSession(refreshToken);
+    // Unknown tokens are not reported, logging out is idempotent
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Log out of every session, revoking all refresh and access tokens
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Start a password reset. The response is the same whether or not the email
+// is registered, so the endpoint cannot be used to discover accounts.
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+      // A new request supersedes any earlier, unused reset token
+      await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+      const { token, tokenHash } = generateToken();
+      await PasswordResetToken.create({
+        user: user._id,
+        tokenHash,
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+      });
+
+      const resetLink = process.env.APP_URL
+        ? `${process.env.APP_URL.replace(/\/$/, '')}/reset-password?token=${token}`
+        : null;
+      // Not awaited: waiting on the mail server would make this branch
+      // measurably slower and so reveal that the account exists
+      sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hi ${user.name},`,
+          '',
+          'We received a request to reset your password.',
+          resetLink ? `Open this link to choose a new one: ${resetLink}` : `Your reset token is: ${token}`,
+          '',
+          `The ${resetLink ? 'link' : 'token'} expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+          'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+        // A mail failure must not change the response, or it would reveal the account
+      }).catch(error => console.error('Password reset email failed:', error));
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error during password reset request' });
+  }
+});
+
+// Complete a password reset with the emailed token
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Reset token is required' });
+    }
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    // Claim the token atomically so it cannot be used twice
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    // Saving a new password also invalidates existing access tokens
+    user.password = password;
+    await user.save();
+    await Promise.all([
+      revokeRefreshTokens(user._id),
+      // Proving control of the mailbox also lifts a lockout
+      user.clearFailedLogins(),
+      getRateLimitStore().reset(loginFailureKey(user.email))
+    ]);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
+// Change the password of the logged-in user. Other sessions are logged out;
+// the caller gets a fresh session so it stays logged in.
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || typeof currentPassword !== 'string') {
+      return res.status(400).json({ message: 'Current password is required' });
+    }
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeRefreshTokens(user._id);
+
+    const session = await createSession(user, req);
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'The password for your account was just changed and your other sessions were logged out.',
+        'If this was not you, reset your password straight away.'
+      ].join('\n')
+    }).catch(error => console.error('Password change notification failed:', error));
+
+    res.json({ message: 'Password changed successfully', ...session });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error during password change' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
@@ -176,11 +464,19 @@ router.post('/approve-user/:userId', adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const before = userSnapshot(user);
     user.status = 'approved';
     user.approvedAt = new Date();
     user.approvedBy = req.user.userId;
     await user.save();
     console.log('User successfully approved:', user);
+    await recordAudit(req, {
+      action: 'user.approve',
+      targetType: 'user',
+      target: user._id,
+      before,
+      after: userSnapshot(user)
+    });
 
     res.json({ message: 'User approved successfully' });
   } catch (error) {
@@ -204,8 +500,17 @@ router.post('/reject-user/:userId', adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const before = userSnapshot(user);
     user.status = 'rejected';
     await user.save();
+    await revokeAllSessions(user._id);
+    await recordAudit(req, {
+      action: 'user.reject',
+      targetType: 'user',
+      target: user._id,
+      before,
+      after: userSnapshot(user)
+    });
 
     res.json({ message: 'User rejected successfully' });
   } catch (error) {
@@ -214,6 +519,54 @@ router.post('/reject-user/:userId', adminAuth, async (req, res) => {
   }
 });
 
+// Accounts that are locked or have recent failed logins (admin only)
+router.get('/lockouts', adminAuth, async (req, res) => {
+  try {
+    const users = await User.find({
+      $or: [{ lockUntil: { $gt: new Date() } }, { failedLoginAttempts: { $gt: 0 } }]
+    })
+      .select('email name status failedLoginAttempts lastFailedLoginAt lockUntil')
+      .sort({ lastFailedLoginAt: -1 });
+
+    res.json({
+      maxAttempts: MAX_LOGIN_ATTEMPTS,
+      lockoutMinutes: LOCKOUT_MINUTES,
+      users: users.map(user => ({ ...user.toObject(), locked: user.isLocked() }))
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clear the lockout and failed-login count of a user (admin only)
+router.delete('/lockouts/:userId', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil };
+    await Promise.all([
+      user.clearFailedLogins(),
+      getRateLimitStore().reset(loginFailureKey(user.email))
+    ]);
+    await recordAudit(req, {
+      action: 'user.lockout.clear',
+      targetType: 'user',
+      target: user._id,
+      before,
+      after: { failedLoginAttempts: 0, lockUntil: null }
+    });
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete user (admin only)
 router.delete('/users/:userId', adminAuth, async (req, res) => {
   try {
@@ -227,6 +580,17 @@ router.delete('/users/:userId', adminAuth, async (req, res) => {
     }
 
     await user.deleteOne();
+    await Promise.all([
+      RefreshToken.deleteMany({ user: user._id }),
+      PasswordResetToken.deleteMany({ user: user._id }),
+      Workspace.updateMany({ 'members.user': user._id }, { $pull: { members: { user: user._id } } })
+    ]);
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      target: user._id,
+      before: userSnapshot(user)
+    });
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -234,4 +598,96 @@ router.delete('/users/:userId', adminAuth, async (req, res) => {
   }
 });
 
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 500;
+
+// Build an AuditLog query from ?actor=&action=&targetType=&target=&from=&to=.
+// actor may be a user id or an email; action takes a comma-separated list.
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.actor) {
+    const actor = String(query.actor).trim();
+    if (mongoose.isValidObjectId(actor)) {
+      filter.actor = actor;
+    } else {
+      filter.actorEmail = actor.toLowerCase();
+    }
+  }
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    const unknown = actions.filter(action => !AUDIT_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      return { error: `Unknown action "${unknown[0]}". Use one of: ${AUDIT_ACTIONS.join(', ')}` };
+    }
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  if (query.targetType) {
+    filter.targetType = String(query.targetType);
+  }
+
+  if (query.target) {
+    if (!mongoose.isValidObjectId(query.target)) {
+      return { error: 'target must be a valid id' };
+    }
+    filter.target = query.target;
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${param} must be a valid date` };
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  return { filter };
+};
+
+// Search the audit log, newest first (admin only). ?format=csv downloads
+// every matching entry instead of one page.
+router.get('/audit', adminAuth, async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (req.query.format === 'csv') {
+      const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+      res.set('Content-Type', CONTENT_TYPES.csv);
+      res.set('Content-Disposition', attachmentHeader(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`));
+      return await streamDelimited(res, AUDIT_CSV_COLUMNS, auditCsvBatches(cursor), ',');
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_AUDIT_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || AUDIT_PAGE_SIZE));
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -3,137 +3,1695 @@ import multer from 'multer';
 import { auth } from '../middleware/auth.js';
 import Graph from '../models/Graph.js';
 import ExcelFile from '../models/ExcelFile.js';
-import { processExcelFile, validateExcelData, getColumnStatistics } from '../utils/excelProcessor.js';
+import GraphRevision from '../models/GraphRevision.js';
+import { processExcelFile, getColumnStatistics } from '../utils/excelProcessor.js';
+import { parseImportOptions } from '../utils/importOptions.js';
+import { normalizeAggregationSpec, buildSeries } from '../utils/aggregation.js';
+import { parseRowQuery, parseFilterAndSort, queryRows, isPlainPaging, pageRows, filterAndSortRows } from '../utils/rowQuery.js';
+import { COLUMN_TYPES, resolveColumnTypes } from '../utils/typeInference.js';
+import {
+  saveSheetRows,
+  replaceSheetRows,
+  loadSheetRows,
+  loadSheetCells,
+  loadSheetRowRange,
+  streamSheetRows,
+  deleteSheetRows,
+  deleteFileRows,
+  hydrateFile
+} from '../utils/sheetStorage.js';
+import {
+  GRAPH_EDITABLE_FIELDS,
+  snapshotGraph,
+  revisionSnapshot,
+  diffSnapshots,
+  ensureBaselineRevision,
+  saveGraphVersion,
+  recordRevision
+} from '../utils/graphRevisions.js';
+import { generateToken } from '../utils/tokens.js';
+import { normalizeTag, normalizeTags, parseTagList } from '../utils/tags.js';
+import { renderGraphInWorker, RENDER_FORMATS, DEFAULT_SIZE, SIZE_LIMITS } from '../utils/chartRenderer.js';
+import {
+  SHEET_EXPORT_FORMATS,
+  CONTENT_TYPES,
+  attachmentHeader,
+  exportFileName,
+  exportRowBatches,
+  streamDelimited,
+  streamJson,
+  buildWorkbook
+} from '../utils/exporters.js';
+import { recordAudit } from '../utils/audit.js';
+import { accessFilter, scopeFilter, workspaceRole, hasRole, loadFile, loadGraph } from '../utils/access.js';
+import {
+  currentVersionNumber,
+  findFileVersion,
+  listFileVersions,
+  findGraphSheet
+} from '../utils/fileVersions.js';
+import { diffVersions, DIFF_DEFAULT_LIMIT, DIFF_MAX_LIMIT } from '../utils/sheetDiff.js';
+import { resolvePipeline, transformSheet, derivedSheetName } from '../utils/recipes.js';
+import { normalizeJoinSpec, joinRows, buildJoinedSheet, joinedSheetName } from '../utils/joins.js';
+import {
+  MAX_PIVOT_VIEWS,
+  normalizePivotSpec,
+  buildPivot,
+  buildPivotSheet,
+  pivotSheetName
+} from '../utils/pivot.js';
+import { graphSource, buildGraphSeries } from '../utils/graphSeries.js';
+import { getSheetProfile, deleteFileProfiles } from '../utils/profiling.js';
+import {
+  buildQualityReport,
+  normalizeOutlierOptions,
+  REPORT_DEFAULT_LIMIT,
+  REPORT_MAX_LIMIT
+} from '../utils/validationRules.js';
+import { resolveRules, attachedRules, qualityRecord } from '../utils/ruleSets.js';
+import {
+  computedColumnNames,
+  storedHeaders,
+  validateComputedColumns,
+  buildComputedColumns
+} from '../utils/computedColumns.js';
+import { storeUpload, storeVersion, findAffectedGraphs } from '../utils/uploads.js';
+import { enqueueJob, runInlineJob, jobResponse } from '../utils/jobQueue.js';
+import { detectFileType } from '../utils/fileFormats.js';
 
 const router = express.Router();
 
-// Configure multer for file upload
+const findSheet = (file, sheetName) => file.sheets.find(sheet => sheet.sheetName === sheetName);
+
+const GRAPH_TYPES = Graph.schema.path('type').enumValues;
+const CHART_TYPES = Graph.schema.path('chartType').enumValues;
+
+// Shape checks shared by /save-graph and graph updates; presence of required
+// fields is checked by the callers. Returns an error message or null.
+const validateGraphFields = (fields) => {
+  if (fields.type !== undefined && !GRAPH_TYPES.includes(fields.type)) {
+    return `type must be one of: ${GRAPH_TYPES.join(', ')}`;
+  }
+  if (fields.chartType !== undefined && !CHART_TYPES.includes(fields.chartType)) {
+    return `chartType must be one of: ${CHART_TYPES.join(', ')}`;
+  }
+  for (const field of ['title', 'xAxis', 'yAxis']) {
+    if (fields[field] !== undefined && (typeof fields[field] !== 'string' || !fields[field].trim())) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+  if (fields.description !== undefined && typeof fields.description !== 'string') {
+    return 'description must be a string';
+  }
+  if (fields.config !== undefined && (!fields.config || typeof fields.config !== 'object' || Array.isArray(fields.config))) {
+    return 'config must be an object';
+  }
+  if (fields.tags !== undefined && (!Array.isArray(fields.tags) || fields.tags.some(tag => typeof tag !== 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  if (fields.aggregation && fields.pivot) {
+    return 'A graph can use an aggregation or a pivot, not both';
+  }
+  return null;
+};
+
+// Resolve and validate a graph's aggregation or pivot spec against its
+// sheet, and build the series it produces. `graph` needs fileId, sheetName
+// and, when pinned, fileVersion. Returns { spec, series } or
+// { status, message, error }.
+const buildGraphSource = async (req, graph, { aggregation, pivot }) => {
+  const { file } = await loadFile(req, graph.fileId);
+  if (!file) {
+    return { status: 400, message: 'Associated Excel file not found or not accessible.' };
+  }
+
+  const sheet = findGraphSheet(file, graph);
+  if (!sheet) {
+    return { status: 400, message: 'Sheet not found in Excel file' };
+  }
+
+  const built = buildGraphSeries({ aggregation, pivot }, await loadSheetRows(file, sheet), sheet.headers);
+  if (built.error) {
+    return { status: 400, message: `Invalid ${built.source}`, error: built.error };
+  }
+  return { spec: built.spec, series: built.series };
+};
+
+// ?lite=true drops the row data so file listings stay small
+const isLiteRequest = (req) => req.query.lite === 'true' || req.query.lite === '1';
+const LITE_FILE_PROJECTION = '-sheets.data -versions.sheets.data';
+
+const PREVIEW_DEFAULT_ROWS = 10;
+const PREVIEW_MAX_ROWS = 100;
+
+// Configure multer for file upload. The file type is sniffed from the
+// content in processExcelFile, so the browser-sent mimetype is not checked here
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 25;
 const storage = multer.memoryStorage();
 const upload = multer({ 
   storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        file.mimetype === 'application/vnd.ms-excel') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only Excel files are allowed!'), false);
-    }
-  },
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024
   }
 });
 
-// Upload and process Excel file
-router.post('/upload', auth, upload.single('file'), async (req, res) => {
+// Run multer and turn its errors (e.g. file too large) into JSON responses
+const uploadSingle = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large. Maximum size is ${MAX_UPLOAD_SIZE_MB}MB`
+        : err.message;
+      return res.status(status).json({ message });
+    }
+    next(err);
+  });
+};
+
+// Uploads run as a background job (see utils/jobQueue.js) unless they are
+// CSV or JSON no larger than this and async=true is not sent: workbooks are
+// slow to parse whatever their size. Queued uploads answer 202 with the
+// job, to be polled at /api/jobs/:id.
+const INLINE_UPLOAD_MAX_MB = Number(process.env.INLINE_UPLOAD_MAX_MB) || 1;
+const INLINE_FILE_TYPES = ['delimited', 'json'];
+
+const shouldQueueUpload = (req) => {
+  const flag = req.body.async ?? req.query.async;
+  if (flag === 'true' || flag === '1' || req.file.size > INLINE_UPLOAD_MAX_MB * 1024 * 1024) return true;
+  return !INLINE_FILE_TYPES.includes(detectFileType(req.file.buffer));
+};
+
+const uploadInput = (req, importOptions) => ({
+  buffer: req.file.buffer,
+  fileName: req.file.originalname,
+  size: req.file.size,
+  importOptions
+});
+
+// Upload and process Excel file. Workbooks and large uploads are queued
+// instead (see shouldQueueUpload) and answer 202 with the job.
+router.post('/upload', auth, uploadSingle('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const result = processExcelFile(req.file.buffer);
-    
+    // Optionally upload straight into a workspace the user can edit
+    const workspaceId = req.body.workspaceId || req.query.workspace || null;
+    if (workspaceId && !hasRole(await workspaceRole(req, workspaceId), 'editor')) {
+      return res.status(403).json({ message: 'You need editor access to upload to this workspace' });
+    }
+
+    const importOptions = parseImportOptions({ ...req.query, ...req.body });
+    if (importOptions.error) {
+      return res.status(400).json({ message: importOptions.error });
+    }
+
+    const uploaded = uploadInput(req, importOptions.options);
+    if (shouldQueueUpload(req)) {
+      const job = await enqueueJob(req, {
+        type: 'upload',
+        upload: uploaded,
+        input: { workspace: workspaceId, importOptions: importOptions.options }
+      });
+      return res.status(202).location(`/api/jobs/${job._id}`).json(jobResponse(job));
+    }
+
+    const stored = await storeUpload(req, uploaded, { workspaceId });
+    if (stored.status) {
+      return res.status(stored.status).json({ message: stored.message, error: stored.error });
+    }
+    res.json(stored.response);
+  } catch (error) {
+    res.status(500).json({ message: 'Error processing file', error: error.message });
+  }
+});
+
+// Dry run of an upload: read the file with the same options as /upload
+// (the header row is detected unless headerRow is given) and return the
+// first rows of each sheet without saving anything. ?rows= sets how many.
+router.post('/upload/preview', auth, uploadSingle('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const previewRows = req.query.rows === undefined ? PREVIEW_DEFAULT_ROWS : Number(req.query.rows);
+    if (!Number.isInteger(previewRows) || previewRows < 1 || previewRows > PREVIEW_MAX_ROWS) {
+      return res.status(400).json({ message: `rows must be an integer between 1 and ${PREVIEW_MAX_ROWS}` });
+    }
+
+    const importOptions = parseImportOptions({ ...req.query, ...req.body }, { headerRow: 'auto' });
+    if (importOptions.error) {
+      return res.status(400).json({ message: importOptions.error });
+    }
+
+    const result = processExcelFile(req.file.buffer, { fileName: req.file.originalname, ...importOptions.options });
     if (!result.success) {
       return res.status(400).json({ message: 'Error processing file', error: result.error });
     }
 
-    // Save the processed Excel data to MongoDB
-    const newExcelFile = new ExcelFile({
-      user: req.user.userId,
+    res.json({
       fileName: req.file.originalname,
-      sheets: result.data, // Contains sheetName, headers, columnTypes, data, rowCount, columnCount
-      uploadDate: new Date(),
-      // validations and statistics are returned to frontend but not stored if not needed
+      fileType: result.fileType,
+      source: result.source,
+      options: importOptions.options,
+      sheets: result.data.map(({ data, cells, ...sheet }) => ({
+        ...sheet,
+        rows: data.slice(0, previewRows),
+        ...(cells ? { cells: cells.slice(0, previewRows) } : {})
+      })),
+      skippedSheets: result.skippedSheets,
+      totalSheets: result.totalSheets
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error previewing file', error: error.message });
+  }
+});
+
+// Get the Excel files the user can access: personal uploads and those of
+// their workspaces (?workspace=<id>|personal narrows the list)
+router.get('/files', auth, async (req, res) => {
+  try {
+    const { filter, status, message } = await scopeFilter(req, req.query.workspace);
+    if (!filter) {
+      return res.status(status).json({ message });
+    }
+
+    const query = ExcelFile.find(filter).sort({ uploadDate: -1 });
+    if (isLiteRequest(req)) {
+      query.select(LITE_FILE_PROJECTION);
+      return res.json(await query);
+    }
+    const files = await query;
+    res.json(await Promise.all(files.map(hydrateFile)));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching files', error: error.message });
+  }
+});
+
+// Get a specific uploaded Excel file by ID
+router.get('/files/:id', auth, async (req, res) => {
+  try {
+    const lite = isLiteRequest(req);
+    const { file, status, message } = await loadFile(req, req.params.id, 'viewer', {
+      select: lite ? LITE_FILE_PROJECTION : undefined
     });
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+    res.json(lite ? file : await hydrateFile(file));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching file', error: error.message });
+  }
+});
+
+// Page through a sheet's rows with optional sorting and column filters.
+// ?cells=true adds the formula, number format and merge details of rich
+// imports as `cells`, aligned with `rows`.
+router.get('/files/:id/sheets/:sheetName/rows', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
 
-    await newExcelFile.save();
+    const { options, error } = parseRowQuery(req.query, sheet.headers);
+    if (error) {
+      return res.status(400).json({ message: 'Invalid row query', error });
+    }
+
+    const withCells = req.query.cells === 'true' || req.query.cells === '1';
+    let page;
+    if (isPlainPaging(options)) {
+      // Without filters or sort only the chunks holding the page are read
+      const range = await loadSheetRowRange(file, sheet, options.offset, options.limit, { cells: withCells });
+      page = pageRows(range.rows, sheet.rowCount ?? sheet.data?.length ?? 0, options);
+      if (withCells) page.cells = range.cells;
+    } else {
+      const rows = await loadSheetRows(file, sheet);
+      page = queryRows(rows, options);
+      if (withCells) {
+        const cells = await loadSheetCells(file, sheet);
+        const cellsByRow = new Map(rows.map((row, index) => [row, cells[index] ?? null]));
+        page.cells = page.rows.map(row => cellsByRow.get(row));
+      }
+    }
 
-    // Validate the data (still return to frontend)
-    const validations = result.data.map(sheet => ({
+    res.json({
       sheetName: sheet.sheetName,
-      ...validateExcelData(sheet.data)
-    }));
+      headers: sheet.headers,
+      importDetails: sheet.importDetails,
+      ...page
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching rows', error: error.message });
+  }
+});
+
+// Download a whole stored file as an .xlsx workbook with all of its sheets
+router.get('/files/:id/export', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
 
-    // Get statistics for each column in each sheet (still return to frontend)
-    const statistics = result.data.map(sheet => ({
+    const sheets = await Promise.all(file.sheets.map(async sheet => ({
       sheetName: sheet.sheetName,
-      columns: sheet.headers.reduce((acc, header) => {
-        acc[header] = getColumnStatistics(sheet.data, header);
-        return acc;
-      }, {})
-    }));
+      headers: sheet.headers,
+      rows: await loadSheetRows(file, sheet)
+    })));
+
+    res.set('Content-Type', CONTENT_TYPES.xlsx);
+    res.set('Content-Disposition', attachmentHeader(exportFileName(file.fileName, '', 'xlsx')));
+    res.send(buildWorkbook(sheets));
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting file', error: error.message });
+  }
+});
+
+// Download one sheet as CSV, TSV, JSON or XLSX, honouring ?filters= and ?sort=.
+// CSV, TSV and JSON are streamed chunk by chunk.
+router.get('/files/:id/sheets/:sheetName/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!SHEET_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${SHEET_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const { options, error } = parseFilterAndSort(req.query, sheet.headers);
+    if (error) {
+      return res.status(400).json({ message: 'Invalid export query', error });
+    }
+
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', attachmentHeader(exportFileName(file.fileName, sheet.sheetName, format)));
+
+    if (format === 'xlsx') {
+      const rows = filterAndSortRows(await loadSheetRows(file, sheet), options);
+      return res.send(buildWorkbook([{ sheetName: sheet.sheetName, headers: sheet.headers, rows }]));
+    }
+
+    const batches = exportRowBatches(file, sheet, options);
+    if (format === 'json') {
+      await streamJson(res, batches);
+    } else {
+      await streamDelimited(res, sheet.headers, batches, format === 'tsv' ? '\t' : ',');
+    }
+  } catch (error) {
+    console.error('Error exporting sheet:', error);
+    // Once streaming has started the only option is to abort the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Error exporting sheet', error: error.message });
+  }
+});
+
+// Get the inferred, overridden and effective column types of a sheet
+router.get('/files/:id/sheets/:sheetName/column-types', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'viewer', { select: '-sheets.data' });
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
 
     res.json({
-      _id: newExcelFile._id, // Return the MongoDB ID of the saved ExcelFile
-      fileName: newExcelFile.fileName,
-      uploadDate: newExcelFile.uploadDate,
-      userId: newExcelFile.user,
-      sheets: result.data,
-      validations,
-      statistics,
-      totalSheets: result.totalSheets
+      sheetName: sheet.sheetName,
+      columnTypes: sheet.columnTypes,
+      inferredColumnTypes: sheet.inferredColumnTypes || {},
+      columnTypeOverrides: sheet.columnTypeOverrides || {}
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error processing file', error: error.message });
+    res.status(500).json({ message: 'Error fetching column types', error: error.message });
   }
 });
 
-// Get all user's uploaded Excel files
-router.get('/files', auth, async (req, res) => {
+// Override the inferred type of one or more columns (null clears an override)
+router.patch('/files/:id/sheets/:sheetName/column-types', auth, async (req, res) => {
   try {
-    const files = await ExcelFile.find({ user: req.user.userId }).sort({ uploadDate: -1 });
-    res.json(files);
+    const { overrides } = req.body;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return res.status(400).json({ message: 'overrides must be an object of column name to type' });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const allowedTypes = COLUMN_TYPES.filter(type => type !== 'empty');
+    const nextOverrides = { ...(sheet.columnTypeOverrides || {}) };
+    for (const [column, type] of Object.entries(overrides)) {
+      if (!sheet.headers.includes(column)) {
+        return res.status(400).json({ message: `Unknown column "${column}"` });
+      }
+      if (type === null) {
+        delete nextOverrides[column];
+      } else if (allowedTypes.includes(type)) {
+        nextOverrides[column] = type;
+      } else {
+        return res.status(400).json({
+          message: `Invalid type "${type}" for column "${column}"`,
+          allowedTypes
+        });
+      }
+    }
+
+    // Files uploaded before type inference only have columnTypes to fall back on
+    sheet.columnTypeOverrides = nextOverrides;
+    sheet.columnTypes = resolveColumnTypes(
+      sheet.headers,
+      sheet.inferredColumnTypes || sheet.columnTypes,
+      nextOverrides
+    );
+    await file.save();
+
+    res.json({
+      sheetName: sheet.sheetName,
+      columnTypes: sheet.columnTypes,
+      inferredColumnTypes: sheet.inferredColumnTypes || {},
+      columnTypeOverrides: sheet.columnTypeOverrides
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching files', error: error.message });
+    res.status(500).json({ message: 'Error updating column types', error: error.message });
   }
 });
 
-// Get a specific uploaded Excel file by ID
-router.get('/files/:id', auth, async (req, res) => {
+const COMPUTED_PREVIEW_DEFAULT_SIZE = 20;
+const COMPUTED_PREVIEW_MAX_SIZE = 500;
+
+// Compute a sheet's computed columns from the stored rows and put the
+// resulting headers and types on the sheet subdocument. Returns the row
+// errors per column.
+const refreshComputedColumns = async (file, sheet, definitions) => {
+  const storedRows = await loadSheetRows(file, sheet, { computed: false });
+  const { fields, errors } = buildComputedColumns(sheet, storedRows, definitions);
+  sheet.set(fields);
+  return errors;
+};
+
+const computedColumnsResponse = (sheet, errors = {}) => ({
+  sheetName: sheet.sheetName,
+  computedColumns: sheet.computedColumns.map(({ name, expression }) => ({
+    name,
+    expression,
+    type: sheet.columnTypes?.[name],
+    ...(errors[name] ? { rowErrors: errors[name] } : {})
+  })),
+  headers: sheet.headers,
+  columnTypes: sheet.columnTypes
+});
+
+const expressionErrorResponse = (res, invalid, expression) => res.status(400).json({
+  message: invalid.position === undefined ? invalid.error : `Invalid expression: ${invalid.error}`,
+  column: invalid.name,
+  expression: invalid.position === undefined ? undefined : expression,
+  position: invalid.position,
+  length: invalid.length
+});
+
+// List a sheet's computed columns
+router.get('/files/:id/sheets/:sheetName/computed-columns', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'viewer', { select: '-sheets.data' });
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    res.json(computedColumnsResponse(sheet));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching computed columns', error: error.message });
+  }
+});
+
+// Check an expression and show its values on the first rows without saving.
+// Body: { expression, name?, sampleSize? }
+router.post('/files/:id/sheets/:sheetName/computed-columns/preview', auth, async (req, res) => {
   try {
-    const file = await ExcelFile.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+    const { expression, name = 'Preview' } = req.body;
+    const sampleSize = req.body.sampleSize === undefined ? COMPUTED_PREVIEW_DEFAULT_SIZE : Number(req.body.sampleSize);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > COMPUTED_PREVIEW_MAX_SIZE) {
+      return res.status(400).json({ message: `sampleSize must be an integer between 1 and ${COMPUTED_PREVIEW_MAX_SIZE}` });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const definitions = [...sheet.computedColumns, { name, expression }];
+    const invalid = validateComputedColumns(definitions, storedHeaders(sheet));
+    if (invalid) {
+      return expressionErrorResponse(res, invalid, expression);
+    }
+
+    const sample = [];
+    for await (const rows of streamSheetRows(file, sheet)) {
+      sample.push(...rows.slice(0, sampleSize - sample.length));
+      if (sample.length >= sampleSize) break;
+    }
+    const { fields, rows, errors } = buildComputedColumns(sheet, sample, definitions);
+
+    res.json({
+      name,
+      expression,
+      type: fields.columnTypes[name],
+      values: rows.map(row => row[name]),
+      rowErrors: errors[name] || { count: 0, examples: [] }
     });
+  } catch (error) {
+    res.status(500).json({ message: 'Error previewing computed column', error: error.message });
+  }
+});
+
+// Add a computed column to a sheet. Body: { name, expression }
+router.post('/files/:id/sheets/:sheetName/computed-columns', auth, async (req, res) => {
+  try {
+    const { name, expression } = req.body;
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const definitions = [...sheet.computedColumns, { name: typeof name === 'string' ? name.trim() : name, expression }];
+    const invalid = validateComputedColumns(definitions, storedHeaders(sheet));
+    if (invalid) {
+      return expressionErrorResponse(res, invalid, expression);
+    }
+
+    const errors = await refreshComputedColumns(file, sheet, definitions);
+    await file.save();
+
+    res.status(201).json(computedColumnsResponse(sheet, errors));
+  } catch (error) {
+    res.status(500).json({ message: 'Error adding computed column', error: error.message });
+  }
+});
+
+// Change the expression of a computed column. Body: { expression }
+router.put('/files/:id/sheets/:sheetName/computed-columns/:name', auth, async (req, res) => {
+  try {
+    const { expression } = req.body;
 
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
     if (!file) {
-      return res.status(404).json({ message: 'File not found' });
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+    if (!computedColumnNames(sheet).includes(req.params.name)) {
+      return res.status(404).json({ message: 'Computed column not found' });
+    }
+
+    const definitions = sheet.computedColumns.map(column => (column.name === req.params.name
+      ? { name: column.name, expression }
+      : { name: column.name, expression: column.expression }));
+    const invalid = validateComputedColumns(definitions, storedHeaders(sheet));
+    if (invalid) {
+      return expressionErrorResponse(res, invalid, invalid.name === req.params.name ? expression : undefined);
     }
-    res.json(file);
+
+    const errors = await refreshComputedColumns(file, sheet, definitions);
+    await file.save();
+
+    res.json(computedColumnsResponse(sheet, errors));
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching file', error: error.message });
+    res.status(500).json({ message: 'Error updating computed column', error: error.message });
   }
 });
 
-// Delete an uploaded Excel file
-router.delete('/files/:id', auth, async (req, res) => {
+// Remove a computed column, unless other computed columns use it
+router.delete('/files/:id/sheets/:sheetName/computed-columns/:name', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+    if (!computedColumnNames(sheet).includes(req.params.name)) {
+      return res.status(404).json({ message: 'Computed column not found' });
+    }
+
+    const definitions = sheet.computedColumns
+      .filter(column => column.name !== req.params.name)
+      .map(({ name, expression }) => ({ name, expression }));
+    const invalid = validateComputedColumns(definitions, storedHeaders(sheet));
+    if (invalid) {
+      return res.status(409).json({
+        message: `Computed column "${invalid.name}" depends on "${req.params.name}"`,
+        error: invalid.error
+      });
+    }
+
+    await refreshComputedColumns(file, sheet, definitions);
+    await file.save();
+
+    res.json({
+      ...computedColumnsResponse(sheet),
+      affectedGraphs: await findAffectedGraphs(file, sheet.sheetName)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing computed column', error: error.message });
+  }
+});
+
+// Statistics for every column of a sheet, computed columns included
+router.get('/files/:id/sheets/:sheetName/statistics', auth, async (req, res) => {
   try {
-    const file = await ExcelFile.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user.userId
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const rows = await loadSheetRows(file, sheet);
+    res.json({
+      sheetName: sheet.sheetName,
+      rowCount: rows.length,
+      columns: sheet.headers.reduce((acc, header) => {
+        acc[header] = getColumnStatistics(rows, header);
+        return acc;
+      }, {})
     });
+  } catch (error) {
+    res.status(500).json({ message: 'Error computing statistics', error: error.message });
+  }
+});
+
+// Stored profile of a sheet: completeness, distinct and top values for every
+// column, distribution statistics, histograms and correlations between
+// numeric columns (see utils/profiling.js). Built on upload and rebuilt
+// when the sheet changes; ?refresh=true rebuilds it now.
+router.get('/files/:id/sheets/:sheetName/profile', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const refresh = req.query.refresh === 'true' || req.query.refresh === '1';
+    const { profile, cached } = await getSheetProfile(file, sheet, { refresh });
+    const { _id, __v, file: fileId, sheet: sheetId, fingerprint, ...fields } = profile;
+    res.json({ fileId: file._id, ...fields, sheetName: sheet.sheetName, cached });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sheet profile', error: error.message });
+  }
+});
+
+// Options of a quality report: limit (failures listed, default 1000) and
+// outliers (see normalizeOutlierOptions). Returns { options } or { error }.
+const parseQualityOptions = ({ limit, outliers }, headers) => {
+  const maxFailures = limit === undefined ? REPORT_DEFAULT_LIMIT : Number(limit);
+  if (!Number.isInteger(maxFailures) || maxFailures < 1 || maxFailures > REPORT_MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${REPORT_MAX_LIMIT}` };
+  }
+  const outlierOptions = normalizeOutlierOptions(outliers, headers);
+  if (outlierOptions.error) {
+    return { error: outlierOptions.error };
+  }
+  return { options: { limit: maxFailures, outliers: outlierOptions.outliers } };
+};
+
+const qualityResponse = (file, sheet, rules, ruleSet, report) => ({
+  fileId: file._id,
+  sheetName: sheet.sheetName,
+  ruleSet: ruleSet ? { _id: ruleSet._id, name: ruleSet.name } : null,
+  rules,
+  ...report
+});
+
+// Check a sheet against validation rules ({ rules } or { ruleSetId }), or
+// against the rules attached to it when neither is given. Reports every
+// failing row and cell with the reason, plus outliers of the numeric
+// columns. Body may set limit and outliers ({ method: 'iqr' | 'zscore',
+// threshold, columns }, or false to skip them).
+router.post('/files/:id/sheets/:sheetName/validate', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const parsed = parseQualityOptions(req.body, sheet.headers);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    let checked;
+    if (req.body.rules === undefined && req.body.ruleSetId === undefined && sheet.quality) {
+      checked = await attachedRules(sheet);
+      if (checked.error) {
+        return res.status(409).json({ message: `The sheet's validation rules no longer fit its columns: ${checked.error}` });
+      }
+    } else {
+      checked = await resolveRules(req.user.userId, req.body, sheet.headers);
+      if (!checked.rules) {
+        return res.status(checked.status).json({ message: checked.message });
+      }
+    }
+
+    const rows = await loadSheetRows(file, sheet);
+    const report = buildQualityReport(sheet, rows, checked.rules, parsed.options);
+    res.json(qualityResponse(file, sheet, checked.rules, checked.ruleSet, report));
+  } catch (error) {
+    res.status(500).json({ message: 'Error validating sheet', error: error.message });
+  }
+});
+
+// Validation rules attached to a sheet and the summary of their last check
+router.get('/files/:id/sheets/:sheetName/validation-rules', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'viewer', { select: '-sheets.data' });
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    res.json({ sheetName: sheet.sheetName, quality: sheet.quality || null });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching validation rules', error: error.message });
+  }
+});
+
+// Attach validation rules ({ rules } or { ruleSetId }) to a sheet, replacing
+// any attached before. They are checked now, returning the report as
+// /validate does, and again on every new version of the file.
+router.put('/files/:id/sheets/:sheetName/validation-rules', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const parsed = parseQualityOptions(req.body, sheet.headers);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const checked = await resolveRules(req.user.userId, req.body, sheet.headers);
+    if (!checked.rules) {
+      return res.status(checked.status).json({ message: checked.message });
+    }
+
+    const rows = await loadSheetRows(file, sheet);
+    const report = buildQualityReport(sheet, rows, checked.rules, parsed.options);
+    sheet.quality = qualityRecord(checked.rules, checked.ruleSet, report.summary);
+    await file.save();
+
+    res.json(qualityResponse(file, sheet, checked.rules, checked.ruleSet, report));
+  } catch (error) {
+    res.status(500).json({ message: 'Error attaching validation rules', error: error.message });
+  }
+});
+
+// Detach a sheet's validation rules
+router.delete('/files/:id/sheets/:sheetName/validation-rules', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+    if (!sheet.quality) {
+      return res.status(404).json({ message: 'No validation rules are attached to this sheet' });
+    }
+
+    sheet.quality = undefined;
+    await file.save();
+
+    res.json({ message: 'Validation rules detached successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error detaching validation rules', error: error.message });
+  }
+});
+
+const TRANSFORM_PREVIEW_DEFAULT_SIZE = 50;
+const TRANSFORM_PREVIEW_MAX_SIZE = 500;
+const TRANSFORM_MODES = ['derived', 'inPlace'];
+
+// Run a pipeline ({ steps } or { recipeId }) on the first rows of a sheet
+// without saving anything. Body may set sampleSize (default 50).
+router.post('/files/:id/sheets/:sheetName/transform/preview', auth, async (req, res) => {
+  try {
+    const sampleSize = req.body.sampleSize === undefined
+      ? TRANSFORM_PREVIEW_DEFAULT_SIZE
+      : Number(req.body.sampleSize);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > TRANSFORM_PREVIEW_MAX_SIZE) {
+      return res.status(400).json({ message: `sampleSize must be an integer between 1 and ${TRANSFORM_PREVIEW_MAX_SIZE}` });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const pipeline = await resolvePipeline(req.user.userId, req.body, sheet.headers);
+    if (!pipeline.steps) {
+      return res.status(pipeline.status).json({ message: pipeline.message });
+    }
+
+    // Only read as many chunks as the sample needs
+    const sample = [];
+    for await (const rows of streamSheetRows(file, sheet)) {
+      sample.push(...rows.slice(0, sampleSize - sample.length));
+      if (sample.length >= sampleSize) break;
+    }
+
+    const { sheet: preview, stepStats } = transformSheet(sheet, sample, pipeline.steps);
+    res.json({
+      sheetName: sheet.sheetName,
+      recipe: pipeline.recipe?._id || null,
+      steps: pipeline.steps,
+      sampleSize: sample.length,
+      sheetRowCount: sheet.rowCount ?? sample.length,
+      headers: preview.headers,
+      columnTypes: preview.columnTypes,
+      rows: preview.data,
+      stepStats
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error previewing transform', error: error.message });
+  }
+});
+
+// Run a pipeline ({ steps } or { recipeId }) over a whole sheet. mode
+// "derived" (the default unless the recipe says otherwise) adds the result as
+// a new sheet, named targetSheetName or "<sheet> (cleaned)"; "inPlace"
+// replaces the sheet's rows.
+router.post('/files/:id/sheets/:sheetName/transform', auth, async (req, res) => {
+  try {
+    const { mode, targetSheetName } = req.body;
+    if (mode !== undefined && !TRANSFORM_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of: ${TRANSFORM_MODES.join(', ')}` });
+    }
+    if (targetSheetName !== undefined && (typeof targetSheetName !== 'string' || !targetSheetName.trim())) {
+      return res.status(400).json({ message: 'targetSheetName must be a non-empty string' });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const pipeline = await resolvePipeline(req.user.userId, req.body, sheet.headers);
+    if (!pipeline.steps) {
+      return res.status(pipeline.status).json({ message: pipeline.message });
+    }
+
+    const applyMode = mode || pipeline.recipe?.applyMode || 'derived';
+    const sheetNames = file.sheets.map(entry => entry.sheetName);
+    let resultName = sheet.sheetName;
+    if (applyMode === 'derived') {
+      resultName = targetSheetName ? targetSheetName.trim() : derivedSheetName(sheet.sheetName, sheetNames);
+      if (sheetNames.includes(resultName)) {
+        return res.status(409).json({ message: `A sheet named "${resultName}" already exists` });
+      }
+    }
+
+    const rows = await loadSheetRows(file, sheet);
+    const { sheet: built, stepStats } = transformSheet(sheet, rows, pipeline.steps, {
+      sheetName: resultName,
+      recipe: pipeline.recipe
+    });
+    const { data, ...fields } = built;
+
+    let target = sheet;
+    if (applyMode === 'inPlace') {
+      sheet.set(fields);
+      await replaceSheetRows(file, sheet, data);
+    } else {
+      file.sheets.push(fields);
+      target = file.sheets[file.sheets.length - 1];
+      await saveSheetRows(file, target, data);
+      try {
+        await file.save();
+      } catch (error) {
+        await deleteSheetRows(file, target);
+        throw error;
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'file.transform',
+      targetType: 'file',
+      target: file._id,
+      before: { sheetName: sheet.sheetName, rowCount: rows.length },
+      after: { sheetName: target.sheetName, rowCount: target.rowCount, headers: target.headers },
+      details: { mode: applyMode, recipe: pipeline.recipe?._id, steps: pipeline.steps }
+    });
+
+    res.status(applyMode === 'derived' ? 201 : 200).json({
+      fileId: file._id,
+      mode: applyMode,
+      sheet: {
+        _id: target._id,
+        sheetName: target.sheetName,
+        headers: target.headers,
+        columnTypes: target.columnTypes,
+        rowCount: target.rowCount,
+        columnCount: target.columnCount,
+        transform: target.transform
+      },
+      stepStats,
+      affectedGraphs: applyMode === 'inPlace' ? await findAffectedGraphs(file, sheet.sheetName) : []
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error transforming sheet', error: error.message });
+  }
+});
+
+const JOIN_PREVIEW_DEFAULT_SIZE = 50;
+const JOIN_PREVIEW_MAX_SIZE = 500;
+
+// The right-hand sheet of a join request, `right: { fileId?, sheetName }`
+// (another sheet of the same file unless fileId is given, which needs at
+// least viewer access), and the validated join spec. Returns
+// { rightFile, rightSheet, spec } or { status, message }.
+const resolveJoin = async (req, file, sheet) => {
+  const { right } = req.body;
+  if (!right || typeof right.sheetName !== 'string') {
+    return { status: 400, message: 'right.sheetName is required' };
+  }
+
+  let rightFile = file;
+  if (right.fileId !== undefined && String(right.fileId) !== String(file._id)) {
+    const loaded = await loadFile(req, right.fileId);
+    if (!loaded.file) {
+      return { status: loaded.status, message: loaded.message };
+    }
+    rightFile = loaded.file;
+  }
+
+  const rightSheet = findSheet(rightFile, right.sheetName);
+  if (!rightSheet) {
+    return { status: 404, message: `Sheet "${right.sheetName}" not found in ${rightFile.fileName}` };
+  }
+
+  const { spec, error } = normalizeJoinSpec(req.body, sheet, rightSheet);
+  if (error) {
+    return { status: 400, message: error };
+  }
+  return { rightFile, rightSheet, spec };
+};
+
+// Join the first rows of a sheet with another sheet without saving
+// anything. Body as for the join itself plus sampleSize (default 50); the
+// counts only cover the sampled left rows.
+router.post('/files/:id/sheets/:sheetName/join/preview', auth, async (req, res) => {
+  try {
+    const sampleSize = req.body.sampleSize === undefined
+      ? JOIN_PREVIEW_DEFAULT_SIZE
+      : Number(req.body.sampleSize);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > JOIN_PREVIEW_MAX_SIZE) {
+      return res.status(400).json({ message: `sampleSize must be an integer between 1 and ${JOIN_PREVIEW_MAX_SIZE}` });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const join = await resolveJoin(req, file, sheet);
+    if (!join.spec) {
+      return res.status(join.status).json({ message: join.message });
+    }
+
+    // Only read as many left chunks as the sample needs
+    const sample = [];
+    for await (const rows of streamSheetRows(file, sheet)) {
+      sample.push(...rows.slice(0, sampleSize - sample.length));
+      if (sample.length >= sampleSize) break;
+    }
+    const rightRows = await loadSheetRows(join.rightFile, join.rightSheet);
+
+    // Right rows no sampled row matched are not listed in a preview, as most
+    // of them would match rows outside the sample
+    const sampleSpec = join.spec.type === 'full' ? { ...join.spec, type: 'left' } : join.spec;
+    const result = joinRows(sheet, sample, join.rightSheet, rightRows, sampleSpec);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    const preview = buildJoinedSheet(sheet.sheetName, result.rows, join.spec, {
+      leftFile: file,
+      leftSheet: sheet,
+      rightFile: join.rightFile,
+      rightSheet: join.rightSheet
+    });
+    const { unmatchedRightRows, unmatchedExamples, ...stats } = result.stats;
+    res.json({
+      sheetName: sheet.sheetName,
+      right: { fileId: join.rightFile._id, sheetName: join.rightSheet.sheetName },
+      type: join.spec.type,
+      on: join.spec.on,
+      sampleSize: sample.length,
+      sheetRowCount: sheet.rowCount ?? sample.length,
+      headers: preview.headers,
+      columnTypes: preview.columnTypes,
+      renamedColumns: join.spec.renamed,
+      rows: preview.data,
+      stats: { ...stats, type: join.spec.type, unmatchedExamples: { left: unmatchedExamples.left } }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error previewing join', error: error.message });
+  }
+});
+
+// Join a sheet (the left side) with another sheet of this or another file
+// and save the result as a new sheet of this file, named targetSheetName or
+// "<left> + <right>". Body: right: { fileId?, sheetName }, on (key column
+// names or [{ left, right }]), type inner (default), left or full, columns
+// to take from the right sheet (default all), caseSensitive and rightSuffix
+// for right columns whose names are taken. A left join bringing in a few
+// columns works as a lookup. The new sheet can be charted like any other.
+router.post('/files/:id/sheets/:sheetName/join', auth, async (req, res) => {
+  try {
+    const { targetSheetName } = req.body;
+    if (targetSheetName !== undefined && (typeof targetSheetName !== 'string' || !targetSheetName.trim())) {
+      return res.status(400).json({ message: 'targetSheetName must be a non-empty string' });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const join = await resolveJoin(req, file, sheet);
+    if (!join.spec) {
+      return res.status(join.status).json({ message: join.message });
+    }
+
+    const sheetNames = file.sheets.map(entry => entry.sheetName);
+    const resultName = targetSheetName
+      ? targetSheetName.trim()
+      : joinedSheetName(sheet.sheetName, join.rightSheet.sheetName, sheetNames);
+    if (sheetNames.includes(resultName)) {
+      return res.status(409).json({ message: `A sheet named "${resultName}" already exists` });
+    }
+
+    const leftRows = await loadSheetRows(file, sheet);
+    const rightRows = join.rightSheet === sheet ? leftRows : await loadSheetRows(join.rightFile, join.rightSheet);
+    const result = joinRows(sheet, leftRows, join.rightSheet, rightRows, join.spec);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    const { data, ...fields } = buildJoinedSheet(resultName, result.rows, join.spec, {
+      leftFile: file,
+      leftSheet: sheet,
+      rightFile: join.rightFile,
+      rightSheet: join.rightSheet
+    });
+    file.sheets.push(fields);
+    const target = file.sheets[file.sheets.length - 1];
+    await saveSheetRows(file, target, data);
+    try {
+      await file.save();
+    } catch (error) {
+      await deleteSheetRows(file, target);
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'file.join',
+      targetType: 'file',
+      target: file._id,
+      after: { sheetName: target.sheetName, rowCount: target.rowCount, headers: target.headers },
+      details: {
+        type: join.spec.type,
+        left: sheet.sheetName,
+        right: { file: join.rightFile._id, sheetName: join.rightSheet.sheetName },
+        on: join.spec.on
+      }
+    });
+
+    res.status(201).json({
+      fileId: file._id,
+      sheet: {
+        _id: target._id,
+        sheetName: target.sheetName,
+        headers: target.headers,
+        columnTypes: target.columnTypes,
+        rowCount: target.rowCount,
+        columnCount: target.columnCount,
+        join: target.join
+      },
+      renamedColumns: join.spec.renamed,
+      stats: result.stats
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error joining sheets', error: error.message });
+  }
+});
+
+// The pivot spec of a request: a saved view ({ view: name }) or the spec
+// fields of the body (rows, columns, values, filters, subtotals,
+// grandTotals, order). Returns { spec, view } or { status, message }.
+const resolvePivotRequest = (sheet, { view, ...input }) => {
+  let specInput = input;
+  if (view !== undefined) {
+    const saved = sheet.pivots.find(entry => entry.name === view);
+    if (!saved) {
+      return { status: 404, message: 'Pivot view not found' };
+    }
+    specInput = saved.spec;
+  }
+
+  const { spec, error } = normalizePivotSpec(specInput, sheet.headers);
+  if (error) {
+    // A saved view can stop fitting when columns are removed
+    return { status: view === undefined ? 400 : 409, message: error };
+  }
+  return { spec, view: view ?? null };
+};
+
+const pivotViewsResponse = (sheet) => ({
+  sheetName: sheet.sheetName,
+  pivots: sheet.pivots.map(({ name, spec, createdAt, updatedAt }) => ({ name, spec, createdAt, updatedAt }))
+});
+
+const validPivotViewName = (name) => typeof name === 'string' && name.trim().length > 0;
+
+// Pivot a sheet: row fields, column fields, value fields with their
+// aggregations and optional filters, or { view } to run a saved view.
+// Returns the grid with subtotals and grand totals.
+router.post('/files/:id/sheets/:sheetName/pivot', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const pivot = resolvePivotRequest(sheet, req.body);
+    if (!pivot.spec) {
+      return res.status(pivot.status).json({ message: pivot.message });
+    }
+
+    const { grid, error } = buildPivot(await loadSheetRows(file, sheet), pivot.spec);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ sheetName: sheet.sheetName, view: pivot.view, spec: pivot.spec, ...grid });
+  } catch (error) {
+    res.status(500).json({ message: 'Error building pivot table', error: error.message });
+  }
+});
+
+// Save a pivot as a new sheet of the file, named targetSheetName or
+// "<sheet> (pivot)": the row fields, then one column per column group and
+// value. Body: the pivot spec or { view }, plus includeTotals to keep the
+// subtotal and grand total rows.
+router.post('/files/:id/sheets/:sheetName/pivot/sheet', auth, async (req, res) => {
+  try {
+    const { targetSheetName, includeTotals = false, ...pivotInput } = req.body;
+    if (targetSheetName !== undefined && (typeof targetSheetName !== 'string' || !targetSheetName.trim())) {
+      return res.status(400).json({ message: 'targetSheetName must be a non-empty string' });
+    }
+    if (typeof includeTotals !== 'boolean') {
+      return res.status(400).json({ message: 'includeTotals must be true or false' });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const pivot = resolvePivotRequest(sheet, pivotInput);
+    if (!pivot.spec) {
+      return res.status(pivot.status).json({ message: pivot.message });
+    }
+
+    const sheetNames = file.sheets.map(entry => entry.sheetName);
+    const resultName = targetSheetName ? targetSheetName.trim() : pivotSheetName(sheet.sheetName, sheetNames);
+    if (sheetNames.includes(resultName)) {
+      return res.status(409).json({ message: `A sheet named "${resultName}" already exists` });
+    }
+
+    const { grid, error } = buildPivot(await loadSheetRows(file, sheet), pivot.spec);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { data, ...fields } = buildPivotSheet(resultName, grid, {
+      source: sheet.sheetName,
+      view: pivot.view,
+      spec: pivot.spec,
+      includeTotals
+    });
+    file.sheets.push(fields);
+    const target = file.sheets[file.sheets.length - 1];
+    await saveSheetRows(file, target, data);
+    try {
+      await file.save();
+    } catch (error) {
+      await deleteSheetRows(file, target);
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'file.pivot',
+      targetType: 'file',
+      target: file._id,
+      after: { sheetName: target.sheetName, rowCount: target.rowCount, headers: target.headers },
+      details: { source: sheet.sheetName, view: pivot.view, spec: pivot.spec, includeTotals }
+    });
+
+    res.status(201).json({
+      fileId: file._id,
+      sheet: {
+        _id: target._id,
+        sheetName: target.sheetName,
+        headers: target.headers,
+        columnTypes: target.columnTypes,
+        rowCount: target.rowCount,
+        columnCount: target.columnCount,
+        pivot: target.pivot
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error saving pivot as a sheet', error: error.message });
+  }
+});
+
+// List a sheet's saved pivot views
+router.get('/files/:id/sheets/:sheetName/pivots', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'viewer', { select: '-sheets.data' });
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    res.json(pivotViewsResponse(sheet));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching pivot views', error: error.message });
+  }
+});
+
+// Save a pivot spec as a named view of the sheet. Body: { name, ...spec }
+router.post('/files/:id/sheets/:sheetName/pivots', auth, async (req, res) => {
+  try {
+    const { name, ...specInput } = req.body;
+    if (!validPivotViewName(name)) {
+      return res.status(400).json({ message: 'name must be a non-empty string' });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+    if (sheet.pivots.some(view => view.name === name.trim())) {
+      return res.status(409).json({ message: `A pivot view named "${name.trim()}" already exists` });
+    }
+    if (sheet.pivots.length >= MAX_PIVOT_VIEWS) {
+      return res.status(400).json({ message: `A sheet can have at most ${MAX_PIVOT_VIEWS} pivot views` });
+    }
+
+    const { spec, error } = normalizePivotSpec(specInput, sheet.headers);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    sheet.pivots.push({ name: name.trim(), spec, createdBy: req.user.userId });
+    await file.save();
+
+    res.status(201).json(pivotViewsResponse(sheet));
+  } catch (error) {
+    res.status(500).json({ message: 'Error saving pivot view', error: error.message });
+  }
+});
+
+// Replace the spec of a saved pivot view, optionally renaming it.
+// Body: { name?, ...spec }
+router.put('/files/:id/sheets/:sheetName/pivots/:name', auth, async (req, res) => {
+  try {
+    const { name, ...specInput } = req.body;
+    if (name !== undefined && !validPivotViewName(name)) {
+      return res.status(400).json({ message: 'name must be a non-empty string' });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const view = sheet.pivots.find(entry => entry.name === req.params.name);
+    if (!view) {
+      return res.status(404).json({ message: 'Pivot view not found' });
+    }
+    const newName = name === undefined ? view.name : name.trim();
+    if (newName !== view.name && sheet.pivots.some(entry => entry.name === newName)) {
+      return res.status(409).json({ message: `A pivot view named "${newName}" already exists` });
+    }
+
+    const { spec, error } = normalizePivotSpec(specInput, sheet.headers);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    view.set({ name: newName, spec, updatedAt: new Date() });
+    await file.save();
+
+    res.json(pivotViewsResponse(sheet));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating pivot view', error: error.message });
+  }
+});
+
+// Delete a saved pivot view. Sheets and graphs made from it keep their own
+// copy of the spec.
+router.delete('/files/:id/sheets/:sheetName/pivots/:name', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const sheet = findSheet(file, req.params.sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const view = sheet.pivots.find(entry => entry.name === req.params.name);
+    if (!view) {
+      return res.status(404).json({ message: 'Pivot view not found' });
+    }
+
+    sheet.pivots.pull(view);
+    await file.save();
+
+    res.json(pivotViewsResponse(sheet));
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting pivot view', error: error.message });
+  }
+});
+
+// Upload a new version of a file. The current contents are kept as an
+// earlier version and graphs follow the new one, unless ?pinGraphs=true pins
+// the graphs that follow the latest version to the version being replaced.
+// Uploads are queued as for /upload; those stored inline take the same
+// per-file lock as jobs, so they never write alongside one.
+router.post('/files/:id/versions', auth, uploadSingle('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    // New versions are read the way the current one was unless told otherwise
+    const currentMode = file.sheets.some(sheet => sheet.importDetails?.mode === 'rich') ? 'rich' : 'values';
+    const importOptions = parseImportOptions({ ...req.query, ...req.body }, { importMode: currentMode });
+    if (importOptions.error) {
+      return res.status(400).json({ message: importOptions.error });
+    }
+
+    const uploaded = uploadInput(req, importOptions.options);
+    const pinGraphs = req.query.pinGraphs === 'true' || req.query.pinGraphs === '1';
+    if (shouldQueueUpload(req)) {
+      const job = await enqueueJob(req, {
+        type: 'version',
+        upload: uploaded,
+        fileId: file._id,
+        input: { importOptions: importOptions.options, pinGraphs }
+      });
+      return res.status(202).location(`/api/jobs/${job._id}`).json(jobResponse(job));
+    }
+
+    const stored = await runInlineJob(req, {
+      type: 'version',
+      upload: uploaded,
+      fileId: file._id,
+      input: { importOptions: importOptions.options, pinGraphs }
+    }, () => storeVersion(req, file, uploaded, { pinGraphs }));
+    if (stored.status) {
+      return res.status(stored.status).json({ message: stored.message, error: stored.error });
+    }
+    res.status(201).json(stored.response);
+  } catch (error) {
+    res.status(500).json({ message: 'Error uploading new version', error: error.message });
+  }
+});
+
+// List every version of a file, newest first
+router.get('/files/:id/versions', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({ currentVersion: currentVersionNumber(file), versions: listFileVersions(file) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching versions', error: error.message });
+  }
+});
+
+// Compare two versions of a file (?from=&to=, defaulting to the previous
+// and current version). Rows are matched on ?key=<column> when given;
+// ?sheet= limits the row comparison to one sheet and ?limit= caps the
+// example rows returned per category.
+router.get('/files/:id/diff', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    const to = req.query.to === undefined ? currentVersionNumber(file) : Number(req.query.to);
+    const from = req.query.from === undefined ? to - 1 : Number(req.query.from);
+    const limit = req.query.limit === undefined ? DIFF_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 0 || limit > DIFF_MAX_LIMIT) {
+      return res.status(400).json({ message: `limit must be an integer between 0 and ${DIFF_MAX_LIMIT}` });
+    }
+
+    const fromVersion = Number.isInteger(from) ? findFileVersion(file, from) : null;
+    const toVersion = Number.isInteger(to) ? findFileVersion(file, to) : null;
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        message: 'Version not found',
+        versions: listFileVersions(file).map(entry => entry.version)
+      });
+    }
+
+    const sheetName = req.query.sheet;
+    if (sheetName && ![fromVersion, toVersion].every(version => findSheet(version, sheetName))) {
+      return res.status(404).json({ message: 'Sheet not found in both versions' });
+    }
+
+    const diff = await diffVersions(fromVersion, toVersion, {
+      key: req.query.key || null,
+      sheetName,
+      limit,
+      loadRows: sheet => loadSheetRows(file, sheet)
+    });
+
+    res.json({ fileId: file._id, from, to, key: req.query.key || null, ...diff });
+  } catch (error) {
+    res.status(500).json({ message: 'Error comparing versions', error: error.message });
+  }
+});
+
+// Delete an uploaded Excel file
+router.delete('/files/:id', auth, async (req, res) => {
+  try {
+    const { file, status, message } = await loadFile(req, req.params.id, 'editor');
+    if (!file) {
+      return res.status(status).json({ message });
+    }
+
+    await file.deleteOne();
+
+    // Also delete the stored rows, profiles and any graphs (with their history) associated with this file
+    await deleteFileRows(file._id);
+    await deleteFileProfiles(file._id);
+    const graphIds = await Graph.find({ fileId: file._id }).distinct('_id');
+    await GraphRevision.deleteMany({ graph: { $in: graphIds } });
+    await Graph.deleteMany({ fileId: file._id });
+
+    await recordAudit(req, {
+      action: 'file.delete',
+      targetType: 'file',
+      target: file._id,
+      before: {
+        fileName: file.fileName,
+        fileType: file.fileType,
+        uploadDate: file.uploadDate,
+        sheets: file.sheets.map(sheet => sheet.sheetName)
+      },
+      details: { deletedGraphs: graphIds.length }
+    });
+
+    res.json({ message: 'File and associated graphs deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting file', error: error.message });
+  }
+});
+
+// Aggregate a sheet into chart-ready series
+router.post('/aggregate', auth, async (req, res) => {
+  try {
+    const { fileId, sheetName, ...specInput } = req.body;
+    if (!fileId || !sheetName) {
+      return res.status(400).json({ message: 'fileId and sheetName are required' });
+    }
+
+    const { file, status, message } = await loadFile(req, fileId);
+    if (!file) {
+      return res.status(status).json({ message });
+    }
 
-    if (!file) {
-      return res.status(404).json({ message: 'File not found' });
+    const sheet = findSheet(file, sheetName);
+    if (!sheet) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
     }
 
-    // Also delete any graphs associated with this file
-    await Graph.deleteMany({ fileId: file._id });
+    const { spec, error } = normalizeAggregationSpec(specInput, sheet.headers);
+    if (error) {
+      return res.status(400).json({ message: 'Invalid aggregation', error });
+    }
 
-    res.json({ message: 'File and associated graphs deleted successfully' });
+    res.json({ aggregation: spec, ...buildSeries(await loadSheetRows(file, sheet), spec) });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting file', error: error.message });
+    res.status(500).json({ message: 'Error aggregating data', error: error.message });
   }
 });
 
 // Save graph configuration
 router.post('/save-graph', auth, async (req, res) => {
   try {
-    const { title, type, chartType, data, config, sheetName, fileId, xAxis, yAxis } = req.body;
+    const { title, type, chartType, config, sheetName, fileId, xAxis, yAxis, aggregation, pivot, description, tags } = req.body;
+    let { data } = req.body;
     console.log('Received save graph request:', { title, type, chartType, sheetName, fileId, xAxis, yAxis });
     
-    // Validate required fields
-    if (!title || !type || !data || !config || !sheetName || !fileId || !xAxis || !yAxis) {
+    // Validate required fields (data may be omitted when the server builds it from an aggregation or pivot)
+    if (!title || !type || (!data && !aggregation && !pivot) || !config || !sheetName || !fileId || !xAxis || !yAxis) {
       console.log('Missing required fields:', {
         hasTitle: !!title,
         hasType: !!type,
@@ -151,24 +1709,48 @@ router.post('/save-graph', auth, async (req, res) => {
       });
     }
 
-    // Validate that fileId exists and belongs to the user
-    const associatedFile = await ExcelFile.findOne({ _id: fileId, user: req.user.userId });
+    const fieldError = validateGraphFields({ title, type, chartType, config, xAxis, yAxis, aggregation, pivot, description, tags });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    // Validate that fileId exists and the user can edit it; the graph joins the file's workspace
+    const { file: associatedFile, status: accessStatus } = await loadFile(req, fileId, 'editor');
     console.log('Found associated file:', associatedFile?._id);
     if (!associatedFile) {
-      console.log('File not found or not owned by user:', fileId);
-      return res.status(400).json({ 
-        message: 'Associated Excel file not found or not owned by user.' 
+      console.log('File not found or not editable by user:', fileId);
+      return res.status(accessStatus === 403 ? 403 : 400).json({ 
+        message: accessStatus === 403
+          ? 'You need editor access to the associated Excel file.'
+          : 'Associated Excel file not found or not accessible.'
       });
     }
 
+    let aggregationSpec = null;
+    let pivotSpec = null;
+    if (aggregation || pivot) {
+      const built = await buildGraphSource(req, { fileId, sheetName }, { aggregation, pivot });
+      if (built.status) {
+        return res.status(built.status).json({ message: built.message, error: built.error });
+      }
+      if (pivot) pivotSpec = built.spec;
+      else aggregationSpec = built.spec;
+      data = data || built.series;
+    }
+
     const graph = new Graph({
       user: req.user.userId,
+      workspace: associatedFile.workspace,
       fileId,
       title,
       type,
       chartType,
       data,
       config,
+      aggregation: aggregationSpec,
+      pivot: pivotSpec,
+      description,
+      tags: normalizeTags(tags),
       sheetName,
       xAxis,
       yAxis
@@ -176,7 +1758,14 @@ router.post('/save-graph', auth, async (req, res) => {
 
     console.log('Saving graph:', graph);
     await graph.save();
+    await recordRevision(graph, req.user.userId, 'create');
     console.log('Graph saved successfully with id:', graph._id);
+    await recordAudit(req, {
+      action: 'graph.save',
+      targetType: 'graph',
+      target: graph._id,
+      after: snapshotGraph(graph)
+    });
 
     res.status(201).json(graph);
   } catch (error) {
@@ -189,11 +1778,26 @@ router.post('/save-graph', auth, async (req, res) => {
   }
 });
 
-// Get user's graphs
+// Get the graphs the user can access, optionally narrowed to one workspace
+// (?workspace=<id>|personal) and filtered by tags (?tags=a,b&match=any|all)
 router.get('/graphs', auth, async (req, res) => {
   try {
     console.log('Fetching graphs for user:', req.user.userId);
-    const graphs = await Graph.find({ user: req.user.userId })
+    const { filter, status, message } = await scopeFilter(req, req.query.workspace);
+    if (!filter) {
+      return res.status(status).json({ message });
+    }
+
+    const tags = parseTagList(req.query.tags);
+    if (tags.length > 0) {
+      const match = req.query.match || 'any';
+      if (!['any', 'all'].includes(match)) {
+        return res.status(400).json({ message: 'match must be "any" or "all"' });
+      }
+      filter.tags = match === 'all' ? { $all: tags } : { $in: tags };
+    }
+
+    const graphs = await Graph.find(filter)
       .select('-data') // Exclude the actual data from the response to keep it light
       .populate('fileId', 'fileName uploadDate') // Populate file details
       .sort({ createdAt: -1 });
@@ -221,16 +1825,73 @@ router.get('/graphs', auth, async (req, res) => {
   }
 });
 
-// Update Get specific graph to include file details
-router.get('/graphs/:id', auth, async (req, res) => {
+// List the tags of the graphs the user can access with the number of graphs
+// using each (?workspace=<id>|personal narrows the count)
+router.get('/tags', auth, async (req, res) => {
+  try {
+    const { filter, status, message } = await scopeFilter(req, req.query.workspace);
+    if (!filter) {
+      return res.status(status).json({ message });
+    }
+
+    const tags = await Graph.aggregate([
+      { $match: filter },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.json(tags.map(({ _id, count }) => ({ tag: _id, count })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tags', error: error.message });
+  }
+});
+
+// Rename a tag, or merge several into one, across all graphs the user can
+// edit. Renaming onto an existing tag merges them.
+router.post('/tags/rename', auth, async (req, res) => {
   try {
-    const graph = await Graph.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+    const from = parseTagList(req.body.from);
+    const to = req.body.to === undefined ? '' : normalizeTag(req.body.to);
+
+    if (from.length === 0 || !to) {
+      return res.status(400).json({ message: 'from (a tag or list of tags) and to are required' });
+    }
+
+    const sources = from.filter(tag => tag !== to);
+    if (sources.length === 0) {
+      return res.json({ message: 'Nothing to rename', modified: 0 });
+    }
+
+    const editable = await accessFilter(req, 'editor');
+    const filter = { ...editable, tags: { $in: sources } };
+    const merged = await Graph.exists({ ...editable, tags: to });
+
+    // Add the new tag first, then drop the old ones, so no graph loses its tag
+    const added = await Graph.updateMany(filter, {
+      $addToSet: { tags: to },
+      $set: { updatedAt: new Date() }
     });
+    await Graph.updateMany(filter, { $pull: { tags: { $in: sources } } });
 
+    res.json({
+      message: merged ? 'Tags merged successfully' : 'Tag renamed successfully',
+      from: sources,
+      to,
+      merged: Boolean(merged),
+      modified: added.matchedCount
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error renaming tag', error: error.message });
+  }
+});
+
+// Update Get specific graph to include file details
+router.get('/graphs/:id', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id);
     if (!graph) {
-      return res.status(404).json({ message: 'Graph not found' });
+      return res.status(status).json({ message });
     }
 
     // Get the associated Excel file
@@ -240,15 +1901,18 @@ router.get('/graphs/:id', auth, async (req, res) => {
     }
 
     // Find the correct sheet and its data
-    const sheetData = file.sheets.find(sheet => sheet.sheetName === graph.sheetName);
+    const sheetData = findGraphSheet(file, graph);
     if (!sheetData) {
       return res.status(404).json({ message: 'Sheet not found in Excel file' });
     }
 
-    // Return the graph with the sheet data
+    // Return the graph with the sheet data, plus the rebuilt series when it has an aggregation or pivot
+    const rows = await loadSheetRows(file, sheetData);
+    const built = buildGraphSeries(graph, rows, sheetData.headers);
     const graphWithData = {
       ...graph.toObject(),
-      data: sheetData.data,
+      data: rows,
+      ...(built && !built.error ? { series: built.series } : {}),
       fileName: file.fileName
     };
 
@@ -259,18 +1923,510 @@ router.get('/graphs/:id', auth, async (req, res) => {
   }
 });
 
-// Delete graph - already linked to fileId, no change needed
-router.delete('/graphs/:id', auth, async (req, res) => {
+// Rebuild a graph's series from its stored aggregation or pivot spec
+router.get('/graphs/:id/series', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id);
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+    if (!graphSource(graph)) {
+      return res.status(400).json({ message: 'Graph has no aggregation or pivot spec' });
+    }
+
+    const file = await ExcelFile.findById(graph.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'Associated Excel file not found' });
+    }
+
+    const sheetData = findGraphSheet(file, graph);
+    if (!sheetData) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    // Re-validate in case the sheet's headers no longer match the stored spec
+    const { source, spec, series, error } = buildGraphSeries(graph, await loadSheetRows(file, sheetData), sheetData.headers);
+    if (error) {
+      return res.status(409).json({ message: `Stored ${source} no longer matches the sheet`, error });
+    }
+
+    res.json({ [source]: spec, ...series });
+  } catch (error) {
+    console.error('Error building graph series:', error);
+    res.status(500).json({ message: 'Error building graph series', error: error.message });
+  }
+});
+
+const GRAPH_CHANGED_MESSAGE = 'Graph was changed by another edit meanwhile; fetch it and try again';
+
+// Apply editable fields to a graph and record the change as a new revision.
+// PUT replaces every required field; PATCH changes only the fields sent.
+const updateGraph = (partial) => async (req, res) => {
+  try {
+    const updates = GRAPH_EDITABLE_FIELDS.reduce((acc, field) => {
+      if (req.body[field] !== undefined) acc[field] = req.body[field];
+      return acc;
+    }, {});
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No editable fields provided', editable: GRAPH_EDITABLE_FIELDS });
+    }
+
+    if (!partial) {
+      // The fields /save-graph requires, bar those fixed at creation
+      const required = ['title', 'type', 'config', 'xAxis', 'yAxis'];
+      const missing = required.filter(field => !updates[field]);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: 'Missing required fields', required, missing });
+      }
+    }
+
+    const fieldError = validateGraphFields(updates);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+    if (updates.tags) {
+      updates.tags = normalizeTags(updates.tags);
+    }
+
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    // Taken before the data is rebuilt, for the baseline revision
+    const before = revisionSnapshot(graph);
+    if (updates.aggregation || updates.pivot) {
+      const built = await buildGraphSource(req, graph, updates);
+      if (built.status) {
+        return res.status(built.status).json({ message: built.message, error: built.error });
+      }
+      // Switching to one kind of spec drops the other
+      if (updates.pivot) {
+        updates.pivot = built.spec;
+        updates.aggregation = null;
+      } else {
+        updates.aggregation = built.spec;
+        updates.pivot = null;
+      }
+      graph.data = built.series;
+    }
+
+    graph.set(updates);
+    const changes = diffSnapshots(before, snapshotGraph(graph));
+    if (changes.length === 0) {
+      return res.json(graph);
+    }
+
+    await ensureBaselineRevision({ ...before, _id: graph._id, version: graph.version }, req.user.userId);
+    const saved = await saveGraphVersion(graph);
+    if (!saved) {
+      return res.status(409).json({ message: GRAPH_CHANGED_MESSAGE });
+    }
+    await recordRevision(saved, req.user.userId, 'update', { changes });
+
+    res.json(saved);
+  } catch (error) {
+    console.error('Error updating graph:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid graph', error: error.message });
+    }
+    res.status(500).json({ message: 'Error updating graph', error: error.message });
+  }
+};
+
+router.put('/graphs/:id', auth, updateGraph(false));
+router.patch('/graphs/:id', auth, updateGraph(true));
+
+const REVISION_VERSION_MESSAGE = 'Revision version must be a positive integer';
+
+// Revision numbers in paths; null unless a positive integer
+const parseRevisionVersion = (value) => (/^[1-9]\d*$/.test(value) ? Number(value) : null);
+
+// List a graph's revisions, newest first
+router.get('/graphs/:id/revisions', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'viewer', {
+      select: '_id user workspace version'
+    });
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const revisions = await GraphRevision.find({ graph: graph._id })
+      .select('-snapshot')
+      .sort({ version: -1 });
+
+    res.json({ currentVersion: graph.version || 1, revisions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching revisions', error: error.message });
+  }
+});
+
+// Get one revision including its snapshot
+router.get('/graphs/:id/revisions/:version', auth, async (req, res) => {
+  try {
+    const version = parseRevisionVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ message: REVISION_VERSION_MESSAGE });
+    }
+
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'viewer', {
+      select: '_id user workspace'
+    });
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const revision = await GraphRevision.findOne({ graph: graph._id, version });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching revision', error: error.message });
+  }
+});
+
+// Restore a graph to an earlier revision; the restore itself becomes a new revision
+router.post('/graphs/:id/revisions/:version/restore', auth, async (req, res) => {
+  try {
+    const version = parseRevisionVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ message: REVISION_VERSION_MESSAGE });
+    }
+
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const revision = await GraphRevision.findOne({ graph: graph._id, version });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // Aggregated and pivoted series are rebuilt from the sheet; plain graphs
+    // take their data from the snapshot. Older revisions kept no data, which
+    // only matters when the graph has since switched to a built series.
+    const before = revisionSnapshot(graph);
+    const { aggregation, pivot, data, ...snapshot } = revision.snapshot;
+    if (aggregation || pivot) {
+      const built = await buildGraphSource(req, graph, { aggregation, pivot });
+      if (built.status) {
+        return res.status(409).json({ message: 'Revision cannot be restored: ' + built.message, error: built.error });
+      }
+      graph.data = built.series;
+    } else if (data) {
+      graph.data = data;
+    } else if (graphSource(graph)) {
+      return res.status(409).json({ message: 'Revision cannot be restored: it was recorded without the data of the graph' });
+    }
+
+    graph.set({ ...snapshot, aggregation: aggregation || null, pivot: pivot || null });
+    const changes = diffSnapshots(before, snapshotGraph(graph));
+
+    await ensureBaselineRevision({ ...before, _id: graph._id, version: graph.version }, req.user.userId);
+    const saved = await saveGraphVersion(graph);
+    if (!saved) {
+      return res.status(409).json({ message: GRAPH_CHANGED_MESSAGE });
+    }
+    await recordRevision(saved, req.user.userId, 'restore', { changes, restoredFrom: revision.version });
+
+    res.json(saved);
+  } catch (error) {
+    console.error('Error restoring graph revision:', error);
+    res.status(500).json({ message: 'Error restoring graph revision', error: error.message });
+  }
+});
+
+// Render a graph as an SVG or PNG image (?format=svg|png&width=&height=)
+router.get('/graphs/:id/render', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'svg';
+    if (!RENDER_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${RENDER_FORMATS.join(', ')}` });
+    }
+
+    const size = {};
+    for (const dimension of ['width', 'height']) {
+      const value = req.query[dimension] === undefined ? DEFAULT_SIZE[dimension] : Number(req.query[dimension]);
+      if (!Number.isInteger(value) || value < SIZE_LIMITS.min || value > SIZE_LIMITS.max) {
+        return res.status(400).json({
+          message: `${dimension} must be an integer between ${SIZE_LIMITS.min} and ${SIZE_LIMITS.max}`
+        });
+      }
+      size[dimension] = value;
+    }
+
+    const { graph, status, message } = await loadGraph(req, req.params.id);
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const file = await ExcelFile.findById(graph.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'Associated Excel file not found' });
+    }
+
+    const sheetData = findGraphSheet(file, graph);
+    if (!sheetData) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const rows = await loadSheetRows(file, sheetData);
+    const { contentType, body } = await renderGraphInWorker(graph.toObject(), rows, sheetData.headers, { format, ...size });
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `inline; filename="graph-${graph._id}.${format}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error rendering graph:', error);
+    res.status(500).json({ message: 'Error rendering graph', error: error.message });
+  }
+});
+
+// Download the data behind a graph as CSV: its series when it has an
+// aggregation or pivot spec, otherwise the x and y columns of the sheet. Honours
+// ?filters= and ?sort= on the sheet rows.
+router.get('/graphs/:id/export', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (format !== 'csv') {
+      return res.status(400).json({ message: 'format must be csv' });
+    }
+
+    const { graph, status, message } = await loadGraph(req, req.params.id);
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const file = await ExcelFile.findById(graph.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'Associated Excel file not found' });
+    }
+
+    const sheetData = findGraphSheet(file, graph);
+    if (!sheetData) {
+      return res.status(404).json({ message: 'Sheet not found in Excel file' });
+    }
+
+    const { options, error } = parseFilterAndSort(req.query, sheetData.headers);
+    if (error) {
+      return res.status(400).json({ message: 'Invalid export query', error });
+    }
+
+    res.set('Content-Type', CONTENT_TYPES.csv);
+    res.set('Content-Disposition', attachmentHeader(exportFileName(graph.title, 'data', 'csv')));
+
+    if (graphSource(graph)) {
+      const rows = filterAndSortRows(await loadSheetRows(file, sheetData), options);
+      const { source, series: built, error: specError } = buildGraphSeries(graph, rows, sheetData.headers);
+      if (specError) {
+        return res.status(409).json({ message: `Stored ${source} no longer matches the sheet`, error: specError });
+      }
+      const headers = [built.xColumn, ...built.series.map(series => series.name)];
+      const seriesRows = built.labels.map((label, index) => built.series.reduce((acc, series) => {
+        acc[series.name] = series.data[index];
+        return acc;
+      }, { [built.xColumn]: label }));
+      return await streamDelimited(res, headers, [seriesRows], ',');
+    }
+
+    const yColumns = String(graph.yAxis).split(',').map(name => name.trim()).filter(Boolean);
+    await streamDelimited(res, [graph.xAxis, ...yColumns], exportRowBatches(file, sheetData, options), ',');
+  } catch (error) {
+    console.error('Error exporting graph data:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Error exporting graph data', error: error.message });
+  }
+});
+
+// Pin a graph to one version of its file, or pass { version: null } to
+// follow the latest version again
+router.put('/graphs/:id/file-version', auth, async (req, res) => {
+  try {
+    const { version } = req.body;
+    if (version !== null && !Number.isInteger(version)) {
+      return res.status(400).json({ message: 'version must be a version number or null' });
+    }
+
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const file = await ExcelFile.findById(graph.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'Associated Excel file not found' });
+    }
+
+    if (version !== null) {
+      const fileVersion = findFileVersion(file, version);
+      if (!fileVersion) {
+        return res.status(404).json({ message: 'Version not found' });
+      }
+      if (!findSheet(fileVersion, graph.sheetName)) {
+        return res.status(409).json({ message: `Version ${version} has no sheet "${graph.sheetName}"` });
+      }
+    }
+
+    graph.fileVersion = version;
+    await graph.save();
+
+    res.json({
+      message: version === null ? 'Graph follows the latest version' : `Graph pinned to version ${version}`,
+      fileVersion: graph.fileVersion
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating graph file version', error: error.message });
+  }
+});
+
+// Publish a graph to the public gallery
+router.post('/graphs/:id/publish', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    if (!graph.isPublic) {
+      graph.isPublic = true;
+      graph.publishedAt = new Date();
+      await graph.save();
+    }
+
+    res.json({ message: 'Graph published', isPublic: graph.isPublic, publishedAt: graph.publishedAt });
+  } catch (error) {
+    res.status(500).json({ message: 'Error publishing graph', error: error.message });
+  }
+});
+
+// Remove a graph from the public gallery (share links keep working)
+router.post('/graphs/:id/unpublish', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    if (graph.isPublic) {
+      graph.isPublic = false;
+      graph.publishedAt = undefined;
+      await graph.save();
+    }
+
+    res.json({ message: 'Graph unpublished', isPublic: graph.isPublic });
+  } catch (error) {
+    res.status(500).json({ message: 'Error unpublishing graph', error: error.message });
+  }
+});
+
+// List a graph's share links (the tokens themselves are never returned again)
+router.get('/graphs/:id/share-tokens', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor', {
+      select: 'user workspace shareTokens'
+    });
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const now = new Date();
+    res.json(graph.shareTokens.map(shareToken => ({
+      ...shareToken.toObject(),
+      active: !shareToken.revokedAt && (!shareToken.expiresAt || shareToken.expiresAt > now)
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching share links', error: error.message });
+  }
+});
+
+// Create a share link, optionally expiring after expiresInDays or at expiresAt
+router.post('/graphs/:id/share-tokens', auth, async (req, res) => {
   try {
-    const graph = await Graph.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user.userId
+    const { label = '', expiresInDays, expiresAt } = req.body;
+
+    let expiry;
+    if (expiresAt !== undefined) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ message: 'expiresAt must be a future date' });
+      }
+    } else if (expiresInDays !== undefined) {
+      const days = Number(expiresInDays);
+      if (!(days > 0)) {
+        return res.status(400).json({ message: 'expiresInDays must be a positive number' });
+      }
+      expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const { token, tokenHash } = generateToken();
+    graph.shareTokens.push({ tokenHash, label: String(label), expiresAt: expiry });
+    await graph.save();
+
+    const shareToken = graph.shareTokens[graph.shareTokens.length - 1];
+    res.status(201).json({
+      ...shareToken.toObject(),
+      token, // Only returned here; store it now
+      url: `/api/public/graphs/${token}`
     });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating share link', error: error.message });
+  }
+});
+
+// Revoke a share link
+router.delete('/graphs/:id/share-tokens/:tokenId', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
+    if (!graph) {
+      return res.status(status).json({ message });
+    }
+
+    const shareToken = graph.shareTokens.id(req.params.tokenId);
+    if (!shareToken) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    if (!shareToken.revokedAt) {
+      shareToken.revokedAt = new Date();
+      await graph.save();
+    }
+
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking share link', error: error.message });
+  }
+});
 
+// Delete graph - already linked to fileId, no change needed
+router.delete('/graphs/:id', auth, async (req, res) => {
+  try {
+    const { graph, status, message } = await loadGraph(req, req.params.id, 'editor');
     if (!graph) {
-      return res.status(404).json({ message: 'Graph not found' });
+      return res.status(status).json({ message });
     }
 
+    await graph.deleteOne();
+
+    await GraphRevision.deleteMany({ graph: graph._id });
+    await recordAudit(req, {
+      action: 'graph.delete',
+      targetType: 'graph',
+      target: graph._id,
+      before: snapshotGraph(graph)
+    });
+
     res.json({ message: 'Graph deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting graph', error: error.message });
@@ -0,0 +1,91 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import Job from '../models/Job.js';
+import { jobResponse, cancelJob, retryJob } from '../utils/jobQueue.js';
+
+const router = express.Router();
+
+const JOB_STATUSES = Job.schema.path('status').enumValues;
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+
+const findJob = (req) => mongoose.isValidObjectId(req.params.id)
+  ? Job.findOne({ _id: req.params.id, user: req.user.userId })
+  : null;
+
+// List the user's jobs, newest first. ?status= narrows by status; ?limit=
+// sets how many (default 20)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const limit = req.query.limit === undefined ? LIST_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+      return res.status(400).json({ message: `limit must be an integer between 1 and ${LIST_MAX_LIMIT}` });
+    }
+
+    const filter = { user: req.user.userId };
+    if (status) filter.status = status;
+    const jobs = await Job.find(filter).sort({ createdAt: -1 }).limit(limit).select('-result');
+    res.json(jobs.map(jobResponse));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching jobs', error: error.message });
+  }
+});
+
+// Status of a job: progress (0-100) and stage while running, the error of
+// the last failed attempt, and once succeeded the file id and the upload
+// response (without rows)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    res.json(jobResponse(job));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching job', error: error.message });
+  }
+});
+
+// Cancel a queued or running job. Rows already stored are removed; a job
+// whose file is already saved can no longer be cancelled.
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const cancelled = await cancelJob(job);
+    if (!cancelled.job) {
+      return res.status(cancelled.status).json({ message: cancelled.message });
+    }
+    res.json(jobResponse(cancelled.job));
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling job', error: error.message });
+  }
+});
+
+// Queue a failed or cancelled job again with the file it was given
+router.post('/:id/retry', auth, async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const retried = await retryJob(job);
+    if (!retried.job) {
+      return res.status(retried.status).json({ message: retried.message });
+    }
+    res.status(202).json(jobResponse(retried.job));
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrying job', error: error.message });
+  }
+});
+
+export default router;
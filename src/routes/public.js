@@ -0,0 +1,166 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Graph from '../models/Graph.js';
+import ExcelFile from '../models/ExcelFile.js';
+import { loadSheetRows } from '../utils/sheetStorage.js';
+import { graphSource, buildGraphSeries } from '../utils/graphSeries.js';
+import { pivotColumns } from '../utils/pivot.js';
+import { hashToken } from '../utils/tokens.js';
+import { findGraphSheet } from '../utils/fileVersions.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const CHART_TYPES = Graph.schema.path('chartType').enumValues;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Columns a graph actually draws: its axes plus any aggregation or pivot columns
+const graphColumns = (graph, headers) => {
+  const columns = new Set([graph.xAxis, ...String(graph.yAxis).split(',').map(name => name.trim())]);
+  if (graph.aggregation) {
+    columns.add(graph.aggregation.xColumn);
+    (graph.aggregation.yColumns || []).forEach(y => columns.add(typeof y === 'string' ? y : y.column));
+  }
+  if (graph.pivot) {
+    pivotColumns(graph.pivot).forEach(column => columns.add(column));
+  }
+  return headers.filter(header => columns.has(header));
+};
+
+// Read-only view of a graph for anonymous viewers: no owner, file or share
+// details, and only the columns the chart needs
+const buildPublicGraph = async (graph) => {
+  const file = await ExcelFile.findById(graph.fileId);
+  const sheet = file && findGraphSheet(file, graph);
+  if (!sheet) return null;
+
+  const rows = await loadSheetRows(file, sheet);
+  const publicGraph = {
+    _id: graph._id,
+    title: graph.title,
+    description: graph.description,
+    type: graph.type,
+    chartType: graph.chartType,
+    xAxis: graph.xAxis,
+    yAxis: graph.yAxis,
+    config: graph.config,
+    tags: graph.tags,
+    createdAt: graph.createdAt,
+    updatedAt: graph.updatedAt
+  };
+
+  if (graphSource(graph)) {
+    const { source, spec, series, error } = buildGraphSeries(graph, rows, sheet.headers);
+    if (!error) {
+      return { ...publicGraph, [source]: spec, series };
+    }
+  }
+
+  const columns = graphColumns(graph, sheet.headers);
+  return {
+    ...publicGraph,
+    columns,
+    data: rows.map(row => columns.reduce((acc, column) => {
+      if (row[column] !== undefined) acc[column] = row[column];
+      return acc;
+    }, {}))
+  };
+};
+
+// Gallery of published graphs, newest first, searchable by title,
+// description and tags
+router.get('/gallery', async (req, res) => {
+  try {
+    // Query values can be arrays or objects; only known chart types filter
+    const { chartType } = req.query;
+    if (chartType && !CHART_TYPES.includes(chartType)) {
+      return res.status(400).json({ message: `chartType must be one of: ${CHART_TYPES.join(', ')}` });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const filter = { isPublic: true };
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+      filter.$or = [{ title: pattern }, { description: pattern }, { tags: pattern }];
+    }
+    if (chartType) {
+      filter.chartType = chartType;
+    }
+
+    const [graphs, total] = await Promise.all([
+      Graph.find(filter)
+        .select('title description type chartType tags publishedAt createdAt updatedAt user')
+        .populate('user', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Graph.countDocuments(filter)
+    ]);
+
+    res.json({
+      graphs: graphs.map(graph => {
+        const { user, ...rest } = graph.toObject();
+        return { ...rest, author: user?.name };
+      }),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching gallery', error: error.message });
+  }
+});
+
+// View a published graph from the gallery
+router.get('/gallery/:id', async (req, res) => {
+  try {
+    const graph = mongoose.isValidObjectId(req.params.id)
+      && await Graph.findOne({ _id: req.params.id, isPublic: true });
+    if (!graph) {
+      return res.status(404).json({ message: 'Graph not found' });
+    }
+
+    const publicGraph = await buildPublicGraph(graph);
+    if (!publicGraph) {
+      return res.status(404).json({ message: 'Graph data not found' });
+    }
+    res.json(publicGraph);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching graph', error: error.message });
+  }
+});
+
+// View a graph through a share link
+router.get('/graphs/:token', async (req, res) => {
+  try {
+    const tokenHash = hashToken(req.params.token);
+    const graph = await Graph.findOne({ 'shareTokens.tokenHash': tokenHash });
+    const shareToken = graph?.shareTokens.find(entry => entry.tokenHash === tokenHash);
+
+    // Revoked, expired and unknown links all look the same to the caller
+    if (!shareToken || shareToken.revokedAt || (shareToken.expiresAt && shareToken.expiresAt <= new Date())) {
+      return res.status(404).json({ message: 'Share link not found or expired' });
+    }
+
+    const publicGraph = await buildPublicGraph(graph);
+    if (!publicGraph) {
+      return res.status(404).json({ message: 'Graph data not found' });
+    }
+
+    await Graph.updateOne(
+      { _id: graph._id, 'shareTokens._id': shareToken._id },
+      { $set: { 'shareTokens.$.lastAccessedAt': new Date() } }
+    );
+
+    res.json(publicGraph);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching shared graph', error: error.message });
+  }
+});
+
+export default router;
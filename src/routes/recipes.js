@@ -0,0 +1,164 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import Recipe from '../models/Recipe.js';
+import { resolveSourceHeaders } from '../utils/access.js';
+import { normalizeSteps } from '../utils/transforms.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+const APPLY_MODES = Recipe.schema.path('applyMode').enumValues;
+
+const validateRecipeFields = ({ name, description, autoApply, applyMode, sourceHeaders }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (autoApply !== undefined && typeof autoApply !== 'boolean') {
+    return 'autoApply must be a boolean';
+  }
+  if (applyMode !== undefined && !APPLY_MODES.includes(applyMode)) {
+    return `applyMode must be one of: ${APPLY_MODES.join(', ')}`;
+  }
+  if (sourceHeaders !== undefined
+    && (!Array.isArray(sourceHeaders) || sourceHeaders.length === 0 || !sourceHeaders.every(header => typeof header === 'string'))) {
+    return 'sourceHeaders must be a non-empty array of column names';
+  }
+  return null;
+};
+
+const isDuplicateName = (error) => error.code === 11000;
+
+const findRecipe = (req) => mongoose.isValidObjectId(req.params.id)
+  ? Recipe.findOne({ _id: req.params.id, user: req.user.userId })
+  : null;
+
+// List the user's recipes
+router.get('/', auth, async (req, res) => {
+  try {
+    const recipes = await Recipe.find({ user: req.user.userId }).sort({ name: 1 });
+    res.json(recipes);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching recipes', error: error.message });
+  }
+});
+
+// Save a pipeline as a recipe. Body: { name, description?, steps,
+// sourceHeaders | fileId + sheetName, autoApply?, applyMode? }
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, description = '', steps, autoApply = false, applyMode = 'derived' } = req.body;
+    const fieldError = validateRecipeFields({ ...req.body, name: name ?? '', autoApply, applyMode });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const source = await resolveSourceHeaders(req);
+    if (source.status) {
+      return res.status(source.status).json({ message: source.message });
+    }
+    if (!source.headers) {
+      return res.status(400).json({ message: 'sourceHeaders, or fileId and sheetName, are required' });
+    }
+
+    const normalized = normalizeSteps(steps, source.headers);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error });
+    }
+
+    const recipe = await Recipe.create({
+      user: req.user.userId,
+      name: name.trim(),
+      description,
+      steps: normalized.steps,
+      sourceHeaders: source.headers,
+      autoApply,
+      applyMode
+    });
+
+    res.status(201).json(recipe);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ message: 'You already have a recipe with that name' });
+    }
+    res.status(500).json({ message: 'Error creating recipe', error: error.message });
+  }
+});
+
+// Get one of the user's recipes
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const recipe = await findRecipe(req);
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+    res.json(recipe);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching recipe', error: error.message });
+  }
+});
+
+// Update a recipe. Steps are checked again whenever they or the source
+// headers change.
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { name, description, steps, autoApply, applyMode } = req.body;
+    const fieldError = validateRecipeFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const recipe = await findRecipe(req);
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    const source = await resolveSourceHeaders(req);
+    if (source.status) {
+      return res.status(source.status).json({ message: source.message });
+    }
+    if (steps !== undefined || source.headers) {
+      const headers = source.headers || recipe.sourceHeaders;
+      const normalized = normalizeSteps(steps ?? recipe.steps, headers);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+      }
+      recipe.steps = normalized.steps;
+      recipe.sourceHeaders = headers;
+    }
+
+    if (name !== undefined) recipe.name = name.trim();
+    if (description !== undefined) recipe.description = description;
+    if (autoApply !== undefined) recipe.autoApply = autoApply;
+    if (applyMode !== undefined) recipe.applyMode = applyMode;
+    recipe.updatedAt = new Date();
+    await recipe.save();
+
+    res.json(recipe);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ message: 'You already have a recipe with that name' });
+    }
+    res.status(500).json({ message: 'Error updating recipe', error: error.message });
+  }
+});
+
+// Delete a recipe. Sheets it produced keep their transform record.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const recipe = await findRecipe(req);
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    await recipe.deleteOne();
+    res.json({ message: 'Recipe deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting recipe', error: error.message });
+  }
+});
+
+export default router;
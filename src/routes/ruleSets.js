@@ -0,0 +1,160 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import RuleSet from '../models/RuleSet.js';
+import { resolveSourceHeaders } from '../utils/access.js';
+import { normalizeRules } from '../utils/validationRules.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+const validateRuleSetFields = ({ name, description, autoApply, sourceHeaders }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (autoApply !== undefined && typeof autoApply !== 'boolean') {
+    return 'autoApply must be a boolean';
+  }
+  if (sourceHeaders !== undefined
+    && (!Array.isArray(sourceHeaders) || sourceHeaders.length === 0 || !sourceHeaders.every(header => typeof header === 'string'))) {
+    return 'sourceHeaders must be a non-empty array of column names';
+  }
+  return null;
+};
+
+const isDuplicateName = (error) => error.code === 11000;
+
+const findRuleSet = (req) => mongoose.isValidObjectId(req.params.id)
+  ? RuleSet.findOne({ _id: req.params.id, user: req.user.userId })
+  : null;
+
+// List the user's rule sets
+router.get('/', auth, async (req, res) => {
+  try {
+    const ruleSets = await RuleSet.find({ user: req.user.userId }).sort({ name: 1 });
+    res.json(ruleSets);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching rule sets', error: error.message });
+  }
+});
+
+// Save validation rules as a rule set. Body: { name, description?, rules,
+// sourceHeaders | fileId + sheetName, autoApply? }
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, description = '', rules, autoApply = false } = req.body;
+    const fieldError = validateRuleSetFields({ ...req.body, name: name ?? '', autoApply });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const source = await resolveSourceHeaders(req);
+    if (source.status) {
+      return res.status(source.status).json({ message: source.message });
+    }
+    if (!source.headers) {
+      return res.status(400).json({ message: 'sourceHeaders, or fileId and sheetName, are required' });
+    }
+
+    const normalized = normalizeRules(rules, source.headers);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error });
+    }
+
+    const ruleSet = await RuleSet.create({
+      user: req.user.userId,
+      name: name.trim(),
+      description,
+      rules: normalized.rules,
+      sourceHeaders: source.headers,
+      autoApply
+    });
+
+    res.status(201).json(ruleSet);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ message: 'You already have a rule set with that name' });
+    }
+    res.status(500).json({ message: 'Error creating rule set', error: error.message });
+  }
+});
+
+// Get one of the user's rule sets
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const ruleSet = await findRuleSet(req);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+    res.json(ruleSet);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching rule set', error: error.message });
+  }
+});
+
+// Update a rule set. Rules are checked again whenever they or the source
+// headers change. Sheets the set is attached to use the new rules from
+// their next check.
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { name, description, rules, autoApply } = req.body;
+    const fieldError = validateRuleSetFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const ruleSet = await findRuleSet(req);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+
+    const source = await resolveSourceHeaders(req);
+    if (source.status) {
+      return res.status(source.status).json({ message: source.message });
+    }
+    if (rules !== undefined || source.headers) {
+      const headers = source.headers || ruleSet.sourceHeaders;
+      const normalized = normalizeRules(rules ?? ruleSet.rules, headers);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+      }
+      ruleSet.rules = normalized.rules;
+      ruleSet.sourceHeaders = headers;
+    }
+
+    if (name !== undefined) ruleSet.name = name.trim();
+    if (description !== undefined) ruleSet.description = description;
+    if (autoApply !== undefined) ruleSet.autoApply = autoApply;
+    ruleSet.updatedAt = new Date();
+    await ruleSet.save();
+
+    res.json(ruleSet);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ message: 'You already have a rule set with that name' });
+    }
+    res.status(500).json({ message: 'Error updating rule set', error: error.message });
+  }
+});
+
+// Delete a rule set. Sheets it is attached to keep checking against their
+// copy of its rules.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const ruleSet = await findRuleSet(req);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+
+    await ruleSet.deleteOne();
+    res.json({ message: 'Rule set deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting rule set', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,324 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import Workspace, { WORKSPACE_ROLES } from '../models/Workspace.js';
+import User from '../models/User.js';
+import ExcelFile from '../models/ExcelFile.js';
+import Graph from '../models/Graph.js';
+import { loadWorkspace } from '../utils/access.js';
+import { recordAudit } from '../utils/audit.js';
+import { sendMail } from '../utils/mailer.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+const validateWorkspaceFields = ({ name, description }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  return null;
+};
+
+const ownerCount = (workspace) => workspace.members.filter(member => member.role === 'owner').length;
+
+// List the workspaces the user belongs to, with their role in each
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user.userId }).sort({ name: 1 });
+
+    res.json(workspaces.map(workspace => ({
+      _id: workspace._id,
+      name: workspace.name,
+      description: workspace.description,
+      role: workspace.memberRole(req.user.userId),
+      memberCount: workspace.members.length,
+      createdAt: workspace.createdAt,
+      updatedAt: workspace.updatedAt
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching workspaces', error: error.message });
+  }
+});
+
+// Create a workspace; the creator becomes its first owner
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, description = '' } = req.body;
+    const fieldError = validateWorkspaceFields({ name: name ?? '', description });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const workspace = await Workspace.create({
+      name: name.trim(),
+      description,
+      createdBy: req.user.userId,
+      members: [{ user: req.user.userId, role: 'owner', addedBy: req.user.userId }]
+    });
+
+    await recordAudit(req, {
+      action: 'workspace.create',
+      targetType: 'workspace',
+      target: workspace._id,
+      after: { name: workspace.name }
+    });
+
+    res.status(201).json(workspace);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating workspace', error: error.message });
+  }
+});
+
+// Workspace details with its members and how many files and graphs it holds
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { workspace, role, status, message } = await loadWorkspace(req, req.params.id);
+    if (!workspace) {
+      return res.status(status).json({ message });
+    }
+
+    await workspace.populate('members.user', 'name email');
+    const [fileCount, graphCount] = await Promise.all([
+      ExcelFile.countDocuments({ workspace: workspace._id }),
+      Graph.countDocuments({ workspace: workspace._id })
+    ]);
+
+    res.json({ ...workspace.toObject(), role, fileCount, graphCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching workspace', error: error.message });
+  }
+});
+
+// Rename a workspace or change its description (owners only)
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const fieldError = validateWorkspaceFields({ name, description });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const { workspace, status, message } = await loadWorkspace(req, req.params.id, 'owner');
+    if (!workspace) {
+      return res.status(status).json({ message });
+    }
+
+    if (name !== undefined) workspace.name = name.trim();
+    if (description !== undefined) workspace.description = description;
+    workspace.updatedAt = new Date();
+    await workspace.save();
+
+    res.json(workspace);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating workspace', error: error.message });
+  }
+});
+
+// Delete an empty workspace (owners only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { workspace, status, message } = await loadWorkspace(req, req.params.id, 'owner');
+    if (!workspace) {
+      return res.status(status).json({ message });
+    }
+
+    const fileCount = await ExcelFile.countDocuments({ workspace: workspace._id });
+    if (fileCount > 0) {
+      return res.status(409).json({
+        message: 'Workspace still contains files. Delete them before deleting the workspace.',
+        fileCount
+      });
+    }
+
+    await workspace.deleteOne();
+    await recordAudit(req, {
+      action: 'workspace.delete',
+      targetType: 'workspace',
+      target: workspace._id,
+      before: { name: workspace.name, members: workspace.members.map(({ user, role }) => ({ user, role })) }
+    });
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting workspace', error: error.message });
+  }
+});
+
+// Invite a registered user to the workspace by email (owners only)
+router.post('/:id/members', auth, async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'email is required' });
+    }
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+
+    const { workspace, status, message } = await loadWorkspace(req, req.params.id, 'owner');
+    if (!workspace) {
+      return res.status(status).json({ message });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase(), status: 'approved' });
+    if (!user) {
+      return res.status(404).json({ message: 'No approved user with that email' });
+    }
+    if (workspace.memberRole(user._id)) {
+      return res.status(409).json({ message: 'User is already a member of this workspace' });
+    }
+
+    workspace.members.push({ user: user._id, role, addedBy: req.user.userId });
+    workspace.updatedAt = new Date();
+    await workspace.save();
+
+    await recordAudit(req, {
+      action: 'workspace.member.add',
+      targetType: 'workspace',
+      target: workspace._id,
+      after: { user: user._id, email: user.email, role }
+    });
+    await sendMail({
+      to: user.email,
+      subject: `You were added to the workspace "${workspace.name}"`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `You now have ${role} access to the workspace "${workspace.name}" and can find its files and graphs after logging in.`
+      ].join('\n')
+    }).catch(error => console.error('Workspace invite email failed:', error));
+
+    res.status(201).json({ message: 'Member added', member: { user: user._id, email: user.email, name: user.name, role } });
+  } catch (error) {
+    res.status(500).json({ message: 'Error adding member', error: error.message });
+  }
+});
+
+// Change a member's role (owners only). A workspace always keeps one owner.
+router.patch('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+
+    const { workspace, status, message } = await loadWorkspace(req, req.params.id, 'owner');
+    if (!workspace) {
+      return res.status(status).json({ message });
+    }
+
+    const member = mongoose.isValidObjectId(req.params.userId)
+      && workspace.members.find(entry => entry.user.equals(req.params.userId));
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner' && role !== 'owner' && ownerCount(workspace) === 1) {
+      return res.status(409).json({ message: 'A workspace needs at least one owner' });
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    workspace.updatedAt = new Date();
+    await workspace.save();
+
+    await recordAudit(req, {
+      action: 'workspace.member.update',
+      targetType: 'workspace',
+      target: workspace._id,
+      before: { user: member.user, role: previousRole },
+      after: { user: member.user, role }
+    });
+
+    res.json({ message: 'Member role updated', member: { user: member.user, role } });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating member', error: error.message });
+  }
+});
+
+// Remove a member (owners only), or leave the workspace yourself. Their
+// uploads stay in the workspace.
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const leaving = req.params.userId === String(req.user.userId);
+    const { workspace, status, message } = await loadWorkspace(req, req.params.id, leaving ? 'viewer' : 'owner');
+    if (!workspace) {
+      return res.status(status).json({ message });
+    }
+
+    const member = mongoose.isValidObjectId(req.params.userId)
+      && workspace.members.find(entry => entry.user.equals(req.params.userId));
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner' && ownerCount(workspace) === 1) {
+      return res.status(409).json({ message: 'A workspace needs at least one owner' });
+    }
+
+    workspace.members.pull({ user: member.user });
+    workspace.updatedAt = new Date();
+    await workspace.save();
+
+    await recordAudit(req, {
+      action: 'workspace.member.remove',
+      targetType: 'workspace',
+      target: workspace._id,
+      before: { user: member.user, role: member.role }
+    });
+
+    res.json({ message: leaving ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing member', error: error.message });
+  }
+});
+
+// Move personal files, and the graphs built on them, into the workspace
+// (editors and owners). Body: { fileIds: [...] }
+router.post('/:id/files', auth, async (req, res) => {
+  try {
+    const { fileIds } = req.body;
+    if (!Array.isArray(fileIds) || fileIds.length === 0 || !fileIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'fileIds must be a non-empty array of file ids' });
+    }
+
+    const { workspace, status, message } = await loadWorkspace(req, req.params.id, 'editor');
+    if (!workspace) {
+      return res.status(status).json({ message });
+    }
+
+    // Only the user's own personal files can be moved
+    const files = await ExcelFile.find({
+      _id: { $in: fileIds },
+      user: req.user.userId,
+      workspace: null
+    }).select('_id fileName');
+    const movedIds = files.map(file => file._id);
+
+    await ExcelFile.updateMany({ _id: { $in: movedIds } }, { $set: { workspace: workspace._id } });
+    const graphs = await Graph.updateMany({ fileId: { $in: movedIds } }, { $set: { workspace: workspace._id } });
+
+    await Promise.all(files.map(file => recordAudit(req, {
+      action: 'file.move',
+      targetType: 'file',
+      target: file._id,
+      before: { workspace: null },
+      after: { workspace: workspace._id },
+      details: { fileName: file.fileName }
+    })));
+
+    const moved = new Set(movedIds.map(String));
+    res.json({
+      message: `Moved ${movedIds.length} file(s) into the workspace`,
+      moved: [...moved],
+      skipped: fileIds.map(String).filter(id => !moved.has(id)),
+      graphsMoved: graphs.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error moving files', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import Workspace from '../models/Workspace.js';
+import ExcelFile from '../models/ExcelFile.js';
+import Graph from '../models/Graph.js';
+
+// Files and graphs are either personal (workspace: null), where only their
+// user has access, or belong to a workspace, where access follows the
+// requesting user's role in it. Roles are ordered: owner > editor > viewer.
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+export const hasRole = (role, minRole) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+// Workspace id -> role for the requesting user, loaded once per request
+const workspaceRoles = async (req) => {
+  if (!req.workspaceRoles) {
+    const workspaces = await Workspace.find({ 'members.user': req.user.userId }).select('members');
+    req.workspaceRoles = new Map(workspaces.map(workspace => [
+      workspace._id.toString(),
+      workspace.memberRole(req.user.userId)
+    ]));
+  }
+  return req.workspaceRoles;
+};
+
+export const workspaceRole = async (req, workspaceId) =>
+  (await workspaceRoles(req)).get(String(workspaceId)) || null;
+
+// Role the user holds on a file or graph, or null without access
+export const itemRole = async (req, item) => {
+  if (!item.workspace) {
+    return item.user?.equals(req.user.userId) ? 'owner' : null;
+  }
+  return workspaceRole(req, item.workspace);
+};
+
+// Query filter for the files or graphs the user can reach with at least
+// minRole: their personal items plus those of qualifying workspaces. Ids are
+// ObjectIds so the filter also works in aggregation pipelines.
+export const accessFilter = async (req, minRole = 'viewer') => {
+  const workspaceIds = [...(await workspaceRoles(req))]
+    .filter(([, role]) => hasRole(role, minRole))
+    .map(([id]) => new mongoose.Types.ObjectId(id));
+
+  return {
+    $or: [
+      { user: new mongoose.Types.ObjectId(req.user.userId), workspace: null },
+      { workspace: { $in: workspaceIds } }
+    ]
+  };
+};
+
+// Filter for listings narrowed by ?workspace=: "personal", a workspace id,
+// or nothing for everything the user can see. Returns { filter } or { status, message }.
+export const scopeFilter = async (req, scope) => {
+  if (scope === undefined || scope === '') {
+    return { filter: await accessFilter(req) };
+  }
+  if (scope === 'personal') {
+    return { filter: { user: new mongoose.Types.ObjectId(req.user.userId), workspace: null } };
+  }
+  if (!mongoose.isValidObjectId(scope) || !(await workspaceRole(req, scope))) {
+    return { status: 404, message: 'Workspace not found' };
+  }
+  return { filter: { workspace: new mongoose.Types.ObjectId(scope) } };
+};
+
+const loadItem = async (Model, key, label, req, id, minRole, select) => {
+  const query = mongoose.isValidObjectId(id) ? Model.findById(id) : null;
+  if (query && select) query.select(select);
+  const item = query && await query;
+  const role = item && await itemRole(req, item);
+  if (!role) {
+    return { status: 404, message: `${label} not found` };
+  }
+  if (!hasRole(role, minRole)) {
+    return { status: 403, message: `You need ${minRole} access to this ${label.toLowerCase()}` };
+  }
+  return { [key]: item, role };
+};
+
+// Load a file the user may access with at least minRole.
+// Returns { file, role } or { status, message }.
+export const loadFile = (req, id, minRole = 'viewer', { select } = {}) =>
+  loadItem(ExcelFile, 'file', 'File', req, id, minRole, select);
+
+// Load a graph the user may access with at least minRole.
+// Returns { graph, role } or { status, message }.
+export const loadGraph = (req, id, minRole = 'viewer', { select } = {}) =>
+  loadItem(Graph, 'graph', 'Graph', req, id, minRole, select);
+
+// Load a workspace the user belongs to with at least minRole.
+// Returns { workspace, role } or { status, message }.
+export const loadWorkspace = async (req, id, minRole = 'viewer') => {
+  const workspace = mongoose.isValidObjectId(id) ? await Workspace.findById(id) : null;
+  const role = workspace?.memberRole(req.user.userId);
+  if (!role) {
+    return { status: 404, message: 'Workspace not found' };
+  }
+  if (!hasRole(role, minRole)) {
+    return { status: 403, message: `You need ${minRole} access to this workspace` };
+  }
+  return { workspace, role };
+};
+
+// The headers saved recipes and rule sets are written for: given directly
+// (sourceHeaders), or taken from a sheet the user can view ({ fileId,
+// sheetName }). Returns { headers } (undefined when neither is given) or
+// { status, message }.
+export const resolveSourceHeaders = async (req) => {
+  const { sourceHeaders, fileId, sheetName } = req.body;
+  if (sourceHeaders !== undefined || fileId === undefined) {
+    return { headers: sourceHeaders };
+  }
+
+  const { file, status, message } = await loadFile(req, fileId, 'viewer', { select: '-sheets.data' });
+  if (!file) {
+    return { status, message };
+  }
+  const sheet = file.sheets.find(entry => entry.sheetName === sheetName);
+  if (!sheet) {
+    return { status: 404, message: 'Sheet not found in Excel file' };
+  }
+  return { headers: sheet.headers };
+};
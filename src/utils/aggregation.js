@@ -0,0 +1,266 @@
+import { isBlank, toNumber, toDate, toKey, compareValues } from './values.js';
+
+export const AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max', 'distinctCount'];
+export const DATE_BIN_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const DEFAULT_BIN_COUNT = 10;
+const MAX_BIN_COUNT = 1000;
+
+// Accumulators keep running state so each row is visited once
+export const createAccumulator = (aggregation) => {
+  switch (aggregation) {
+    case 'sum':
+      return { add(v) { const n = toNumber(v); if (n !== null) this.total += n; }, total: 0, result() { return this.total; } };
+    case 'avg':
+      return {
+        total: 0,
+        count: 0,
+        add(v) { const n = toNumber(v); if (n !== null) { this.total += n; this.count++; } },
+        result() { return this.count ? this.total / this.count : null; }
+      };
+    case 'count':
+      return { count: 0, add(v) { if (!isBlank(v)) this.count++; }, result() { return this.count; } };
+    case 'min':
+      return {
+        value: null,
+        add(v) { const n = toNumber(v); if (n !== null && (this.value === null || n < this.value)) this.value = n; },
+        result() { return this.value; }
+      };
+    case 'max':
+      return {
+        value: null,
+        add(v) { const n = toNumber(v); if (n !== null && (this.value === null || n > this.value)) this.value = n; },
+        result() { return this.value; }
+      };
+    case 'distinctCount':
+      return { seen: new Set(), add(v) { if (!isBlank(v)) this.seen.add(toKey(v)); }, result() { return this.seen.size; } };
+    default:
+      throw new Error(`Unknown aggregation "${aggregation}"`);
+  }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// ISO-8601 week number and week-year for a UTC date
+const isoWeek = (date) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+  return { year: target.getUTCFullYear(), week };
+};
+
+const dateBinKey = (date, unit) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  switch (unit) {
+    case 'day':
+      return `${year}-${pad(month)}-${pad(date.getUTCDate())}`;
+    case 'week': {
+      const { year: weekYear, week } = isoWeek(date);
+      return `${weekYear}-W${pad(week)}`;
+    }
+    case 'month':
+      return `${year}-${pad(month)}`;
+    case 'quarter':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case 'year':
+      return String(year);
+    default:
+      throw new Error(`Unknown date bin unit "${unit}"`);
+  }
+};
+
+const formatBinEdge = (value) => Number(value.toPrecision(12)).toString();
+
+// Build a function mapping an x value to { key, label, order } for grouping
+export const createBinner = (rows, xColumn, bin) => {
+  if (!bin) {
+    return (value) => (isBlank(value) ? null : { key: toKey(value), label: value, order: value });
+  }
+
+  if (bin.type === 'date') {
+    return (value) => {
+      const date = toDate(value);
+      if (!date) return null;
+      const key = dateBinKey(date, bin.unit);
+      return { key, label: key, order: key };
+    };
+  }
+
+  // Numeric binning: fixed-width buckets, either from an explicit size or
+  // by dividing the observed range into a number of bins
+  let min = Infinity;
+  let max = -Infinity;
+  rows.forEach(row => {
+    const n = toNumber(row[xColumn]);
+    if (n !== null) {
+      if (n < min) min = n;
+      if (n > max) max = n;
+    }
+  });
+  if (min === Infinity) return () => null;
+
+  const start = bin.start !== undefined ? bin.start : min;
+  let size = bin.size;
+  let derived = !size;
+  if (derived) {
+    const count = bin.count || DEFAULT_BIN_COUNT;
+    size = max > start ? (max - start) / count : 1;
+  }
+  if ((max - start) / size > MAX_BIN_COUNT) {
+    size = (max - start) / MAX_BIN_COUNT;
+    derived = true;
+  }
+  // When the width was derived from the range, the maximum belongs to the
+  // last bucket rather than opening a bucket of its own
+  const lastIndex = derived ? Math.max(0, Math.ceil((max - start) / size) - 1) : Infinity;
+
+  return (value) => {
+    const n = toNumber(value);
+    if (n === null || n < start) return null;
+    const index = Math.min(Math.floor((n - start) / size), lastIndex);
+    const lower = start + index * size;
+    const upper = lower + size;
+    return {
+      key: String(index),
+      label: `${formatBinEdge(lower)}–${formatBinEdge(upper)}`,
+      order: lower,
+      range: [lower, upper]
+    };
+  };
+};
+
+// Check a bin spec ({ type: 'date', unit } or { type: 'numeric', size?,
+// count?, start? }). Returns { bin } or { error }.
+export const normalizeBin = (bin) => {
+  if (!bin) return { bin: null };
+  if (bin.type === 'date') {
+    const unit = bin.unit || 'month';
+    if (!DATE_BIN_UNITS.includes(unit)) {
+      return { error: `Unknown date bin unit "${unit}". Use one of: ${DATE_BIN_UNITS.join(', ')}` };
+    }
+    return { bin: { type: 'date', unit } };
+  }
+  if (bin.type === 'numeric') {
+    const size = bin.size !== undefined ? Number(bin.size) : undefined;
+    const count = bin.count !== undefined ? Number(bin.count) : undefined;
+    const start = bin.start !== undefined ? Number(bin.start) : undefined;
+    if (size !== undefined && !(size > 0)) return { error: 'bin.size must be a positive number' };
+    if (count !== undefined && !(Number.isInteger(count) && count > 0 && count <= MAX_BIN_COUNT)) {
+      return { error: `bin.count must be an integer between 1 and ${MAX_BIN_COUNT}` };
+    }
+    if (start !== undefined && !Number.isFinite(start)) return { error: 'bin.start must be a number' };
+    return { bin: { type: 'numeric', size, count, start } };
+  }
+  return { error: 'bin.type must be "numeric" or "date"' };
+};
+
+// Check an aggregation spec against the sheet headers and fill in defaults.
+// Returns { spec } on success or { error } describing the first problem.
+export const normalizeAggregationSpec = (input, headers = []) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Aggregation spec must be an object' };
+  }
+
+  const { xColumn, bin, sort = 'x', order = 'asc', limit } = input;
+  const aggregation = input.aggregation || 'sum';
+
+  if (!xColumn) return { error: 'xColumn is required' };
+  if (!headers.includes(xColumn)) return { error: `Unknown column "${xColumn}"` };
+
+  const rawY = input.yColumns === undefined ? [] : [].concat(input.yColumns);
+  const yColumns = rawY.map(entry => (typeof entry === 'string'
+    ? { column: entry, aggregation }
+    : { column: entry?.column, aggregation: entry?.aggregation || aggregation }));
+
+  if (yColumns.length === 0) {
+    if (aggregation !== 'count') {
+      return { error: 'At least one y column is required unless aggregation is "count"' };
+    }
+  }
+  for (const y of yColumns) {
+    if (!y.column || !headers.includes(y.column)) return { error: `Unknown column "${y.column}"` };
+    if (!AGGREGATIONS.includes(y.aggregation)) {
+      return { error: `Unknown aggregation "${y.aggregation}". Use one of: ${AGGREGATIONS.join(', ')}` };
+    }
+  }
+  if (!AGGREGATIONS.includes(aggregation)) {
+    return { error: `Unknown aggregation "${aggregation}". Use one of: ${AGGREGATIONS.join(', ')}` };
+  }
+
+  const { bin: normalizedBin, error: binError } = normalizeBin(bin);
+  if (binError) return { error: binError };
+
+  if (!['x', 'value', 'none'].includes(sort)) return { error: 'sort must be "x", "value" or "none"' };
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be "asc" or "desc"' };
+  if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) > 0)) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  return {
+    spec: {
+      xColumn,
+      yColumns,
+      aggregation,
+      bin: normalizedBin,
+      sort,
+      order,
+      limit: limit !== undefined ? Number(limit) : undefined
+    }
+  };
+};
+
+// Group rows by the (optionally binned) x column and aggregate each y column,
+// returning chart-ready labels plus one data array per series
+export const buildSeries = (rows, spec) => {
+  const { xColumn, bin, sort, order, limit } = spec;
+  const yColumns = spec.yColumns.length > 0
+    ? spec.yColumns
+    : [{ column: null, aggregation: 'count' }];
+
+  const binner = createBinner(rows, xColumn, bin);
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const group = binner(row[xColumn]);
+    if (!group) return;
+
+    let entry = groups.get(group.key);
+    if (!entry) {
+      entry = { ...group, accumulators: yColumns.map(y => createAccumulator(y.aggregation)) };
+      groups.set(group.key, entry);
+    }
+    yColumns.forEach((y, index) => {
+      // A bare count (no y column) counts rows in the group
+      entry.accumulators[index].add(y.column === null ? true : row[y.column]);
+    });
+  });
+
+  let entries = [...groups.values()].map(entry => ({
+    ...entry,
+    values: entry.accumulators.map(accumulator => accumulator.result())
+  }));
+
+  const direction = order === 'desc' ? -1 : 1;
+  if (sort === 'x') {
+    entries.sort((a, b) => direction * compareValues(a.order, b.order));
+  } else if (sort === 'value') {
+    entries.sort((a, b) => direction * compareValues(a.values[0], b.values[0]));
+  }
+  if (limit) entries = entries.slice(0, limit);
+
+  return {
+    xColumn,
+    labels: entries.map(entry => entry.label),
+    ...(bin?.type === 'numeric' ? { ranges: entries.map(entry => entry.range) } : {}),
+    series: yColumns.map((y, index) => ({
+      name: y.column === null ? 'Count' : `${y.column} (${y.aggregation})`,
+      column: y.column,
+      aggregation: y.aggregation,
+      data: entries.map(entry => entry.values[index])
+    })),
+    groupCount: entries.length
+  };
+};
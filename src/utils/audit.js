@@ -0,0 +1,81 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Every action recorded; the audit log's ?action= filter accepts only these
+export const AUDIT_ACTIONS = [
+  'auth.login.success',
+  'auth.login.failure',
+  'user.approve',
+  'user.reject',
+  'user.delete',
+  'user.lockout.clear',
+  'file.upload',
+  'file.version.upload',
+  'file.transform',
+  'file.join',
+  'file.pivot',
+  'file.delete',
+  'file.move',
+  'graph.save',
+  'graph.delete',
+  'workspace.create',
+  'workspace.delete',
+  'workspace.member.add',
+  'workspace.member.update',
+  'workspace.member.remove'
+];
+
+// Fields of a user worth keeping in before/after snapshots; never the password
+export const userSnapshot = (user) => user && {
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  status: user.status,
+  approvedAt: user.approvedAt,
+  approvedBy: user.approvedBy
+};
+
+// Write an audit entry for the current request. Auditing must never make
+// the audited action fail, so errors are logged and swallowed.
+export const recordAudit = async (req, { action, actor = req.user?.userId, actorEmail = req.user?.email, targetType, target, before, after, details }) => {
+  try {
+    await AuditLog.create({
+      actor,
+      actorEmail,
+      action,
+      targetType,
+      target,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      before,
+      after,
+      details
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log entry "${action}":`, error);
+  }
+};
+
+export const AUDIT_CSV_COLUMNS = ['createdAt', 'action', 'actor', 'actorEmail', 'targetType', 'target', 'ip', 'userAgent', 'before', 'after', 'details'];
+
+// Batches of lean audit entries from `cursor` (or any async iterable)
+// ready for streamDelimited with AUDIT_CSV_COLUMNS. A cursor is closed once
+// done with, also when the caller stops early.
+export async function* auditCsvBatches(cursor, batchSize = 500) {
+  try {
+    let batch = [];
+    for await (const entry of cursor) {
+      batch.push({
+        ...entry,
+        actor: entry.actor?.toString(),
+        target: entry.target?.toString()
+      });
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+    yield batch;
+  } finally {
+    await cursor.close?.();
+  }
+}
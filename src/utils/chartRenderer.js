@@ -0,0 +1,551 @@
+import { Worker } from 'worker_threads';
+import { graphSource, buildGraphSeries } from './graphSeries.js';
+import { rasterizeToPng } from './pngRasterizer.js';
+import { isBlank, toNumber, toDate } from './values.js';
+
+// Draws a saved graph as SVG or PNG without a browser. The chart is first
+// laid out as a flat list of shapes (the "scene"); sceneToSvg and
+// rasterizeToPng then draw the same scene, so both formats match and the
+// output depends only on the graph and its data.
+
+export const RENDER_FORMATS = ['svg', 'png'];
+export const DEFAULT_SIZE = { width: 800, height: 500 };
+export const SIZE_LIMITS = { min: 100, max: 3000 };
+// PNGs rasterized at once in worker threads; a 3000x3000 image takes over
+// 200 MB while it is drawn
+const RENDER_CONCURRENCY = Number(process.env.RENDER_CONCURRENCY) || 2;
+
+const DEFAULT_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', orange: '#ffa500',
+  purple: '#800080', gray: '#808080', grey: '#808080', yellow: '#ffff00', teal: '#008080', navy: '#000080'
+};
+const TEXT_COLOR = '#333333';
+const GRID_COLOR = '#e5e5e5';
+const AXIS_COLOR = '#999999';
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+const MAX_CATEGORY_POINTS = 500;
+const MAX_SCATTER_POINTS = 5000;
+const MAX_PIE_SLICES = 12;
+const MAX_RADAR_AXES = 24;
+const MAX_LABEL_CHARS = 14;
+
+// Approximate advance of one character; matches the bitmap font used for PNGs
+const textWidth = (text, size) => String(text).length * size * 0.6;
+
+const round = (n) => Number(n.toFixed(2));
+
+const hex2 = (n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+
+// Accept #rgb, #rrggbb, rgb()/rgba() and a few names; anything else falls back
+export const normalizeColor = (input, fallback) => {
+  if (typeof input !== 'string') return fallback;
+  const value = input.trim().toLowerCase();
+  if (/^#[0-9a-f]{6}$/.test(value)) return value;
+  if (/^#[0-9a-f]{3}$/.test(value)) return `#${[...value.slice(1)].map(c => c + c).join('')}`;
+  const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  if (rgb) return `#${hex2(rgb[1])}${hex2(rgb[2])}${hex2(rgb[3])}`;
+  return NAMED_COLORS[value] || fallback;
+};
+
+const firstString = (...values) => values.find(value => typeof value === 'string' && value.trim() !== '');
+
+const truncate = (text, max = MAX_LABEL_CHARS) => {
+  const value = String(text);
+  return value.length > max ? `${value.slice(0, max - 3)}...` : value;
+};
+
+const formatLabel = (value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'number') return formatNumber(value);
+  return isBlank(value) ? '' : String(value);
+};
+
+function formatNumber(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${Number((value / 1e9).toPrecision(3))}B`;
+  if (abs >= 1e6) return `${Number((value / 1e6).toPrecision(3))}M`;
+  if (abs >= 1e4) return `${Number((value / 1e3).toPrecision(3))}k`;
+  return String(Number(value.toPrecision(6)));
+}
+
+// Title, axis labels and colours, read from the graph's config with
+// fallbacks for the names different front ends have used
+export const resolveChartStyle = (graph) => {
+  const config = graph.config || {};
+  const configColors = Array.isArray(config.colors) ? config.colors : config.color ? [config.color] : [];
+  const colors = configColors.map(color => normalizeColor(color, null)).filter(Boolean);
+
+  return {
+    title: firstString(config.title, graph.title) || '',
+    xLabel: firstString(config.xAxisLabel, config.xLabel, config.xAxis?.label, config.xAxis?.title, graph.xAxis) || '',
+    yLabel: firstString(config.yAxisLabel, config.yLabel, config.yAxis?.label, config.yAxis?.title, graph.yAxis) || '',
+    colors: colors.length > 0 ? colors : DEFAULT_COLORS,
+    background: normalizeColor(config.backgroundColor, '#ffffff'),
+    showLegend: config.showLegend !== false
+  };
+};
+
+// Turn a graph plus its sheet rows into { labels, series: [{ name, values }] },
+// or { series: [{ name, points }] } for scatter charts
+export const extractChartData = (graph, rows, headers) => {
+  if (graphSource(graph)) {
+    const { series: built, error } = buildGraphSeries(graph, rows, headers);
+    if (!error) {
+      const labels = built.labels.map(formatLabel);
+      if (graph.chartType === 'scatter') {
+        return {
+          series: built.series.map(series => ({
+            name: series.name,
+            points: series.data
+              .map((value, index) => ({ x: toNumber(built.labels[index]) ?? index, y: value }))
+              .filter(point => point.y !== null)
+          }))
+        };
+      }
+      return { labels, series: built.series.map(series => ({ name: series.name, values: series.data })) };
+    }
+  }
+
+  const yColumns = String(graph.yAxis).split(',').map(name => name.trim()).filter(Boolean);
+
+  if (graph.chartType === 'scatter') {
+    const toX = (value) => toNumber(value) ?? toDate(value, { allowSerial: false })?.getTime() ?? null;
+    return {
+      series: yColumns.map(column => ({
+        name: column,
+        points: rows
+          .map(row => ({ x: toX(row[graph.xAxis]), y: toNumber(row[column]) }))
+          .filter(point => point.x !== null && point.y !== null)
+          .slice(0, MAX_SCATTER_POINTS)
+      }))
+    };
+  }
+
+  const limited = rows.slice(0, MAX_CATEGORY_POINTS);
+  return {
+    labels: limited.map(row => formatLabel(row[graph.xAxis])),
+    series: yColumns.map(column => ({ name: column, values: limited.map(row => toNumber(row[column])) }))
+  };
+};
+
+// "Nice" axis ticks covering [min, max]
+const niceTicks = (min, max, count = 5) => {
+  if (min === max) {
+    const pad = min === 0 ? 1 : Math.abs(min) * 0.1;
+    min -= pad;
+    max += pad;
+  }
+  const rawStep = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const normalized = rawStep / magnitude;
+  const step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+  return { min: niceMin, max: niceMax, ticks };
+};
+
+const valueExtent = (values, includeZero = true) => {
+  const numbers = values.filter(value => value !== null && Number.isFinite(value));
+  let min = includeZero ? 0 : Infinity;
+  let max = includeZero ? 0 : -Infinity;
+  numbers.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  if (min === Infinity) return { min: 0, max: 1 };
+  return { min, max };
+};
+
+const text = (x, y, value, { size = 12, fill = TEXT_COLOR, anchor = 'start', rotate = 0 } = {}) =>
+  ({ type: 'text', x: round(x), y: round(y), text: String(value), size, fill, anchor, rotate });
+
+// Title, legend and outer frame shared by every chart type. Returns the
+// remaining area for the plot.
+const layoutFrame = (scene, style, width, height, legendItems) => {
+  const padding = 16;
+  let top = padding;
+
+  if (style.title) {
+    scene.push(text(width / 2, top + 16, truncate(style.title, Math.floor((width - 2 * padding) / 10.8)), { size: 18, anchor: 'middle' }));
+    top += 30;
+  }
+
+  if (style.showLegend && legendItems.length > 1) {
+    let x = padding;
+    let y = top + 10;
+    legendItems.forEach(({ label, color }) => {
+      const caption = truncate(label, 24);
+      const itemWidth = 16 + textWidth(caption, 11) + 14;
+      if (x + itemWidth > width - padding && x > padding) {
+        x = padding;
+        y += 16;
+      }
+      scene.push({ type: 'rect', x, y: y - 9, width: 10, height: 10, fill: color });
+      scene.push(text(x + 14, y, caption, { size: 11 }));
+      x += itemWidth;
+    });
+    top = y + 12;
+  }
+
+  return { left: padding, top, right: width - padding, bottom: height - padding };
+};
+
+// Shared axes for bar/line/area (category x) and scatter (numeric x)
+const drawValueAxes = (scene, style, area, yScale, xAxis) => {
+  let { left, bottom } = area;
+  const { top, right } = area;
+
+  if (style.xLabel) {
+    scene.push(text((left + right) / 2, bottom - 2, truncate(style.xLabel, 60), { size: 12, anchor: 'middle' }));
+    bottom -= 20;
+  }
+  bottom -= 18; // x tick labels
+
+  if (style.yLabel) {
+    scene.push(text(left + 10, (top + bottom) / 2, truncate(style.yLabel, 40), { size: 12, anchor: 'middle', rotate: -90 }));
+    left += 20;
+  }
+  const tickWidth = Math.max(...yScale.ticks.map(tick => textWidth(formatNumber(tick), 11)));
+  left += tickWidth + 8;
+
+  const plot = { left, top: top + 6, right, bottom };
+  const yToPixel = (value) => plot.bottom - ((value - yScale.min) / (yScale.max - yScale.min)) * (plot.bottom - plot.top);
+
+  yScale.ticks.forEach(tick => {
+    const y = round(yToPixel(tick));
+    scene.push({ type: 'line', x1: plot.left, y1: y, x2: plot.right, y2: y, stroke: GRID_COLOR, strokeWidth: 1 });
+    scene.push(text(plot.left - 6, y + 4, formatNumber(tick), { size: 11, anchor: 'end' }));
+  });
+
+  if (xAxis.type === 'numeric') {
+    const xToPixel = (value) => plot.left + ((value - xAxis.scale.min) / (xAxis.scale.max - xAxis.scale.min)) * (plot.right - plot.left);
+    xAxis.scale.ticks.forEach(tick => {
+      const x = round(xToPixel(tick));
+      scene.push({ type: 'line', x1: x, y1: plot.top, x2: x, y2: plot.bottom, stroke: GRID_COLOR, strokeWidth: 1 });
+      scene.push(text(x, plot.bottom + 15, formatNumber(tick), { size: 11, anchor: 'middle' }));
+    });
+    plot.xToPixel = xToPixel;
+  } else {
+    const count = Math.max(1, xAxis.labels.length);
+    const band = (plot.right - plot.left) / count;
+    const longest = Math.min(MAX_LABEL_CHARS, Math.max(1, ...xAxis.labels.map(label => String(label).length)));
+    const every = Math.max(1, Math.ceil((textWidth('x'.repeat(longest), 11) + 8) / band));
+    xAxis.labels.forEach((label, index) => {
+      if (index % every !== 0) return;
+      scene.push(text(plot.left + band * (index + 0.5), plot.bottom + 15, truncate(label), { size: 11, anchor: 'middle' }));
+    });
+    plot.band = band;
+  }
+
+  scene.push({ type: 'line', x1: plot.left, y1: plot.bottom, x2: plot.right, y2: plot.bottom, stroke: AXIS_COLOR, strokeWidth: 1 });
+  scene.push({ type: 'line', x1: plot.left, y1: plot.top, x2: plot.left, y2: plot.bottom, stroke: AXIS_COLOR, strokeWidth: 1 });
+  plot.yToPixel = yToPixel;
+  return plot;
+};
+
+// Split a series into runs of consecutive non-null points
+const segments = (values, toPoint) => {
+  const runs = [];
+  let current = [];
+  values.forEach((value, index) => {
+    if (value === null || !Number.isFinite(value)) {
+      if (current.length > 0) runs.push(current);
+      current = [];
+      return;
+    }
+    current.push(toPoint(value, index));
+  });
+  if (current.length > 0) runs.push(current);
+  return runs;
+};
+
+const color = (style, index) => style.colors[index % style.colors.length];
+
+const drawCategoryChart = (scene, style, area, data, chartType) => {
+  const extent = valueExtent(data.series.flatMap(series => series.values));
+  const yScale = niceTicks(extent.min, extent.max);
+  const plot = drawValueAxes(scene, style, area, yScale, { type: 'category', labels: data.labels });
+  const zeroY = plot.yToPixel(Math.max(yScale.min, Math.min(0, yScale.max)));
+
+  if (chartType === 'bar') {
+    const groupWidth = plot.band * 0.8;
+    const barWidth = groupWidth / Math.max(1, data.series.length);
+    data.series.forEach((series, seriesIndex) => {
+      series.values.forEach((value, index) => {
+        if (value === null || !Number.isFinite(value)) return;
+        const x = plot.left + plot.band * index + (plot.band - groupWidth) / 2 + barWidth * seriesIndex;
+        const y = plot.yToPixel(value);
+        scene.push({
+          type: 'rect',
+          x: round(x),
+          y: round(Math.min(y, zeroY)),
+          width: round(Math.max(barWidth - 1, 0.5)),
+          height: round(Math.abs(zeroY - y)),
+          fill: color(style, seriesIndex)
+        });
+      });
+    });
+    return;
+  }
+
+  data.series.forEach((series, seriesIndex) => {
+    const seriesColor = color(style, seriesIndex);
+    const runs = segments(series.values, (value, index) => [
+      round(plot.left + plot.band * (index + 0.5)),
+      round(plot.yToPixel(value))
+    ]);
+
+    runs.forEach(points => {
+      if (chartType === 'area' && points.length > 1) {
+        scene.push({
+          type: 'polygon',
+          points: [...points, [points[points.length - 1][0], round(zeroY)], [points[0][0], round(zeroY)]],
+          fill: seriesColor,
+          opacity: 0.3
+        });
+      }
+      if (points.length > 1) {
+        scene.push({ type: 'polyline', points, stroke: seriesColor, strokeWidth: 2 });
+      }
+      if (data.labels.length <= 50 || points.length === 1) {
+        points.forEach(([cx, cy]) => scene.push({ type: 'circle', cx, cy, r: 3, fill: seriesColor }));
+      }
+    });
+  });
+};
+
+const drawScatterChart = (scene, style, area, data) => {
+  const points = data.series.flatMap(series => series.points);
+  const xExtent = valueExtent(points.map(point => point.x), false);
+  const yExtent = valueExtent(points.map(point => point.y), false);
+  const xScale = niceTicks(xExtent.min, xExtent.max);
+  const yScale = niceTicks(yExtent.min, yExtent.max);
+  const plot = drawValueAxes(scene, style, area, yScale, { type: 'numeric', scale: xScale });
+
+  data.series.forEach((series, seriesIndex) => {
+    series.points.forEach(point => {
+      scene.push({
+        type: 'circle',
+        cx: round(plot.xToPixel(point.x)),
+        cy: round(plot.yToPixel(point.y)),
+        r: 3,
+        fill: color(style, seriesIndex),
+        opacity: 0.8
+      });
+    });
+  });
+};
+
+// Sum values per label, keeping the largest slices and folding the rest into "Other"
+const pieSlices = (data) => {
+  const totals = new Map();
+  const values = data.series[0]?.values || [];
+  data.labels.forEach((label, index) => {
+    const value = values[index];
+    if (value === null || !(value > 0)) return;
+    totals.set(label, (totals.get(label) || 0) + value);
+  });
+
+  let slices = [...totals.entries()].map(([label, value]) => ({ label, value }));
+  if (slices.length > MAX_PIE_SLICES) {
+    const sorted = [...slices].sort((a, b) => b.value - a.value);
+    const kept = sorted.slice(0, MAX_PIE_SLICES - 1);
+    const other = sorted.slice(MAX_PIE_SLICES - 1).reduce((sum, slice) => sum + slice.value, 0);
+    slices = [...kept, { label: 'Other', value: other }];
+  }
+  return slices;
+};
+
+const drawPieChart = (scene, style, area, slices) => {
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  const cx = (area.left + area.right) / 2;
+  const cy = (area.top + area.bottom) / 2;
+  const radius = Math.max(10, Math.min(area.right - area.left, area.bottom - area.top) / 2 - 8);
+
+  if (total <= 0) {
+    scene.push(text(cx, cy, 'No data', { anchor: 'middle' }));
+    return;
+  }
+
+  let angle = -Math.PI / 2;
+  slices.forEach((slice, index) => {
+    const sweep = (slice.value / total) * Math.PI * 2;
+    const steps = Math.max(2, Math.ceil(sweep / (Math.PI / 90)));
+    const points = slices.length === 1 ? [] : [[round(cx), round(cy)]];
+    for (let step = 0; step <= steps; step++) {
+      const a = angle + (sweep * step) / steps;
+      points.push([round(cx + Math.cos(a) * radius), round(cy + Math.sin(a) * radius)]);
+    }
+    scene.push({ type: 'polygon', points, fill: color(style, index), stroke: '#ffffff', strokeWidth: 1 });
+
+    const share = slice.value / total;
+    if (share >= 0.05) {
+      const mid = angle + sweep / 2;
+      scene.push(text(cx + Math.cos(mid) * radius * 0.65, cy + Math.sin(mid) * radius * 0.65 + 4,
+        `${Math.round(share * 100)}%`, { size: 11, fill: '#ffffff', anchor: 'middle' }));
+    }
+    angle += sweep;
+  });
+};
+
+const drawRadarChart = (scene, style, area, data) => {
+  const labels = data.labels.slice(0, MAX_RADAR_AXES);
+  const series = data.series.map(entry => ({ ...entry, values: entry.values.slice(0, MAX_RADAR_AXES) }));
+  const cx = (area.left + area.right) / 2;
+  const cy = (area.top + area.bottom) / 2;
+  const radius = Math.max(10, Math.min(area.right - area.left, area.bottom - area.top) / 2 - 30);
+  const count = Math.max(3, labels.length);
+  const scale = niceTicks(0, valueExtent(series.flatMap(entry => entry.values)).max || 1, 4);
+
+  const pointAt = (index, fraction) => {
+    const a = -Math.PI / 2 + (index / count) * Math.PI * 2;
+    return [round(cx + Math.cos(a) * radius * fraction), round(cy + Math.sin(a) * radius * fraction)];
+  };
+
+  scale.ticks.slice(1).forEach(tick => {
+    const fraction = tick / scale.max;
+    scene.push({ type: 'polygon', points: Array.from({ length: count }, (_, i) => pointAt(i, fraction)), stroke: GRID_COLOR, strokeWidth: 1 });
+    scene.push(text(cx + 3, cy - radius * fraction - 2, formatNumber(tick), { size: 10, fill: AXIS_COLOR }));
+  });
+
+  for (let index = 0; index < count; index++) {
+    const [x, y] = pointAt(index, 1);
+    scene.push({ type: 'line', x1: round(cx), y1: round(cy), x2: x, y2: y, stroke: GRID_COLOR, strokeWidth: 1 });
+    if (labels[index] !== undefined) {
+      const [lx, ly] = pointAt(index, 1.12);
+      const anchor = Math.abs(lx - cx) < 4 ? 'middle' : lx > cx ? 'start' : 'end';
+      scene.push(text(lx, ly + 4, truncate(labels[index]), { size: 11, anchor }));
+    }
+  }
+
+  series.forEach((entry, seriesIndex) => {
+    const points = Array.from({ length: count }, (_, i) => pointAt(i, Math.max(0, entry.values[i] ?? 0) / scale.max));
+    scene.push({ type: 'polygon', points, fill: color(style, seriesIndex), opacity: 0.25, stroke: color(style, seriesIndex), strokeWidth: 2 });
+  });
+};
+
+// Lay out the whole chart as a list of shapes
+export const buildChartScene = (graph, rows, headers, { width, height }) => {
+  const style = resolveChartStyle(graph);
+  const data = extractChartData(graph, rows, headers);
+  const scene = [{ type: 'rect', x: 0, y: 0, width, height, fill: style.background }];
+
+  // 3d-column has no flat equivalent beyond a bar chart
+  const chartType = graph.chartType === '3d-column' ? 'bar' : graph.chartType;
+
+  if (chartType === 'pie') {
+    const slices = pieSlices(data);
+    const area = layoutFrame(scene, style, width, height,
+      slices.map((slice, index) => ({ label: slice.label, color: color(style, index) })));
+    drawPieChart(scene, style, area, slices);
+    return scene;
+  }
+
+  const area = layoutFrame(scene, style, width, height,
+    data.series.map((series, index) => ({ label: series.name, color: color(style, index) })));
+
+  if (chartType === 'scatter') {
+    drawScatterChart(scene, style, area, data);
+  } else if (chartType === 'radar') {
+    drawRadarChart(scene, style, area, data);
+  } else {
+    drawCategoryChart(scene, style, area, data, chartType);
+  }
+  return scene;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const pointsAttr = (points) => points.map(([x, y]) => `${x},${y}`).join(' ');
+
+const paintAttrs = (element) => {
+  const attrs = [`fill="${element.fill || 'none'}"`];
+  if (element.opacity !== undefined && element.opacity !== 1) attrs.push(`fill-opacity="${element.opacity}"`);
+  if (element.stroke) attrs.push(`stroke="${element.stroke}" stroke-width="${element.strokeWidth || 1}"`);
+  return attrs.join(' ');
+};
+
+const elementToSvg = (element) => {
+  switch (element.type) {
+    case 'rect':
+      return `<rect x="${element.x}" y="${element.y}" width="${element.width}" height="${element.height}" ${paintAttrs(element)}/>`;
+    case 'line':
+      return `<line x1="${element.x1}" y1="${element.y1}" x2="${element.x2}" y2="${element.y2}" stroke="${element.stroke}" stroke-width="${element.strokeWidth || 1}"/>`;
+    case 'polyline':
+      return `<polyline points="${pointsAttr(element.points)}" fill="none" stroke="${element.stroke}" stroke-width="${element.strokeWidth || 1}" stroke-linejoin="round"/>`;
+    case 'polygon':
+      return `<polygon points="${pointsAttr(element.points)}" ${paintAttrs(element)}/>`;
+    case 'circle':
+      return `<circle cx="${element.cx}" cy="${element.cy}" r="${element.r}" ${paintAttrs(element)}/>`;
+    case 'text': {
+      const transform = element.rotate ? ` transform="rotate(${element.rotate} ${element.x} ${element.y})"` : '';
+      return `<text x="${element.x}" y="${element.y}" font-size="${element.size}" fill="${element.fill}" text-anchor="${element.anchor}"${transform}>${escapeXml(element.text)}</text>`;
+    }
+    default:
+      return '';
+  }
+};
+
+export const sceneToSvg = (scene, width, height) => [
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+  ...scene.map(elementToSvg),
+  '</svg>'
+].join('\n');
+
+// Render a graph to { contentType, body }
+export const renderGraph = (graph, rows, headers, { format = 'svg', width = DEFAULT_SIZE.width, height = DEFAULT_SIZE.height } = {}) => {
+  const scene = buildChartScene(graph, rows, headers, { width, height });
+  if (format === 'png') {
+    return { contentType: 'image/png', body: rasterizeToPng(scene, width, height) };
+  }
+  return { contentType: 'image/svg+xml; charset=utf-8', body: sceneToSvg(scene, width, height) };
+};
+
+let activeRenders = 0;
+const waitingRenders = [];
+
+const rasterizeInWorker = async (scene, width, height) => {
+  if (activeRenders < RENDER_CONCURRENCY) {
+    activeRenders += 1;
+  } else {
+    // A finishing render hands its slot over
+    await new Promise(resolve => waitingRenders.push(resolve));
+  }
+  try {
+    return await new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../workers/renderWorker.js', import.meta.url), {
+        workerData: { scene, width, height }
+      });
+      worker.once('message', (png) => resolve(Buffer.from(png.buffer, png.byteOffset, png.byteLength)));
+      worker.once('error', reject);
+      worker.once('exit', (code) => {
+        if (code !== 0) reject(new Error(`Render worker stopped with exit code ${code}`));
+      });
+    });
+  } finally {
+    const next = waitingRenders.shift();
+    if (next) next();
+    else activeRenders -= 1;
+  }
+};
+
+// Render like renderGraph, rasterizing PNGs in a worker thread
+// (workers/renderWorker.js) so the server keeps answering meanwhile
+export const renderGraphInWorker = async (graph, rows, headers, { format = 'svg', width = DEFAULT_SIZE.width, height = DEFAULT_SIZE.height } = {}) => {
+  if (format !== 'png') {
+    return renderGraph(graph, rows, headers, { format, width, height });
+  }
+  const scene = buildChartScene(graph, rows, headers, { width, height });
+  return { contentType: 'image/png', body: await rasterizeInWorker(scene, width, height) };
+};
@@ -0,0 +1,146 @@
+import { compileExpression } from './expressions.js';
+import { inferColumnTypes, resolveColumnTypes } from './typeInference.js';
+
+// Computed columns are stored on the sheet as { name, expression } in the
+// order they were added. Each may use the stored columns and the computed
+// columns before it. Their values are never stored: they are evaluated
+// whenever rows are read, so they follow the data when it changes.
+
+export const MAX_COMPUTED_COLUMNS = 50;
+const ERROR_EXAMPLES = 5;
+
+export const computedColumnNames = (sheet) => (sheet.computedColumns || []).map(column => column.name);
+
+// Headers backed by stored data, i.e. everything but the computed columns
+export const storedHeaders = (sheet) => {
+  const computed = computedColumnNames(sheet);
+  return sheet.headers.filter(header => !computed.includes(header));
+};
+
+// Check a list of definitions against the stored headers. Returns null, or
+// { error, name } plus the position and length of expression errors.
+export const validateComputedColumns = (definitions, headers) => {
+  if (definitions.length > MAX_COMPUTED_COLUMNS) {
+    return { error: `A sheet can have at most ${MAX_COMPUTED_COLUMNS} computed columns` };
+  }
+
+  const available = [...headers];
+  for (const { name, expression } of definitions) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    if (available.includes(name)) {
+      return { error: `Column "${name}" already exists`, name };
+    }
+    const compiled = compileExpression(expression, available);
+    if (compiled.error) {
+      return { error: compiled.error, name, position: compiled.position, length: compiled.length };
+    }
+    available.push(name);
+  }
+  return null;
+};
+
+// Definitions that no longer compile (e.g. after a column disappeared)
+// evaluate to null rather than failing the whole read
+const compileDefinitions = (definitions, headers) => {
+  const available = [...headers];
+  return definitions.map(({ name, expression }) => {
+    const compiled = compileExpression(expression, available);
+    available.push(name);
+    return { name, evaluate: compiled.error ? null : compiled.evaluate };
+  });
+};
+
+// New row objects with the computed values added. A row whose expression
+// fails (text in arithmetic, division by zero, ...) gets null there;
+// onError(name, rowIndex, error) hears about it.
+const evaluateRows = (rows, compiled, onError) => rows.map((row, index) => {
+  const result = { ...row };
+  compiled.forEach(({ name, evaluate }) => {
+    if (!evaluate) {
+      result[name] = null;
+      return;
+    }
+    try {
+      result[name] = evaluate(result);
+    } catch (error) {
+      result[name] = null;
+      if (onError) onError(name, index, error);
+    }
+  });
+  return result;
+});
+
+// Add a sheet's computed values to rows read from storage
+export const applyComputedColumns = (sheet, rows) => {
+  if (!sheet.computedColumns?.length) return rows;
+  return evaluateRows(rows, compileDefinitions(sheet.computedColumns, storedHeaders(sheet)));
+};
+
+// Evaluate `definitions` over a sheet's stored rows and work out the sheet
+// fields that depend on them: headers, column count and column types (kept
+// overrides included). Returns { fields, rows, errors } where errors counts
+// the failing rows per computed column, with a few examples (1-based rows).
+export const buildComputedColumns = (sheet, storedRows, definitions) => {
+  const headers = storedHeaders(sheet);
+  const names = definitions.map(({ name }) => name);
+
+  const errors = {};
+  const rows = evaluateRows(storedRows, compileDefinitions(definitions, headers), (name, index, error) => {
+    errors[name] = errors[name] || { count: 0, examples: [] };
+    errors[name].count += 1;
+    if (errors[name].examples.length < ERROR_EXAMPLES) {
+      errors[name].examples.push({ row: index + 1, message: error.message });
+    }
+  });
+
+  // Files uploaded before type inference only have columnTypes to fall back on
+  const storedTypes = sheet.inferredColumnTypes || sheet.columnTypes || {};
+  const inferredColumnTypes = {
+    ...Object.fromEntries(headers.filter(header => header in storedTypes).map(header => [header, storedTypes[header]])),
+    ...inferColumnTypes(rows, names)
+  };
+  const allHeaders = [...headers, ...names];
+  const columnTypeOverrides = Object.fromEntries(Object.entries(sheet.columnTypeOverrides || {})
+    .filter(([column]) => allHeaders.includes(column)));
+
+  return {
+    fields: {
+      headers: allHeaders,
+      columnCount: allHeaders.length,
+      computedColumns: definitions.map(({ name, expression }) => ({ name, expression })),
+      inferredColumnTypes,
+      columnTypeOverrides,
+      columnTypes: resolveColumnTypes(allHeaders, inferredColumnTypes, columnTypeOverrides)
+    },
+    rows,
+    errors
+  };
+};
+
+// Keep computed columns when a new version has a sheet of the same name
+// on which they still compile. `nextSheets` are processed sheets with their
+// rows under `data`, which stay as stored rows. Returns { sheets, dropped }.
+export const carryOverComputedColumns = (previousSheets, nextSheets) => {
+  const dropped = [];
+  const sheets = nextSheets.map(sheet => {
+    const previous = previousSheets.find(entry => entry.sheetName === sheet.sheetName);
+    if (!previous?.computedColumns?.length) return sheet;
+
+    const kept = [];
+    previous.computedColumns.forEach(definition => {
+      const invalid = validateComputedColumns([...kept, definition], sheet.headers);
+      if (invalid) {
+        dropped.push({ sheetName: sheet.sheetName, name: definition.name, error: invalid.error });
+      } else {
+        kept.push(definition);
+      }
+    });
+    if (kept.length === 0) return sheet;
+
+    const { fields } = buildComputedColumns(sheet, sheet.data, kept);
+    return { ...sheet, ...fields };
+  });
+  return { sheets, dropped };
+};
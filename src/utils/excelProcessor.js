@@ -1,44 +1,162 @@
 import xlsx from 'xlsx';
+import { detectFileType, parseDelimited, parseJsonRecords } from './fileFormats.js';
+import { inferColumnTypes, resolveColumnTypes, collectFormatHints } from './typeInference.js';
+import { readRichSheet } from './richImport.js';
+import { resolveSheetLayout, selectSheets, isHiddenSheet, countHidden } from './sheetLayout.js';
 
-export const processExcelFile = (buffer) => {
+// Rows rendered with display formats, used only as type-inference hints
+const FORMAT_HINT_ROWS = 1000;
+
+export const buildSheet = (sheetName, jsonData, headers = Object.keys(jsonData[0] || {}), formatHints) => {
+  // Infer data types for each column from a sample of the whole column
+  const inferredColumnTypes = inferColumnTypes(jsonData, headers, { formatHints });
+
+  return {
+    sheetName,
+    headers,
+    columnTypes: resolveColumnTypes(headers, inferredColumnTypes),
+    inferredColumnTypes,
+    data: jsonData,
+    rowCount: jsonData.length,
+    columnCount: headers.length
+  };
+};
+
+// Single-sheet formats take their sheet name from the uploaded file name
+const sheetNameFromFile = (fileName) => {
+  const base = (fileName || '').replace(/\.[^.]+$/, '').trim();
+  return base || 'Sheet1';
+};
+
+// Rich mode keeps formulas, number formats and merged cells (see
+// utils/richImport.js). Sheets get `cells` next to `data`.
+const processRichSheet = (sheetName, worksheet, { range, headerRows, detectTitles, skipHidden }) => {
+  const { headers, rows, cells, formattedRows, details } = readRichSheet(worksheet, {
+    range,
+    headerRows,
+    detectTitles,
+    skipHidden,
+    formatHintRows: FORMAT_HINT_ROWS
+  });
+  const formatHints = collectFormatHints(rows, formattedRows, headers);
+  return { ...buildSheet(sheetName, rows, headers, formatHints), cells, importDetails: details };
+};
+
+const processValuesSheet = (sheetName, worksheet, { range, skipHidden }) => {
+  if (!range) {
+    return { ...buildSheet(sheetName, [], []), importDetails: { mode: 'values' } };
+  }
+
+  // Convert to JSON
+  const jsonData = xlsx.utils.sheet_to_json(worksheet, { range, skipHidden });
+
+  // Take headers from the header row itself (via one padded row) so a
+  // blank cell, or a blank row, below it does not drop its columns
+  const [headerRow] = xlsx.utils.sheet_to_json(worksheet, {
+    range: { s: range.s, e: { r: range.s.r + 1, c: range.e.c } },
+    defval: null,
+    blankrows: true,
+    skipHidden
+  });
+  const headers = Object.keys(headerRow || {});
+
+  // Render the first rows as displayed in Excel so date, percentage and
+  // currency formats can inform type inference
+  const hintRange = { s: range.s, e: { r: Math.min(range.e.r, range.s.r + FORMAT_HINT_ROWS), c: range.e.c } };
+  const formattedRows = xlsx.utils.sheet_to_json(worksheet, { raw: false, range: hintRange, skipHidden });
+  const formatHints = collectFormatHints(jsonData, formattedRows, headers);
+
+  return { ...buildSheet(sheetName, jsonData, headers, formatHints), importDetails: { mode: 'values' } };
+};
+
+// Returns { sheets, skippedSheets }. Layout options (range, headerRow,
+// sheets, skipSheets, skipHidden) are described in utils/importOptions.js.
+const processWorkbook = (buffer, options = {}) => {
+  const { importMode = 'values', headerRows, headerRow, range, skipHidden = false } = options;
+
+  // Read the workbook (xlsx, xls and ods are all handled by the xlsx library).
+  // Hidden rows and columns are only parsed along with cell styles.
+  const workbook = xlsx.read(buffer, { type: 'buffer', cellNF: importMode === 'rich', cellStyles: skipHidden });
+
+  const selection = selectSheets(workbook, options);
+  if (selection.error) {
+    throw new Error(selection.error);
+  }
+
+  const sheets = selection.selected.map(sheetName => {
+    const worksheet = workbook.Sheets[sheetName];
+    const layout = resolveSheetLayout(worksheet, { range, headerRow, skipHidden });
+    if (layout.error) {
+      throw new Error(`Sheet "${sheetName}": ${layout.error}`);
+    }
+
+    const sheet = importMode === 'rich'
+      // Title rows are only skipped when the header row was not given
+      ? processRichSheet(sheetName, worksheet, { range: layout.range, headerRows, detectTitles: !headerRow, skipHidden })
+      : processValuesSheet(sheetName, worksheet, { range: layout.range, skipHidden });
+
+    sheet.importDetails = {
+      ...sheet.importDetails,
+      range: layout.range ? xlsx.utils.encode_range(layout.range) : null,
+      headerRow: sheet.importDetails.headerRow ?? layout.headerRow,
+      detectedHeaderRow: layout.detectedHeaderRow,
+      hidden: isHiddenSheet(workbook, sheetName)
+    };
+    if (skipHidden && layout.range) {
+      const hidden = countHidden(worksheet, layout.range);
+      sheet.importDetails.hiddenRowsSkipped = hidden.rows;
+      sheet.importDetails.hiddenColumnsSkipped = hidden.columns;
+    }
+    return sheet;
+  });
+
+  return { sheets, skippedSheets: selection.skipped };
+};
+
+// Options: fileName (names the sheet of single-sheet formats) plus the
+// import options parsed by utils/importOptions.js
+export const processExcelFile = (buffer, options = {}) => {
   try {
-    // Read the Excel file
-    const workbook = xlsx.read(buffer, { type: 'buffer' });
-    
-    // Get all sheet names
-    const sheetNames = workbook.SheetNames;
-    
-    // Process each sheet
-    const processedData = sheetNames.map(sheetName => {
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Convert to JSON
-      const jsonData = xlsx.utils.sheet_to_json(worksheet);
-      
-      // Get column headers
-      const headers = Object.keys(jsonData[0] || {});
-      
-      // Get data types for each column
-      const columnTypes = headers.reduce((acc, header) => {
-        const sampleValue = jsonData[0]?.[header];
-        acc[header] = typeof sampleValue;
-        return acc;
-      }, {});
-
-      return {
-        sheetName,
-        headers,
-        columnTypes,
-        data: jsonData,
-        rowCount: jsonData.length,
-        columnCount: headers.length
-      };
-    });
+    // Sniff the format from the content rather than trusting the mimetype
+    const fileType = detectFileType(buffer);
+    let processedData;
+    let skippedSheets = [];
+    let source = {};
+
+    switch (fileType) {
+      case 'xlsx':
+      case 'xls':
+      case 'ods':
+        ({ sheets: processedData, skippedSheets } = processWorkbook(buffer, options));
+        break;
+      case 'delimited': {
+        const { headers, records, delimiter, encoding, headerRow, detectedHeaderRow } = parseDelimited(buffer, options);
+        processedData = [{
+          ...buildSheet(sheetNameFromFile(options.fileName), records, headers),
+          importDetails: { mode: 'values', headerRow, detectedHeaderRow }
+        }];
+        source = { delimiter, encoding };
+        break;
+      }
+      case 'json':
+        processedData = parseJsonRecords(buffer).map(({ sheetName, headers, records }) =>
+          buildSheet(sheetName || sheetNameFromFile(options.fileName), records, headers)
+        );
+        break;
+      default:
+        return {
+          success: false,
+          error: 'Unsupported file format. Upload an Excel (.xlsx/.xls), OpenDocument (.ods), CSV/TSV or JSON file.'
+        };
+    }
 
     return {
       success: true,
+      fileType: fileType === 'delimited' ? (source.delimiter === '\t' ? 'tsv' : 'csv') : fileType,
+      source,
       data: processedData,
-      totalSheets: sheetNames.length
+      skippedSheets,
+      totalSheets: processedData.length
     };
   } catch (error) {
     return {
@@ -65,6 +183,9 @@ export const validateExcelData = (data) => {
   return validations;
 };
 
+// Basic statistics for one column, as returned after an upload; see
+// utils/profiling.js for the full per-sheet profile. Min and max are found
+// in a loop since spreading a large column into Math.min overflows the stack.
 export const getColumnStatistics = (data, columnName) => {
   const values = data.map(row => row[columnName]).filter(val => val !== undefined);
   
@@ -73,13 +194,21 @@ export const getColumnStatistics = (data, columnName) => {
   const isNumeric = values.every(val => !isNaN(val));
   
   if (isNumeric) {
-    const numbers = values.map(Number);
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    values.forEach(val => {
+      const number = Number(val);
+      if (number < min) min = number;
+      if (number > max) max = number;
+      sum += number;
+    });
     return {
-      min: Math.min(...numbers),
-      max: Math.max(...numbers),
-      average: numbers.reduce((a, b) => a + b, 0) / numbers.length,
-      sum: numbers.reduce((a, b) => a + b, 0),
-      count: numbers.length
+      min,
+      max,
+      average: sum / values.length,
+      sum,
+      count: values.length
     };
   } else {
     return {
@@ -88,4 +217,4 @@ export const getColumnStatistics = (data, columnName) => {
       type: 'categorical'
     };
   }
-}; 
\ No newline at end of file
+};
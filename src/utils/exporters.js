@@ -0,0 +1,122 @@
+import xlsx from 'xlsx';
+import { streamSheetRows, loadSheetRows } from './sheetStorage.js';
+import { filterAndSortRows, rowMatchesFilters } from './rowQuery.js';
+
+export const SHEET_EXPORT_FORMATS = ['csv', 'tsv', 'json', 'xlsx'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const cellToText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Text a spreadsheet would run as a formula when the export is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value, delimiter) => {
+  let text = cellToText(value);
+  // Uploaded cells and typed-in emails reach exports as they are; a leading
+  // quote keeps them as text (CSV formula injection)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+export const toDelimitedLine = (values, delimiter = ',') =>
+  `${values.map(value => escapeCell(value, delimiter)).join(delimiter)}\r\n`;
+
+// Build a Content-Disposition header that survives non-ASCII file names
+export const attachmentHeader = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+export const exportFileName = (base, suffix, format) =>
+  `${String(base).replace(/\.[^.]+$/, '')}${suffix ? `-${suffix}` : ''}.${format}`.replace(/[/\\]/g, '_');
+
+// Yield batches of rows with filters and sorting applied. Without sorting,
+// rows are filtered one stored chunk at a time so the sheet is never held
+// in memory as a whole; sorting needs every row, so it loads them first.
+export async function* exportRowBatches(file, sheet, { filters = [], sort = [] } = {}) {
+  if (sort.length > 0) {
+    yield filterAndSortRows(await loadSheetRows(file, sheet), { filters, sort });
+    return;
+  }
+
+  for await (const rows of streamSheetRows(file, sheet)) {
+    yield filters.length > 0 ? rows.filter(row => rowMatchesFilters(row, filters)) : rows;
+  }
+}
+
+// Write to an HTTP response, waiting for the socket to drain when its
+// buffer is full. Resolves to false once the client has gone, as a drain
+// would then never come.
+const writeChunk = (res, chunk) => {
+  if (res.destroyed) return Promise.resolve(false);
+  if (res.write(chunk)) return Promise.resolve(true);
+  return new Promise(resolve => {
+    const settle = (open) => () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(open);
+    };
+    const onDrain = settle(true);
+    const onClose = settle(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+};
+
+// Leaving the loops early when the client goes stops the batch generators,
+// which close the cursors they read from
+export const streamDelimited = async (res, headers, batches, delimiter) => {
+  if (!await writeChunk(res, `\ufeff${toDelimitedLine(headers, delimiter)}`)) return;
+  for await (const rows of batches) {
+    if (rows.length === 0) continue;
+    if (!await writeChunk(res, rows.map(row => toDelimitedLine(headers.map(header => row[header]), delimiter)).join(''))) return;
+  }
+  res.end();
+};
+
+export const streamJson = async (res, batches) => {
+  let first = true;
+  if (!await writeChunk(res, '[')) return;
+  for await (const rows of batches) {
+    if (rows.length === 0) continue;
+    const body = rows.map(row => JSON.stringify(row)).join(',\n');
+    if (!await writeChunk(res, `${first ? '\n' : ',\n'}${body}`)) return;
+    first = false;
+  }
+  res.end(first ? ']' : '\n]');
+};
+
+// xlsx has no streaming writer, so workbooks are assembled in memory
+export const buildWorkbook = (sheets) => {
+  const workbook = xlsx.utils.book_new();
+  const usedNames = new Set();
+  sheets.forEach(({ sheetName, headers, rows }) => {
+    const worksheet = xlsx.utils.json_to_sheet(rows, { header: headers });
+    // Excel limits sheet names to 31 characters, so truncation can collide
+    let name = sheetName.slice(0, 31);
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+      name = `${sheetName.slice(0, 31 - String(n).length - 1)}~${n}`;
+    }
+    usedNames.add(name.toLowerCase());
+    xlsx.utils.book_append_sheet(workbook, worksheet, name);
+  });
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
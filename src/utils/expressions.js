@@ -0,0 +1,698 @@
+import { isBlank, toNumber, toDate, compareValues } from './values.js';
+
+// A small spreadsheet-style expression language for computed columns, e.g.
+//   Revenue - Cost
+//   ROUND(Margin * 100, 1)
+//   IF(Region = "EU", Price * 1.2, Price)
+//   YEAR([Order Date]) & "-Q" & QUARTER([Order Date])
+// Expressions are parsed into a tree and interpreted; nothing is ever handed
+// to eval, so they can only read the current row and call the functions below.
+//
+// Columns are referenced by bare name (letters, digits and _) or in square
+// brackets for any other name ("]]" is a literal "]"). Strings use double or
+// single quotes, doubling the quote to include it. Blank cells are null and
+// make arithmetic null too; COALESCE supplies a default.
+
+export const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_DEPTH = 200;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Parse errors carry the offset and length of the offending source text
+class ExpressionError extends Error {
+  constructor(message, start, end = start + 1) {
+    super(message);
+    this.position = start;
+    this.length = Math.max(1, end - start);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Value coercion. Runtime errors are plain Errors; the caller decides what a
+// failing row turns into.
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+const asNumber = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const number = toNumber(value);
+  if (number === null) throw new Error(`Cannot use ${describe(value)} as a number`);
+  return number;
+};
+
+const asDate = (value) => {
+  if (isBlank(value)) return null;
+  const date = toDate(value);
+  if (!date) throw new Error(`Cannot use ${describe(value)} as a date`);
+  return date;
+};
+
+// Dates at midnight UTC render as plain dates, anything else as a timestamp
+const formatDate = (date) => {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+};
+
+const asText = (value) => {
+  if (isBlank(value)) return '';
+  if (value instanceof Date) return formatDate(value);
+  return String(value);
+};
+
+const asBoolean = (value) => {
+  if (isBlank(value)) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'true' || text === 'yes') return true;
+  if (text === 'false' || text === 'no') return false;
+  const number = toNumber(value);
+  if (number !== null) return number !== 0;
+  throw new Error(`Cannot use ${describe(value)} as true/false`);
+};
+
+const finite = (number) => {
+  if (!Number.isFinite(number)) throw new Error('Result is not a finite number');
+  return number;
+};
+
+// Compare two values the way filters and sorting do, but compare dates as
+// dates when either side is one
+const compare = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    const left = isBlank(a) ? null : asDate(a);
+    const right = isBlank(b) ? null : asDate(b);
+    if (left && right) return left.getTime() - right.getTime();
+  }
+  return compareValues(a, b);
+};
+
+const roundHalfAway = (number, digits) => {
+  const factor = 10 ** digits;
+  return Math.sign(number) * Math.round(Math.abs(number) * factor * (1 + Number.EPSILON)) / factor;
+};
+
+// ---------------------------------------------------------------------------
+// Functions. `lazy` functions receive thunks so untaken branches never run.
+
+const numeric = (fn) => (args) => {
+  const numbers = args.map(asNumber);
+  return numbers.some(number => number === null) ? null : finite(fn(...numbers));
+};
+
+const aggregate = (fn) => (args) => {
+  const numbers = args.map(asNumber).filter(number => number !== null);
+  return numbers.length === 0 ? null : finite(fn(numbers));
+};
+
+const text = (fn) => (args) => (isBlank(args[0]) ? null : fn(asText(args[0]), ...args.slice(1)));
+
+const datePart = (fn) => ([value]) => {
+  const date = asDate(value);
+  return date ? fn(date) : null;
+};
+
+const DATE_UNITS = ['days', 'weeks', 'months', 'years', 'hours', 'minutes'];
+
+const dateUnit = (value = 'days') => {
+  const unit = asText(value).toLowerCase();
+  const normalized = unit.endsWith('s') ? unit : `${unit}s`;
+  if (!DATE_UNITS.includes(normalized)) {
+    throw new Error(`Unknown date unit ${describe(value)}; use one of: ${DATE_UNITS.join(', ')}`);
+  }
+  return normalized;
+};
+
+const wholeMonthsBetween = (start, end) => {
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  const startRest = start.getTime() - Date.UTC(start.getUTCFullYear(), start.getUTCMonth());
+  const endRest = end.getTime() - Date.UTC(end.getUTCFullYear(), end.getUTCMonth());
+  if (months > 0 && endRest < startRest) return months - 1;
+  if (months < 0 && endRest > startRest) return months + 1;
+  return months;
+};
+
+const FUNCTIONS = {
+  // Logic
+  IF: {
+    min: 2,
+    max: 3,
+    lazy: true,
+    fn: ([condition, whenTrue, whenFalse]) => (asBoolean(condition()) ? whenTrue() : whenFalse ? whenFalse() : null)
+  },
+  IFERROR: {
+    min: 2,
+    max: 2,
+    lazy: true,
+    fn: ([value, fallback]) => {
+      try {
+        return value();
+      } catch (error) {
+        return fallback();
+      }
+    }
+  },
+  AND: { min: 1, max: Infinity, lazy: true, fn: (args) => args.every(arg => asBoolean(arg())) },
+  OR: { min: 1, max: Infinity, lazy: true, fn: (args) => args.some(arg => asBoolean(arg())) },
+  NOT: { min: 1, max: 1, fn: ([value]) => !asBoolean(value) },
+  COALESCE: {
+    min: 1,
+    max: Infinity,
+    lazy: true,
+    fn: (args) => {
+      for (const arg of args) {
+        const value = arg();
+        if (!isBlank(value)) return value;
+      }
+      return null;
+    }
+  },
+  ISBLANK: { min: 1, max: 1, fn: ([value]) => isBlank(value) },
+  ISNUMBER: { min: 1, max: 1, fn: ([value]) => !isBlank(value) && toNumber(value) !== null },
+
+  // Math
+  ABS: { min: 1, max: 1, fn: numeric(Math.abs) },
+  ROUND: { min: 1, max: 2, fn: numeric((number, digits = 0) => roundHalfAway(number, Math.trunc(digits))) },
+  FLOOR: { min: 1, max: 1, fn: numeric(Math.floor) },
+  CEILING: { min: 1, max: 1, fn: numeric(Math.ceil) },
+  SQRT: {
+    min: 1,
+    max: 1,
+    fn: numeric(number => {
+      if (number < 0) throw new Error('SQRT of a negative number');
+      return Math.sqrt(number);
+    })
+  },
+  POWER: { min: 2, max: 2, fn: numeric(Math.pow) },
+  MOD: {
+    min: 2,
+    max: 2,
+    fn: numeric((number, divisor) => {
+      if (divisor === 0) throw new Error('Division by zero');
+      // Sign follows the divisor, as in spreadsheets
+      return number - divisor * Math.floor(number / divisor);
+    })
+  },
+  LN: { min: 1, max: 1, fn: numeric(Math.log) },
+  LOG10: { min: 1, max: 1, fn: numeric(Math.log10) },
+  EXP: { min: 1, max: 1, fn: numeric(Math.exp) },
+  MIN: { min: 1, max: Infinity, fn: aggregate(numbers => Math.min(...numbers)) },
+  MAX: { min: 1, max: Infinity, fn: aggregate(numbers => Math.max(...numbers)) },
+  SUM: { min: 1, max: Infinity, fn: aggregate(numbers => numbers.reduce((sum, number) => sum + number, 0)) },
+  AVERAGE: {
+    min: 1,
+    max: Infinity,
+    fn: aggregate(numbers => numbers.reduce((sum, number) => sum + number, 0) / numbers.length)
+  },
+
+  // Text
+  CONCAT: { min: 1, max: Infinity, fn: (args) => args.map(asText).join('') },
+  UPPER: { min: 1, max: 1, fn: text(value => value.toUpperCase()) },
+  LOWER: { min: 1, max: 1, fn: text(value => value.toLowerCase()) },
+  TRIM: { min: 1, max: 1, fn: text(value => value.trim().replace(/\s+/g, ' ')) },
+  LEN: { min: 1, max: 1, fn: ([value]) => asText(value).length },
+  LEFT: { min: 1, max: 2, fn: text((value, count = 1) => value.slice(0, Math.max(0, asNumber(count) ?? 0))) },
+  RIGHT: {
+    min: 1,
+    max: 2,
+    fn: text((value, count = 1) => {
+      const length = Math.max(0, asNumber(count) ?? 0);
+      return length === 0 ? '' : value.slice(-length);
+    })
+  },
+  MID: {
+    min: 3,
+    max: 3,
+    fn: text((value, start, count) => {
+      const from = Math.max(1, asNumber(start) ?? 1) - 1;
+      return value.slice(from, from + Math.max(0, asNumber(count) ?? 0));
+    })
+  },
+  SUBSTITUTE: {
+    min: 3,
+    max: 3,
+    fn: text((value, search, replacement) => {
+      const needle = asText(search);
+      return needle ? value.split(needle).join(asText(replacement)) : value;
+    })
+  },
+  CONTAINS: { min: 2, max: 2, fn: ([value, search]) => asText(value).toLowerCase().includes(asText(search).toLowerCase()) },
+  STARTSWITH: { min: 2, max: 2, fn: ([value, search]) => asText(value).toLowerCase().startsWith(asText(search).toLowerCase()) },
+  ENDSWITH: { min: 2, max: 2, fn: ([value, search]) => asText(value).toLowerCase().endsWith(asText(search).toLowerCase()) },
+  TEXT: { min: 1, max: 1, fn: ([value]) => (isBlank(value) ? null : asText(value)) },
+  NUMBER: { min: 1, max: 1, fn: ([value]) => asNumber(value) },
+
+  // Dates (all in UTC, like the rest of the date handling)
+  DATE: {
+    min: 3,
+    max: 3,
+    fn: (args) => {
+      const [year, month, day] = args.map(asNumber);
+      if (year === null || month === null || day === null) return null;
+      return new Date(Date.UTC(year, month - 1, day));
+    }
+  },
+  TODAY: {
+    min: 0,
+    max: 0,
+    fn: () => {
+      const now = new Date();
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+  },
+  YEAR: { min: 1, max: 1, fn: datePart(date => date.getUTCFullYear()) },
+  QUARTER: { min: 1, max: 1, fn: datePart(date => Math.floor(date.getUTCMonth() / 3) + 1) },
+  MONTH: { min: 1, max: 1, fn: datePart(date => date.getUTCMonth() + 1) },
+  DAY: { min: 1, max: 1, fn: datePart(date => date.getUTCDate()) },
+  // 1 = Sunday ... 7 = Saturday
+  WEEKDAY: { min: 1, max: 1, fn: datePart(date => date.getUTCDay() + 1) },
+  HOUR: { min: 1, max: 1, fn: datePart(date => date.getUTCHours()) },
+  MINUTE: { min: 1, max: 1, fn: datePart(date => date.getUTCMinutes()) },
+  // Whole units from start to end; negative when end is earlier
+  DATEDIFF: {
+    min: 2,
+    max: 3,
+    fn: ([startValue, endValue, unitValue]) => {
+      const unit = dateUnit(unitValue);
+      const start = asDate(startValue);
+      const end = asDate(endValue);
+      if (!start || !end) return null;
+      const ms = end.getTime() - start.getTime();
+      switch (unit) {
+        case 'minutes': return Math.trunc(ms / (60 * 1000));
+        case 'hours': return Math.trunc(ms / (60 * 60 * 1000));
+        case 'days': return Math.trunc(ms / MS_PER_DAY);
+        case 'weeks': return Math.trunc(ms / (7 * MS_PER_DAY));
+        case 'months': return wholeMonthsBetween(start, end);
+        default: return Math.trunc(wholeMonthsBetween(start, end) / 12);
+      }
+    }
+  },
+  DATEADD: {
+    min: 2,
+    max: 3,
+    fn: ([dateValue, amountValue, unitValue]) => {
+      const unit = dateUnit(unitValue);
+      const date = asDate(dateValue);
+      const amount = asNumber(amountValue);
+      if (!date || amount === null) return null;
+      const result = new Date(date.getTime());
+      switch (unit) {
+        case 'minutes': result.setTime(result.getTime() + amount * 60 * 1000); break;
+        case 'hours': result.setTime(result.getTime() + amount * 60 * 60 * 1000); break;
+        case 'days': result.setTime(result.getTime() + amount * MS_PER_DAY); break;
+        case 'weeks': result.setTime(result.getTime() + amount * 7 * MS_PER_DAY); break;
+        case 'months': result.setUTCMonth(result.getUTCMonth() + Math.trunc(amount)); break;
+        default: result.setUTCFullYear(result.getUTCFullYear() + Math.trunc(amount));
+      }
+      return result;
+    }
+  }
+};
+
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '&&', '||', '=', '<', '>', '+', '-', '*', '/', '%', '^', '&', '!'];
+const KEYWORDS = ['AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'NULL'];
+const NUMBER_PATTERN = /^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/;
+const IDENTIFIER_PATTERN = /^[\p{L}_][\p{L}\p{N}_]*/u;
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    const rest = source.slice(index);
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const number = rest.match(NUMBER_PATTERN);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), start: index, end: index + number[0].length });
+      index += number[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let cursor = index + 1;
+      for (;;) {
+        if (cursor >= source.length) throw new ExpressionError('Unterminated string', index, source.length);
+        if (source[cursor] === char) {
+          if (source[cursor + 1] !== char) break;
+          cursor += 1;
+        }
+        value += source[cursor];
+        cursor += 1;
+      }
+      tokens.push({ type: 'string', value, start: index, end: cursor + 1 });
+      index = cursor + 1;
+      continue;
+    }
+
+    if (char === '[') {
+      let name = '';
+      let cursor = index + 1;
+      for (;;) {
+        if (cursor >= source.length) throw new ExpressionError('Unterminated column reference', index, source.length);
+        if (source[cursor] === ']') {
+          if (source[cursor + 1] !== ']') break;
+          cursor += 1;
+        }
+        name += source[cursor];
+        cursor += 1;
+      }
+      if (!name) throw new ExpressionError('Empty column reference', index, cursor + 1);
+      tokens.push({ type: 'column', value: name, start: index, end: cursor + 1 });
+      index = cursor + 1;
+      continue;
+    }
+
+    const identifier = rest.match(IDENTIFIER_PATTERN);
+    if (identifier) {
+      const word = identifier[0];
+      const upper = word.toUpperCase();
+      tokens.push(KEYWORDS.includes(upper)
+        ? { type: 'keyword', value: upper, start: index, end: index + word.length }
+        : { type: 'identifier', value: word, start: index, end: index + word.length });
+      index += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => rest.startsWith(op));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, start: index, end: index + operator.length });
+      index += operator.length;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, start: index, end: index + 1 });
+      index += 1;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character "${char}"`, index);
+  }
+
+  tokens.push({ type: 'end', value: null, start: source.length, end: source.length });
+  return tokens;
+};
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent, lowest precedence first):
+//   OR | ||, AND | &&, NOT | !, comparisons, &, + -, * / %, unary - +, ^
+
+const BINARY_LEVELS = [
+  { OR: 'or', '||': 'or' },
+  { AND: 'and', '&&': 'and' },
+  null, // NOT
+  { '=': '=', '==': '=', '<>': '!=', '!=': '!=', '<': '<', '<=': '<=', '>': '>', '>=': '>=' },
+  { '&': '&' },
+  { '+': '+', '-': '-' },
+  { '*': '*', '/': '/', '%': '%' }
+];
+
+const describeToken = (token) => {
+  if (token.type === 'end') return 'end of expression';
+  if (token.type === 'string') return 'string';
+  if (token.type === 'number') return `number ${token.value}`;
+  if (token.type === 'column') return `column [${token.value}]`;
+  return `"${token.value}"`;
+};
+
+const parse = (source, columns) => {
+  const tokens = tokenize(source);
+  const references = new Set();
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const operatorOf = (token, table) =>
+    (token.type === 'operator' || token.type === 'keyword') ? table[token.value] : undefined;
+
+  const expect = (type, label) => {
+    const token = peek();
+    if (token.type !== type) {
+      throw new ExpressionError(`Expected ${label} but found ${describeToken(token)}`, token.start, token.end);
+    }
+    return next();
+  };
+
+  const nested = (fn) => {
+    depth += 1;
+    if (depth > MAX_DEPTH) {
+      const token = peek();
+      throw new ExpressionError('Expression is nested too deeply', token.start, token.end);
+    }
+    const node = fn();
+    depth -= 1;
+    return node;
+  };
+
+  const columnNode = (token) => {
+    if (!columns.includes(token.value)) {
+      throw new ExpressionError(`Unknown column "${token.value}"`, token.start, token.end);
+    }
+    references.add(token.value);
+    return { type: 'column', name: token.value, start: token.start, end: token.end };
+  };
+
+  const callNode = (token) => {
+    const name = token.value.toUpperCase();
+    const definition = FUNCTIONS[name];
+    if (!definition) {
+      throw new ExpressionError(`Unknown function "${token.value}"`, token.start, token.end);
+    }
+    next(); // (
+    const args = [];
+    if (peek().type !== ')') {
+      for (;;) {
+        args.push(parseLevel(0));
+        if (peek().type !== ',') break;
+        next();
+      }
+    }
+    const close = expect(')', '"," or ")"');
+    if (args.length < definition.min || args.length > definition.max) {
+      const expected = definition.min === definition.max
+        ? `${definition.min}`
+        : definition.max === Infinity ? `at least ${definition.min}` : `${definition.min} to ${definition.max}`;
+      throw new ExpressionError(
+        `${name} takes ${expected} argument${expected === '1' ? '' : 's'} but got ${args.length}`,
+        token.start,
+        close.end
+      );
+    }
+    return { type: 'call', name, args, start: token.start, end: close.end };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        next();
+        return { type: 'literal', value: token.value, start: token.start, end: token.end };
+      case 'column':
+        next();
+        return columnNode(token);
+      case 'identifier':
+        next();
+        return peek().type === '(' ? callNode(token) : columnNode(token);
+      case 'keyword':
+        if (['TRUE', 'FALSE', 'NULL'].includes(token.value)) {
+          next();
+          const value = token.value === 'NULL' ? null : token.value === 'TRUE';
+          return { type: 'literal', value, start: token.start, end: token.end };
+        }
+        // AND(...), OR(...) and NOT(...) also work as functions
+        if (tokens[position + 1].type === '(') {
+          next();
+          return callNode(token);
+        }
+        break;
+      case '(': {
+        next();
+        const node = parseLevel(0);
+        expect(')', '")"');
+        return node;
+      }
+      default:
+        break;
+    }
+    throw new ExpressionError(`Unexpected ${describeToken(token)}`, token.start, token.end);
+  };
+
+  // Exponentiation is right-associative and binds tighter than unary minus
+  const parsePower = () => nested(() => {
+    const base = parsePrimary();
+    const token = peek();
+    if (token.type === 'operator' && token.value === '^') {
+      next();
+      const exponent = parseUnary();
+      return { type: 'binary', op: '^', left: base, right: exponent, start: base.start, end: exponent.end };
+    }
+    return base;
+  });
+
+  const parseUnary = () => nested(() => {
+    const token = peek();
+    if (token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+      next();
+      const operand = parseUnary();
+      return { type: 'unary', op: token.value, operand, start: token.start, end: operand.end };
+    }
+    return parsePower();
+  });
+
+  const parseNot = () => nested(() => {
+    const token = peek();
+    const isNot = (token.type === 'keyword' && token.value === 'NOT' && tokens[position + 1].type !== '(')
+      || (token.type === 'operator' && token.value === '!');
+    if (isNot) {
+      next();
+      const operand = parseNot();
+      return { type: 'unary', op: 'not', operand, start: token.start, end: operand.end };
+    }
+    return parseLevel(3);
+  });
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+    if (BINARY_LEVELS[level] === null) return parseNot();
+
+    let left = parseLevel(level + 1);
+    for (;;) {
+      const op = operatorOf(peek(), BINARY_LEVELS[level]);
+      if (!op) return left;
+      next();
+      const right = parseLevel(level + 1);
+      left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+  };
+
+  if (tokens.length === 1) {
+    throw new ExpressionError('Expression is empty', 0);
+  }
+  const ast = parseLevel(0);
+  const trailing = peek();
+  if (trailing.type !== 'end') {
+    throw new ExpressionError(`Unexpected ${describeToken(trailing)}`, trailing.start, trailing.end);
+  }
+  return { ast, references: [...references] };
+};
+
+// ---------------------------------------------------------------------------
+// Interpreter
+
+const arithmetic = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => {
+    if (b === 0) throw new Error('Division by zero');
+    return a / b;
+  },
+  '%': (a, b) => {
+    if (b === 0) throw new Error('Division by zero');
+    return a - b * Math.floor(a / b);
+  },
+  '^': (a, b) => a ** b
+};
+
+const comparisons = {
+  '=': result => result === 0,
+  '!=': result => result !== 0,
+  '<': result => result < 0,
+  '<=': result => result <= 0,
+  '>': result => result > 0,
+  '>=': result => result >= 0
+};
+
+const evaluateNode = (node, row) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column': {
+      // Blank cells are left out of rows, so a column named like an
+      // Object.prototype member ("constructor") must not read the inherited one
+      const value = Object.hasOwn(row, node.name) ? row[node.name] : undefined;
+      return value === undefined ? null : value;
+    }
+    case 'unary': {
+      const value = evaluateNode(node.operand, row);
+      if (node.op === 'not') return !asBoolean(value);
+      const number = asNumber(value);
+      if (number === null) return null;
+      return node.op === '-' ? -number : number;
+    }
+    case 'binary': {
+      if (node.op === 'and') return asBoolean(evaluateNode(node.left, row)) && asBoolean(evaluateNode(node.right, row));
+      if (node.op === 'or') return asBoolean(evaluateNode(node.left, row)) || asBoolean(evaluateNode(node.right, row));
+
+      const left = evaluateNode(node.left, row);
+      const right = evaluateNode(node.right, row);
+      if (node.op === '&') return asText(left) + asText(right);
+      if (comparisons[node.op]) return comparisons[node.op](compare(left, right));
+
+      const a = asNumber(left);
+      const b = asNumber(right);
+      if (a === null || b === null) return null;
+      return finite(arithmetic[node.op](a, b));
+    }
+    case 'call': {
+      const definition = FUNCTIONS[node.name];
+      return definition.lazy
+        ? definition.fn(node.args.map(arg => () => evaluateNode(arg, row)))
+        : definition.fn(node.args.map(arg => evaluateNode(arg, row)));
+    }
+    default:
+      throw new Error(`Unknown expression node "${node.type}"`);
+  }
+};
+
+// Values written into rows: dates become ISO strings like uploaded ones
+const toCellValue = (value) => {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new Error('Invalid date');
+    return formatDate(value);
+  }
+  return value === undefined ? null : value;
+};
+
+// Compile an expression against the columns it may reference. Returns
+// { evaluate, references } where evaluate(row) throws on bad input (e.g. text
+// in arithmetic), or { error, position, length } locating the problem in
+// the source (0-based offset).
+export const compileExpression = (source, columns) => {
+  if (typeof source !== 'string') {
+    return { error: 'Expression must be a string', position: 0, length: 1 };
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    return {
+      error: `Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`,
+      position: MAX_EXPRESSION_LENGTH,
+      length: source.length - MAX_EXPRESSION_LENGTH
+    };
+  }
+
+  try {
+    const { ast, references } = parse(source, columns);
+    return {
+      references,
+      evaluate: (row) => toCellValue(evaluateNode(ast, row))
+    };
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error;
+    return { error: error.message, position: error.position, length: error.length };
+  }
+};
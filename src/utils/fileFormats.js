@@ -0,0 +1,326 @@
+import { detectHeaderIndex } from './sheetLayout.js';
+
+// Helpers for recognising uploaded spreadsheet formats from their bytes
+// and for parsing the plain-text formats (CSV/TSV/JSON) that xlsx does not
+// handle the way we want.
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE2_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const ODS_MIMETYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+const DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+
+const startsWith = (buffer, signature) =>
+  buffer.length >= signature.length && signature.every((byte, i) => buffer[i] === byte);
+
+// Work out the text encoding of a buffer: honour a BOM when present, spot
+// BOM-less UTF-16 by its NUL bytes, and fall back to Windows-1252 when the
+// bytes are not valid UTF-8 (the usual case for CSVs saved by older Excel).
+export const detectEncoding = (buffer) => {
+  if (startsWith(buffer, [0xef, 0xbb, 0xbf])) return { encoding: 'utf-8', bomLength: 3 };
+  if (startsWith(buffer, [0xff, 0xfe])) return { encoding: 'utf-16le', bomLength: 2 };
+  if (startsWith(buffer, [0xfe, 0xff])) return { encoding: 'utf-16be', bomLength: 2 };
+
+  const sample = buffer.subarray(0, 4096);
+  let evenNulls = 0;
+  let oddNulls = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenNulls++;
+      else oddNulls++;
+    }
+  }
+  const half = sample.length / 2;
+  if (half > 0 && oddNulls / half > 0.3 && evenNulls === 0) return { encoding: 'utf-16le', bomLength: 0 };
+  if (half > 0 && evenNulls / half > 0.3 && oddNulls === 0) return { encoding: 'utf-16be', bomLength: 0 };
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { encoding: 'utf-8', bomLength: 0 };
+  } catch (error) {
+    return { encoding: 'windows-1252', bomLength: 0 };
+  }
+};
+
+export const decodeText = (buffer) => {
+  const { encoding, bomLength } = detectEncoding(buffer);
+  const body = buffer.subarray(bomLength);
+
+  if (encoding === 'utf-16be') {
+    // TextDecoder has no UTF-16BE support without full ICU, so swap bytes
+    const swapped = Buffer.from(body);
+    swapped.swap16();
+    return { text: new TextDecoder('utf-16le').decode(swapped), encoding };
+  }
+
+  return { text: new TextDecoder(encoding).decode(body), encoding };
+};
+
+const looksLikeText = (text) => {
+  const sample = text.slice(0, 4096);
+  if (sample.length === 0) return false;
+  // Control characters other than tab/newline/carriage return mean binary data
+  const controlChars = sample.match(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g);
+  return !controlChars || controlChars.length / sample.length < 0.01;
+};
+
+// Identify the format of an upload from its content. Returns one of
+// 'xlsx', 'xls', 'ods', 'json', 'delimited', or null when unrecognised.
+export const detectFileType = (buffer) => {
+  if (!buffer || buffer.length === 0) return null;
+
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    // ODF packages store an uncompressed "mimetype" entry first; OOXML
+    // packages always contain [Content_Types].xml and an xl/ folder
+    const head = buffer.subarray(0, Math.min(buffer.length, 256)).toString('latin1');
+    if (head.includes(`mimetype${ODS_MIMETYPE}`)) return 'ods';
+    const listing = buffer.toString('latin1');
+    if (listing.includes('[Content_Types].xml') && listing.includes('xl/')) return 'xlsx';
+    if (listing.includes(ODS_MIMETYPE)) return 'ods';
+    return null;
+  }
+
+  if (startsWith(buffer, OLE2_SIGNATURE)) return 'xls';
+
+  const { text } = decodeText(buffer);
+  if (!looksLikeText(text)) return null;
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (error) {
+      // Not JSON after all; fall through and treat it as delimited text
+    }
+  }
+
+  return 'delimited';
+};
+
+// Split delimited text into rows of raw string cells, honouring RFC 4180
+// quoting (quoted delimiters, quoted newlines and doubled quotes).
+export const parseDelimitedRows = (text, delimiter, maxRows = Infinity) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < text.length && rows.length < maxRows) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      if (char === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+
+  if ((cell !== '' || row.length > 0) && rows.length < maxRows) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Pick the delimiter that splits the first lines into the most columns
+// while keeping the column count consistent from line to line.
+export const detectDelimiter = (text) => {
+  let best = { delimiter: ',', score: 0 };
+
+  DELIMITER_CANDIDATES.forEach(delimiter => {
+    const rows = parseDelimitedRows(text.slice(0, 64 * 1024), delimiter, 20)
+      .filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) return;
+
+    const counts = rows.map(row => row.length);
+    const columns = counts[0];
+    if (columns < 2) return;
+
+    const consistent = counts.filter(count => count === columns).length / counts.length;
+    const score = consistent * columns;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Numbers written with a decimal comma and dots grouping thousands:
+// 12,5, 1.234 or 1.234,56
+const DECIMAL_COMMA_PATTERN = /^[-+]?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/;
+
+// Files delimited with ';' come from locales writing decimal commas, where
+// 1.234 is a thousand and more. A column is read that way unless one of its
+// values can only hold a decimal point (1.5, 0.25) and none a decimal comma.
+const readsDecimalCommas = (values) => {
+  let decimalPoint = false;
+  for (const value of values) {
+    const trimmed = value.trim();
+    if (trimmed.includes(',') && DECIMAL_COMMA_PATTERN.test(trimmed)) return true;
+    if (trimmed.includes('.') && NUMBER_PATTERN.test(trimmed) && !DECIMAL_COMMA_PATTERN.test(trimmed)) {
+      decimalPoint = true;
+    }
+  }
+  return !decimalPoint;
+};
+
+// Mirror what xlsx.utils.sheet_to_json does for Excel cells: numeric text
+// becomes a number, everything else stays a string
+const coerceCell = (value, decimalComma) => {
+  let trimmed = value.trim();
+  if (decimalComma && DECIMAL_COMMA_PATTERN.test(trimmed)) {
+    trimmed = trimmed.replace(/\./g, '').replace(',', '.');
+  }
+  if (NUMBER_PATTERN.test(trimmed)) {
+    const number = Number(trimmed);
+    if (Number.isFinite(number)) return number;
+  }
+  return value;
+};
+
+// Give every header a unique, non-empty name, matching xlsx's
+// "__EMPTY"/"_1" conventions so CSV and Excel uploads look alike
+const normaliseHeaders = (rawHeaders) => {
+  const seen = {};
+  return rawHeaders.map((raw, index) => {
+    let name = String(raw ?? '').trim();
+    if (name === '') name = index === 0 ? '__EMPTY' : `__EMPTY_${index}`;
+    if (seen[name] !== undefined) {
+      seen[name] += 1;
+      name = `${name}_${seen[name]}`;
+    } else {
+      seen[name] = 0;
+    }
+    return name;
+  });
+};
+
+const isFilledRow = (row) => row.some(cell => cell.trim() !== '');
+
+// `headerRow` is the 1-based record holding the headers, or 'auto' to
+// detect it; by default the first non-blank record is used
+export const parseDelimited = (buffer, { headerRow } = {}) => {
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  const allRows = parseDelimitedRows(text, delimiter);
+
+  const detectedIndex = detectHeaderIndex(allRows);
+  let headerIndex;
+  if (headerRow === 'auto') {
+    headerIndex = detectedIndex;
+  } else if (headerRow !== undefined) {
+    headerIndex = headerRow - 1;
+    if (headerIndex >= allRows.length) {
+      throw new Error(`headerRow ${headerRow} is past the end of the file (${allRows.length} rows)`);
+    }
+  } else {
+    headerIndex = Math.max(0, allRows.findIndex(isFilledRow));
+  }
+
+  const headers = normaliseHeaders(allRows[headerIndex] || []);
+  const dataRows = allRows.slice(headerIndex + 1).filter(isFilledRow);
+  const decimalCommas = headers.map((header, index) =>
+    delimiter === ';' && readsDecimalCommas(dataRows.map(row => row[index] ?? '')));
+  const records = dataRows.map(row => {
+    const record = {};
+    headers.forEach((header, index) => {
+      const value = row[index];
+      // Like sheet_to_json, leave empty cells out of the record entirely
+      if (value !== undefined && value !== '') {
+        record[header] = coerceCell(value, decimalCommas[index]);
+      }
+    });
+    return record;
+  });
+
+  return {
+    headers,
+    records,
+    delimiter,
+    encoding,
+    headerRow: headerIndex + 1,
+    detectedHeaderRow: detectedIndex + 1
+  };
+};
+
+const flattenJsonValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const toRecords = (items, label) => {
+  if (!Array.isArray(items)) {
+    throw new Error(`${label} must be an array of records`);
+  }
+
+  const headers = [];
+  const headerSet = new Set();
+  const records = items.map((item, index) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`${label} item ${index} is not an object`);
+    }
+    const record = {};
+    Object.entries(item).forEach(([key, value]) => {
+      if (!headerSet.has(key)) {
+        headerSet.add(key);
+        headers.push(key);
+      }
+      const flattened = flattenJsonValue(value);
+      if (flattened !== undefined) record[key] = flattened;
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+// Accept either a top-level array of records, or an object whose values are
+// arrays of records (one sheet per key)
+export const parseJsonRecords = (buffer) => {
+  const { text } = decodeText(buffer);
+  const parsed = JSON.parse(text.trim());
+
+  if (Array.isArray(parsed)) {
+    return [{ sheetName: null, ...toRecords(parsed, 'JSON') }];
+  }
+
+  const sheets = Object.entries(parsed)
+    .filter(([, value]) => Array.isArray(value))
+    .map(([sheetName, value]) => ({ sheetName, ...toRecords(value, `"${sheetName}"`) }));
+
+  if (sheets.length === 0) {
+    throw new Error('JSON must be an array of records or an object of record arrays');
+  }
+  return sheets;
+};
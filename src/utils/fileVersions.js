@@ -0,0 +1,62 @@
+// Helpers for files with several uploaded versions. The current version
+// lives in file.sheets; earlier ones are kept in file.versions.
+
+export const currentVersionNumber = (file) => file.version || 1;
+
+// The current contents of a file in the shape of a file.versions entry
+export const snapshotCurrentVersion = (file) => ({
+  version: currentVersionNumber(file),
+  fileName: file.fileName,
+  fileType: file.fileType,
+  uploadDate: file.uploadDate,
+  uploadedBy: file.uploadedBy || file.user,
+  sheets: file.sheets
+});
+
+export const findFileVersion = (file, version) => {
+  if (version === currentVersionNumber(file)) {
+    return snapshotCurrentVersion(file);
+  }
+  return (file.versions || []).find(entry => entry.version === version) || null;
+};
+
+// Version metadata, newest first, without any row data
+export const listFileVersions = (file) => [
+  snapshotCurrentVersion(file),
+  ...[...(file.versions || [])].reverse()
+].map(entry => ({
+  version: entry.version,
+  fileName: entry.fileName,
+  fileType: entry.fileType,
+  uploadDate: entry.uploadDate,
+  uploadedBy: entry.uploadedBy,
+  current: entry.version === currentVersionNumber(file),
+  sheets: entry.sheets.map(sheet => ({
+    sheetName: sheet.sheetName,
+    headers: sheet.headers,
+    rowCount: sheet.rowCount ?? sheet.data?.length ?? 0,
+    columnCount: sheet.columnCount
+  }))
+}));
+
+// The sheet a graph draws from: in its pinned version if it has one,
+// otherwise in the latest version
+export const findGraphSheet = (file, graph) => {
+  const source = graph.fileVersion ? findFileVersion(file, graph.fileVersion) : file;
+  return source?.sheets.find(sheet => sheet.sheetName === graph.sheetName) || null;
+};
+
+// Keep users' column type overrides when a new version has a sheet of the
+// same name that still has the column. Returns { sheetName: overrides }.
+export const carryOverTypeOverrides = (previousSheets, nextSheets) => {
+  const carried = {};
+  nextSheets.forEach(sheet => {
+    const previous = previousSheets.find(entry => entry.sheetName === sheet.sheetName);
+    const overrides = Object.entries(previous?.columnTypeOverrides || {})
+      .filter(([column]) => sheet.headers.includes(column));
+    if (overrides.length > 0) {
+      carried[sheet.sheetName] = Object.fromEntries(overrides);
+    }
+  });
+  return carried;
+};
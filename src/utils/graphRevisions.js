@@ -0,0 +1,74 @@
+import Graph from '../models/Graph.js';
+import GraphRevision from '../models/GraphRevision.js';
+
+// Fields a user may change after a graph is created; each revision stores these
+export const GRAPH_EDITABLE_FIELDS = [
+  'title', 'description', 'type', 'chartType', 'xAxis', 'yAxis', 'config', 'tags', 'aggregation', 'pivot'
+];
+
+export const snapshotGraph = (graph) => {
+  const plain = typeof graph.toObject === 'function' ? graph.toObject() : graph;
+  return GRAPH_EDITABLE_FIELDS.reduce((acc, field) => {
+    acc[field] = plain[field] === undefined ? null : plain[field];
+    return acc;
+  }, {});
+};
+
+// What a revision keeps: the editable fields and the graph's data, which
+// graphs without an aggregation or pivot cannot rebuild from the sheet
+export const revisionSnapshot = (graph) => {
+  const plain = typeof graph.toObject === 'function' ? graph.toObject() : graph;
+  return { ...snapshotGraph(plain), data: plain.data ?? null };
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export const diffSnapshots = (before, after) =>
+  GRAPH_EDITABLE_FIELDS.filter(field => !sameValue(before[field], after[field]));
+
+// Graphs saved before revisions existed have no history; record their
+// current state as the first revision before it is changed
+export const ensureBaselineRevision = async (graph, userId) => {
+  const existing = await GraphRevision.exists({ graph: graph._id });
+  if (existing) return;
+
+  try {
+    await GraphRevision.create({
+      graph: graph._id,
+      version: graph.version || 1,
+      user: userId,
+      action: 'create',
+      snapshot: revisionSnapshot(graph)
+    });
+  } catch (error) {
+    // A concurrent edit recorded it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Save the changes made to a loaded graph as its next version, unless another
+// edit saved a version since it was loaded. Returns the saved graph, or null
+// when it lost that race.
+export const saveGraphVersion = async (graph) => {
+  await graph.validate();
+  const current = graph.version || 1;
+  // Defaults filled in on load, the version among them, are in $set too
+  const { $set: { version, ...fields } = {}, $inc, ...changes } = graph.getChanges();
+  return Graph.findOneAndUpdate(
+    // Graphs saved before versions existed have none stored
+    { _id: graph._id, version: current === 1 ? { $in: [1, null] } : current },
+    { ...changes, $set: { ...fields, updatedAt: new Date() }, $inc: { ...$inc, version: 1 } },
+    { new: true }
+  );
+};
+
+export const recordRevision = (graph, userId, action, { changes = [], restoredFrom } = {}) =>
+  GraphRevision.create({
+    graph: graph._id,
+    version: graph.version,
+    user: userId,
+    action,
+    changes,
+    restoredFrom,
+    snapshot: revisionSnapshot(graph)
+  });
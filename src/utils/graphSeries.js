@@ -0,0 +1,23 @@
+import { normalizeAggregationSpec, buildSeries } from './aggregation.js';
+import { normalizePivotSpec, pivotSeries } from './pivot.js';
+
+// A graph either plots sheet columns as they are or builds its series on the
+// server from an aggregation spec or a pivot spec (never both).
+export const graphSource = (graph) => (graph.pivot ? 'pivot' : graph.aggregation ? 'aggregation' : null);
+
+// Validate a graph's stored spec against its sheet headers and build the
+// series. Returns null for graphs without a spec, { source, error } when the
+// spec no longer fits the sheet, otherwise { source, spec, series }.
+export const buildGraphSeries = (graph, rows, headers) => {
+  const source = graphSource(graph);
+  if (!source) return null;
+
+  const { spec, error } = source === 'pivot'
+    ? normalizePivotSpec(graph.pivot, headers)
+    : normalizeAggregationSpec(graph.aggregation, headers);
+  if (error) return { source, error };
+
+  const series = source === 'pivot' ? pivotSeries(rows, spec) : buildSeries(rows, spec);
+  if (series.error) return { source, error: series.error };
+  return { source, spec, series };
+};
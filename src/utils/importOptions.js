@@ -0,0 +1,98 @@
+import { IMPORT_MODES, MAX_HEADER_ROWS } from './richImport.js';
+
+// Options for reading an upload, sent as multipart fields or query
+// parameters (all optional):
+//   importMode  'values' (default) or 'rich' (see utils/richImport.js)
+//   headerRows  rich mode only: header rows to combine, 1-10 (detected)
+//   headerRow   1-based row holding the headers, or 'auto' to detect it
+//   range       A1 range to read, e.g. "B3:H200", or a start cell "B3"
+//   sheets      sheets to import; skipSheets: sheets to leave out. A comma
+//               list or a JSON array of names
+//   skipHidden  true to leave out hidden sheets, rows and columns
+// headerRow also applies to CSV/TSV; the rest only to workbooks.
+
+const A1_RANGE_PATTERN = /^[A-Z]{1,3}[1-9]\d*(:[A-Z]{1,3}[1-9]\d*)?$/;
+
+const parseBoolean = (value, name) => {
+  if (value === undefined || value === '') return { value: undefined };
+  if (value === true || value === 'true' || value === '1') return { value: true };
+  if (value === false || value === 'false' || value === '0') return { value: false };
+  return { error: `${name} must be true or false` };
+};
+
+const parseNameList = (value, name) => {
+  if (value === undefined || value === '') return { value: undefined };
+  let list = value;
+  if (typeof value === 'string') {
+    if (value.trim().startsWith('[')) {
+      try {
+        list = JSON.parse(value);
+      } catch (error) {
+        return { error: `${name} must be a comma-separated list or a JSON array` };
+      }
+    } else {
+      list = value.split(',');
+    }
+  }
+  if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+    return { error: `${name} must be a list of sheet names` };
+  }
+  const names = list.map(item => item.trim()).filter(Boolean);
+  return { value: names.length > 0 ? names : undefined };
+};
+
+// Returns { options } or { error }. `defaults` fills in options the request
+// leaves out.
+export const parseImportOptions = (source, defaults = {}) => {
+  const importMode = source.importMode || defaults.importMode || 'values';
+  if (!IMPORT_MODES.includes(importMode)) {
+    return { error: `importMode must be one of: ${IMPORT_MODES.join(', ')}` };
+  }
+
+  let headerRows;
+  if (source.headerRows !== undefined && source.headerRows !== '') {
+    headerRows = Number(source.headerRows);
+    if (!Number.isInteger(headerRows) || headerRows < 1 || headerRows > MAX_HEADER_ROWS) {
+      return { error: `headerRows must be an integer between 1 and ${MAX_HEADER_ROWS}` };
+    }
+    if (importMode !== 'rich') {
+      return { error: 'headerRows only applies to importMode=rich' };
+    }
+  }
+
+  let headerRow = defaults.headerRow;
+  if (source.headerRow !== undefined && source.headerRow !== '') {
+    headerRow = source.headerRow === 'auto' ? 'auto' : Number(source.headerRow);
+    if (headerRow !== 'auto' && (!Number.isInteger(headerRow) || headerRow < 1)) {
+      return { error: 'headerRow must be a positive row number or "auto"' };
+    }
+  }
+
+  let range;
+  if (source.range !== undefined && source.range !== '') {
+    range = String(source.range).trim().toUpperCase().replace(/\$/g, '');
+    if (!A1_RANGE_PATTERN.test(range)) {
+      return { error: 'range must be an A1-style range such as "B3:H200" or a start cell such as "B3"' };
+    }
+  }
+
+  const sheets = parseNameList(source.sheets, 'sheets');
+  const skipSheets = parseNameList(source.skipSheets, 'skipSheets');
+  const skipHidden = parseBoolean(source.skipHidden, 'skipHidden');
+  const error = sheets.error || skipSheets.error || skipHidden.error;
+  if (error) {
+    return { error };
+  }
+
+  return {
+    options: {
+      importMode,
+      headerRows,
+      headerRow,
+      range,
+      sheets: sheets.value,
+      skipSheets: skipSheets.value,
+      skipHidden: skipHidden.value ?? false
+    }
+  };
+};
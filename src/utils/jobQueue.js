@@ -0,0 +1,423 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import JobPayload from '../models/JobPayload.js';
+import ExcelFile from '../models/ExcelFile.js';
+import { deleteFileRows, deleteOrphanedRows } from './sheetStorage.js';
+
+// Uploads queued in MongoDB and processed in worker threads, so large files
+// neither time out the request nor block the event loop. Every server
+// process runs the queue: it claims queued jobs atomically, never two for
+// the same file at once, runs up to JOB_CONCURRENCY at a time, each in its
+// own worker (workers/jobWorker.js), and keeps a heartbeat on them. Jobs of a process that stopped are taken
+// over once their heartbeat is stale. Jobs failing for any reason but an
+// unreadable file are retried with backoff, up to JOB_MAX_ATTEMPTS runs.
+
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+export const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const STALE_AFTER_MS = Number(process.env.JOB_STALE_AFTER_MS) || 60 * 1000;
+// Finished jobs, and payloads of jobs never finished, are kept this long
+const RETENTION_MS = (Number(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 5000;
+const PAYLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const OWNER = `${os.hostname()}:${process.pid}`;
+// Jobs this process is running: id -> { worker, job, committed, cancelled, outcome }
+const running = new Map();
+// Uploads this process is storing during their request (see runInlineJob)
+const inlineRuns = new Set();
+
+const retentionDate = () => new Date(Date.now() + RETENTION_MS);
+
+// Stand-in for the request that queued a job, for the access checks and
+// audit entries made while it runs
+export const jobRequest = (job) => ({
+  user: { userId: String(job.user), email: job.requester?.email },
+  ip: job.requester?.ip,
+  get: (header) => (header.toLowerCase() === 'user-agent' ? job.requester?.userAgent : undefined)
+});
+
+// Queue an upload. `upload` is { buffer, fileName, size }; `input` holds
+// the upload options (workspace, importOptions, pinGraphs) and `fileId`
+// the file a version is uploaded to. New uploads get their file id now.
+export const enqueueJob = async (req, { type, upload, input, fileId = new mongoose.Types.ObjectId() }) => {
+  const job = new Job({
+    user: req.user.userId,
+    type,
+    file: fileId,
+    input: { fileName: upload.fileName, size: upload.size, ...input },
+    requester: { email: req.user.email, ip: req.ip, userAgent: req.get('User-Agent') },
+    maxAttempts: JOB_MAX_ATTEMPTS
+  });
+
+  // The payload goes in first so a claimed job always has it
+  const expiresAt = retentionDate();
+  const chunks = [];
+  for (let offset = 0; offset < upload.buffer.length; offset += PAYLOAD_CHUNK_BYTES) {
+    chunks.push({
+      job: job._id,
+      index: chunks.length,
+      data: upload.buffer.subarray(offset, offset + PAYLOAD_CHUNK_BYTES),
+      expiresAt
+    });
+  }
+  await JobPayload.insertMany(chunks);
+  try {
+    await job.save();
+  } catch (error) {
+    await JobPayload.deleteMany({ job: job._id });
+    throw error;
+  }
+  return job;
+};
+
+// The uploaded file of a job, or null once its payload is gone
+export const loadJobPayload = async (jobId) => {
+  const chunks = await JobPayload.find({ job: jobId }).sort({ index: 1 });
+  return chunks.length > 0 ? Buffer.concat(chunks.map(chunk => chunk.data)) : null;
+};
+
+// What a succeeded job keeps of the upload response: sheet metadata in
+// place of the rows, as plain JSON
+export const jobResult = (response) => JSON.parse(JSON.stringify({
+  ...response,
+  sheets: response.sheets.map(({ sheetName, headers, columnTypes, rowCount, columnCount }) => ({
+    sheetName,
+    headers,
+    columnTypes,
+    rowCount,
+    columnCount
+  }))
+}));
+
+export const jobResponse = (job) => ({
+  _id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  stage: job.stage,
+  fileName: job.input.fileName,
+  size: job.input.size,
+  // Only once the file exists
+  fileId: job.status === 'succeeded' || job.type === 'version' ? job.file : null,
+  error: job.error,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  cancelRequested: job.cancelRequested,
+  result: job.result,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+// Cancel a job: at once while queued, or by stopping its worker at the
+// next poll while running. Returns { job } or { status, message }.
+export const cancelJob = async (job) => {
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return { status: 409, message: `Job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}` };
+  }
+  if (job.input.inline) {
+    return { status: 409, message: 'Uploads stored during their request cannot be cancelled' };
+  }
+
+  const now = new Date();
+  const cancelled = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: now, expiresAt: retentionDate(), updatedAt: now } },
+    { new: true }
+  );
+  if (cancelled) {
+    return { job: cancelled };
+  }
+
+  // Claimed meanwhile: ask the process running it to stop
+  const requested = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'running', committedAt: null },
+    { $set: { cancelRequested: true, updatedAt: now } },
+    { new: true }
+  );
+  if (!requested) {
+    return { status: 409, message: 'Job is finishing and can no longer be cancelled' };
+  }
+  return { job: requested };
+};
+
+// Queue a failed or cancelled job again, from a fresh count of attempts.
+// Returns { job } or { status, message }.
+export const retryJob = async (job) => {
+  if (!['failed', 'cancelled'].includes(job.status)) {
+    return { status: 409, message: 'Only failed or cancelled jobs can be retried' };
+  }
+  if (!await JobPayload.exists({ job: job._id })) {
+    return { status: 410, message: 'The uploaded file is no longer available; upload it again' };
+  }
+
+  const now = new Date();
+  const queued = await Job.findOneAndUpdate(
+    { _id: job._id, status: job.status },
+    {
+      $set: {
+        status: 'queued',
+        progress: 0,
+        stage: null,
+        error: null,
+        attempts: 0,
+        runAfter: now,
+        cancelRequested: false,
+        owner: null,
+        heartbeatAt: null,
+        startedAt: null,
+        finishedAt: null,
+        expiresAt: null,
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+  if (!queued) {
+    return { status: 409, message: 'Job changed meanwhile; fetch it and try again' };
+  }
+  await JobPayload.updateMany({ job: job._id }, { $set: { expiresAt: retentionDate() } });
+  return { job: queued };
+};
+
+// Remove rows stored by a run that stopped before saving its file: all of
+// them for a new upload, those of unsaved sheets for a new version
+const discardPartialUpload = async (job) => {
+  const file = await ExcelFile.findById(job.file).select('sheets._id sheets.storageId versions.sheets._id versions.sheets.storageId');
+  if (file) {
+    await deleteOrphanedRows(file);
+  } else {
+    await deleteFileRows(job.file);
+  }
+};
+
+const markFinished = async (job, fields) => {
+  const now = new Date();
+  await Job.updateOne({ _id: job._id }, {
+    $set: { ...fields, owner: null, finishedAt: now, expiresAt: retentionDate(), updatedAt: now }
+  });
+  if (fields.status === 'succeeded') {
+    await JobPayload.deleteMany({ job: job._id });
+  }
+};
+
+// Settle a run that did not succeed. Once the file is saved the upload
+// stands; what is left (profiles, the audit entry) is not worth a rerun.
+const settleFailedRun = async (job, { error, retryable, committed, cancelled }) => {
+  if (committed) {
+    return markFinished(job, { status: 'succeeded', progress: 100, stage: null, result: { _id: job.file } });
+  }
+
+  await discardPartialUpload(job);
+  if (cancelled) {
+    return markFinished(job, { status: 'cancelled', stage: null, error: null });
+  }
+  if (retryable && job.attempts < job.maxAttempts) {
+    // Unless asked to cancel meanwhile
+    const now = new Date();
+    const requeued = await Job.updateOne({ _id: job._id, cancelRequested: false }, {
+      $set: {
+        status: 'queued',
+        progress: 0,
+        stage: null,
+        error,
+        owner: null,
+        runAfter: new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)),
+        updatedAt: now
+      }
+    });
+    if (requeued.modifiedCount > 0) return undefined;
+    return markFinished(job, { status: 'cancelled', stage: null, error: null });
+  }
+  return markFinished(job, { status: 'failed', stage: null, error });
+};
+
+const handleMessage = (entry, message) => {
+  const { job } = entry;
+  switch (message.type) {
+    case 'progress':
+      return Job.updateOne(
+        { _id: job._id, status: 'running' },
+        { $set: { progress: message.progress, stage: message.stage, heartbeatAt: new Date() } }
+      );
+    case 'committed':
+      entry.committed = true;
+      return Job.updateOne({ _id: job._id }, { $set: { committedAt: new Date() } });
+    default:
+      // 'succeeded' or 'failed', acted on when the worker exits
+      entry.outcome = message;
+      return undefined;
+  }
+};
+
+const finishRun = async (entry, exitCode) => {
+  const { job, outcome } = entry;
+  running.delete(String(job._id));
+
+  if (outcome?.type === 'succeeded') {
+    return markFinished(job, { status: 'succeeded', progress: 100, stage: null, error: null, result: outcome.result });
+  }
+  return settleFailedRun(job, {
+    error: outcome?.error || entry.error?.message || `Worker stopped with exit code ${exitCode}`,
+    // A worker that died without reporting may have hit a passing problem
+    retryable: outcome ? outcome.retryable : true,
+    committed: entry.committed,
+    cancelled: entry.cancelled
+  });
+};
+
+const startRun = (job) => {
+  const worker = new Worker(new URL('../workers/jobWorker.js', import.meta.url), {
+    workerData: { jobId: String(job._id) }
+  });
+  const entry = { worker, job, committed: false, cancelled: false, outcome: null, error: null };
+  running.set(String(job._id), entry);
+
+  const report = (error) => console.error(`Error updating job ${job._id}:`, error);
+  worker.on('message', message => Promise.resolve(handleMessage(entry, message)).catch(report));
+  worker.on('error', error => { entry.error = error; });
+  worker.on('exit', code => finishRun(entry, code).catch(report));
+};
+
+// Keep running jobs alive and stop those asked to cancel
+const superviseRuns = async () => {
+  if (running.size === 0 && inlineRuns.size === 0) return;
+  const ids = [...running.keys()];
+  await Job.updateMany({ _id: { $in: [...ids, ...inlineRuns] }, status: 'running' }, { $set: { heartbeatAt: new Date() } });
+
+  const cancelling = await Job.find({ _id: { $in: ids }, cancelRequested: true }).select('_id');
+  cancelling.forEach(({ _id }) => {
+    const entry = running.get(String(_id));
+    if (!entry || entry.committed || entry.cancelled) return;
+    entry.cancelled = true;
+    entry.worker.terminate();
+  });
+};
+
+// Store an upload during its request while holding the lock queued jobs
+// take on its file: the run is recorded as a running job, which the unique
+// index refuses while another job writes to the file. `run` resolves to
+// { response } or { status, message }, as does runInlineJob.
+export const runInlineJob = async (req, { type, upload, input, fileId }, run) => {
+  const now = new Date();
+  const job = new Job({
+    user: req.user.userId,
+    type,
+    status: 'running',
+    stage: 'starting',
+    file: fileId,
+    input: { fileName: upload.fileName, size: upload.size, ...input, inline: true },
+    requester: { email: req.user.email, ip: req.ip, userAgent: req.get('User-Agent') },
+    attempts: 1,
+    maxAttempts: 1,
+    owner: OWNER,
+    heartbeatAt: now,
+    startedAt: now
+  });
+  try {
+    await job.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { status: 409, message: 'Another upload to this file is in progress; try again once it has finished' };
+  }
+
+  inlineRuns.add(String(job._id));
+  try {
+    const outcome = await run();
+    if (outcome.status) {
+      await markFinished(job, { status: 'failed', stage: null, error: outcome.message });
+    } else {
+      await markFinished(job, { status: 'succeeded', progress: 100, stage: null, result: jobResult(outcome.response) });
+    }
+    return outcome;
+  } catch (error) {
+    await markFinished(job, { status: 'failed', stage: null, error: error.message });
+    throw error;
+  } finally {
+    inlineRuns.delete(String(job._id));
+  }
+};
+
+// Take over jobs whose process stopped heartbeating
+const recoverStaleJobs = async () => {
+  const stale = await Job.find({
+    status: 'running',
+    heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) }
+  }).limit(JOB_CONCURRENCY);
+
+  for (const candidate of stale) {
+    const job = await Job.findOneAndUpdate(
+      { _id: candidate._id, status: 'running', heartbeatAt: candidate.heartbeatAt },
+      { $set: { owner: OWNER, heartbeatAt: new Date() } },
+      { new: true }
+    );
+    if (!job) continue;
+    await settleFailedRun(job, {
+      error: 'The server running the job stopped',
+      retryable: true,
+      committed: Boolean(job.committedAt),
+      cancelled: job.cancelRequested
+    });
+  }
+};
+
+// Claim the next queued job that is due. The unique index on the files of
+// running jobs fails the claim when another job is writing to the same
+// file, even one claimed by another process a moment earlier; such files
+// are skipped.
+const claimJob = async () => {
+  const busyFiles = await Job.distinct('file', { status: 'running' });
+  const now = new Date();
+  for (;;) {
+    const candidate = await Job.findOne({ status: 'queued', runAfter: { $lte: now }, file: { $nin: busyFiles } })
+      .sort({ runAfter: 1 })
+      .select('_id file');
+    if (!candidate) return null;
+
+    try {
+      const job = await Job.findOneAndUpdate(
+        { _id: candidate._id, status: 'queued' },
+        {
+          $set: { status: 'running', owner: OWNER, heartbeatAt: now, startedAt: now, progress: 0, stage: 'starting', committedAt: null },
+          $inc: { attempts: 1 }
+        },
+        { new: true }
+      );
+      if (job) return job;
+      // Claimed or cancelled meanwhile: look for the next one
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      busyFiles.push(candidate.file);
+    }
+  }
+};
+
+let polling = false;
+
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    await superviseRuns();
+    await recoverStaleJobs();
+    while (running.size < JOB_CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+      startRun(job);
+    }
+  } catch (error) {
+    console.error('Error polling the job queue:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+// Start processing queued jobs in this process; call once connected to MongoDB
+export const startJobQueue = () => {
+  setInterval(poll, POLL_INTERVAL_MS).unref();
+  console.log(`Job queue started (${JOB_CONCURRENCY} concurrent jobs)`);
+};
@@ -0,0 +1,283 @@
+import { buildSheet } from './excelProcessor.js';
+import { resolveColumnTypes } from './typeInference.js';
+import { isBlank, toDate } from './values.js';
+
+// Join two stored sheets on one or more key columns, e.g. orders with the
+// customers they belong to. A spec looks like
+//   { type: 'left', on: [{ left: 'CustomerId', right: 'Id' }], columns: ['Name'] }
+// `on` may also be a column name, or a list of names, present on both sides.
+// The result has the left sheet's columns followed by the right sheet's,
+// minus its key columns (the left key columns hold the key on every row).
+
+export const JOIN_TYPES = ['inner', 'left', 'full'];
+export const MAX_JOIN_KEYS = 10;
+// Joins on keys repeated on both sides multiply rows; stop well before that
+// runs the server out of memory
+export const MAX_JOIN_ROWS = Number(process.env.MAX_JOIN_ROWS) || 1000000;
+
+const UNMATCHED_EXAMPLES = 5;
+const DATE_TYPES = ['date', 'datetime'];
+const NUMERIC_KEY_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+// Comparable form of one key cell. Numbers and numeric text match ("42" and
+// 42, "007" and 7), text is trimmed and, unless caseSensitive, matched
+// ignoring case, and date columns match on the date whether stored as a
+// serial or as text. Blank keys never match anything.
+const keyPart = (value, isDate, caseSensitive) => {
+  if (isBlank(value)) return null;
+  if (isDate || value instanceof Date) {
+    const date = toDate(value);
+    if (date) return `d:${date.toISOString()}`;
+  }
+  if (typeof value === 'number') return `n:${value}`;
+
+  const text = String(value).trim();
+  if (NUMERIC_KEY_PATTERN.test(text)) return `n:${Number(text)}`;
+  return `s:${caseSensitive ? text : text.toLowerCase()}`;
+};
+
+const parseKeys = (on) => {
+  const list = typeof on === 'string' ? [on] : on;
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'on must be a column name or a non-empty list of key columns' };
+  }
+  if (list.length > MAX_JOIN_KEYS) {
+    return { error: `A join can use at most ${MAX_JOIN_KEYS} key columns` };
+  }
+
+  const keys = [];
+  for (const entry of list) {
+    if (typeof entry === 'string') {
+      keys.push({ left: entry, right: entry });
+    } else if (entry && typeof entry.left === 'string' && typeof entry.right === 'string') {
+      keys.push({ left: entry.left, right: entry.right });
+    } else {
+      return { error: 'Each key must be a column name or { left, right } column names' };
+    }
+  }
+  return { keys };
+};
+
+// Name the right-hand columns in the result. A name already taken gets the
+// suffix (" (<right sheet>)" by default), then a number if still taken.
+const nameRightColumns = (columns, leftHeaders, suffix) => {
+  const taken = new Set(leftHeaders);
+  const names = {};
+  const renamed = {};
+  columns.forEach(column => {
+    let name = column;
+    if (taken.has(name)) {
+      name = `${column}${suffix}`;
+      for (let n = 2; taken.has(name); n++) {
+        name = `${column}${suffix} ${n}`;
+      }
+      renamed[column] = name;
+    }
+    taken.add(name);
+    names[column] = name;
+  });
+  return { names, renamed };
+};
+
+// Validate a join request against both sheets' headers. Returns
+// { spec } with the right-hand columns named, or { error }.
+export const normalizeJoinSpec = (input, leftSheet, rightSheet) => {
+  const { type = 'inner', on, columns, caseSensitive = false, rightSuffix } = input;
+  if (!JOIN_TYPES.includes(type)) {
+    return { error: `type must be one of: ${JOIN_TYPES.join(', ')}` };
+  }
+  if (typeof caseSensitive !== 'boolean') {
+    return { error: 'caseSensitive must be true or false' };
+  }
+  if (rightSuffix !== undefined && (typeof rightSuffix !== 'string' || !rightSuffix.trim())) {
+    return { error: 'rightSuffix must be a non-empty string' };
+  }
+
+  const { keys, error } = parseKeys(on);
+  if (error) {
+    return { error };
+  }
+  const unknownLeft = keys.find(key => !leftSheet.headers.includes(key.left));
+  if (unknownLeft) {
+    return { error: `Key column "${unknownLeft.left}" not found in sheet "${leftSheet.sheetName}"` };
+  }
+  const unknownRight = keys.find(key => !rightSheet.headers.includes(key.right));
+  if (unknownRight) {
+    return { error: `Key column "${unknownRight.right}" not found in sheet "${rightSheet.sheetName}"` };
+  }
+
+  const rightKeys = keys.map(key => key.right);
+  let rightColumns = rightSheet.headers.filter(header => !rightKeys.includes(header));
+  if (columns !== undefined) {
+    if (!Array.isArray(columns) || columns.some(column => typeof column !== 'string')) {
+      return { error: 'columns must be an array of column names' };
+    }
+    const unknown = columns.find(column => !rightSheet.headers.includes(column));
+    if (unknown !== undefined) {
+      return { error: `Column "${unknown}" not found in sheet "${rightSheet.sheetName}"` };
+    }
+    rightColumns = [...new Set(columns)].filter(column => !rightKeys.includes(column));
+  }
+
+  const suffix = rightSuffix ?? ` (${rightSheet.sheetName})`;
+  const { names, renamed } = nameRightColumns(rightColumns, leftSheet.headers, suffix);
+  return {
+    spec: {
+      type,
+      on: keys,
+      columns: rightColumns,
+      caseSensitive,
+      rightSuffix: suffix,
+      headers: [...leftSheet.headers, ...rightColumns.map(column => names[column])],
+      names,
+      renamed
+    }
+  };
+};
+
+// Join rows of the two sheets by `spec` (from normalizeJoinSpec). Returns
+// { rows, stats } or { error } when the result would exceed MAX_JOIN_ROWS.
+export const joinRows = (leftSheet, leftRows, rightSheet, rightRows, spec, { maxRows = MAX_JOIN_ROWS } = {}) => {
+  const isDate = spec.on.map(key => [leftSheet.columnTypes?.[key.left], rightSheet.columnTypes?.[key.right]]
+    .some(type => DATE_TYPES.includes(type)));
+  const keyOf = (row, side) => {
+    const parts = [];
+    for (let i = 0; i < spec.on.length; i++) {
+      const part = keyPart(row[spec.on[i][side]], isDate[i], spec.caseSensitive);
+      if (part === null) return null;
+      parts.push(part);
+    }
+    return JSON.stringify(parts);
+  };
+  const keyValues = (row, side) => spec.on.map(key => row[key[side]] ?? null);
+
+  const stats = {
+    type: spec.type,
+    leftRows: leftRows.length,
+    rightRows: rightRows.length,
+    resultRows: 0,
+    matchedLeftRows: 0,
+    unmatchedLeftRows: 0,
+    unmatchedRightRows: 0,
+    blankKeyRows: { left: 0, right: 0 },
+    // Keys found on more than one right row; each matching left row is repeated
+    duplicateRightKeys: 0,
+    unmatchedExamples: { left: [], right: [] }
+  };
+
+  const index = new Map();
+  rightRows.forEach((row, position) => {
+    const key = keyOf(row, 'right');
+    if (key === null) {
+      stats.blankKeyRows.right += 1;
+      return;
+    }
+    const positions = index.get(key);
+    if (positions) {
+      if (positions.length === 1) stats.duplicateRightKeys += 1;
+      positions.push(position);
+    } else {
+      index.set(key, [position]);
+    }
+  });
+
+  // Stored rows leave blank cells out, so only present values are copied
+  const combine = (left, right) => {
+    const row = {};
+    if (left) {
+      leftSheet.headers.forEach(header => {
+        if (left[header] !== undefined) row[header] = left[header];
+      });
+    } else {
+      spec.on.forEach(key => {
+        if (right[key.right] !== undefined) row[key.left] = right[key.right];
+      });
+    }
+    if (right) {
+      spec.columns.forEach(column => {
+        if (right[column] !== undefined) row[spec.names[column]] = right[column];
+      });
+    }
+    return row;
+  };
+
+  const rows = [];
+  const matchedRight = new Uint8Array(rightRows.length);
+  for (const left of leftRows) {
+    const key = keyOf(left, 'left');
+    if (key === null) stats.blankKeyRows.left += 1;
+    const positions = key === null ? undefined : index.get(key);
+
+    if (positions) {
+      stats.matchedLeftRows += 1;
+      positions.forEach(position => {
+        matchedRight[position] = 1;
+        rows.push(combine(left, rightRows[position]));
+      });
+    } else {
+      stats.unmatchedLeftRows += 1;
+      if (key !== null && stats.unmatchedExamples.left.length < UNMATCHED_EXAMPLES) {
+        stats.unmatchedExamples.left.push(keyValues(left, 'left'));
+      }
+      if (spec.type !== 'inner') rows.push(combine(left, null));
+    }
+
+    if (rows.length > maxRows) {
+      return { error: `The join would produce more than ${maxRows} rows; check the key columns for repeated values` };
+    }
+  }
+
+  rightRows.forEach((right, position) => {
+    if (matchedRight[position]) return;
+    stats.unmatchedRightRows += 1;
+    if (keyOf(right, 'right') !== null && stats.unmatchedExamples.right.length < UNMATCHED_EXAMPLES) {
+      stats.unmatchedExamples.right.push(keyValues(right, 'right'));
+    }
+    if (spec.type === 'full') rows.push(combine(null, right));
+  });
+  if (rows.length > maxRows) {
+    return { error: `The join would produce more than ${maxRows} rows; check the key columns for repeated values` };
+  }
+
+  stats.resultRows = rows.length;
+  return { rows, stats };
+};
+
+// Build the joined sheet, with column types inferred afresh. Type overrides
+// of both sheets are kept for the columns they cover, and `join` records
+// where the sheet came from. Returns a processed sheet with `data`.
+export const buildJoinedSheet = (sheetName, rows, spec, { leftFile, leftSheet, rightFile, rightSheet }) => {
+  const built = buildSheet(sheetName, rows, spec.headers);
+
+  const overrides = { ...(leftSheet.columnTypeOverrides || {}) };
+  Object.entries(rightSheet.columnTypeOverrides || {}).forEach(([column, type]) => {
+    if (spec.names[column]) overrides[spec.names[column]] = type;
+  });
+  built.columnTypeOverrides = Object.fromEntries(Object.entries(overrides)
+    .filter(([column]) => built.headers.includes(column)));
+  built.columnTypes = resolveColumnTypes(built.headers, built.inferredColumnTypes, built.columnTypeOverrides);
+
+  // Computed values of either side were read like any other column
+  built.computedColumns = [];
+  built.join = {
+    type: spec.type,
+    left: { file: leftFile._id, sheetName: leftSheet.sheetName },
+    right: { file: rightFile._id, fileName: rightFile.fileName, sheetName: rightSheet.sheetName },
+    on: spec.on,
+    columns: spec.columns,
+    caseSensitive: spec.caseSensitive,
+    renamedColumns: spec.renamed,
+    joinedAt: new Date()
+  };
+  return built;
+};
+
+// "Orders + Customers", then "Orders + Customers (2)" and so on
+export const joinedSheetName = (leftName, rightName, existingNames) => {
+  const base = `${leftName} + ${rightName}`;
+  let name = base;
+  for (let n = 2; existingNames.includes(name); n++) {
+    name = `${base} (${n})`;
+  }
+  return name;
+};
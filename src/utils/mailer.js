@@ -0,0 +1,56 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Outgoing mail goes through a pluggable transport: any object with an async
+// send({ to, subject, text }) method. MAIL_TRANSPORT picks a built-in one:
+// "console" (default) logs messages, "file" writes each message as a JSON
+// file to MAIL_DIR so development and tests can read them back. Production
+// deployments register a real transport with setMailTransport().
+
+export const consoleTransport = {
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  }
+};
+
+export const createFileTransport = (directory) => ({
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(directory, name),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const defaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport(process.env.MAIL_DIR || path.join(os.tmpdir(), 'excel-graph-nexus-mail'));
+    default:
+      return consoleTransport;
+  }
+};
+
+let transport = null;
+
+export const setMailTransport = (next) => {
+  if (next && typeof next.send !== 'function') {
+    throw new TypeError('Mail transport must have a send(message) method');
+  }
+  transport = next;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  if (!transport) {
+    transport = defaultTransport();
+  }
+  await transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@excel-graph-nexus.local',
+    to,
+    subject,
+    text
+  });
+};
@@ -0,0 +1,325 @@
+import { buildSheet } from './excelProcessor.js';
+import { AGGREGATIONS, createAccumulator, createBinner, normalizeBin } from './aggregation.js';
+import { parseFilterAndSort, rowMatchesFilters } from './rowQuery.js';
+import { compareValues } from './values.js';
+
+// Pivot tables over a sheet's rows. A spec looks like
+//   { rows: ['Region'], columns: [{ column: 'Date', bin: { type: 'date', unit: 'quarter' } }],
+//     values: [{ column: 'Sales', aggregation: 'sum' }], filters: [...] }
+// Row and column fields are column names or { column, bin } (bins as in
+// utils/aggregation.js); values default to a row count. The grid has one
+// entry per row group and one column per column group and value, plus
+// subtotals for every outer group and grand totals unless turned off.
+
+export const MAX_PIVOT_FIELDS = 4;
+export const MAX_PIVOT_VALUES = 10;
+export const MAX_PIVOT_ROWS = 10000;
+export const MAX_PIVOT_COLUMNS = 500;
+export const MAX_PIVOT_VIEWS = 50;
+
+// Blank cells (and values no bin fits) are grouped together, as in Excel
+const BLANK_LABEL = '(blank)';
+const BLANK_GROUP = { key: '\u0000blank', label: BLANK_LABEL, order: null };
+const KEY_SEPARATOR = '\u0001';
+
+const normalizeFields = (input, headers, axis) => {
+  const list = input === undefined ? [] : [].concat(input);
+  if (list.length > MAX_PIVOT_FIELDS) {
+    return { error: `At most ${MAX_PIVOT_FIELDS} ${axis} fields are allowed` };
+  }
+
+  const fields = [];
+  for (const entry of list) {
+    const column = typeof entry === 'string' ? entry : entry?.column;
+    if (!headers.includes(column)) return { error: `Unknown ${axis} field "${column}"` };
+    const { bin, error } = normalizeBin(typeof entry === 'string' ? null : entry.bin);
+    if (error) return { error: `${axis} field "${column}": ${error}` };
+    fields.push({ column, bin });
+  }
+  return { fields };
+};
+
+const valueName = (value) => (value.column === null ? 'Count' : `${value.column} (${value.aggregation})`);
+
+// Check a pivot spec against the sheet headers and fill in defaults.
+// Returns { spec } or { error }.
+export const normalizePivotSpec = (input, headers = []) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Pivot spec must be an object' };
+  }
+
+  const rows = normalizeFields(input.rows, headers, 'row');
+  if (rows.error) return { error: rows.error };
+  const columns = normalizeFields(input.columns, headers, 'column');
+  if (columns.error) return { error: columns.error };
+
+  const rawValues = input.values === undefined ? [] : [].concat(input.values);
+  if (rawValues.length > MAX_PIVOT_VALUES) {
+    return { error: `At most ${MAX_PIVOT_VALUES} value fields are allowed` };
+  }
+  const values = [];
+  for (const entry of rawValues) {
+    const column = typeof entry === 'string' ? entry : entry?.column;
+    const aggregation = (typeof entry === 'string' ? null : entry?.aggregation) || 'sum';
+    // A row count has no column, as stored in normalized specs
+    if (column === null && aggregation === 'count') {
+      values.push({ column, aggregation });
+      continue;
+    }
+    if (!headers.includes(column)) return { error: `Unknown value field "${column}"` };
+    if (!AGGREGATIONS.includes(aggregation)) {
+      return { error: `Unknown aggregation "${aggregation}". Use one of: ${AGGREGATIONS.join(', ')}` };
+    }
+    values.push({ column, aggregation });
+  }
+  if (values.length === 0) {
+    values.push({ column: null, aggregation: 'count' });
+  }
+
+  const { options, error } = parseFilterAndSort({ filters: input.filters }, headers);
+  if (error) return { error };
+
+  const { subtotals = true, grandTotals = true, order = 'asc' } = input;
+  if (typeof subtotals !== 'boolean' || typeof grandTotals !== 'boolean') {
+    return { error: 'subtotals and grandTotals must be true or false' };
+  }
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be "asc" or "desc"' };
+
+  return {
+    spec: {
+      rows: rows.fields,
+      columns: columns.fields,
+      values,
+      filters: options.filters,
+      subtotals,
+      grandTotals,
+      order
+    }
+  };
+};
+
+// Columns a spec reads, e.g. to check it still fits a sheet
+export const pivotColumns = (spec) => [...new Set([
+  ...(spec.rows || []).map(field => (typeof field === 'string' ? field : field.column)),
+  ...(spec.columns || []).map(field => (typeof field === 'string' ? field : field.column)),
+  ...(spec.values || []).map(value => (typeof value === 'string' ? value : value.column)).filter(Boolean),
+  ...(spec.filters || []).map(filter => filter.column)
+])];
+
+// Group tree of one axis; each node has the ids of the groups above it
+const createNode = (id, group) => ({ id, label: group?.label ?? null, order: group?.order ?? null, children: new Map() });
+
+const descend = (root, groups) => {
+  const chain = [root];
+  let node = root;
+  groups.forEach(group => {
+    let child = node.children.get(group.key);
+    if (!child) {
+      child = createNode(`${node.id}${KEY_SEPARATOR}${group.key}`, group);
+      node.children.set(group.key, child);
+    }
+    chain.push(child);
+    node = child;
+  });
+  return chain;
+};
+
+// Leaf groups in order, each outer group followed by its subtotal and the
+// whole axis by the grand total. Labels are padded with null to the depth.
+const flattenAxis = (root, depth, spec) => {
+  const direction = spec.order === 'desc' ? -1 : 1;
+  const entries = [];
+  const pad = (labels) => [...labels, ...Array(depth - labels.length).fill(null)];
+
+  const walk = (node, level, labels) => {
+    if (level === depth) {
+      entries.push({ node, labels, type: 'data' });
+      return;
+    }
+    [...node.children.values()]
+      .sort((a, b) => direction * compareValues(a.order, b.order))
+      .forEach(child => walk(child, level + 1, [...labels, child.label]));
+    if (level > 0 && spec.subtotals) {
+      entries.push({ node, labels: pad(labels), type: 'subtotal' });
+    }
+  };
+  walk(root, 0, []);
+
+  if (depth > 0 && spec.grandTotals) {
+    entries.push({ node: root, labels: pad([]), type: 'grandTotal' });
+  }
+  return entries;
+};
+
+const entryName = (entry) => {
+  const labels = entry.labels.filter(label => label !== null).map(String);
+  if (entry.type === 'grandTotal') return 'Grand Total';
+  if (entry.type === 'subtotal') labels[labels.length - 1] += ' Total';
+  return labels.join(' / ');
+};
+
+// Build the pivot grid for rows and a normalized spec. Returns
+// { grid: { rowFields, columnFields, values, columns, rows, sourceRows,
+// filteredRows } } or { error } when the grid would be too large. Each grid
+// column is one column group and value; each grid row has the labels of its
+// row groups, its type (data, subtotal or grandTotal) and one cell per column.
+export const buildPivot = (rows, spec) => {
+  const filtered = spec.filters.length > 0 ? rows.filter(row => rowMatchesFilters(row, spec.filters)) : rows;
+  const rowBinners = spec.rows.map(field => createBinner(filtered, field.column, field.bin));
+  const columnBinners = spec.columns.map(field => createBinner(filtered, field.column, field.bin));
+  const groupsOf = (row, fields, binners) => fields.map((field, index) => binners[index](row[field.column]) || BLANK_GROUP);
+
+  const rowRoot = createNode('');
+  const columnRoot = createNode('');
+  const accumulators = new Map();
+
+  filtered.forEach(row => {
+    const rowChain = descend(rowRoot, groupsOf(row, spec.rows, rowBinners));
+    const columnChain = descend(columnRoot, groupsOf(row, spec.columns, columnBinners));
+    rowChain.forEach(rowNode => {
+      columnChain.forEach(columnNode => {
+        const key = `${rowNode.id}|${columnNode.id}`;
+        let cell = accumulators.get(key);
+        if (!cell) {
+          cell = spec.values.map(value => createAccumulator(value.aggregation));
+          accumulators.set(key, cell);
+        }
+        spec.values.forEach((value, index) => {
+          // A bare count (no value column) counts rows
+          cell[index].add(value.column === null ? true : row[value.column]);
+        });
+      });
+    });
+  });
+
+  const rowEntries = flattenAxis(rowRoot, spec.rows.length, spec);
+  const columnEntries = flattenAxis(columnRoot, spec.columns.length, spec);
+  if (rowEntries.length > MAX_PIVOT_ROWS) {
+    return { error: `The pivot would have more than ${MAX_PIVOT_ROWS} rows; add a filter or bin the row fields` };
+  }
+  if (columnEntries.length * spec.values.length > MAX_PIVOT_COLUMNS) {
+    return { error: `The pivot would have more than ${MAX_PIVOT_COLUMNS} columns; add a filter or bin the column fields` };
+  }
+
+  const columns = columnEntries.flatMap(entry => spec.values.map((value, index) => {
+    const group = entryName(entry);
+    const multiple = spec.values.length > 1 || !group;
+    return {
+      labels: entry.labels,
+      type: entry.type,
+      value: index,
+      name: [group, multiple ? valueName(value) : null].filter(Boolean).join(' / '),
+      node: entry.node
+    };
+  }));
+
+  return {
+    grid: {
+      rowFields: spec.rows.map(field => field.column),
+      columnFields: spec.columns.map(field => field.column),
+      values: spec.values.map(value => ({ ...value, name: valueName(value) })),
+      columns: columns.map(({ node, ...column }) => column),
+      rows: rowEntries.map(entry => ({
+        labels: entry.labels,
+        type: entry.type,
+        cells: columns.map(column => accumulators.get(`${entry.node.id}|${column.node.id}`)?.[column.value].result() ?? null)
+      })),
+      sourceRows: rows.length,
+      filteredRows: filtered.length
+    }
+  };
+};
+
+// Chart-ready series from a pivot, in the shape buildSeries returns: one
+// label per row group and one series per column group and value. Subtotals
+// and grand totals are left out so stacked charts add up.
+export const pivotSeries = (rows, spec) => {
+  const { grid, error } = buildPivot(rows, { ...spec, subtotals: false, grandTotals: false });
+  if (error) return { error };
+
+  return {
+    xColumn: grid.rowFields.join(' / ') || 'Total',
+    labels: grid.rows.map(row => row.labels.map(String).join(' / ') || 'Total'),
+    series: grid.columns.map((column, index) => ({
+      name: column.name,
+      column: spec.values[column.value].column,
+      aggregation: spec.values[column.value].aggregation,
+      groups: column.labels,
+      data: grid.rows.map(row => row.cells[index])
+    })),
+    groupCount: grid.rows.length
+  };
+};
+
+// A pivot grid as a plain table for a derived sheet: the row fields, then
+// one column per grid column. Subtotal and grand total rows are only kept
+// with includeTotals. Returns { headers, rows }.
+export const pivotTable = (grid, { includeTotals = false } = {}) => {
+  const taken = new Set();
+  const unique = (name) => {
+    let result = name || 'Value';
+    for (let n = 2; taken.has(result); n++) result = `${name} (${n})`;
+    taken.add(result);
+    return result;
+  };
+  const rowHeaders = grid.rowFields.map(unique);
+  const columnHeaders = grid.columns.map(column => unique(column.name));
+
+  const rows = grid.rows
+    .filter(row => includeTotals || row.type === 'data')
+    .map(row => {
+      const record = {};
+      row.labels.forEach((label, index) => {
+        if (label !== null) record[rowHeaders[index]] = label;
+      });
+      if (row.type !== 'data' && rowHeaders.length > 0) {
+        const level = row.labels.findIndex(label => label === null);
+        record[rowHeaders[level]] = row.type === 'grandTotal' ? 'Grand Total' : 'Total';
+      }
+      row.cells.forEach((cell, index) => {
+        if (cell !== null) record[columnHeaders[index]] = cell;
+      });
+      return record;
+    });
+
+  return { headers: [...rowHeaders, ...columnHeaders], rows };
+};
+
+// Build a derived sheet from a pivot grid, with column types inferred and
+// `pivot` recording the source sheet, view and spec. Returns a processed
+// sheet with `data`.
+export const buildPivotSheet = (sheetName, grid, { source, view = null, spec, includeTotals = false }) => {
+  const table = pivotTable(grid, { includeTotals });
+  const built = buildSheet(sheetName, table.rows, table.headers);
+  built.pivot = { source, view, spec, includeTotals, createdAt: new Date() };
+  return built;
+};
+
+// "Sales (pivot)", then "Sales (pivot 2)" and so on
+export const pivotSheetName = (baseName, existingNames) => {
+  let name = `${baseName} (pivot)`;
+  for (let n = 2; existingNames.includes(name); n++) {
+    name = `${baseName} (pivot ${n})`;
+  }
+  return name;
+};
+
+// Keep saved pivot views when a new version has a sheet of the same name
+// whose headers still fit them. Returns { sheets, dropped }.
+export const carryOverPivotViews = (previousSheets, nextSheets) => {
+  const dropped = [];
+  const sheets = nextSheets.map(sheet => {
+    const previous = previousSheets.find(entry => entry.sheetName === sheet.sheetName);
+    if (!previous?.pivots?.length) return sheet;
+
+    const pivots = previous.pivots
+      .map(view => (typeof view.toObject === 'function' ? view.toObject() : view))
+      .filter(view => {
+        const { error } = normalizePivotSpec(view.spec, sheet.headers);
+        if (error) dropped.push({ sheetName: sheet.sheetName, name: view.name, error });
+        return !error;
+      });
+    return pivots.length > 0 ? { ...sheet, pivots } : sheet;
+  });
+  return { sheets, dropped };
+};
@@ -0,0 +1,244 @@
+import zlib from 'zlib';
+import { glyphRows, GLYPH_WIDTH, GLYPH_HEIGHT, GLYPH_ADVANCE } from './bitmapFont.js';
+
+// Rasterizes the chart scenes built by chartRenderer.js into PNG images in
+// pure JavaScript. Shapes are filled as polygons with 4x vertical
+// supersampling and exact horizontal coverage, which gives smooth edges
+// while staying fully deterministic.
+
+const SUBSAMPLES = 4;
+const CIRCLE_SEGMENTS = 32;
+
+const parseHex = (color) => {
+  const hex = /^#[0-9a-f]{6}$/i.test(color) ? color.slice(1) : '000000';
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+};
+
+class Canvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Float32Array(width * height * 3).fill(255);
+  }
+
+  blend(x, y, rgb, alpha) {
+    const i = (y * this.width + x) * 3;
+    for (let c = 0; c < 3; c++) {
+      this.pixels[i + c] += (rgb[c] - this.pixels[i + c]) * alpha;
+    }
+  }
+
+  // Even-odd polygon fill with anti-aliased edges
+  fillPolygon(points, color, opacity = 1) {
+    if (points.length < 3 || opacity <= 0) return;
+    const rgb = parseHex(color);
+
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    points.forEach(([x, y]) => {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    });
+
+    const startX = Math.max(0, Math.floor(minX));
+    const endX = Math.min(this.width, Math.ceil(maxX));
+    const startY = Math.max(0, Math.floor(minY));
+    const endY = Math.min(this.height, Math.ceil(maxY));
+    if (startX >= endX || startY >= endY) return;
+
+    const coverage = new Float32Array(endX - startX + 1);
+    const addSpan = (a, b, weight) => {
+      const left = Math.max(a, startX) - startX;
+      const right = Math.min(b, endX) - startX;
+      if (right <= left) return;
+      const li = Math.floor(left);
+      const ri = Math.floor(right);
+      if (li === ri) {
+        coverage[li] += (right - left) * weight;
+        return;
+      }
+      coverage[li] += (li + 1 - left) * weight;
+      for (let i = li + 1; i < ri; i++) coverage[i] += weight;
+      coverage[ri] += (right - ri) * weight;
+    };
+
+    for (let py = startY; py < endY; py++) {
+      coverage.fill(0);
+      for (let s = 0; s < SUBSAMPLES; s++) {
+        const sy = py + (s + 0.5) / SUBSAMPLES;
+        const crossings = [];
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+          const [x0, y0] = points[j];
+          const [x1, y1] = points[i];
+          if ((y0 <= sy && y1 > sy) || (y1 <= sy && y0 > sy)) {
+            crossings.push(x0 + ((sy - y0) / (y1 - y0)) * (x1 - x0));
+          }
+        }
+        crossings.sort((a, b) => a - b);
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+          addSpan(crossings[k], crossings[k + 1], 1 / SUBSAMPLES);
+        }
+      }
+      for (let px = startX; px < endX; px++) {
+        const cover = Math.min(1, coverage[px - startX]);
+        if (cover > 0) this.blend(px, py, rgb, cover * opacity);
+      }
+    }
+  }
+
+  // Thick line segment drawn as a quad
+  strokeLine(x1, y1, x2, y2, color, width = 1, opacity = 1) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (length === 0) return;
+    const nx = (-(y2 - y1) / length) * (width / 2);
+    const ny = ((x2 - x1) / length) * (width / 2);
+    this.fillPolygon([
+      [x1 + nx, y1 + ny],
+      [x2 + nx, y2 + ny],
+      [x2 - nx, y2 - ny],
+      [x1 - nx, y1 - ny]
+    ], color, opacity);
+  }
+
+  strokePath(points, color, width = 1, closed = false) {
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i++) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[(i + 1) % points.length];
+      this.strokeLine(x1, y1, x2, y2, color, width);
+    }
+    // Fill the joints so thick polylines do not show notches
+    if (width > 1.5) {
+      points.forEach(([x, y]) => this.fillCircle(x, y, width / 2, color));
+    }
+  }
+
+  fillCircle(cx, cy, r, color, opacity = 1) {
+    const points = [];
+    for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+      const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+      points.push([cx + Math.cos(angle) * r, cy + Math.sin(angle) * r]);
+    }
+    this.fillPolygon(points, color, opacity);
+  }
+
+  // Bitmap text. (x, y) is the anchor point on the baseline; rotate is in
+  // degrees and, like SVG, turns the text around the anchor
+  drawText({ x, y, text, size = 12, fill = '#000000', anchor = 'start', rotate = 0 }) {
+    const scale = size / 10;
+    const chars = [...String(text)];
+    const textWidth = (chars.length * GLYPH_ADVANCE - (GLYPH_ADVANCE - GLYPH_WIDTH)) * scale;
+    const offsetX = anchor === 'middle' ? -textWidth / 2 : anchor === 'end' ? -textWidth : 0;
+    const angle = (rotate * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const transform = (dx, dy) => [x + dx * cos - dy * sin, y + dx * sin + dy * cos];
+
+    chars.forEach((char, index) => {
+      const rows = glyphRows(char);
+      const left = offsetX + index * GLYPH_ADVANCE * scale;
+      rows.forEach((bits, row) => {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (!(bits & (1 << (GLYPH_WIDTH - 1 - col)))) continue;
+          const px = left + col * scale;
+          const py = (row - GLYPH_HEIGHT) * scale;
+          this.fillPolygon([
+            transform(px, py),
+            transform(px + scale, py),
+            transform(px + scale, py + scale),
+            transform(px, py + scale)
+          ], fill);
+        }
+      });
+    });
+  }
+}
+
+const drawElement = (canvas, element) => {
+  switch (element.type) {
+    case 'rect': {
+      const { x, y, width, height } = element;
+      const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+      if (element.fill) canvas.fillPolygon(corners, element.fill, element.opacity);
+      if (element.stroke) canvas.strokePath(corners, element.stroke, element.strokeWidth || 1, true);
+      break;
+    }
+    case 'line':
+      canvas.strokeLine(element.x1, element.y1, element.x2, element.y2, element.stroke, element.strokeWidth || 1, element.opacity);
+      break;
+    case 'polyline':
+      canvas.strokePath(element.points, element.stroke, element.strokeWidth || 1);
+      break;
+    case 'polygon':
+      if (element.fill) canvas.fillPolygon(element.points, element.fill, element.opacity);
+      if (element.stroke) canvas.strokePath(element.points, element.stroke, element.strokeWidth || 1, true);
+      break;
+    case 'circle':
+      canvas.fillCircle(element.cx, element.cy, element.r, element.fill, element.opacity);
+      break;
+    case 'text':
+      canvas.drawText(element);
+      break;
+    default:
+      break;
+  }
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const encodePng = (canvas) => {
+  const { width, height, pixels } = canvas;
+  const stride = width * 3 + 1;
+  const raw = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * stride] = 0; // no filter
+    for (let x = 0; x < width * 3; x++) {
+      raw[y * stride + 1 + x] = Math.round(Math.min(255, Math.max(0, pixels[y * width * 3 + x])));
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+export const rasterizeToPng = (scene, width, height) => {
+  const canvas = new Canvas(width, height);
+  scene.forEach(element => drawElement(canvas, element));
+  return encodePng(canvas);
+};
@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+import SheetProfile from '../models/SheetProfile.js';
+import { loadSheetRows } from './sheetStorage.js';
+import { applyComputedColumns } from './computedColumns.js';
+import { isBlank, toNumber, toDate, toKey } from './values.js';
+
+// Column profiles of a sheet: completeness, distinct and most frequent
+// values for every column, plus distribution statistics by column type
+// (numbers: quartiles, percentiles, spread and a histogram; dates: range
+// and a histogram; text: lengths) and a correlation matrix between the
+// numeric columns. Profiles are stored per sheet in SheetProfile and
+// rebuilt when the sheet's rows, columns or types change.
+
+export const PROFILE_VERSION = 1;
+export const TOP_VALUES = 10;
+export const HISTOGRAM_BINS = 20;
+export const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+export const MAX_CORRELATION_COLUMNS = 20;
+
+const NUMERIC_TYPES = ['integer', 'decimal', 'currency', 'percentage'];
+const DATE_TYPES = ['date', 'datetime'];
+// High-cardinality columns stop tracking new values here; distinct counts
+// are then a lower bound
+const MAX_TRACKED_DISTINCT = 100000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Linear interpolation between closest ranks, as Excel's PERCENTILE.INC.
+// `sorted` must be sorted ascending and non-empty.
+export const percentile = (sorted, p) => {
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Equal-width bins between the smallest and largest value. `sorted` must
+// be sorted ascending and non-empty.
+const histogram = (sorted, format = (value) => value) => {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) {
+    return [{ from: format(min), to: format(max), count: sorted.length }];
+  }
+
+  const width = (max - min) / HISTOGRAM_BINS;
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  sorted.forEach(value => {
+    counts[Math.min(Math.floor((value - min) / width), HISTOGRAM_BINS - 1)] += 1;
+  });
+  return counts.map((count, index) => ({
+    from: format(min + index * width),
+    to: format(index === HISTOGRAM_BINS - 1 ? max : min + (index + 1) * width),
+    count
+  }));
+};
+
+// Bin edges without floating-point noise such as 2.3499999999999996
+const roundEdge = (value) => Number(value.toPrecision(12));
+
+const numericStats = (numbers) => {
+  const sorted = Float64Array.from(numbers).sort();
+  const count = sorted.length;
+  let sum = 0;
+  sorted.forEach(value => { sum += value; });
+  const mean = sum / count;
+
+  let squares = 0;
+  let zeros = 0;
+  let negatives = 0;
+  sorted.forEach(value => {
+    squares += (value - mean) ** 2;
+    if (value === 0) zeros += 1;
+    if (value < 0) negatives += 1;
+  });
+  // Sample variance, as Excel's VAR.S / STDEV.S
+  const variance = count > 1 ? squares / (count - 1) : 0;
+  const q1 = percentile(sorted, 25);
+  const q3 = percentile(sorted, 75);
+
+  return {
+    count,
+    min: sorted[0],
+    max: sorted[count - 1],
+    sum,
+    mean,
+    median: percentile(sorted, 50),
+    variance,
+    stdDev: Math.sqrt(variance),
+    quartiles: { q1, q2: percentile(sorted, 50), q3 },
+    iqr: q3 - q1,
+    percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)])),
+    zeros,
+    negatives,
+    histogram: histogram(sorted, roundEdge)
+  };
+};
+
+const dateStats = (timestamps) => {
+  const sorted = Float64Array.from(timestamps).sort();
+  const toIso = (value) => new Date(value).toISOString();
+  return {
+    count: sorted.length,
+    min: toIso(sorted[0]),
+    max: toIso(sorted[sorted.length - 1]),
+    spanDays: (sorted[sorted.length - 1] - sorted[0]) / MS_PER_DAY,
+    median: toIso(percentile(sorted, 50)),
+    histogram: histogram(sorted, toIso)
+  };
+};
+
+// Profile one column. `type` is its effective column type. nullCount
+// counts empty cells and blankCount cells holding only whitespace.
+const profileColumn = (rows, name, type) => {
+  let nullCount = 0;
+  let blankCount = 0;
+  let lengthCount = 0;
+  let lengthSum = 0;
+  let minLength = Infinity;
+  let maxLength = 0;
+  let trueCount = 0;
+  let falseCount = 0;
+  let distinctCapped = false;
+  const frequencies = new Map();
+  const numbers = [];
+  const timestamps = [];
+  let unparsed = 0;
+
+  const numeric = NUMERIC_TYPES.includes(type);
+  const isDate = DATE_TYPES.includes(type);
+
+  rows.forEach(row => {
+    const value = row[name];
+    if (value === undefined || value === null) {
+      nullCount += 1;
+      return;
+    }
+    if (isBlank(value)) {
+      blankCount += 1;
+      return;
+    }
+
+    const key = toKey(value);
+    const entry = frequencies.get(key);
+    if (entry) {
+      entry.count += 1;
+    } else if (frequencies.size < MAX_TRACKED_DISTINCT) {
+      frequencies.set(key, { value, count: 1 });
+    } else {
+      distinctCapped = true;
+    }
+
+    if (typeof value === 'string') {
+      const length = value.length;
+      lengthCount += 1;
+      lengthSum += length;
+      if (length < minLength) minLength = length;
+      if (length > maxLength) maxLength = length;
+    }
+    if (typeof value === 'boolean') {
+      if (value) trueCount += 1;
+      else falseCount += 1;
+    }
+
+    if (numeric) {
+      const number = toNumber(value);
+      if (number === null) unparsed += 1;
+      else numbers.push(number);
+    } else if (isDate) {
+      const date = toDate(value);
+      if (date === null) unparsed += 1;
+      else timestamps.push(date.getTime());
+    }
+  });
+
+  const count = rows.length - nullCount - blankCount;
+  const topValues = [...frequencies.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_VALUES)
+    .map(({ value, count: valueCount }) => ({
+      value: value instanceof Date ? value.toISOString() : value,
+      count: valueCount,
+      share: count > 0 ? valueCount / count : 0
+    }));
+
+  const profile = {
+    name,
+    type,
+    count,
+    nullCount,
+    blankCount,
+    missingRatio: rows.length > 0 ? (nullCount + blankCount) / rows.length : 0,
+    distinct: frequencies.size,
+    distinctCapped,
+    unique: !distinctCapped && count > 0 && frequencies.size === count,
+    topValues
+  };
+  if (lengthCount > 0) {
+    profile.length = { min: minLength, max: maxLength, mean: lengthSum / lengthCount };
+  }
+  if (trueCount + falseCount > 0) {
+    profile.booleans = { true: trueCount, false: falseCount };
+  }
+  if (numeric || isDate) {
+    // Values that did not parse as the column's type
+    profile.unparsed = unparsed;
+  }
+  if (numbers.length > 0) {
+    profile.numeric = numericStats(numbers);
+  }
+  if (timestamps.length > 0) {
+    profile.dates = dateStats(timestamps);
+  }
+  return profile;
+};
+
+// Pearson correlation between each pair of numeric columns over the rows
+// where both have a number; null for pairs with fewer than three such rows
+// or a constant column
+const correlationMatrix = (rows, columns) => {
+  const size = columns.length;
+  const pairs = [];
+  for (let i = 0; i < size; i++) {
+    for (let j = i + 1; j < size; j++) {
+      pairs.push({ i, j, n: 0, sx: 0, sy: 0, sxx: 0, syy: 0, sxy: 0 });
+    }
+  }
+
+  const values = new Array(size);
+  rows.forEach(row => {
+    for (let i = 0; i < size; i++) values[i] = toNumber(row[columns[i]]);
+    pairs.forEach(pair => {
+      const x = values[pair.i];
+      const y = values[pair.j];
+      if (x === null || y === null) return;
+      pair.n += 1;
+      pair.sx += x;
+      pair.sy += y;
+      pair.sxx += x * x;
+      pair.syy += y * y;
+      pair.sxy += x * y;
+    });
+  });
+
+  const matrix = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (__, j) => (i === j ? 1 : null)));
+  pairs.forEach(({ i, j, n, sx, sy, sxx, syy, sxy }) => {
+    if (n < 3) return;
+    const covariance = n * sxy - sx * sy;
+    const spread = Math.sqrt(n * sxx - sx * sx) * Math.sqrt(n * syy - sy * sy);
+    if (!(spread > 0)) return;
+    const r = Math.max(-1, Math.min(1, covariance / spread));
+    matrix[i][j] = r;
+    matrix[j][i] = r;
+  });
+  return matrix;
+};
+
+// Profile a sheet from its rows (computed columns included). Columns come
+// back as a list in header order, since header names may not be valid
+// MongoDB keys.
+export const profileSheet = (sheet, rows) => {
+  const types = sheet.columnTypes || {};
+  const columns = sheet.headers.map(header => profileColumn(rows, header, types[header] || 'empty'));
+
+  const numericColumns = columns
+    .filter(column => column.numeric && column.numeric.count > 1)
+    .map(column => column.name);
+  const correlated = numericColumns.slice(0, MAX_CORRELATION_COLUMNS);
+
+  return {
+    rowCount: rows.length,
+    columnCount: sheet.headers.length,
+    columns,
+    correlations: {
+      columns: correlated,
+      matrix: correlationMatrix(rows, correlated),
+      // Only the first numeric columns are correlated on wide sheets
+      truncated: numericColumns.length > correlated.length
+    }
+  };
+};
+
+// What a stored profile was built from; rows replaced through saveSheetRows
+// drop the profile outright
+const sheetFingerprint = (sheet) => crypto.createHash('sha1').update(JSON.stringify({
+  version: PROFILE_VERSION,
+  headers: sheet.headers,
+  columnTypes: sheet.columnTypes,
+  computedColumns: (sheet.computedColumns || []).map(({ name, expression }) => ({ name, expression })),
+  rowCount: sheet.rowCount
+})).digest('base64url');
+
+// Profile a sheet and store the result. `rows` are the stored rows (without
+// computed columns); they are read from storage when omitted.
+export const saveSheetProfile = async (file, sheet, rows) => {
+  const profileRows = rows
+    ? applyComputedColumns(sheet, rows)
+    : await loadSheetRows(file, sheet);
+  const profile = profileSheet(sheet, profileRows);
+
+  return SheetProfile.findOneAndUpdate(
+    { file: file._id, sheet: sheet._id },
+    {
+      ...profile,
+      sheetName: sheet.sheetName,
+      fingerprint: sheetFingerprint(sheet),
+      version: PROFILE_VERSION,
+      profiledAt: new Date()
+    },
+    { upsert: true, new: true, lean: true }
+  );
+};
+
+// The stored profile of a sheet, rebuilt first when missing, out of date or
+// when `refresh` is set. Returns { profile, cached }.
+export const getSheetProfile = async (file, sheet, { refresh = false } = {}) => {
+  if (!refresh) {
+    const stored = await SheetProfile.findOne({ file: file._id, sheet: sheet._id }).lean();
+    if (stored && stored.fingerprint === sheetFingerprint(sheet)) {
+      return { profile: stored, cached: true };
+    }
+  }
+  return { profile: await saveSheetProfile(file, sheet), cached: false };
+};
+
+// Profile every sheet of a freshly stored file from the processed rows
+// (keyed by sheet name). A failure is logged rather than failing the
+// upload; the profile is then built on first request.
+export const profileFileSheets = async (file, sheetRows) => {
+  for (const sheet of file.sheets) {
+    try {
+      await saveSheetProfile(file, sheet, sheetRows[sheet.sheetName] || []);
+    } catch (error) {
+      console.error(`Error profiling sheet "${sheet.sheetName}":`, error);
+    }
+  }
+};
+
+export const deleteFileProfiles = (fileId) => SheetProfile.deleteMany({ file: fileId });
@@ -0,0 +1,105 @@
+// Fixed-window rate limiting with pluggable counter storage. A store is any
+// object with these async methods:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a window if none is open)
+//   get(key)                 -> { count, resetAt } or null
+//   reset(key)
+// The in-memory store works for a single process; deployments running several
+// instances register a shared store (e.g. Redis or MongoDB) with setRateLimitStore().
+
+export class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.windows = new Map();
+    // Drop expired windows now and then so idle keys do not pile up
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref?.();
+  }
+
+  current(key) {
+    const entry = this.windows.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      this.windows.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async increment(key, windowMs) {
+    const entry = this.current(key) || { count: 0, resetAt: Date.now() + windowMs };
+    entry.count += 1;
+    this.windows.set(key, entry);
+    return { ...entry };
+  }
+
+  async get(key) {
+    const entry = this.current(key);
+    return entry ? { ...entry } : null;
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+let store = null;
+
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = new MemoryStore();
+  }
+  return store;
+};
+
+export const setRateLimitStore = (next) => {
+  if (!next || ['increment', 'get', 'reset'].some(method => typeof next[method] !== 'function')) {
+    throw new TypeError('Rate limit store must implement increment, get and reset');
+  }
+  store = next;
+};
+
+const setRetryAfter = (res, resetAt) => {
+  res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+};
+
+// Express middleware allowing `max` requests per `windowMs` for each key
+// (the client IP unless keyGenerator says otherwise)
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later.'
+}) => async (req, res, next) => {
+  try {
+    const { count, resetAt } = await getRateLimitStore().increment(`${name}:${keyGenerator(req)}`, windowMs);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+
+    if (count > max) {
+      setRetryAfter(res, resetAt);
+      return res.status(429).json({ message });
+    }
+    next();
+  } catch (error) {
+    // A broken limiter store should not take the API down with it
+    console.error(`Rate limiter "${name}" error:`, error);
+    next();
+  }
+};
+
+// Delay that grows with the number of recent failures: nothing for the first
+// few, then doubling up to a cap
+export const progressiveDelayMs = (failures, { freeAttempts = 3, baseMs = 500, maxMs = 8000 } = {}) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(maxMs, baseMs * 2 ** (failures - freeAttempts));
+};
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import Recipe from '../models/Recipe.js';
+import { buildSheet } from './excelProcessor.js';
+import { resolveColumnTypes } from './typeInference.js';
+import { normalizeSteps, applySteps, headersMatch } from './transforms.js';
+
+// Run a pipeline over a sheet's rows and build the resulting sheet, with
+// column types inferred afresh. Type overrides are kept for columns that
+// survive under the same name. Returns a processed sheet with `data`.
+export const transformSheet = (sheet, rows, steps, { sheetName = sheet.sheetName, recipe = null } = {}) => {
+  const result = applySteps(rows, sheet.headers, steps);
+  const built = buildSheet(sheetName, result.rows, result.headers);
+
+  const overrides = Object.fromEntries(Object.entries(sheet.columnTypeOverrides || {})
+    .filter(([column]) => result.headers.includes(column)));
+  built.columnTypeOverrides = overrides;
+  built.columnTypes = resolveColumnTypes(built.headers, built.inferredColumnTypes, overrides);
+
+  // Computed values were read like any other column, so they are stored now
+  built.computedColumns = [];
+  built.transform = {
+    source: sheet.sheetName,
+    recipe: recipe?._id || null,
+    recipeName: recipe?.name || null,
+    steps,
+    appliedAt: new Date()
+  };
+  return { sheet: built, stepStats: result.stepStats };
+};
+
+// Steps for a transform request: inline `steps`, or those of one of the
+// user's recipes (`recipeId`), validated against the sheet's headers.
+// Returns { steps, headers, recipe } or { status, message }.
+export const resolvePipeline = async (userId, { steps, recipeId }, headers) => {
+  let recipe = null;
+  if (recipeId !== undefined && recipeId !== null) {
+    recipe = mongoose.isValidObjectId(recipeId) && await Recipe.findOne({ _id: recipeId, user: userId });
+    if (!recipe) {
+      return { status: 404, message: 'Recipe not found' };
+    }
+  } else if (steps === undefined) {
+    return { status: 400, message: 'Either steps or recipeId is required' };
+  }
+
+  const normalized = normalizeSteps(recipe ? recipe.steps : steps, headers);
+  if (normalized.error) {
+    return { status: 400, message: normalized.error };
+  }
+  return { ...normalized, recipe };
+};
+
+// "Sales (cleaned)", then "Sales (cleaned 2)" and so on
+export const derivedSheetName = (baseName, existingNames) => {
+  let name = `${baseName} (cleaned)`;
+  for (let n = 2; existingNames.includes(name); n++) {
+    name = `${baseName} (cleaned ${n})`;
+  }
+  return name;
+};
+
+// Apply the user's auto-apply recipes to freshly processed sheets (each with
+// `data`). The most recently updated recipe whose source headers match a
+// sheet wins. Returns { sheets, applied } where `applied` describes each run.
+export const applyAutoRecipes = async (userId, sheets) => {
+  const recipes = await Recipe.find({ user: userId, autoApply: true }).sort({ updatedAt: -1 });
+  if (recipes.length === 0) {
+    return { sheets, applied: [] };
+  }
+
+  const result = [];
+  const applied = [];
+  const names = sheets.map(sheet => sheet.sheetName);
+  for (const sheet of sheets) {
+    result.push(sheet);
+    const recipe = recipes.find(entry => headersMatch(entry.sourceHeaders, sheet.headers));
+    if (!recipe) continue;
+
+    const { steps, error } = normalizeSteps(recipe.steps, sheet.headers);
+    if (error) {
+      applied.push({ sheetName: sheet.sheetName, recipe: recipe._id, name: recipe.name, error });
+      continue;
+    }
+
+    const targetName = recipe.applyMode === 'inPlace' ? sheet.sheetName : derivedSheetName(sheet.sheetName, names);
+    const { sheet: transformed } = transformSheet(sheet, sheet.data, steps, { sheetName: targetName, recipe });
+    if (recipe.applyMode === 'inPlace') {
+      result[result.length - 1] = transformed;
+    } else {
+      result.push(transformed);
+      names.push(targetName);
+    }
+    applied.push({
+      sheetName: sheet.sheetName,
+      recipe: recipe._id,
+      name: recipe.name,
+      mode: recipe.applyMode,
+      resultSheet: targetName
+    });
+  }
+
+  return { sheets: result, applied };
+};
@@ -0,0 +1,185 @@
+import xlsx from 'xlsx';
+import { isHiddenRow, isHiddenColumn } from './sheetLayout.js';
+
+// "Rich" workbook import: reads cells directly instead of through
+// sheet_to_json so it can
+//   - expand merged ranges (every cell of a merge takes the top-left value),
+//   - flatten multi-row headers into names like "Q1 / Revenue",
+//   - skip title rows merged across the whole sheet above the headers,
+//   - and keep each cell's formula, number format and displayed text.
+// Per-cell details come back aligned with the rows as `cells`: one entry per
+// row, null or { [column]: { formula?, format?, text?, mergedFrom? } }.
+
+export const IMPORT_MODES = ['values', 'rich'];
+export const MAX_HEADER_ROWS = 10;
+
+const HEADER_SEPARATOR = ' / ';
+
+// Map every cell covered by a merge (other than its top-left cell) to the
+// address of that top-left cell. Merges are clipped to the used range.
+const indexMerges = (merges, range) => {
+  const covered = new Map();
+  merges.forEach(merge => {
+    const origin = xlsx.utils.encode_cell(merge.s);
+    for (let r = Math.max(merge.s.r, range.s.r); r <= Math.min(merge.e.r, range.e.r); r++) {
+      for (let c = Math.max(merge.s.c, range.s.c); c <= Math.min(merge.e.c, range.e.c); c++) {
+        if (r !== merge.s.r || c !== merge.s.c) covered.set(xlsx.utils.encode_cell({ r, c }), origin);
+      }
+    }
+  });
+  return covered;
+};
+
+const spansWidth = (merge, range) => merge.s.c <= range.s.c && merge.e.c >= range.e.c;
+
+// Title rows are rows at the top whose only content is a merge across the
+// full width. Returns how many there are.
+const countTitleRows = (merges, range) => {
+  let rows = 0;
+  while (range.s.r + rows < range.e.r
+    && merges.some(merge => merge.s.r === range.s.r + rows && merge.e.r === merge.s.r && spansWidth(merge, range))) {
+    rows += 1;
+  }
+  return rows;
+};
+
+// A header row with a merge across some (not all) of its columns groups the
+// columns below it, so the row after it belongs to the header too
+const detectHeaderRows = (merges, range, headerStart) => {
+  let rows = 1;
+  while (rows < MAX_HEADER_ROWS && headerStart + rows <= range.e.r
+    && merges.some(merge => merge.s.r === headerStart + rows - 1
+      && merge.e.c > merge.s.c
+      && !spansWidth(merge, range))) {
+    rows += 1;
+  }
+  return rows;
+};
+
+const cellText = (cell) => {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+  return String(cell.w ?? cell.v).trim();
+};
+
+// Raw cell value as sheet_to_json would give it (errors as their text)
+const cellValue = (cell) => (cell.t === 'e' ? (cell.w ?? null) : cell.v);
+
+const mostCommon = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+// Read one worksheet in rich mode. `range` is the part of the sheet to read
+// (default: all of it); title rows are only looked for with detectTitles.
+// `headerRows` overrides the detected number of header rows and skipHidden
+// leaves out hidden data rows and columns.
+// Returns { headers, rows, cells, formattedRows, details }.
+export const readRichSheet = (worksheet, {
+  range: requestedRange,
+  headerRows: requestedHeaderRows,
+  detectTitles = true,
+  skipHidden = false,
+  formatHintRows = Infinity
+} = {}) => {
+  if (!worksheet['!ref'] || requestedRange === null) {
+    return { headers: [], rows: [], cells: [], formattedRows: [], details: { mode: 'rich', headerRows: 0 } };
+  }
+
+  const range = requestedRange || xlsx.utils.decode_range(worksheet['!ref']);
+  const merges = worksheet['!merges'] || [];
+  const covered = indexMerges(merges, range);
+
+  // Returns [cell, mergedFrom] with merged cells resolved to their origin
+  const cellAt = (r, c) => {
+    const address = xlsx.utils.encode_cell({ r, c });
+    const origin = covered.get(address);
+    return origin ? [worksheet[origin], origin] : [worksheet[address], null];
+  };
+
+  const titleRows = detectTitles ? countTitleRows(merges, range) : 0;
+  const headerStart = range.s.r + titleRows;
+  const headerRows = Math.min(requestedHeaderRows || detectHeaderRows(merges, range, headerStart), range.e.r - headerStart + 1);
+
+  // Combine the header cells above each column, dropping repeats that come
+  // from vertical merges; blank headers are named after the column letter
+  const columns = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    if (!skipHidden || !isHiddenColumn(worksheet, c)) columns.push(c);
+  }
+
+  const headers = [];
+  const seen = new Map();
+  columns.forEach(c => {
+    const parts = [];
+    for (let r = headerStart; r < headerStart + headerRows; r++) {
+      const text = cellText(cellAt(r, c)[0]);
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    const base = parts.join(HEADER_SEPARATOR) || `Column ${xlsx.utils.encode_col(c)}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    headers.push(count === 1 ? base : `${base} (${count})`);
+  });
+
+  const rows = [];
+  const cells = [];
+  const formattedRows = [];
+  const formatCounts = {};
+  let formulaCount = 0;
+
+  for (let r = headerStart + headerRows; r <= range.e.r; r++) {
+    if (skipHidden && isHiddenRow(worksheet, r)) continue;
+
+    const row = {};
+    const rowCells = {};
+    const formatted = {};
+    let hasValue = false;
+    let hasDetails = false;
+
+    headers.forEach((header, index) => {
+      const [cell, mergedFrom] = cellAt(r, columns[index]);
+      if (!cell || cell.v === undefined) return;
+
+      row[header] = cellValue(cell);
+      formatted[header] = cell.w ?? cell.v;
+      hasValue = true;
+
+      const detail = {};
+      if (cell.f) {
+        detail.formula = `=${cell.f}`;
+        formulaCount += 1;
+      }
+      if (cell.z && cell.z !== 'General') {
+        detail.format = cell.z;
+        formatCounts[header] = formatCounts[header] || {};
+        formatCounts[header][cell.z] = (formatCounts[header][cell.z] || 0) + 1;
+      }
+      if (cell.w !== undefined && (detail.formula || detail.format)) detail.text = cell.w;
+      if (mergedFrom) detail.mergedFrom = mergedFrom;
+      if (Object.keys(detail).length > 0) {
+        rowCells[header] = detail;
+        hasDetails = true;
+      }
+    });
+
+    // Blank rows are skipped, as in the default import
+    if (!hasValue) continue;
+    rows.push(row);
+    cells.push(hasDetails ? rowCells : null);
+    if (formattedRows.length < formatHintRows) formattedRows.push(formatted);
+  }
+
+  return {
+    headers,
+    rows,
+    cells,
+    formattedRows,
+    details: {
+      mode: 'rich',
+      titleRows,
+      headerRows,
+      // 1-based sheet row of the first header row
+      headerRow: headerStart + 1,
+      merges: merges.map(merge => xlsx.utils.encode_range(merge)),
+      columnFormats: Object.fromEntries(Object.entries(formatCounts).map(([header, counts]) => [header, mostCommon(counts)])),
+      formulaCount
+    }
+  };
+};
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import { isBlank, toNumber, toDate, compareValues } from './values.js';
+
+export const FILTER_OPERATORS = ['equals', 'notEquals', 'contains', 'range', 'in', 'isEmpty', 'isNotEmpty'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const parseJsonParam = (value, name) => {
+  if (typeof value !== 'string') return { value };
+  try {
+    return { value: JSON.parse(value) };
+  } catch (error) {
+    return { error: `${name} must be valid JSON` };
+  }
+};
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim();
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const valuesEqual = (cell, target, caseSensitive) => {
+  if (isBlank(cell)) return isBlank(target);
+  const cellNumber = toNumber(cell);
+  const targetNumber = toNumber(target);
+  if (cellNumber !== null && targetNumber !== null) return cellNumber === targetNumber;
+  return normalizeText(cell, caseSensitive) === normalizeText(target, caseSensitive);
+};
+
+// Compare against range bounds numerically when both sides are numbers and
+// by date when both sides parse as dates (strings only, so plain numbers
+// are never mistaken for Excel serial dates)
+const inRange = (cell, { min, max }) => {
+  if (isBlank(cell)) return false;
+
+  const bounds = [min, max].filter(bound => !isBlank(bound));
+  const numeric = toNumber(cell) !== null && bounds.every(bound => toNumber(bound) !== null);
+  const toComparable = numeric
+    ? toNumber
+    : (value) => toDate(value, { allowSerial: typeof cell === 'number' })?.getTime() ?? null;
+
+  const value = toComparable(cell);
+  if (value === null) return false;
+  if (!isBlank(min)) {
+    const lower = toComparable(min);
+    if (lower === null || value < lower) return false;
+  }
+  if (!isBlank(max)) {
+    const upper = toComparable(max);
+    if (upper === null || value > upper) return false;
+  }
+  return true;
+};
+
+const matchesFilter = (row, filter) => {
+  const cell = row[filter.column];
+  switch (filter.op) {
+    case 'equals':
+      return valuesEqual(cell, filter.value, filter.caseSensitive);
+    case 'notEquals':
+      return !valuesEqual(cell, filter.value, filter.caseSensitive);
+    case 'contains':
+      return !isBlank(cell) &&
+        normalizeText(cell, filter.caseSensitive).includes(normalizeText(filter.value, filter.caseSensitive));
+    case 'range':
+      return inRange(cell, filter);
+    case 'in':
+      return filter.values.some(value => valuesEqual(cell, value, filter.caseSensitive));
+    case 'isEmpty':
+      return isBlank(cell);
+    case 'isNotEmpty':
+      return !isBlank(cell);
+    default:
+      return true;
+  }
+};
+
+const normalizeFilters = (input, headers) => {
+  const { value, error } = parseJsonParam(input, 'filters');
+  if (error) return { error };
+  if (value === undefined || value === null || value === '') return { filters: [] };
+  if (!Array.isArray(value)) return { error: 'filters must be an array' };
+
+  const filters = [];
+  for (const filter of value) {
+    if (!filter || typeof filter !== 'object') return { error: 'Each filter must be an object' };
+    const { column, op, caseSensitive = false } = filter;
+    if (!headers.includes(column)) return { error: `Unknown column "${column}"` };
+    if (!FILTER_OPERATORS.includes(op)) {
+      return { error: `Unknown filter operator "${op}". Use one of: ${FILTER_OPERATORS.join(', ')}` };
+    }
+    if (['equals', 'notEquals', 'contains'].includes(op) && filter.value === undefined) {
+      return { error: `Filter "${op}" on "${column}" needs a value` };
+    }
+    if (op === 'range' && isBlank(filter.min) && isBlank(filter.max)) {
+      return { error: `Filter "range" on "${column}" needs min and/or max` };
+    }
+    if (op === 'in' && !Array.isArray(filter.values)) {
+      return { error: `Filter "in" on "${column}" needs a values array` };
+    }
+    filters.push({ column, op, caseSensitive: Boolean(caseSensitive), value: filter.value, min: filter.min, max: filter.max, values: filter.values });
+  }
+  return { filters };
+};
+
+// Sort may be a JSON array of { column, direction } or a single header
+// name combined with the order parameter
+const normalizeSort = (input, order, headers) => {
+  if (input === undefined || input === '') return { sort: [] };
+
+  let entries;
+  if (typeof input === 'string' && !input.trim().startsWith('[')) {
+    entries = [{ column: input, direction: order || 'asc' }];
+  } else {
+    const { value, error } = parseJsonParam(input, 'sort');
+    if (error) return { error };
+    if (!Array.isArray(value)) return { error: 'sort must be an array' };
+    entries = value;
+  }
+
+  const sort = [];
+  for (const entry of entries) {
+    const column = entry?.column;
+    const direction = entry?.direction || 'asc';
+    if (!headers.includes(column)) return { error: `Unknown sort column "${column}"` };
+    if (!['asc', 'desc'].includes(direction)) return { error: 'Sort direction must be "asc" or "desc"' };
+    sort.push({ column, direction });
+  }
+  return { sort };
+};
+
+// Cursors carry the next offset plus a fingerprint of the sort and filters
+// they were issued for, so a cursor cannot silently be reused on another query
+const fingerprint = (sort, filters) =>
+  crypto.createHash('sha1').update(JSON.stringify({ sort, filters })).digest('base64url').slice(0, 12);
+
+const encodeCursor = (offset, sort, filters) =>
+  Buffer.from(JSON.stringify({ o: offset, f: fingerprint(sort, filters) })).toString('base64url');
+
+const decodeCursor = (cursor, sort, filters) => {
+  try {
+    const { o, f } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(o) || o < 0) return { error: 'Invalid cursor' };
+    if (f !== fingerprint(sort, filters)) return { error: 'Cursor does not match the current sort and filters' };
+    return { offset: o };
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+};
+
+// Validate just the filters and sort of a request, for callers that do
+// their own paging (or none, like exports)
+export const parseFilterAndSort = (query, headers) => {
+  const { filters, error: filterError } = normalizeFilters(query.filters, headers);
+  if (filterError) return { error: filterError };
+
+  const { sort, error: sortError } = normalizeSort(query.sort, query.order, headers);
+  if (sortError) return { error: sortError };
+
+  return { options: { filters, sort } };
+};
+
+// Turn request query parameters into validated row-query options.
+// Returns { options } on success or { error } describing the first problem.
+export const parseRowQuery = (query, headers) => {
+  const { options: filterAndSort, error } = parseFilterAndSort(query, headers);
+  if (error) return { error };
+  const { filters, sort } = filterAndSort;
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  let offset = 0;
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor, sort, filters);
+    if (decoded.error) return { error: decoded.error };
+    offset = decoded.offset;
+  } else if (query.offset !== undefined) {
+    offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+  }
+
+  return { options: { filters, sort, limit, offset } };
+};
+
+export const rowMatchesFilters = (row, filters) => filters.every(filter => matchesFilter(row, filter));
+
+// Apply filters and sorting to every row; callers page the result
+export const filterAndSortRows = (rows, { filters = [], sort = [] }) => {
+  let result = filters.length > 0
+    ? rows.filter(row => rowMatchesFilters(row, filters))
+    : rows;
+
+  if (sort.length > 0) {
+    // Copy before sorting so the stored rows keep their original order
+    result = [...result].sort((a, b) => {
+      for (const { column, direction } of sort) {
+        const aBlank = isBlank(a[column]);
+        const bBlank = isBlank(b[column]);
+        // Blanks stay last whichever direction is requested
+        if (aBlank || bBlank) {
+          if (aBlank !== bBlank) return aBlank ? 1 : -1;
+          continue;
+        }
+        const diff = compareValues(a[column], b[column]);
+        if (diff !== 0) return direction === 'desc' ? -diff : diff;
+      }
+      return 0;
+    });
+  }
+
+  return result;
+};
+
+const buildPage = (rows, total, filteredTotal, { filters, sort, limit, offset }) => {
+  const nextOffset = offset + rows.length;
+  const hasMore = nextOffset < filteredTotal;
+
+  return {
+    rows,
+    total,
+    filteredTotal,
+    offset,
+    limit,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(nextOffset, sort, filters) : null
+  };
+};
+
+export const queryRows = (rows, options) => {
+  const { limit, offset } = options;
+  const matched = filterAndSortRows(rows, options);
+  return buildPage(matched.slice(offset, offset + limit), rows.length, matched.length, options);
+};
+
+// Whether a query pages through rows in stored order, so a page can be
+// read on its own without the rest of the sheet
+export const isPlainPaging = ({ filters, sort }) => filters.length === 0 && sort.length === 0;
+
+// The response for a page read on its own (see isPlainPaging) from a sheet
+// of `total` rows
+export const pageRows = (rows, total, options) => buildPage(rows, total, total, options);
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import RuleSet from '../models/RuleSet.js';
+import { applyComputedColumns } from './computedColumns.js';
+import { normalizeRules, buildQualityReport } from './validationRules.js';
+
+// Failures listed per sheet in upload responses; the full list comes from
+// the sheet's validate route
+export const UPLOAD_REPORT_FAILURES = 20;
+
+// Rules for a validation request: inline `rules`, or those of one of the
+// user's rule sets (`ruleSetId`), validated against the sheet's headers.
+// Returns { rules, ruleSet } or { status, message }.
+export const resolveRules = async (userId, { rules, ruleSetId }, headers) => {
+  let ruleSet = null;
+  if (ruleSetId !== undefined && ruleSetId !== null) {
+    ruleSet = mongoose.isValidObjectId(ruleSetId) && await RuleSet.findOne({ _id: ruleSetId, user: userId });
+    if (!ruleSet) {
+      return { status: 404, message: 'Rule set not found' };
+    }
+  } else if (rules === undefined) {
+    return { status: 400, message: 'Either rules or ruleSetId is required' };
+  }
+
+  const normalized = normalizeRules(ruleSet ? ruleSet.rules : rules, headers);
+  if (normalized.error) {
+    return { status: 400, message: normalized.error };
+  }
+  return { ...normalized, ruleSet };
+};
+
+// Rules attached to a sheet (its `quality` field): those of the rule set
+// they came from while it exists, else the copy taken when attaching.
+// Returns { rules, ruleSet } or { error } when they no longer fit the sheet.
+export const attachedRules = async (sheet) => {
+  const { quality } = sheet;
+  const ruleSet = quality.ruleSet ? await RuleSet.findById(quality.ruleSet) : null;
+  const { rules, error } = normalizeRules(ruleSet ? ruleSet.rules : quality.rules, sheet.headers);
+  return error ? { error } : { rules, ruleSet };
+};
+
+// The `quality` field stored on a sheet after a check
+export const qualityRecord = (rules, ruleSet, summary) => ({
+  ruleSet: ruleSet?._id || null,
+  ruleSetName: ruleSet?.name || null,
+  rules,
+  checkedAt: new Date(),
+  summary
+});
+
+const uploadReport = (sheet, rules, ruleSet) => {
+  const report = buildQualityReport(sheet, applyComputedColumns(sheet, sheet.data), rules, {
+    limit: UPLOAD_REPORT_FAILURES
+  });
+  return { report, quality: qualityRecord(rules, ruleSet, report.summary) };
+};
+
+// Check freshly processed sheets (each with `data`) against validation
+// rules. A sheet that had rules attached in `previousSheets` (the version
+// being replaced) keeps them, with an error reported when they no longer
+// fit its columns; other sheets get the most recently updated of the user's
+// auto-apply rule sets whose rules fit their columns. Returns
+// { sheets, reports } with `quality` set on each checked sheet.
+export const applyAutoRuleSets = async (userId, sheets, previousSheets = []) => {
+  const ruleSets = await RuleSet.find({ user: userId, autoApply: true }).sort({ updatedAt: -1 });
+
+  const reports = [];
+  const result = [];
+  for (const sheet of sheets) {
+    const previous = previousSheets.find(entry => entry.sheetName === sheet.sheetName);
+    let checked = null;
+
+    if (previous?.quality) {
+      const { quality } = previous;
+      const attached = await attachedRules({ headers: sheet.headers, quality });
+      if (attached.error) {
+        reports.push({ sheetName: sheet.sheetName, ruleSet: quality.ruleSet, name: quality.ruleSetName, error: attached.error });
+      } else {
+        // A deleted rule set is still named after it
+        checked = { rules: attached.rules, ruleSet: attached.ruleSet || { _id: quality.ruleSet, name: quality.ruleSetName } };
+      }
+    } else {
+      const ruleSet = ruleSets.find(entry => !normalizeRules(entry.rules, sheet.headers).error);
+      if (ruleSet) checked = { rules: normalizeRules(ruleSet.rules, sheet.headers).rules, ruleSet };
+    }
+    if (!checked) {
+      result.push(sheet);
+      continue;
+    }
+
+    const { report, quality } = uploadReport(sheet, checked.rules, checked.ruleSet);
+    result.push({ ...sheet, quality });
+    reports.push({
+      sheetName: sheet.sheetName,
+      ruleSet: quality.ruleSet,
+      name: quality.ruleSetName,
+      summary: report.summary,
+      failures: report.failures,
+      truncated: report.truncated,
+      outliers: report.outliers.map(({ outliers, ...column }) => column)
+    });
+  }
+
+  return { sheets: result, reports };
+};
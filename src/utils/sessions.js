@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { generateToken, hashToken } from './tokens.js';
+
+// Access tokens are short-lived JWTs; sessions are kept alive by rotating
+// refresh tokens that are stored (hashed) server-side and can be revoked
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const signAccessToken = (user) => jwt.sign(
+  { userId: user._id, tv: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const issueRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const { token, tokenHash } = generateToken();
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+  return { token, record };
+};
+
+// Start a new session for a freshly authenticated user
+export const createSession = async (user, req) => {
+  const { token } = await issueRefreshToken(user, req);
+  return {
+    token: signAccessToken(user),
+    refreshToken: token,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Presenting a token
+// that was already rotated means it leaked, so its whole family is revoked.
+// Returns { session, user } or { error } with a message for a 401 response.
+export const rotateSession = async (refreshToken, req) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!record || record.expiresAt <= new Date()) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  if (record.revokedAt) {
+    if (record.replacedBy) {
+      await revokeFamily(record.family);
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || user.status !== 'approved') {
+    await revokeFamily(record.family);
+    return { error: 'Account is no longer active' };
+  }
+
+  const { token, record: next } = await issueRefreshToken(user, req, record.family);
+  // Only one request may rotate a token; a concurrent loser gets a 401
+  const rotated = await RefreshToken.updateOne(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy: next._id } }
+  );
+  if (rotated.modifiedCount === 0) {
+    await next.deleteOne();
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  return {
+    user,
+    session: {
+      token: signAccessToken(user),
+      refreshToken: token,
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+};
+
+export const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+// End the session a refresh token belongs to. Returns false for unknown tokens.
+export const revokeSession = async (refreshToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!record) return false;
+  await revokeFamily(record.family);
+  return true;
+};
+
+export const revokeRefreshTokens = (userId) =>
+  RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+// Log a user out everywhere: revoke every refresh token and invalidate all
+// outstanding access tokens by bumping the user's token version
+export const revokeAllSessions = async (userId) => {
+  await Promise.all([
+    revokeRefreshTokens(userId),
+    User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+  ]);
+};
@@ -0,0 +1,174 @@
+import { isBlank, toKey } from './values.js';
+
+// Compare two versions of a workbook: which sheets were added or removed,
+// how each common sheet's headers changed, and which rows were added,
+// removed or changed. Rows are matched on a key column when one is given,
+// otherwise by their full contents (so changes show up as remove + add).
+
+export const DIFF_DEFAULT_LIMIT = 100;
+export const DIFF_MAX_LIMIT = 1000;
+
+const cellText = (value) => (isBlank(value) ? '' : toKey(value));
+
+const cellsEqual = (a, b) => cellText(a) === cellText(b);
+
+export const diffHeaders = (before, after) => {
+  const added = after.filter(header => !before.includes(header));
+  const removed = before.filter(header => !after.includes(header));
+  const common = before.filter(header => after.includes(header));
+  const commonAfter = after.filter(header => before.includes(header));
+  return {
+    added,
+    removed,
+    reordered: common.some((header, index) => commonAfter[index] !== header)
+  };
+};
+
+// Collects up to `limit` examples while counting all of them
+const collector = (limit) => ({
+  count: 0,
+  rows: [],
+  add(entry) {
+    this.count += 1;
+    if (this.rows.length < limit) this.rows.push(entry);
+  }
+});
+
+const summary = ({ count, rows }) => ({ count, rows });
+
+const diffRowsByKey = (beforeRows, afterRows, { key, columns, limit }) => {
+  const added = collector(limit);
+  const removed = collector(limit);
+  const changed = collector(limit);
+  let unchanged = 0;
+  const duplicateKeys = { before: 0, after: 0 };
+  const blankKeys = { before: 0, after: 0 };
+
+  // The first row wins when a key appears more than once
+  const index = (rows, side) => {
+    const byKey = new Map();
+    rows.forEach(row => {
+      if (isBlank(row[key])) {
+        blankKeys[side] += 1;
+        return;
+      }
+      const rowKey = cellText(row[key]);
+      if (byKey.has(rowKey)) {
+        duplicateKeys[side] += 1;
+        return;
+      }
+      byKey.set(rowKey, row);
+    });
+    return byKey;
+  };
+
+  const before = index(beforeRows, 'before');
+  const after = index(afterRows, 'after');
+
+  before.forEach((row, rowKey) => {
+    const next = after.get(rowKey);
+    if (!next) {
+      removed.add({ key: row[key], row });
+      return;
+    }
+    const changes = {};
+    columns.forEach(column => {
+      if (!cellsEqual(row[column], next[column])) {
+        changes[column] = { before: row[column] ?? null, after: next[column] ?? null };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      changed.add({ key: next[key], changes });
+    } else {
+      unchanged += 1;
+    }
+  });
+  after.forEach((row, rowKey) => {
+    if (!before.has(rowKey)) added.add({ key: row[key], row });
+  });
+
+  return {
+    added: summary(added),
+    removed: summary(removed),
+    changed: summary(changed),
+    unchanged,
+    duplicateKeys,
+    blankKeys
+  };
+};
+
+const diffRowsByContent = (beforeRows, afterRows, { columns, limit }) => {
+  const added = collector(limit);
+  const removed = collector(limit);
+  const signature = (row) => JSON.stringify(columns.map(column => cellText(row[column])));
+
+  // Multiset of row signatures from the old version, consumed by matches
+  const remaining = new Map();
+  beforeRows.forEach(row => {
+    const key = signature(row);
+    const entry = remaining.get(key);
+    if (entry) entry.push(row);
+    else remaining.set(key, [row]);
+  });
+
+  let unchanged = 0;
+  afterRows.forEach(row => {
+    const matches = remaining.get(signature(row));
+    if (matches && matches.length > 0) {
+      matches.pop();
+      unchanged += 1;
+    } else {
+      added.add({ row });
+    }
+  });
+  remaining.forEach(rows => rows.forEach(row => removed.add({ row })));
+
+  return { added: summary(added), removed: summary(removed), unchanged };
+};
+
+// Row differences between two versions of a sheet. Only columns present in
+// both versions are compared. Each category has a full count plus up to
+// `limit` example rows.
+export const diffRows = (beforeRows, afterRows, { key, columns, limit = DIFF_DEFAULT_LIMIT }) => {
+  const result = key
+    ? diffRowsByKey(beforeRows, afterRows, { key, columns, limit })
+    : diffRowsByContent(beforeRows, afterRows, { columns, limit });
+  return { matchedBy: key ? 'key' : 'content', ...result };
+};
+
+// Diff two file versions ({ sheets }) sheet by sheet. `loadRows(sheet)`
+// returns a sheet's rows; `sheetName` limits the row diff to one sheet.
+export const diffVersions = async (from, to, { key, sheetName, limit, loadRows }) => {
+  const fromNames = from.sheets.map(sheet => sheet.sheetName);
+  const toNames = to.sheets.map(sheet => sheet.sheetName);
+
+  const commonSheets = from.sheets.filter(sheet =>
+    toNames.includes(sheet.sheetName) && (!sheetName || sheet.sheetName === sheetName));
+
+  const sheetDiffs = [];
+  for (const beforeSheet of commonSheets) {
+    const afterSheet = to.sheets.find(sheet => sheet.sheetName === beforeSheet.sheetName);
+    const [beforeRows, afterRows] = await Promise.all([loadRows(beforeSheet), loadRows(afterSheet)]);
+    const columns = afterSheet.headers.filter(header => beforeSheet.headers.includes(header));
+
+    const sheetDiff = {
+      sheetName: beforeSheet.sheetName,
+      headers: diffHeaders(beforeSheet.headers, afterSheet.headers),
+      rowCount: { before: beforeRows.length, after: afterRows.length }
+    };
+    if (key && !columns.includes(key)) {
+      sheetDiff.rows = { error: `Key column "${key}" is not in both versions of this sheet` };
+    } else {
+      sheetDiff.rows = diffRows(beforeRows, afterRows, { key, columns, limit });
+    }
+    sheetDiffs.push(sheetDiff);
+  }
+
+  return {
+    sheets: {
+      added: toNames.filter(name => !fromNames.includes(name)),
+      removed: fromNames.filter(name => !toNames.includes(name))
+    },
+    sheetDiffs
+  };
+};
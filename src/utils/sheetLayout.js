@@ -0,0 +1,150 @@
+import xlsx from 'xlsx';
+import { isBlank, toNumber } from './values.js';
+
+// Where the table sits in a worksheet: which part of the sheet to read,
+// which row holds the headers, and which sheets, rows and columns are
+// hidden. Row and column details need the workbook read with cellStyles.
+
+const HEADER_SCAN_ROWS = 30;
+// Share of the widest row near the top a header row must fill
+const HEADER_MIN_WIDTH = 0.6;
+// Share of a header row's filled cells that must be text
+const HEADER_MIN_TEXT = 0.8;
+
+export const isHiddenSheet = (workbook, sheetName) =>
+  Boolean(workbook.Workbook?.Sheets?.find(sheet => sheet.name === sheetName)?.Hidden);
+
+export const isHiddenRow = (worksheet, r) => Boolean(worksheet['!rows']?.[r]?.hidden);
+
+export const isHiddenColumn = (worksheet, c) => Boolean(worksheet['!cols']?.[c]?.hidden);
+
+// Pick the header row among the first rows of a grid (arrays of cell
+// values): the first row that is nearly as wide as the widest row near the
+// top and is mostly text. Title blocks above a table are narrower and data
+// rows usually hold numbers. Returns a 0-based index into the grid.
+export const detectHeaderIndex = (grid) => {
+  const rows = grid.slice(0, HEADER_SCAN_ROWS).map(row => {
+    const filled = row.filter(value => !isBlank(value));
+    return {
+      filled: filled.length,
+      text: filled.filter(value => typeof value === 'string' && toNumber(value) === null).length
+    };
+  });
+
+  const widest = Math.max(0, ...rows.map(row => row.filled));
+  if (widest === 0) return 0;
+
+  const minWidth = Math.ceil(widest * HEADER_MIN_WIDTH);
+  const header = rows.findIndex(row => row.filled >= minWidth && row.text / row.filled >= HEADER_MIN_TEXT);
+  return header >= 0 ? header : rows.findIndex(row => row.filled > 0);
+};
+
+// Parse an A1 range ("B3:H200") or a start cell ("B3", read to the end of
+// the sheet) into an xlsx range clipped to the sheet's used range. Returns
+// null when nothing of the sheet is left.
+const clipRange = (used, a1) => {
+  const requested = a1.includes(':')
+    ? xlsx.utils.decode_range(a1)
+    : { s: xlsx.utils.decode_cell(a1), e: used.e };
+  const clipped = {
+    s: { r: Math.max(requested.s.r, used.s.r), c: Math.max(requested.s.c, used.s.c) },
+    e: { r: Math.min(requested.e.r, used.e.r), c: Math.min(requested.e.c, used.e.c) }
+  };
+  return clipped.s.r > clipped.e.r || clipped.s.c > clipped.e.c ? null : clipped;
+};
+
+// First rows of a range as arrays of values, with their sheet row numbers
+const scanRows = (worksheet, range, skipHidden) => {
+  const grid = [];
+  const rowNumbers = [];
+  for (let r = range.s.r; r <= range.e.r && grid.length < HEADER_SCAN_ROWS; r++) {
+    if (skipHidden && isHiddenRow(worksheet, r)) continue;
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      if (skipHidden && isHiddenColumn(worksheet, c)) continue;
+      row.push(worksheet[xlsx.utils.encode_cell({ r, c })]?.v ?? null);
+    }
+    grid.push(row);
+    rowNumbers.push(r);
+  }
+  return { grid, rowNumbers };
+};
+
+// Work out the part of a worksheet to import. `range` (A1 notation) limits
+// the used range; `headerRow` is the 1-based sheet row holding the headers,
+// 'auto' to detect it, or undefined for the first row of the range.
+// Returns { range, headerRow, detectedHeaderRow } with `range` starting at
+// the header row (null for an empty sheet or range), or { error }.
+export const resolveSheetLayout = (worksheet, { range, headerRow, skipHidden = false } = {}) => {
+  if (!worksheet['!ref']) {
+    return { range: null, headerRow: null, detectedHeaderRow: null };
+  }
+
+  const used = xlsx.utils.decode_range(worksheet['!ref']);
+  const target = range ? clipRange(used, range) : used;
+  if (!target) {
+    return { range: null, headerRow: null, detectedHeaderRow: null };
+  }
+
+  const { grid, rowNumbers } = scanRows(worksheet, target, skipHidden);
+  const detectedIndex = detectHeaderIndex(grid);
+  const detectedHeaderRow = rowNumbers.length > 0 ? rowNumbers[Math.max(0, detectedIndex)] + 1 : null;
+
+  let headerIndex = target.s.r;
+  if (headerRow === 'auto') {
+    headerIndex = detectedHeaderRow ? detectedHeaderRow - 1 : target.s.r;
+  } else if (headerRow !== undefined) {
+    headerIndex = headerRow - 1;
+    if (headerIndex < target.s.r || headerIndex > target.e.r) {
+      return {
+        error: `headerRow ${headerRow} is outside the data (rows ${target.s.r + 1} to ${target.e.r + 1})`
+      };
+    }
+  }
+
+  return {
+    range: { s: { r: headerIndex, c: target.s.c }, e: target.e },
+    headerRow: headerIndex + 1,
+    detectedHeaderRow
+  };
+};
+
+// How many rows and columns of a range are hidden
+export const countHidden = (worksheet, range) => {
+  let rows = 0;
+  let columns = 0;
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    if (isHiddenRow(worksheet, r)) rows += 1;
+  }
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    if (isHiddenColumn(worksheet, c)) columns += 1;
+  }
+  return { rows, columns };
+};
+
+// Sheets to import given the `sheets` to keep and `skipSheets` to leave out
+// (by name); hidden sheets are skipped with skipHidden unless named in
+// `sheets`. Returns { selected, skipped } or { error }.
+export const selectSheets = (workbook, { sheets, skipSheets = [], skipHidden = false } = {}) => {
+  const unknown = [...(sheets || []), ...skipSheets].filter(name => !workbook.SheetNames.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Sheet not found: ${unknown.join(', ')}. The workbook has: ${workbook.SheetNames.join(', ')}` };
+  }
+
+  const selected = [];
+  const skipped = [];
+  workbook.SheetNames.forEach(sheetName => {
+    let reason = null;
+    if (sheets && !sheets.includes(sheetName)) reason = 'notSelected';
+    else if (skipSheets.includes(sheetName)) reason = 'excluded';
+    else if (skipHidden && !sheets && isHiddenSheet(workbook, sheetName)) reason = 'hidden';
+
+    if (reason) skipped.push({ sheetName, reason, hidden: isHiddenSheet(workbook, sheetName) });
+    else selected.push(sheetName);
+  });
+
+  if (selected.length === 0) {
+    return { error: 'No sheets left to import' };
+  }
+  return { selected, skipped };
+};
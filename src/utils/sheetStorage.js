@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import SheetChunk from '../models/SheetChunk.js';
+import SheetProfile from '../models/SheetProfile.js';
+import { applyComputedColumns } from './computedColumns.js';
+
+// Keep chunks well below the 16 MB BSON limit; BSON is usually a little
+// larger than the JSON estimate used here
+const CHUNK_MAX_BYTES = Number(process.env.SHEET_CHUNK_MAX_BYTES) || 4 * 1024 * 1024;
+const CHUNK_MAX_ROWS = Number(process.env.SHEET_CHUNK_MAX_ROWS) || 10000;
+
+// Split rows (and the rich-import cell details aligned with them) into
+// chunks of { rows, cells }; a row's cell details count towards the size
+// of the chunk it goes into
+export const splitIntoChunks = (rows, cells = null) => {
+  const chunks = [];
+  let current = { rows: [], cells: cells ? [] : undefined };
+  let currentBytes = 0;
+
+  rows.forEach((row, index) => {
+    const rowCells = cells ? cells[index] ?? null : undefined;
+    const rowBytes = Buffer.byteLength(JSON.stringify(row)) + (rowCells ? Buffer.byteLength(JSON.stringify(rowCells)) : 0);
+    if (current.rows.length > 0 && (currentBytes + rowBytes > CHUNK_MAX_BYTES || current.rows.length >= CHUNK_MAX_ROWS)) {
+      chunks.push(current);
+      current = { rows: [], cells: cells ? [] : undefined };
+      currentBytes = 0;
+    }
+    current.rows.push(row);
+    if (cells) current.cells.push(rowCells);
+    currentBytes += rowBytes;
+  });
+  if (current.rows.length > 0) chunks.push(current);
+
+  return chunks;
+};
+
+// Chunks of a sheet are stored under its storageId once its rows were
+// replaced in place, else under its own _id
+const storageKey = (sheet) => sheet.storageId || sheet._id;
+
+const insertChunks = async (file, key, rows, cells) => {
+  const chunks = splitIntoChunks(rows, cells);
+  if (chunks.length > 0) {
+    await SheetChunk.insertMany(chunks.map((chunk, index) => ({
+      file: file._id,
+      sheet: key,
+      index,
+      rows: chunk.rows,
+      rowCount: chunk.rows.length,
+      ...(cells && { cells: chunk.cells })
+    })));
+  }
+  return chunks.length;
+};
+
+const setStoredRows = (sheet, rows, chunkCount) => {
+  sheet.storage = 'chunked';
+  sheet.chunkCount = chunkCount;
+  sheet.rowCount = rows.length;
+  sheet.data = undefined;
+};
+
+// Replace the stored rows of a sheet subdocument, with the per-cell details
+// of rich imports when given, and drop its stored profile. Updates the
+// sheet's storage fields in memory; the caller saves the ExcelFile afterwards.
+// Meant for sheets not saved yet: use replaceSheetRows for saved ones.
+export const saveSheetRows = async (file, sheet, rows, cells = null) => {
+  await SheetChunk.deleteMany({ file: file._id, sheet: storageKey(sheet) });
+  await SheetProfile.deleteOne({ file: file._id, sheet: sheet._id });
+  const chunkCount = await insertChunks(file, storageKey(sheet), rows, cells);
+  setStoredRows(sheet, rows, chunkCount);
+};
+
+// Replace the rows of a sheet the saved file already has, and save the
+// file. The new rows are stored under a fresh storage id the sheet switches
+// to when the file saves; the old rows are removed only after that, so a
+// failure at any point leaves the sheet with its previous rows.
+export const replaceSheetRows = async (file, sheet, rows, cells = null) => {
+  const previous = { storage: sheet.storage, key: storageKey(sheet) };
+  const storageId = new mongoose.Types.ObjectId();
+
+  try {
+    const chunkCount = await insertChunks(file, storageId, rows, cells);
+    sheet.storageId = storageId;
+    setStoredRows(sheet, rows, chunkCount);
+    await file.save();
+  } catch (error) {
+    await SheetChunk.deleteMany({ file: file._id, sheet: storageId });
+    throw error;
+  }
+
+  if (previous.storage === 'chunked') {
+    await SheetChunk.deleteMany({ file: file._id, sheet: previous.key });
+  }
+  await SheetProfile.deleteOne({ file: file._id, sheet: sheet._id });
+};
+
+// Store rows for every sheet in file.sheets. `sheetRows` (and the optional
+// `sheetCells`) are keyed by sheet name; the sheet subdocuments must not hold
+// their rows inline. On failure only these sheets' rows are removed, so
+// earlier versions stay intact. onProgress(stored, total) runs after each sheet.
+export const saveFileRows = async (file, sheetRows, sheetCells = {}, { onProgress } = {}) => {
+  try {
+    for (const [index, sheet] of file.sheets.entries()) {
+      await saveSheetRows(file, sheet, sheetRows[sheet.sheetName] || [], sheetCells[sheet.sheetName]);
+      if (onProgress) await onProgress(index + 1, file.sheets.length);
+    }
+  } catch (error) {
+    await deleteCurrentSheetRows(file);
+    throw error;
+  }
+};
+
+// Rows of a sheet including its computed columns; { computed: false }
+// returns only what is stored
+export const loadSheetRows = async (file, sheet, { computed = true } = {}) => {
+  const withComputed = (rows) => (computed ? applyComputedColumns(sheet, rows) : rows);
+
+  // Files uploaded before chunked storage keep their rows inline
+  if (sheet.storage !== 'chunked') {
+    return withComputed(sheet.data || []);
+  }
+
+  const chunks = await SheetChunk.find({ file: file._id, sheet: storageKey(sheet) })
+    .sort({ index: 1 })
+    .lean();
+  return withComputed(chunks.flatMap(chunk => chunk.rows));
+};
+
+// Per-cell details of a sheet aligned with its stored rows: null for rows
+// without any, and for every row of sheets that were not imported in rich mode
+export const loadSheetCells = async (file, sheet) => {
+  if (sheet.storage !== 'chunked') {
+    return (sheet.data || []).map(() => null);
+  }
+
+  const chunks = await SheetChunk.find({ file: file._id, sheet: storageKey(sheet) })
+    .select('index rowCount cells')
+    .sort({ index: 1 })
+    .lean();
+  return chunks.flatMap(chunk => chunk.cells || Array(chunk.rowCount).fill(null));
+};
+
+// Rows [offset, offset + limit) of a sheet with computed columns, reading
+// only the chunks that hold them. With { cells: true } the rich-import
+// cell details of those rows come along. Returns { rows, cells }.
+export const loadSheetRowRange = async (file, sheet, offset, limit, { cells: withCells = false } = {}) => {
+  const end = offset + limit;
+  if (sheet.storage !== 'chunked') {
+    const rows = (sheet.data || []).slice(offset, end);
+    return { rows: applyComputedColumns(sheet, rows), cells: withCells ? rows.map(() => null) : undefined };
+  }
+
+  // Find the chunks covering the range from their row counts
+  const extents = await SheetChunk.find({ file: file._id, sheet: storageKey(sheet) })
+    .select('index rowCount')
+    .sort({ index: 1 })
+    .lean();
+  let start = 0;
+  let firstRow = 0;
+  const indexes = [];
+  for (const chunk of extents) {
+    if (start + chunk.rowCount > offset && start < end) {
+      if (indexes.length === 0) firstRow = start;
+      indexes.push(chunk.index);
+    }
+    start += chunk.rowCount;
+  }
+  if (indexes.length === 0) {
+    return { rows: [], cells: withCells ? [] : undefined };
+  }
+
+  const chunks = await SheetChunk.find({ file: file._id, sheet: storageKey(sheet), index: { $in: indexes } })
+    .select(withCells ? 'index rows rowCount cells' : 'index rows')
+    .sort({ index: 1 })
+    .lean();
+  const from = offset - firstRow;
+  const rows = chunks.flatMap(chunk => chunk.rows).slice(from, from + limit);
+  return {
+    rows: applyComputedColumns(sheet, rows),
+    cells: withCells
+      ? chunks.flatMap(chunk => chunk.cells || Array(chunk.rowCount).fill(null)).slice(from, from + limit)
+      : undefined
+  };
+};
+
+// Yield a sheet's rows (with computed columns) one chunk at a time without
+// loading them all at once
+export async function* streamSheetRows(file, sheet) {
+  if (sheet.storage !== 'chunked') {
+    yield applyComputedColumns(sheet, sheet.data || []);
+    return;
+  }
+
+  const cursor = SheetChunk.find({ file: file._id, sheet: storageKey(sheet) })
+    .sort({ index: 1 })
+    .lean()
+    .cursor();
+  try {
+    for await (const chunk of cursor) {
+      yield applyComputedColumns(sheet, chunk.rows);
+    }
+  } finally {
+    // Also when the caller stops early, such as an export whose client left
+    await cursor.close();
+  }
+}
+
+// Remove the rows of a sheet subdocument
+export const deleteSheetRows = (file, sheet) => SheetChunk.deleteMany({ file: file._id, sheet: storageKey(sheet) });
+
+export const deleteFileRows = (fileId) => SheetChunk.deleteMany({ file: fileId });
+
+// Remove the rows of the sheets currently in file.sheets
+export const deleteCurrentSheetRows = (file) =>
+  SheetChunk.deleteMany({ file: file._id, sheet: { $in: file.sheets.map(storageKey) } });
+
+// Remove rows of sheets the file no longer has in any version, such as
+// those stored by an upload that stopped before the file was saved
+export const deleteOrphanedRows = (file) => {
+  const keys = [...file.sheets, ...(file.versions || []).flatMap(version => version.sheets)]
+    .map(storageKey);
+  return SheetChunk.deleteMany({ file: file._id, sheet: { $nin: keys } });
+};
+
+// Plain-object copy of an ExcelFile with every sheet's rows under `data`,
+// matching the shape the API returned before rows moved out of the document
+export const hydrateFile = async (file) => {
+  const plain = file.toObject();
+  plain.sheets = await Promise.all(file.sheets.map(async (sheet, index) => ({
+    ...plain.sheets[index],
+    data: await loadSheetRows(file, sheet)
+  })));
+  return plain;
+};
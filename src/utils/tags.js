@@ -0,0 +1,16 @@
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 30;
+
+// Tags are compared case-insensitively, so store them in one canonical form
+export const normalizeTag = (tag) =>
+  String(tag).trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH);
+
+export const normalizeTags = (tags = []) =>
+  [...new Set(tags.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+
+// Parse "a,b" query strings (or repeated ?tags= params) into normalized tags
+export const parseTagList = (value) => {
+  if (value === undefined) return [];
+  const parts = [].concat(value).flatMap(part => String(part).split(','));
+  return normalizeTags(parts);
+};
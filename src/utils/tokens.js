@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// Opaque random tokens handed to clients. Only the SHA-256 hash is stored,
+// so a leaked database does not leak usable tokens.
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const generateToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
@@ -0,0 +1,383 @@
+import { isBlank, toNumber, toDate, toKey } from './values.js';
+import { parseFilterAndSort, rowMatchesFilters } from './rowQuery.js';
+
+// Data-cleaning pipeline: an ordered list of steps such as
+//   [{ op: 'trimWhitespace' }, { op: 'renameColumns', mapping: { 'Qty ': 'Quantity' } }]
+// applied to a sheet's rows. Every step is validated against the headers
+// the previous steps produce, so renamed or split columns can be used later on.
+
+export const MAX_STEPS = 50;
+export const CAST_TYPES = ['number', 'integer', 'boolean', 'date', 'text'];
+export const FILL_STRATEGIES = ['value', 'previous', 'next', 'mean', 'median', 'mode'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Validate an optional list of columns, defaulting to every header
+const columnList = (step, headers, { field = 'columns', required = false, min = 1 } = {}) => {
+  const columns = step[field];
+  if (columns === undefined) {
+    return required ? { error: `${step.op} needs ${field}` } : { columns: headers };
+  }
+  if (!Array.isArray(columns) || columns.length < min || columns.some(column => typeof column !== 'string')) {
+    return { error: `${step.op}.${field} must be an array of at least ${min} column name(s)` };
+  }
+  const unknown = columns.find(column => !headers.includes(column));
+  if (unknown !== undefined) {
+    return { error: `${step.op}: unknown column "${unknown}"` };
+  }
+  return { columns: [...new Set(columns)] };
+};
+
+// Names for new columns must be non-empty and not collide with the headers kept
+const checkNewNames = (op, names, keptHeaders) => {
+  if (names.some(name => typeof name !== 'string' || !name.trim())) {
+    return `${op}: new column names must be non-empty strings`;
+  }
+  if (new Set(names).size !== names.length) {
+    return `${op}: new column names must be unique`;
+  }
+  const clash = names.find(name => keptHeaders.includes(name));
+  return clash === undefined ? null : `${op}: column "${clash}" already exists`;
+};
+
+const castValue = (value, to) => {
+  if (isBlank(value)) return null;
+  switch (to) {
+    case 'number':
+      return toNumber(value);
+    case 'integer': {
+      const number = toNumber(value);
+      return number === null ? null : Math.round(number);
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      return null;
+    }
+    case 'date':
+      // Only numbers that look like Excel serials are treated as dates
+      return toDate(value, { allowSerial: typeof value === 'number' });
+    case 'text':
+      return value instanceof Date ? value.toISOString() : String(value);
+    default:
+      return value;
+  }
+};
+
+const median = (numbers) => {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const fillValueFor = (rows, column, strategy) => {
+  const present = rows.map(row => row[column]).filter(value => !isBlank(value));
+  if (present.length === 0) return null;
+  if (strategy === 'mode') {
+    const counts = new Map();
+    present.forEach(value => {
+      const key = toKey(value);
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+    return [...counts.values()].reduce((best, entry) => (entry.count > best.count ? entry : best)).value;
+  }
+  const numbers = present.map(toNumber).filter(number => number !== null);
+  if (numbers.length === 0) return null;
+  return strategy === 'mean'
+    ? numbers.reduce((sum, number) => sum + number, 0) / numbers.length
+    : median(numbers);
+};
+
+// Each step type: normalize(step, headers) -> { step, headers } | { error },
+// apply(rows, step, headers) -> rows. Steps never mutate the input rows.
+const STEP_TYPES = {
+  trimWhitespace: {
+    normalize(step, headers) {
+      const { columns, error } = columnList(step, headers);
+      if (error) return { error };
+      return { step: { op: step.op, columns, collapse: Boolean(step.collapse) }, headers };
+    },
+    apply(rows, { columns, collapse }) {
+      return rows.map(row => {
+        const next = { ...row };
+        columns.forEach(column => {
+          if (typeof next[column] !== 'string') return;
+          next[column] = collapse ? next[column].trim().replace(/\s+/g, ' ') : next[column].trim();
+        });
+        return next;
+      });
+    }
+  },
+
+  removeBlankRows: {
+    normalize(step, headers) {
+      const { columns, error } = columnList(step, headers);
+      if (error) return { error };
+      return { step: { op: step.op, columns }, headers };
+    },
+    apply(rows, { columns }) {
+      return rows.filter(row => !columns.every(column => isBlank(row[column])));
+    }
+  },
+
+  removeDuplicates: {
+    normalize(step, headers) {
+      const { columns, error } = columnList(step, headers);
+      if (error) return { error };
+      const keep = step.keep || 'first';
+      if (!['first', 'last'].includes(keep)) return { error: 'removeDuplicates.keep must be "first" or "last"' };
+      return { step: { op: step.op, columns, keep }, headers };
+    },
+    apply(rows, { columns, keep }) {
+      const keyOf = (row) => JSON.stringify(columns.map(column => (isBlank(row[column]) ? '' : toKey(row[column]))));
+      if (keep === 'first') {
+        const seen = new Set();
+        return rows.filter(row => {
+          const key = keyOf(row);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+      }
+      const lastIndex = new Map(rows.map((row, index) => [keyOf(row), index]));
+      return rows.filter((row, index) => lastIndex.get(keyOf(row)) === index);
+    }
+  },
+
+  fillMissing: {
+    normalize(step, headers) {
+      const { columns, error } = columnList(step, headers, { required: true });
+      if (error) return { error };
+      const strategy = step.strategy || 'value';
+      if (!FILL_STRATEGIES.includes(strategy)) {
+        return { error: `fillMissing.strategy must be one of: ${FILL_STRATEGIES.join(', ')}` };
+      }
+      if (strategy === 'value' && step.value === undefined) {
+        return { error: 'fillMissing with strategy "value" needs a value' };
+      }
+      return { step: { op: step.op, columns, strategy, value: step.value }, headers };
+    },
+    apply(rows, { columns, strategy, value }) {
+      const result = rows.map(row => ({ ...row }));
+      columns.forEach(column => {
+        if (strategy === 'previous' || strategy === 'next') {
+          const ordered = strategy === 'previous' ? result : [...result].reverse();
+          let carry = null;
+          ordered.forEach(row => {
+            if (isBlank(row[column])) {
+              if (carry !== null) row[column] = carry;
+            } else {
+              carry = row[column];
+            }
+          });
+          return;
+        }
+        const fill = strategy === 'value' ? value : fillValueFor(rows, column, strategy);
+        if (fill === null) return;
+        result.forEach(row => {
+          if (isBlank(row[column])) row[column] = fill;
+        });
+      });
+      return result;
+    }
+  },
+
+  renameColumns: {
+    normalize(step, headers) {
+      const { mapping } = step;
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+        return { error: 'renameColumns.mapping must be an object of old name to new name' };
+      }
+      const unknown = Object.keys(mapping).find(column => !headers.includes(column));
+      if (unknown !== undefined) return { error: `renameColumns: unknown column "${unknown}"` };
+      const nameError = checkNewNames(
+        step.op,
+        Object.values(mapping).map(name => (typeof name === 'string' ? name.trim() : name)),
+        headers.filter(header => !(header in mapping))
+      );
+      if (nameError) return { error: nameError };
+      const trimmed = Object.fromEntries(Object.entries(mapping).map(([from, to]) => [from, to.trim()]));
+      return {
+        step: { op: step.op, mapping: trimmed },
+        headers: headers.map(header => trimmed[header] ?? header)
+      };
+    },
+    apply(rows, { mapping }) {
+      return rows.map(row => Object.fromEntries(
+        Object.entries(row).map(([column, value]) => [mapping[column] ?? column, value])
+      ));
+    }
+  },
+
+  splitColumn: {
+    normalize(step, headers) {
+      if (!headers.includes(step.column)) return { error: `splitColumn: unknown column "${step.column}"` };
+      if (typeof step.delimiter !== 'string' || step.delimiter === '') {
+        return { error: 'splitColumn.delimiter must be a non-empty string' };
+      }
+      if (!Array.isArray(step.into) || step.into.length < 2) {
+        return { error: 'splitColumn.into must name at least two new columns' };
+      }
+      const keepOriginal = Boolean(step.keepOriginal);
+      const into = step.into.map(name => (typeof name === 'string' ? name.trim() : name));
+      const kept = keepOriginal ? headers : headers.filter(header => header !== step.column);
+      const nameError = checkNewNames(step.op, into, kept);
+      if (nameError) return { error: nameError };
+
+      const position = headers.indexOf(step.column);
+      const nextHeaders = [...headers];
+      nextHeaders.splice(position + (keepOriginal ? 1 : 0), keepOriginal ? 0 : 1, ...into);
+      return { step: { op: step.op, column: step.column, delimiter: step.delimiter, into, keepOriginal }, headers: nextHeaders };
+    },
+    apply(rows, { column, delimiter, into, keepOriginal }) {
+      return rows.map(row => {
+        const next = { ...row };
+        const parts = isBlank(row[column]) ? [] : String(row[column]).split(delimiter);
+        // Anything beyond the named columns stays together in the last one
+        const values = [...parts.slice(0, into.length - 1), parts.slice(into.length - 1).join(delimiter)];
+        into.forEach((name, index) => {
+          const value = values[index]?.trim();
+          next[name] = value === undefined || value === '' ? null : value;
+        });
+        if (!keepOriginal) delete next[column];
+        return next;
+      });
+    }
+  },
+
+  mergeColumns: {
+    normalize(step, headers) {
+      const { columns, error } = columnList(step, headers, { required: true, min: 2 });
+      if (error) return { error };
+      const into = typeof step.into === 'string' ? step.into.trim() : step.into;
+      const separator = step.separator === undefined ? ' ' : step.separator;
+      if (typeof separator !== 'string') return { error: 'mergeColumns.separator must be a string' };
+      const keepOriginal = Boolean(step.keepOriginal);
+      const kept = keepOriginal ? headers : headers.filter(header => !columns.includes(header));
+      const nameError = checkNewNames(step.op, [into], kept);
+      if (nameError) return { error: nameError };
+
+      const position = headers.indexOf(columns[0]);
+      const nextHeaders = keepOriginal
+        ? [...headers.slice(0, position + 1), into, ...headers.slice(position + 1)]
+        : headers.flatMap(header => (header === columns[0] ? [into] : columns.includes(header) ? [] : [header]));
+      return { step: { op: step.op, columns, into, separator, keepOriginal }, headers: nextHeaders };
+    },
+    apply(rows, { columns, into, separator, keepOriginal }) {
+      return rows.map(row => {
+        const next = { ...row };
+        const parts = columns.filter(column => !isBlank(row[column])).map(column => String(row[column]).trim());
+        if (!keepOriginal) columns.forEach(column => delete next[column]);
+        next[into] = parts.length > 0 ? parts.join(separator) : null;
+        return next;
+      });
+    }
+  },
+
+  castType: {
+    normalize(step, headers) {
+      const { columns, error } = columnList(step, headers, { required: true });
+      if (error) return { error };
+      if (!CAST_TYPES.includes(step.to)) return { error: `castType.to must be one of: ${CAST_TYPES.join(', ')}` };
+      const onError = step.onError || 'null';
+      if (!['null', 'keep'].includes(onError)) return { error: 'castType.onError must be "null" or "keep"' };
+      return { step: { op: step.op, columns, to: step.to, onError }, headers };
+    },
+    apply(rows, { columns, to, onError }) {
+      return rows.map(row => {
+        const next = { ...row };
+        columns.forEach(column => {
+          if (isBlank(row[column])) return;
+          const cast = castValue(row[column], to);
+          next[column] = cast === null && onError === 'keep' ? row[column] : cast;
+        });
+        return next;
+      });
+    }
+  },
+
+  dropColumns: {
+    normalize(step, headers) {
+      const { columns, error } = columnList(step, headers, { required: true });
+      if (error) return { error };
+      if (columns.length === headers.length) return { error: 'dropColumns cannot drop every column' };
+      return { step: { op: step.op, columns }, headers: headers.filter(header => !columns.includes(header)) };
+    },
+    apply(rows, { columns }) {
+      return rows.map(row => {
+        const next = { ...row };
+        columns.forEach(column => delete next[column]);
+        return next;
+      });
+    }
+  },
+
+  // Keep only rows matching row-query style filters
+  filterRows: {
+    normalize(step, headers) {
+      const { options, error } = parseFilterAndSort({ filters: step.filters }, headers);
+      if (error) return { error: `filterRows: ${error}` };
+      if (options.filters.length === 0) return { error: 'filterRows needs at least one filter' };
+      return { step: { op: step.op, filters: options.filters }, headers };
+    },
+    apply(rows, { filters }) {
+      return rows.filter(row => rowMatchesFilters(row, filters));
+    }
+  }
+};
+
+export const TRANSFORM_OPERATIONS = Object.keys(STEP_TYPES);
+
+// Validate a pipeline against the headers it will run on. Returns
+// { steps, headers } with the normalized steps and resulting headers, or { error }.
+export const normalizeSteps = (input, headers) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'steps must be a non-empty array' };
+  }
+  if (input.length > MAX_STEPS) {
+    return { error: `A pipeline can have at most ${MAX_STEPS} steps` };
+  }
+
+  const steps = [];
+  let current = [...headers];
+  for (const [index, step] of input.entries()) {
+    const type = step && STEP_TYPES[step.op];
+    if (!type) {
+      return { error: `Step ${index + 1}: op must be one of: ${TRANSFORM_OPERATIONS.join(', ')}` };
+    }
+    const normalized = type.normalize(step, current);
+    if (normalized.error) {
+      return { error: `Step ${index + 1}: ${normalized.error}` };
+    }
+    steps.push(normalized.step);
+    current = normalized.headers;
+  }
+  return { steps, headers: current };
+};
+
+// Run normalized steps over rows. Returns the new rows and headers plus the
+// row count after each step.
+export const applySteps = (rows, headers, steps) => {
+  let currentRows = rows;
+  let currentHeaders = headers;
+  const stepStats = [];
+
+  steps.forEach(step => {
+    const type = STEP_TYPES[step.op];
+    const rowsBefore = currentRows.length;
+    currentRows = type.apply(currentRows, step, currentHeaders);
+    currentHeaders = type.normalize(step, currentHeaders).headers;
+    stepStats.push({ op: step.op, rowsBefore, rowsAfter: currentRows.length });
+  });
+
+  return { rows: currentRows, headers: currentHeaders, stepStats };
+};
+
+// Whether a sheet has the headers a recipe was written for (order-insensitive)
+export const headersMatch = (expected, actual) =>
+  expected.length === actual.length && expected.every(header => actual.includes(header));
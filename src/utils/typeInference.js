@@ -0,0 +1,169 @@
+import { isBlank, toNumber, toDate } from './values.js';
+
+export const COLUMN_TYPES = [
+  'integer', 'decimal', 'boolean', 'date', 'datetime', 'currency', 'percentage', 'categorical', 'text', 'empty'
+];
+
+const DEFAULT_SAMPLE_SIZE = 1000;
+// Share of sampled values that must fit a type for it to be chosen
+const MATCH_THRESHOLD = 0.9;
+const MAX_CATEGORIES = 50;
+const MAX_CATEGORY_RATIO = 0.5;
+
+const BOOLEAN_STRINGS = new Set(['true', 'false', 'yes', 'no']);
+const CURRENCY_PATTERN = /^\(?[-+]?\s*[$€£¥₹]|[$€£¥₹]\)?$|^[A-Z]{3}\s+[-+]?\d|\d\s+[A-Z]{3}$/;
+const CURRENCY_CODES = /^([A-Z]{3})\s+|\s+([A-Z]{3})$/;
+const DATE_HEADER_PATTERN = /date|time|day|month|year|created|updated|modified|timestamp|_at$|_on$/i;
+// Serials between 1970-01-01 and 2100-01-01; only trusted with a date-like header
+const HEADER_HINT_SERIAL_RANGE = [25569, 73051];
+
+// Evenly spaced sample across the whole column rather than the first rows
+const sampleValues = (rows, header, sampleSize) => {
+  const size = Math.min(rows.length, sampleSize);
+  const step = rows.length / size;
+  const values = [];
+  for (let k = 0; k < size; k++) {
+    values.push(rows[Math.floor(k * step)]?.[header]);
+  }
+  return values;
+};
+
+const hasTime = (date) =>
+  date.getUTCHours() !== 0 || date.getUTCMinutes() !== 0 || date.getUTCSeconds() !== 0;
+
+// Classify one non-blank cell. `hint` is what the display format in the
+// source workbook says the column's numbers are (date/datetime/percentage/currency)
+const classifyValue = (value, hint) => {
+  if (typeof value === 'boolean') return 'boolean';
+  if (value instanceof Date) return hasTime(value) ? 'datetime' : 'date';
+
+  if (typeof value === 'number') {
+    if (hint === 'date' || hint === 'datetime' || hint === 'percentage' || hint === 'currency') return hint;
+    return Number.isInteger(value) ? 'integer' : 'decimal';
+  }
+
+  const text = String(value).trim();
+  if (BOOLEAN_STRINGS.has(text.toLowerCase())) return 'boolean';
+  if (/%$/.test(text) && toNumber(text) !== null) return 'percentage';
+  if ((CURRENCY_PATTERN.test(text) && toNumber(text.replace(CURRENCY_CODES, '')) !== null)) return 'currency';
+
+  const number = toNumber(text);
+  if (number !== null && /^[-+(]?[\d.,\s]+\)?$/.test(text)) return Number.isInteger(number) ? 'integer' : 'decimal';
+
+  const date = toDate(text, { allowSerial: false });
+  if (date) return hasTime(date) || /\d:\d/.test(text) ? 'datetime' : 'date';
+
+  return 'text';
+};
+
+const formatHintFor = (formatted) => {
+  if (typeof formatted !== 'string') return null;
+  const text = formatted.trim();
+  if (/%$/.test(text)) return 'percentage';
+  if (/[$€£¥₹]/.test(text)) return 'currency';
+  const monthName = /\d/.test(text) && /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i.test(text);
+  if (toNumber(text) === null && (monthName || toDate(text, { allowSerial: false }))) {
+    return /\d:\d/.test(text) ? 'datetime' : 'date';
+  }
+  return null;
+};
+
+// Work out what the workbook's display formats say about each column's
+// numeric cells, by comparing raw rows with the same rows rendered as text
+// (xlsx sheet_to_json with raw: false). A column gets a hint only when
+// nearly all of its formatted numbers agree.
+export const collectFormatHints = (rows, formattedRows, headers) =>
+  headers.reduce((acc, header) => {
+    const counts = {};
+    let numeric = 0;
+    formattedRows.forEach((formattedRow, index) => {
+      if (typeof rows[index]?.[header] !== 'number') return;
+      numeric++;
+      const hint = formatHintFor(formattedRow[header]);
+      if (hint) counts[hint] = (counts[hint] || 0) + 1;
+    });
+    const [hint, hinted] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+    acc[header] = hint && hinted / numeric >= MATCH_THRESHOLD ? hint : null;
+    return acc;
+  }, {});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Infer the type of one column from a sample of its values. `formatHints`
+// come from collectFormatHints for workbook uploads; without them (CSV and
+// JSON) numbers in date-named columns are checked for Excel serial dates.
+export const inferColumnType = (rows, header, { sampleSize = DEFAULT_SAMPLE_SIZE, formatHints } = {}) => {
+  const values = sampleValues(rows, header, sampleSize);
+  const hint = formatHints?.[header] || null;
+  const counts = {};
+  const distinct = new Set();
+  let blank = 0;
+
+  values.forEach(value => {
+    if (isBlank(value)) {
+      blank++;
+      return;
+    }
+    const kind = classifyValue(value, hint);
+    counts[kind] = (counts[kind] || 0) + 1;
+    distinct.add(typeof value === 'string' ? value.trim().toLowerCase() : String(value));
+  });
+
+  const sampled = values.length - blank;
+  const details = { sampled, blank, distinct: distinct.size };
+  if (sampled === 0) {
+    return { type: 'empty', confidence: 1, ...details };
+  }
+
+  const count = (...kinds) => kinds.reduce((sum, kind) => sum + (counts[kind] || 0), 0);
+  const ratio = (...kinds) => count(...kinds) / sampled;
+
+  // Plain numbers in a date-named column are treated as Excel serial dates
+  // when every one of them falls in a plausible range
+  if (!formatHints && DATE_HEADER_PATTERN.test(header) && ratio('integer', 'decimal') === 1) {
+    const numbers = values.filter(value => !isBlank(value)).map(toNumber);
+    const [min, max] = HEADER_HINT_SERIAL_RANGE;
+    if (numbers.every(n => n >= min && n <= max)) {
+      const type = numbers.some(n => !Number.isInteger(n)) ? 'datetime' : 'date';
+      return { type, confidence: 0.7, ...details, serial: true };
+    }
+  }
+
+  const candidates = [
+    ['boolean', ratio('boolean')],
+    [count('datetime') > 0 ? 'datetime' : 'date', ratio('date', 'datetime')],
+    ['percentage', ratio('percentage')],
+    ['currency', ratio('currency')],
+    ['integer', ratio('integer')],
+    ['decimal', ratio('integer', 'decimal')]
+  ];
+
+  const match = candidates.find(([, share]) => share >= MATCH_THRESHOLD);
+  if (match) {
+    const [type, share] = match;
+    return { type, confidence: round(share), ...details };
+  }
+
+  // Free text: low-cardinality columns are categorical
+  const isCategorical = distinct.size <= MAX_CATEGORIES && distinct.size / sampled <= MAX_CATEGORY_RATIO;
+  const textShare = ratio('text');
+  return {
+    type: isCategorical ? 'categorical' : 'text',
+    confidence: round(Math.max(textShare, 1 - Math.max(...candidates.map(([, share]) => share)))),
+    ...details
+  };
+};
+
+export const inferColumnTypes = (rows, headers, options = {}) =>
+  headers.reduce((acc, header) => {
+    acc[header] = inferColumnType(rows, header, options);
+    return acc;
+  }, {});
+
+// Effective type per column: a user override wins over the inferred type
+export const resolveColumnTypes = (headers, inferred = {}, overrides = {}) =>
+  headers.reduce((acc, header) => {
+    const detail = inferred[header];
+    acc[header] = overrides[header] || (typeof detail === 'object' ? detail?.type : detail) || 'empty';
+    return acc;
+  }, {});
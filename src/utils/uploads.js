@@ -0,0 +1,274 @@
+import ExcelFile from '../models/ExcelFile.js';
+import Graph from '../models/Graph.js';
+import { processExcelFile, validateExcelData, getColumnStatistics } from './excelProcessor.js';
+import { saveFileRows, deleteFileRows, deleteCurrentSheetRows } from './sheetStorage.js';
+import { resolveColumnTypes } from './typeInference.js';
+import { snapshotCurrentVersion, carryOverTypeOverrides } from './fileVersions.js';
+import { carryOverComputedColumns } from './computedColumns.js';
+import { carryOverPivotViews } from './pivot.js';
+import { applyAutoRecipes } from './recipes.js';
+import { applyAutoRuleSets } from './ruleSets.js';
+import { profileFileSheets } from './profiling.js';
+import { recordAudit } from './audit.js';
+
+// Storing an uploaded workbook, as a new file or as a new version of an
+// existing one. The upload routes run small uploads inline and queue the
+// rest, which then run here in a worker thread (see utils/jobQueue.js).
+// `upload` is { buffer, fileName, size, importOptions }. `req` is the
+// request, or a stand-in carrying the uploader when run as a job.
+//
+// Hooks: onProgress(percent, stage) as the upload moves along, and
+// onCommit(file) once the file is saved; from then on the upload can no
+// longer be undone. Both may be async.
+
+const noop = () => {};
+
+// Validation results and column statistics returned after an upload
+const buildUploadReport = (result) => ({
+  validations: result.data.map(sheet => ({
+    sheetName: sheet.sheetName,
+    ...validateExcelData(sheet.data)
+  })),
+  statistics: result.data.map(sheet => ({
+    sheetName: sheet.sheetName,
+    columns: sheet.headers.reduce((acc, header) => {
+      acc[header] = getColumnStatistics(sheet.data, header);
+      return acc;
+    }, {})
+  }))
+});
+
+// Graphs following the latest version of a file whose sheet or axis columns
+// are gone, optionally only those on one sheet
+export const findAffectedGraphs = async (file, sheetName) => {
+  const filter = { fileId: file._id, fileVersion: null };
+  if (sheetName) filter.sheetName = sheetName;
+  const followingGraphs = await Graph.find(filter).select('title sheetName xAxis yAxis');
+  return followingGraphs.map(graph => {
+    const sheet = file.sheets.find(entry => entry.sheetName === graph.sheetName);
+    const columns = [graph.xAxis, ...String(graph.yAxis).split(',').map(name => name.trim()).filter(Boolean)];
+    const missing = sheet ? columns.filter(column => !sheet.headers.includes(column)) : [];
+    return { _id: graph._id, title: graph.title, sheetMissing: !sheet, missingColumns: missing };
+  }).filter(graph => graph.sheetMissing || graph.missingColumns.length > 0);
+};
+
+// Rows and rich-import cell details of processed sheets, keyed by sheet name
+const sheetRowsByName = (sheets) => Object.fromEntries(sheets.map(sheet => [sheet.sheetName, sheet.data]));
+const sheetCellsByName = (sheets) => Object.fromEntries(sheets
+  .filter(sheet => sheet.cells)
+  .map(sheet => [sheet.sheetName, sheet.cells]));
+
+// Read the workbook and run the user's auto-apply recipes on it. Returns
+// the processing result with `appliedRecipes`, or { status, message, error }
+// when the file cannot be read.
+const readUpload = async (req, { buffer, fileName, importOptions }, onProgress) => {
+  await onProgress(5, 'reading');
+  const result = processExcelFile(buffer, { fileName, ...importOptions });
+  if (!result.success) {
+    return { status: 400, message: 'Error processing file', error: result.error };
+  }
+
+  // Run the user's auto-apply recipes on sheets with the headers they expect
+  await onProgress(40, 'recipes');
+  const { sheets: processedSheets, applied: appliedRecipes } = await applyAutoRecipes(req.user.userId, result.data);
+  result.data = processedSheets;
+  result.totalSheets = processedSheets.length;
+  return { ...result, appliedRecipes };
+};
+
+// Rows are stored between 50% and 85%, sheet by sheet
+const storeRows = (file, sheets, onProgress) => saveFileRows(file, sheetRowsByName(sheets), sheetCellsByName(sheets), {
+  onProgress: (stored, total) => onProgress(50 + Math.round((35 * stored) / total), 'storing')
+});
+
+// Store an upload as a new file, in the workspace `workspaceId` (checked
+// by the caller) or as a personal file. `fileId` sets the new file's id.
+// Returns { file, response } or { status, message, error }.
+export const storeUpload = async (req, upload, { workspaceId = null, fileId, onProgress = noop, onCommit = noop } = {}) => {
+  const result = await readUpload(req, upload, onProgress);
+  if (result.status) {
+    return result;
+  }
+
+  // Check sheets against the user's auto-apply rule sets
+  await onProgress(45, 'validating');
+  const quality = await applyAutoRuleSets(req.user.userId, result.data);
+  result.data = quality.sheets;
+
+  // Save the processed Excel data to MongoDB. Sheet metadata lives on the
+  // ExcelFile while the rows go to chunked storage
+  const newExcelFile = new ExcelFile({
+    ...(fileId && { _id: fileId }),
+    user: req.user.userId,
+    uploadedBy: req.user.userId,
+    workspace: workspaceId,
+    fileName: upload.fileName,
+    fileType: result.fileType,
+    sheets: result.data.map(({ data, cells, ...sheet }) => sheet), // sheetName, headers, columnTypes, rowCount, columnCount
+    uploadDate: new Date(),
+    // validations and statistics are returned to frontend but not stored if not needed
+  });
+
+  await onProgress(50, 'storing');
+  await storeRows(newExcelFile, result.data, onProgress);
+  try {
+    await newExcelFile.save();
+  } catch (error) {
+    await deleteFileRows(newExcelFile._id);
+    throw error;
+  }
+  await onCommit(newExcelFile);
+
+  await onProgress(85, 'profiling');
+  await profileFileSheets(newExcelFile, sheetRowsByName(result.data));
+
+  await recordAudit(req, {
+    action: 'file.upload',
+    targetType: 'file',
+    target: newExcelFile._id,
+    after: {
+      fileName: newExcelFile.fileName,
+      fileType: newExcelFile.fileType,
+      size: upload.size,
+      sheets: newExcelFile.sheets.map(sheet => ({ sheetName: sheet.sheetName, rowCount: sheet.rowCount }))
+    }
+  });
+
+  // Validate the data and get statistics for each column in each sheet (still return to frontend)
+  await onProgress(95, 'finishing');
+  const { validations, statistics } = buildUploadReport(result);
+
+  return {
+    file: newExcelFile,
+    response: {
+      _id: newExcelFile._id, // Return the MongoDB ID of the saved ExcelFile
+      fileName: newExcelFile.fileName,
+      fileType: newExcelFile.fileType,
+      uploadDate: newExcelFile.uploadDate,
+      userId: newExcelFile.user,
+      workspace: newExcelFile.workspace,
+      sheets: result.data,
+      validations,
+      statistics,
+      totalSheets: result.totalSheets,
+      skippedSheets: result.skippedSheets,
+      appliedRecipes: result.appliedRecipes,
+      qualityReports: quality.reports
+    }
+  };
+};
+
+// Store an upload as a new version of `file` (loaded with editor access).
+// The current contents are kept as an earlier version and graphs follow the
+// new one, unless pinGraphs pins the graphs that follow the latest version
+// to the version being replaced. Returns { file, response } or
+// { status, message, error }, with status 409 when another version was
+// saved since `file` was loaded.
+export const storeVersion = async (req, file, upload, { pinGraphs = false, onProgress = noop, onCommit = noop } = {}) => {
+  const result = await readUpload(req, upload, onProgress);
+  if (result.status) {
+    return result;
+  }
+
+  const previous = {
+    ...snapshotCurrentVersion(file),
+    sheets: file.sheets.map(sheet => sheet.toObject())
+  };
+  // Computed columns, pivot views and type overrides follow sheets that keep their name
+  const computed = carryOverComputedColumns(file.sheets, result.data);
+  result.data = computed.sheets;
+  const pivotViews = carryOverPivotViews(file.sheets, result.data);
+  result.data = pivotViews.sheets;
+  const overrides = carryOverTypeOverrides(file.sheets, result.data);
+  // Sheets keep their validation rules; the others get auto-apply rule sets
+  await onProgress(45, 'validating');
+  const quality = await applyAutoRuleSets(req.user.userId, result.data, file.sheets);
+  result.data = quality.sheets;
+
+  file.versions.push(previous);
+  file.set({
+    fileName: upload.fileName,
+    fileType: result.fileType,
+    uploadDate: new Date(),
+    uploadedBy: req.user.userId,
+    version: previous.version + 1,
+    sheets: result.data.map(({ data, cells, ...sheet }) => {
+      const sheetOverrides = overrides[sheet.sheetName];
+      if (!sheetOverrides) return sheet;
+      return {
+        ...sheet,
+        columnTypeOverrides: sheetOverrides,
+        columnTypes: resolveColumnTypes(sheet.headers, sheet.inferredColumnTypes, sheetOverrides)
+      };
+    })
+  });
+
+  await onProgress(50, 'storing');
+  await storeRows(file, result.data, onProgress);
+  // Saved only if no other version was uploaded since the file was loaded;
+  // files from before versioning have none stored
+  file.$where = { version: previous.version === 1 ? { $in: [1, null] } : previous.version };
+  try {
+    await file.save();
+  } catch (error) {
+    await deleteCurrentSheetRows(file);
+    if (error.name === 'DocumentNotFoundError') {
+      return { status: 409, message: 'Another version of the file was uploaded meanwhile; upload again to add yours' };
+    }
+    throw error;
+  }
+  await onCommit(file);
+
+  await onProgress(85, 'profiling');
+  await profileFileSheets(file, sheetRowsByName(result.data));
+
+  let pinnedGraphs = 0;
+  if (pinGraphs) {
+    const pinned = await Graph.updateMany(
+      { fileId: file._id, fileVersion: null },
+      { $set: { fileVersion: previous.version } }
+    );
+    pinnedGraphs = pinned.modifiedCount;
+  }
+
+  const affectedGraphs = await findAffectedGraphs(file);
+
+  await recordAudit(req, {
+    action: 'file.version.upload',
+    targetType: 'file',
+    target: file._id,
+    before: { version: previous.version, fileName: previous.fileName },
+    after: {
+      version: file.version,
+      fileName: file.fileName,
+      fileType: file.fileType,
+      size: upload.size,
+      sheets: file.sheets.map(sheet => ({ sheetName: sheet.sheetName, rowCount: sheet.rowCount }))
+    }
+  });
+
+  await onProgress(95, 'finishing');
+  const { validations, statistics } = buildUploadReport(result);
+  return {
+    file,
+    response: {
+      _id: file._id,
+      version: file.version,
+      previousVersion: previous.version,
+      fileName: file.fileName,
+      fileType: file.fileType,
+      uploadDate: file.uploadDate,
+      sheets: result.data,
+      validations,
+      statistics,
+      totalSheets: result.totalSheets,
+      skippedSheets: result.skippedSheets,
+      appliedRecipes: result.appliedRecipes,
+      qualityReports: quality.reports,
+      droppedComputedColumns: computed.dropped,
+      droppedPivotViews: pivotViews.dropped,
+      pinnedGraphs,
+      affectedGraphs
+    }
+  };
+};
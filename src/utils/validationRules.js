@@ -0,0 +1,575 @@
+import vm from 'vm';
+import { compileExpression } from './expressions.js';
+import { percentile } from './profiling.js';
+import { isBlank, toNumber, toDate, toKey } from './values.js';
+
+// User-defined validation rules for a sheet's columns, e.g.
+//   { rule: 'required', column: 'Email' }
+//   { rule: 'regex', column: 'Email', pattern: '^[^@\\s]+@[^@\\s]+$' }
+//   { rule: 'range', column: 'Quantity', min: 0, max: 1000, severity: 'warning' }
+//   { rule: 'compare', column: 'End', op: '>=', otherColumn: 'Start' }
+//   { rule: 'expression', expression: '[Net] + [Tax] = [Gross]' }
+// Every rule may set severity ('error', the default, or 'warning') and a
+// message used instead of the generated reason. Blank cells only fail
+// `required`; the other rules skip them, as Excel's data validation does.
+// Running rules gives a report of every failing row and cell, alongside
+// outliers found in the numeric columns.
+
+export const MAX_RULES = 100;
+export const SEVERITIES = ['error', 'warning'];
+export const REPORT_DEFAULT_LIMIT = 1000;
+export const REPORT_MAX_LIMIT = 10000;
+export const OUTLIER_METHODS = ['iqr', 'zscore'];
+
+const VALUE_TYPES = ['number', 'integer', 'boolean', 'date', 'text'];
+const COMPARE_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+const REGEX_FLAGS = ['i', 'm', 's', 'u'];
+const MAX_PATTERN_LENGTH = 500;
+// Only the start of long cells is matched
+const MAX_MATCHED_LENGTH = 10000;
+// Patterns that can backtrack exponentially are rejected up front (see
+// backtrackingRisk); this bounds the rest, which can still be slow on long
+// cells. A rule's whole run over a sheet gets this long.
+const REGEX_TIMEOUT_MS = Number(process.env.VALIDATION_REGEX_TIMEOUT_MS) || 2000;
+const REGEX_SCRIPT = new vm.Script('texts.map(text => text === null || regex.test(text))');
+const MAX_ALLOWED_VALUES = 1000;
+const MAX_UNIQUE_COLUMNS = 10;
+const MAX_MESSAGE_LENGTH = 500;
+const NUMERIC_TYPES = ['integer', 'decimal', 'currency', 'percentage'];
+const DEFAULT_THRESHOLDS = { iqr: 1.5, zscore: 3 };
+const OUTLIER_EXAMPLES = 100;
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+// Date bounds at midnight UTC read as plain dates in reasons
+const describeBound = (bound) => (typeof bound === 'string' && bound.endsWith('T00:00:00.000Z') ? bound.slice(0, 10) : bound);
+
+const cellValue = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+const columnError = (column, headers) => {
+  if (typeof column !== 'string' || !column) return 'column must be a column name';
+  if (!headers.includes(column)) return `Column "${column}" not found`;
+  return null;
+};
+
+const isBoolean = (value) => {
+  if (typeof value === 'boolean') return true;
+  const text = String(value).trim().toLowerCase();
+  return TRUE_VALUES.includes(text) || FALSE_VALUES.includes(text);
+};
+
+const TYPE_CHECKS = {
+  number: (value) => toNumber(value) !== null,
+  integer: (value) => Number.isInteger(toNumber(value)),
+  boolean: isBoolean,
+  date: (value) => toDate(value) !== null,
+  text: (value) => typeof value === 'string' && toNumber(value) === null
+};
+
+// Allowed values match ignoring surrounding spaces, numbers match numeric
+// text ("5" and 5) and text ignores case unless caseSensitive is set
+const allowedKey = (value, caseSensitive) => {
+  if (typeof value === 'boolean') return `b:${value}`;
+  const number = toNumber(value);
+  if (number !== null) return `n:${number}`;
+  const text = toKey(value);
+  return `s:${caseSensitive ? text : text.toLowerCase()}`;
+};
+
+// Order two cells: as numbers when both are, as dates when both are, else
+// as text ignoring case
+const compareCells = (a, b) => {
+  const aNumber = toNumber(a);
+  const bNumber = toNumber(b);
+  if (aNumber !== null && bNumber !== null) return aNumber - bNumber;
+  const aDate = toDate(a, { allowSerial: false });
+  const bDate = toDate(b, { allowSerial: false });
+  if (aDate && bDate) return aDate - bDate;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+};
+
+const COMPARISONS = {
+  '=': (order) => order === 0,
+  '!=': (order) => order !== 0,
+  '<': (order) => order < 0,
+  '<=': (order) => order <= 0,
+  '>': (order) => order > 0,
+  '>=': (order) => order >= 0
+};
+
+const REPEAT_QUANTIFIER = /^(\*|\+|\{\d+,\d*\})/;
+
+// Why a pattern may take exponential time, or null. Flags backreferences
+// and groups repeated by a quantifier that themselves hold a repeating
+// quantifier or alternatives, as in /(a+)+$/ or /(a|a)*$/: the shapes behind
+// catastrophic backtracking.
+const backtrackingRisk = (pattern) => {
+  const root = { repeats: false, alternates: false };
+  const stack = [root];
+  let lastGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const frame = stack[stack.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9]/.test(pattern[i + 1]) || pattern.startsWith('k<', i + 1)) {
+        return 'backreferences are not supported';
+      }
+      i += 1;
+      lastGroup = null;
+    } else if (char === '[') {
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i += 1;
+      }
+      lastGroup = null;
+    } else if (char === '(') {
+      stack.push({ repeats: false, alternates: false });
+      // Skip the group's kind: (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      const kind = pattern.slice(i + 1).match(/^\?(:|=|!|<=|<!|<[^>]*>)/);
+      if (kind) i += kind[0].length;
+      lastGroup = null;
+    } else if (char === ')') {
+      lastGroup = stack.pop();
+      const parent = stack[stack.length - 1];
+      parent.repeats ||= lastGroup.repeats;
+      parent.alternates ||= lastGroup.alternates;
+    } else if (char === '|') {
+      frame.alternates = true;
+      lastGroup = null;
+    } else {
+      const quantifier = pattern.slice(i).match(REPEAT_QUANTIFIER);
+      if (quantifier) {
+        if (lastGroup && (lastGroup.repeats || lastGroup.alternates)) {
+          return 'a repeated group must not itself repeat or have alternatives';
+        }
+        frame.repeats = true;
+        i += quantifier[0].length - 1;
+      }
+      lastGroup = null;
+    }
+  }
+  return null;
+};
+
+// Range bounds are numbers, or dates when both given bounds read as dates
+const parseBounds = ({ min, max }) => {
+  const given = [min, max].filter(bound => bound !== undefined && bound !== null);
+  if (given.length === 0) return { error: 'min or max is required' };
+
+  if (given.every(bound => toNumber(bound) !== null)) {
+    const lower = min === undefined || min === null ? null : toNumber(min);
+    const upper = max === undefined || max === null ? null : toNumber(max);
+    if (lower !== null && upper !== null && lower > upper) return { error: 'min must not be greater than max' };
+    return { kind: 'number', min: lower, max: upper };
+  }
+  if (given.every(bound => typeof bound === 'string' && toDate(bound))) {
+    const lower = typeof min === 'string' ? toDate(min) : null;
+    const upper = typeof max === 'string' ? toDate(max) : null;
+    if (lower && upper && lower > upper) return { error: 'min must not be after max' };
+    return { kind: 'date', min: lower && lower.toISOString(), max: upper && upper.toISOString() };
+  }
+  return { error: 'min and max must both be numbers or both be dates' };
+};
+
+// Each rule type: normalize(rule, headers) -> { rule } | { error } with the
+// rule's own fields, and prepare(rule, headers, rows) -> check(row, rowNumber)
+// returning the reason a row fails, or null. Checks may keep state across
+// the rows of one run (unique does), so prepare is called once per run.
+const RULE_TYPES = {
+  required: {
+    normalize({ column }, headers) {
+      const error = columnError(column, headers);
+      return error ? { error } : { rule: { column } };
+    },
+    prepare: ({ column }) => (row) => (isBlank(row[column]) ? 'Value is required' : null)
+  },
+
+  type: {
+    normalize({ column, type }, headers) {
+      const error = columnError(column, headers);
+      if (error) return { error };
+      if (!VALUE_TYPES.includes(type)) return { error: `type must be one of: ${VALUE_TYPES.join(', ')}` };
+      return { rule: { column, type } };
+    },
+    prepare: ({ column, type }) => (row) => {
+      const value = row[column];
+      if (isBlank(value) || TYPE_CHECKS[type](value)) return null;
+      return `${describe(cellValue(value))} is not a valid ${type}`;
+    }
+  },
+
+  regex: {
+    normalize({ column, pattern, flags = '' }, headers) {
+      const error = columnError(column, headers);
+      if (error) return { error };
+      if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_PATTERN_LENGTH) {
+        return { error: `pattern must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters` };
+      }
+      if (typeof flags !== 'string' || [...flags].some(flag => !REGEX_FLAGS.includes(flag)) || new Set(flags).size !== flags.length) {
+        return { error: `flags may only combine: ${REGEX_FLAGS.join(', ')}` };
+      }
+      try {
+        new RegExp(pattern, flags);
+      } catch (regexError) {
+        return { error: `Invalid pattern: ${regexError.message}` };
+      }
+      const risk = backtrackingRisk(pattern);
+      if (risk) return { error: `Pattern could take too long to check: ${risk}` };
+      return { rule: { column, pattern, flags } };
+    },
+    // Every cell is matched in one go, under a time limit
+    prepare: ({ column, pattern, flags }, headers, rows) => {
+      const texts = rows.map(row => (isBlank(row[column]) ? null : String(cellValue(row[column])).slice(0, MAX_MATCHED_LENGTH)));
+      let matches;
+      try {
+        matches = REGEX_SCRIPT.runInNewContext({ texts, regex: new RegExp(pattern, flags) }, { timeout: REGEX_TIMEOUT_MS });
+      } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+        matches = null;
+      }
+      return (row, rowNumber) => {
+        if (texts[rowNumber - 1] === null) return null;
+        if (!matches) return `Pattern took over ${REGEX_TIMEOUT_MS} ms to check; simplify it`;
+        return matches[rowNumber - 1] ? null : `Does not match /${pattern}/${flags}`;
+      };
+    }
+  },
+
+  allowedValues: {
+    normalize({ column, values, caseSensitive = false }, headers) {
+      const error = columnError(column, headers);
+      if (error) return { error };
+      if (!Array.isArray(values) || values.length === 0 || values.length > MAX_ALLOWED_VALUES
+        || !values.every(value => ['string', 'number', 'boolean'].includes(typeof value))) {
+        return { error: `values must be a list of 1 to ${MAX_ALLOWED_VALUES} strings, numbers or booleans` };
+      }
+      if (typeof caseSensitive !== 'boolean') return { error: 'caseSensitive must be true or false' };
+      return { rule: { column, values, caseSensitive } };
+    },
+    prepare: ({ column, values, caseSensitive }) => {
+      const allowed = new Set(values.map(value => allowedKey(value, caseSensitive)));
+      return (row) => {
+        const value = row[column];
+        if (isBlank(value) || allowed.has(allowedKey(value, caseSensitive))) return null;
+        return `${describe(cellValue(value))} is not an allowed value`;
+      };
+    }
+  },
+
+  range: {
+    normalize({ column, min, max }, headers) {
+      const error = columnError(column, headers);
+      if (error) return { error };
+      const bounds = parseBounds({ min, max });
+      if (bounds.error) return { error: bounds.error };
+      return { rule: { column, ...bounds } };
+    },
+    prepare: ({ column, kind, min, max }) => {
+      const parse = kind === 'date' ? (value) => toDate(value)?.getTime() ?? null : toNumber;
+      const lower = min === null ? null : parse(min);
+      const upper = max === null ? null : parse(max);
+      return (row) => {
+        const value = row[column];
+        if (isBlank(value)) return null;
+        const parsed = parse(value);
+        if (parsed === null) return `${describe(cellValue(value))} is not a ${kind}`;
+        if (lower !== null && parsed < lower) return `Below the minimum of ${describeBound(min)}`;
+        if (upper !== null && parsed > upper) return `Above the maximum of ${describeBound(max)}`;
+        return null;
+      };
+    }
+  },
+
+  // A single column, or a combination of columns (`columns`) that must not
+  // repeat. The first row holding a value passes; later ones fail.
+  unique: {
+    normalize({ column, columns }, headers) {
+      if (columns === undefined) {
+        const error = columnError(column, headers);
+        return error ? { error } : { rule: { column } };
+      }
+      if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_UNIQUE_COLUMNS) {
+        return { error: `columns must list 1 to ${MAX_UNIQUE_COLUMNS} columns` };
+      }
+      const error = columns.map(entry => columnError(entry, headers)).find(Boolean);
+      return error ? { error } : { rule: { columns: [...new Set(columns)] } };
+    },
+    prepare: ({ column, columns = [column] }) => {
+      const seen = new Map();
+      return (row, rowNumber) => {
+        const values = columns.map(entry => row[entry]);
+        if (values.some(isBlank)) return null;
+        const key = JSON.stringify(values.map(toKey));
+        const first = seen.get(key);
+        if (first === undefined) {
+          seen.set(key, rowNumber);
+          return null;
+        }
+        return `Duplicate of row ${first}`;
+      };
+    }
+  },
+
+  // Compare a column with another column (`otherColumn`) or a fixed `value`
+  compare: {
+    normalize({ column, op, otherColumn, value }, headers) {
+      const error = columnError(column, headers);
+      if (error) return { error };
+      if (!COMPARE_OPERATORS.includes(op)) return { error: `op must be one of: ${COMPARE_OPERATORS.join(', ')}` };
+      if ((otherColumn === undefined) === (value === undefined)) {
+        return { error: 'Exactly one of otherColumn and value is required' };
+      }
+      if (otherColumn !== undefined) {
+        const otherError = columnError(otherColumn, headers);
+        return otherError ? { error: otherError } : { rule: { column, op, otherColumn } };
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        return { error: 'value must be a string, number or boolean' };
+      }
+      return { rule: { column, op, value } };
+    },
+    prepare: ({ column, op, otherColumn, value }) => (row) => {
+      const left = row[column];
+      const right = otherColumn === undefined ? value : row[otherColumn];
+      if (isBlank(left) || isBlank(right)) return null;
+      if (COMPARISONS[op](compareCells(left, right))) return null;
+      return otherColumn === undefined
+        ? `Must be ${op} ${describe(value)}`
+        : `Must be ${op} ${otherColumn} (${describe(cellValue(right))})`;
+    }
+  },
+
+  // An expression (see utils/expressions.js) that must be true for each row.
+  // A blank result, e.g. from blank inputs, passes. `column` optionally
+  // names the cell failures are reported against.
+  expression: {
+    normalize({ expression, column }, headers) {
+      const compiled = compileExpression(expression, headers);
+      if (compiled.error) return { error: `${compiled.error} (at position ${compiled.position + 1})` };
+      if (column !== undefined) {
+        const error = columnError(column, headers);
+        if (error) return { error };
+      }
+      return { rule: { expression, ...(column !== undefined && { column }) } };
+    },
+    prepare: ({ expression }, headers) => {
+      const { evaluate } = compileExpression(expression, headers);
+      return (row) => {
+        let result;
+        try {
+          result = evaluate(row);
+        } catch (error) {
+          return `Could not evaluate: ${error.message}`;
+        }
+        if (result === null || result === true || (typeof result === 'number' && result !== 0)) return null;
+        if (result === false || result === 0) return `Expression is false: ${expression}`;
+        return `Expression gave ${describe(result)} instead of true or false`;
+      };
+    }
+  }
+};
+
+export const VALIDATION_RULES = Object.keys(RULE_TYPES);
+
+// Validate rules against the headers they will run on. Returns { rules }
+// with the normalized rules, or { error } naming the failing rule.
+export const normalizeRules = (input, headers) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'rules must be a non-empty array' };
+  }
+  if (input.length > MAX_RULES) {
+    return { error: `A rule set can have at most ${MAX_RULES} rules` };
+  }
+
+  const rules = [];
+  for (const [index, rule] of input.entries()) {
+    const type = rule && RULE_TYPES[rule.rule];
+    if (!type) {
+      return { error: `Rule ${index + 1}: rule must be one of: ${VALIDATION_RULES.join(', ')}` };
+    }
+    const { severity = 'error', message } = rule;
+    if (!SEVERITIES.includes(severity)) {
+      return { error: `Rule ${index + 1}: severity must be one of: ${SEVERITIES.join(', ')}` };
+    }
+    if (message !== undefined && (typeof message !== 'string' || !message.trim() || message.length > MAX_MESSAGE_LENGTH)) {
+      return { error: `Rule ${index + 1}: message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    const normalized = type.normalize(rule, headers);
+    if (normalized.error) {
+      return { error: `Rule ${index + 1}: ${normalized.error}` };
+    }
+    rules.push({ rule: rule.rule, ...normalized.rule, severity, ...(message !== undefined && { message: message.trim() }) });
+  }
+  return { rules };
+};
+
+// Run normalized rules over rows. Returns { summary, failures, truncated }:
+// every failure is counted, but only the first `limit` are listed, each with
+// its 1-based row number (among the data rows), column (null for rules
+// about the whole row), value, rule and reason.
+export const runRules = (rows, rules, headers, { limit = REPORT_DEFAULT_LIMIT } = {}) => {
+  const checks = rules.map(rule => RULE_TYPES[rule.rule].prepare(rule, headers, rows));
+  const byRule = rules.map((rule, index) => ({
+    index,
+    rule: rule.rule,
+    column: rule.column ?? null,
+    severity: rule.severity,
+    failures: 0
+  }));
+
+  const failures = [];
+  let failedRows = 0;
+  let rowsWithErrors = 0;
+  let failedCells = 0;
+  let errors = 0;
+  let warnings = 0;
+
+  rows.forEach((row, position) => {
+    const rowNumber = position + 1;
+    let rowFailed = false;
+    let rowErrored = false;
+    const cells = new Set();
+
+    checks.forEach((check, index) => {
+      const reason = check(row, rowNumber);
+      if (reason === null) return;
+
+      const rule = rules[index];
+      const column = rule.column ?? null;
+      byRule[index].failures += 1;
+      rowFailed = true;
+      if (rule.severity === 'error') {
+        errors += 1;
+        rowErrored = true;
+      } else {
+        warnings += 1;
+      }
+      if (column !== null && !cells.has(column)) {
+        cells.add(column);
+        failedCells += 1;
+      }
+      if (failures.length < limit) {
+        failures.push({
+          row: rowNumber,
+          column,
+          value: column === null ? null : cellValue(row[column]),
+          rule: rule.rule,
+          ruleIndex: index,
+          severity: rule.severity,
+          reason: rule.message || reason
+        });
+      }
+    });
+
+    if (rowFailed) failedRows += 1;
+    if (rowErrored) rowsWithErrors += 1;
+  });
+
+  return {
+    summary: {
+      rowCount: rows.length,
+      ruleCount: rules.length,
+      failedRows,
+      rowsWithErrors,
+      failedCells,
+      errors,
+      warnings,
+      passed: errors === 0,
+      byRule
+    },
+    failures,
+    truncated: errors + warnings > failures.length
+  };
+};
+
+// Validate outlier options: false turns detection off, otherwise
+// { method: 'iqr' (default) | 'zscore', threshold, columns }. Thresholds
+// default to 1.5 IQRs beyond the quartiles and 3 standard deviations from
+// the mean. Columns default to the sheet's numeric columns. Returns
+// { outliers } (null when off) or { error }.
+export const normalizeOutlierOptions = (input, headers) => {
+  if (input === false) return { outliers: null };
+  const { method = 'iqr', threshold, columns } = input || {};
+  if (!OUTLIER_METHODS.includes(method)) {
+    return { error: `outliers.method must be one of: ${OUTLIER_METHODS.join(', ')}` };
+  }
+  const limit = threshold === undefined ? DEFAULT_THRESHOLDS[method] : Number(threshold);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    return { error: 'outliers.threshold must be a positive number' };
+  }
+  if (columns !== undefined) {
+    if (!Array.isArray(columns) || columns.some(column => typeof column !== 'string')) {
+      return { error: 'outliers.columns must be an array of column names' };
+    }
+    const unknown = columns.find(column => !headers.includes(column));
+    if (unknown !== undefined) {
+      return { error: `Column "${unknown}" not found` };
+    }
+  }
+  return { outliers: { method, threshold: limit, columns } };
+};
+
+// Numbers of one column far from the rest: beyond `threshold` IQRs outside
+// the quartiles, or more than `threshold` standard deviations from the mean
+const columnOutliers = (rows, column, { method, threshold }) => {
+  const entries = [];
+  rows.forEach((row, position) => {
+    const number = toNumber(row[column]);
+    if (number !== null) entries.push({ row: position + 1, value: number });
+  });
+  if (entries.length < 3) return null;
+
+  const sorted = Float64Array.from(entries, entry => entry.value).sort();
+  let lower;
+  let upper;
+  let score;
+  if (method === 'iqr') {
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    lower = q1 - threshold * (q3 - q1);
+    upper = q3 + threshold * (q3 - q1);
+  } else {
+    let sum = 0;
+    sorted.forEach(value => { sum += value; });
+    const mean = sum / sorted.length;
+    let squares = 0;
+    sorted.forEach(value => { squares += (value - mean) ** 2; });
+    // A constant column has no outliers; the bounds then both equal the mean
+    const stdDev = Math.sqrt(squares / (sorted.length - 1));
+    lower = mean - threshold * stdDev;
+    upper = mean + threshold * stdDev;
+    score = (value) => (value - mean) / stdDev;
+  }
+
+  const found = entries.filter(entry => entry.value < lower || entry.value > upper);
+  return {
+    column,
+    method,
+    threshold,
+    count: entries.length,
+    lower,
+    upper,
+    outlierCount: found.length,
+    outliers: found.slice(0, OUTLIER_EXAMPLES).map(entry => (score ? { ...entry, score: score(entry.value) } : entry)),
+    truncated: found.length > OUTLIER_EXAMPLES
+  };
+};
+
+// Outliers of each numeric column (or of `options.columns`), skipping
+// columns with fewer than three numbers
+export const detectOutliers = (sheet, rows, options) => {
+  const types = sheet.columnTypes || {};
+  const columns = options.columns || sheet.headers.filter(header => NUMERIC_TYPES.includes(types[header]));
+  return columns.map(column => columnOutliers(rows, column, options)).filter(Boolean);
+};
+
+// Quality report of a sheet: rule failures and, unless `outliers` is null,
+// outliers of its numeric columns. `rows` include computed columns and
+// `rules` are normalized.
+export const buildQualityReport = (sheet, rows, rules, { limit = REPORT_DEFAULT_LIMIT, outliers = { method: 'iqr', threshold: DEFAULT_THRESHOLDS.iqr } } = {}) => ({
+  ...runRules(rows, rules, sheet.headers, { limit }),
+  outliers: outliers ? detectOutliers(sheet, rows, outliers) : []
+});
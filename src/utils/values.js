@@ -0,0 +1,124 @@
+// Shared coercion helpers for cell values coming out of uploaded sheets.
+// Cells may be numbers, booleans, strings or (for JSON uploads) anything
+// JSON can hold, so every consumer goes through these instead of typeof.
+
+// Excel stores dates as days since 1899-12-30 (accounting for the fake
+// 1900 leap day), so serial 1 is 1900-01-01
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const THOUSANDS_PATTERN = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+export const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Parse a number from a cell, tolerating thousands separators, currency
+// symbols and trailing percentages. Returns null when not numeric.
+// Commas only count as thousands separators in groups of three, so
+// decimal commas ("12,5", "1.234,56") leave a value as text rather than
+// misreading its scale; parseDelimited reads those in ';'-delimited files.
+export const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.trim();
+  if (text === '') return null;
+
+  let scale = 1;
+  if (text.endsWith('%')) {
+    scale = 0.01;
+    text = text.slice(0, -1);
+  }
+  // Accounting style negatives: (1,234.00)
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  text = text.replace(/\s/g, '').replace(/^([-+]?)[$€£¥₹]/, '$1').replace(/[$€£¥₹]$/, '');
+  if (text.includes(',')) {
+    if (!THOUSANDS_PATTERN.test(text)) return null;
+    text = text.replace(/,/g, '');
+  }
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return null;
+  const number = Number(text) * scale * sign;
+  return Number.isFinite(number) ? number : null;
+};
+
+export const excelSerialToDate = (serial) => new Date(EXCEL_EPOCH_MS + serial * MS_PER_DAY);
+
+export const dateToExcelSerial = (date) => (date.getTime() - EXCEL_EPOCH_MS) / MS_PER_DAY;
+
+// Serials outside this window are far more likely to be plain numbers
+const MIN_DATE_SERIAL = 1; // 1900-01-01
+const MAX_DATE_SERIAL = 2958465; // 9999-12-31
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const SLASH_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})( \d{1,2}:\d{2}(:\d{2})?)?$/;
+
+// Parse a date from a Date, an ISO-ish or d/m/y string, or (when
+// allowSerial is set) an Excel serial number. Returns null otherwise.
+export const toDate = (value, { allowSerial = true } = {}) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  if (typeof value === 'number') {
+    if (!allowSerial || value < MIN_DATE_SERIAL || value > MAX_DATE_SERIAL) return null;
+    return excelSerialToDate(value);
+  }
+
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (text === '') return null;
+
+  if (ISO_DATE_PATTERN.test(text)) {
+    // Date-only ISO strings parse as UTC; date-times without a zone are
+    // treated as UTC too so results do not depend on the server timezone
+    const normalised = /[T ]\d/.test(text) && !/(Z|[+-]\d{2}:?\d{2})$/.test(text)
+      ? `${text.replace(' ', 'T')}Z`
+      : text;
+    const date = new Date(normalised);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = text.match(SLASH_DATE_PATTERN);
+  if (match) {
+    let [, first, second, year] = match;
+    let day = Number(first);
+    let month = Number(second);
+    // Prefer day/month order but accept month/day when the day is > 12
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+    let fullYear = Number(year);
+    if (year.length === 2) fullYear += fullYear < 50 ? 2000 : 1900;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const time = (match[4] || '').trim().split(':').map(Number);
+    const date = new Date(Date.UTC(fullYear, month - 1, day, time[0] || 0, time[1] || 0, time[2] || 0));
+    return date.getUTCDate() === day ? date : null;
+  }
+
+  return null;
+};
+
+// Stable string key for grouping values that may be of mixed types
+export const toKey = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string') return value.trim();
+  return String(value);
+};
+
+// Total ordering used when sorting cells: blanks last, numbers before
+// strings, strings compared case-insensitively
+export const compareValues = (a, b) => {
+  const aBlank = isBlank(a);
+  const bBlank = isBlank(b);
+  if (aBlank || bBlank) return aBlank === bBlank ? 0 : aBlank ? 1 : -1;
+
+  const aNumber = toNumber(a);
+  const bNumber = toNumber(b);
+  if (aNumber !== null && bNumber !== null) return aNumber - bNumber;
+  if (aNumber !== null) return -1;
+  if (bNumber !== null) return 1;
+
+  if (a instanceof Date && b instanceof Date) return a - b;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+};
@@ -0,0 +1,66 @@
+import { parentPort, workerData } from 'worker_threads';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { loadFile } from '../utils/access.js';
+import { jobRequest, loadJobPayload, jobResult } from '../utils/jobQueue.js';
+import { storeUpload, storeVersion } from '../utils/uploads.js';
+
+// Runs one queued upload (see utils/jobQueue.js) on its own database
+// connection. Reports to the queue with messages: { type: 'progress',
+// progress, stage }, { type: 'committed' } once the file is saved, then
+// { type: 'succeeded', result } or { type: 'failed', error, retryable }.
+
+const post = (message) => parentPort.postMessage(message);
+
+// Returns { response } or { status, message, error } for uploads that can
+// never succeed, such as an unreadable file
+const run = async () => {
+  const job = await Job.findById(workerData.jobId);
+  if (!job) {
+    return { status: 404, message: 'Job not found' };
+  }
+
+  const buffer = await loadJobPayload(job._id);
+  if (!buffer) {
+    return { status: 410, message: 'The uploaded file is no longer available; upload it again' };
+  }
+
+  const req = jobRequest(job);
+  const upload = {
+    buffer,
+    fileName: job.input.fileName,
+    size: job.input.size,
+    importOptions: job.input.importOptions
+  };
+  const hooks = {
+    onProgress: (progress, stage) => post({ type: 'progress', progress, stage }),
+    onCommit: () => post({ type: 'committed' })
+  };
+
+  if (job.type === 'upload') {
+    return storeUpload(req, upload, { workspaceId: job.input.workspace, fileId: job.file, ...hooks });
+  }
+  const { file, status, message } = await loadFile(req, job.file, 'editor');
+  if (!file) {
+    return { status, message };
+  }
+  return storeVersion(req, file, upload, { pinGraphs: job.input.pinGraphs, ...hooks });
+};
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 30000,
+    maxPoolSize: 2,
+    family: 4
+  });
+  const outcome = await run();
+  if (outcome.status) {
+    post({ type: 'failed', error: outcome.error ? `${outcome.message}: ${outcome.error}` : outcome.message, retryable: false });
+  } else {
+    post({ type: 'succeeded', result: jobResult(outcome.response) });
+  }
+} catch (error) {
+  post({ type: 'failed', error: error.message, retryable: true });
+} finally {
+  await mongoose.disconnect();
+}
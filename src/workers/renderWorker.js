@@ -0,0 +1,8 @@
+import { parentPort, workerData } from 'worker_threads';
+import { rasterizeToPng } from '../utils/pngRasterizer.js';
+
+// Rasterizes one chart scene (see utils/chartRenderer.js) so large PNGs do
+// not hold up the requests of everyone else. Posts back the PNG bytes.
+
+const { scene, width, height } = workerData;
+parentPort.postMessage(rasterizeToPng(scene, width, height));
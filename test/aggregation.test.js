@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAggregationSpec, buildSeries, createAccumulator, normalizeBin } from '../src/utils/aggregation.js';
+import { toNumber } from '../src/utils/values.js';
+
+const HEADERS = ['region', 'sales', 'date', 'score'];
+const ROWS = [
+  { region: 'EU', sales: 10, date: '2024-01-15', score: 1 },
+  { region: 'US', sales: '1,200', date: '2024-02-01', score: 9.5 },
+  { region: 'EU', sales: '5', date: '2024-04-30', score: 10 },
+  { region: 'APAC', sales: 'n/a', date: 'someday', score: 4 },
+  { sales: 3 }
+];
+
+const spec = (input) => {
+  const { spec: normalized, error } = normalizeAggregationSpec(input, HEADERS);
+  assert.equal(error, undefined, error);
+  return normalized;
+};
+
+test('toNumber reads thousands separators but not decimal commas', () => {
+  assert.equal(toNumber('1,234'), 1234);
+  assert.equal(toNumber('-1,234,567.5'), -1234567.5);
+  assert.equal(toNumber('(1,000)'), -1000);
+  assert.equal(toNumber('€12'), 12);
+  assert.equal(toNumber('45%'), 0.45);
+  assert.equal(toNumber('12,5'), null);
+  assert.equal(toNumber('1.234,56'), null);
+  assert.equal(toNumber('1,23,4'), null);
+  assert.equal(toNumber(''), null);
+  assert.equal(toNumber(Infinity), null);
+});
+
+test('normalizeAggregationSpec fills in defaults', () => {
+  assert.deepEqual(spec({ xColumn: 'region', yColumns: 'sales' }), {
+    xColumn: 'region',
+    yColumns: [{ column: 'sales', aggregation: 'sum' }],
+    aggregation: 'sum',
+    bin: null,
+    sort: 'x',
+    order: 'asc',
+    limit: undefined
+  });
+});
+
+test('normalizeAggregationSpec rejects bad specs', () => {
+  const error = (input) => normalizeAggregationSpec(input, HEADERS).error;
+  assert.match(error(null), /must be an object/);
+  assert.match(error({}), /xColumn is required/);
+  assert.match(error({ xColumn: 'nope' }), /Unknown column "nope"/);
+  assert.match(error({ xColumn: 'region' }), /At least one y column/);
+  assert.match(error({ xColumn: 'region', yColumns: ['nope'] }), /Unknown column "nope"/);
+  assert.match(error({ xColumn: 'region', yColumns: [{ column: 'sales', aggregation: 'median' }] }), /Unknown aggregation "median"/);
+  assert.match(error({ xColumn: 'region', yColumns: 'sales', sort: 'y' }), /sort must be/);
+  assert.match(error({ xColumn: 'region', yColumns: 'sales', order: 'up' }), /order must be/);
+  assert.match(error({ xColumn: 'region', yColumns: 'sales', limit: 0 }), /limit must be a positive integer/);
+  assert.match(error({ xColumn: 'region', yColumns: 'sales', bin: { type: 'log' } }), /bin.type/);
+});
+
+test('normalizeBin checks numeric and date bins', () => {
+  assert.deepEqual(normalizeBin({ type: 'date' }), { bin: { type: 'date', unit: 'month' } });
+  assert.match(normalizeBin({ type: 'date', unit: 'decade' }).error, /Unknown date bin unit/);
+  assert.match(normalizeBin({ type: 'numeric', size: -1 }).error, /bin.size/);
+  assert.match(normalizeBin({ type: 'numeric', count: 1001 }).error, /bin.count/);
+  assert.match(normalizeBin({ type: 'numeric', start: 'x' }).error, /bin.start/);
+});
+
+test('accumulators skip values they cannot use', () => {
+  const run = (aggregation, values) => {
+    const accumulator = createAccumulator(aggregation);
+    values.forEach(value => accumulator.add(value));
+    return accumulator.result();
+  };
+  const values = [2, '1,000', 'x', null, '', 2];
+  assert.equal(run('sum', values), 1004);
+  assert.equal(run('avg', values), 1004 / 3);
+  assert.equal(run('count', values), 4);
+  assert.equal(run('min', values), 2);
+  assert.equal(run('max', values), 1000);
+  assert.equal(run('distinctCount', values), 3);
+  assert.equal(run('avg', []), null);
+  assert.throws(() => createAccumulator('median'), /Unknown aggregation/);
+});
+
+test('buildSeries groups by x, skipping blank x values', () => {
+  const result = buildSeries(ROWS, spec({
+    xColumn: 'region',
+    yColumns: ['sales', { column: 'score', aggregation: 'max' }]
+  }));
+  assert.deepEqual(result.labels, ['APAC', 'EU', 'US']);
+  assert.deepEqual(result.series.map(series => series.name), ['sales (sum)', 'score (max)']);
+  assert.deepEqual(result.series[0].data, [0, 15, 1200]);
+  assert.deepEqual(result.series[1].data, [4, 10, 9.5]);
+  assert.equal(result.groupCount, 3);
+});
+
+test('buildSeries counts rows, sorts by value and limits', () => {
+  const result = buildSeries(ROWS, spec({ xColumn: 'region', aggregation: 'count', sort: 'value', order: 'desc', limit: 1 }));
+  assert.deepEqual(result.labels, ['EU']);
+  assert.deepEqual(result.series, [{ name: 'Count', column: null, aggregation: 'count', data: [2] }]);
+});
+
+test('buildSeries bins dates, leaving out values that are not dates', () => {
+  const result = buildSeries(ROWS, spec({ xColumn: 'date', yColumns: 'sales', bin: { type: 'date', unit: 'quarter' } }));
+  assert.deepEqual(result.labels, ['2024-Q1', '2024-Q2']);
+  assert.deepEqual(result.series[0].data, [1210, 5]);
+});
+
+test('buildSeries bins numbers, keeping the maximum in the last bucket', () => {
+  const result = buildSeries(ROWS, spec({ xColumn: 'score', aggregation: 'count', bin: { type: 'numeric', count: 3 } }));
+  assert.deepEqual(result.labels, ['1–4', '4–7', '7–10']);
+  assert.deepEqual(result.ranges, [[1, 4], [4, 7], [7, 10]]);
+  assert.deepEqual(result.series[0].data, [1, 1, 2]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { AUDIT_CSV_COLUMNS, auditCsvBatches } from '../src/utils/audit.js';
+import { streamDelimited } from '../src/utils/exporters.js';
+
+// Collects what is written, standing in for an HTTP response
+const collector = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    }
+  });
+  res.text = () => chunks.join('');
+  return res;
+};
+
+async function* entries(list) {
+  yield* list;
+}
+
+const exportCsv = async (list) => {
+  const res = collector();
+  await streamDelimited(res, AUDIT_CSV_COLUMNS, auditCsvBatches(entries(list)), ',');
+  return res.text().replace(/^﻿/, '').split('\r\n').filter(Boolean);
+};
+
+test('audit export keeps formula-looking emails as text', async () => {
+  const [header, ...lines] = await exportCsv([
+    { action: 'auth.login.failure', actorEmail: '=HYPERLINK("http://evil.example","x")' },
+    { action: 'auth.login.failure', actorEmail: '@SUM(A1:A2)' },
+    { action: 'auth.login.failure', actorEmail: '+1+1' },
+    { action: 'auth.login.failure', actorEmail: '-2+3' },
+    { action: 'auth.login.failure', actorEmail: '\tcmd' }
+  ]);
+
+  assert.equal(header, AUDIT_CSV_COLUMNS.join(','));
+  const emails = lines.map(line => line.split(',').slice(3).join(',').replace(/,+$/, ''));
+  assert.deepEqual(emails, [
+    '"\'=HYPERLINK(""http://evil.example"",""x"")"',
+    '\'@SUM(A1:A2)',
+    '\'+1+1',
+    '\'-2+3',
+    '\'\tcmd'
+  ]);
+});
+
+test('audit export leaves ordinary values and numbers alone', async () => {
+  const [, line] = await exportCsv([
+    { action: 'user.approve', actorEmail: 'admin@example.com', targetType: 'user', details: { count: -1 } }
+  ]);
+  assert.equal(line, ',user.approve,,admin@example.com,user,,,,,,"{""count"":-1}"');
+});
+
+test('audit export batches entries and stringifies ids', async () => {
+  const id = { toString: () => '65a000000000000000000001' };
+  const batches = [];
+  for await (const batch of auditCsvBatches(entries([{ actor: id }, { target: id }, {}]), 2)) {
+    batches.push(batch);
+  }
+  assert.deepEqual(batches.map(batch => batch.length), [2, 1]);
+  assert.equal(batches[0][0].actor, '65a000000000000000000001');
+  assert.equal(batches[0][1].target, '65a000000000000000000001');
+});
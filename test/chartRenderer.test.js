@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import zlib from 'zlib';
+import { renderGraph, renderGraphInWorker } from '../src/utils/chartRenderer.js';
+
+// Snapshot tests for rendered graphs: every chart type is drawn from fixed
+// data and compared with the images in fixtures/render. PNGs are compared
+// by their decoded pixels, so a different zlib build does not fail them.
+// Run with UPDATE_SNAPSHOTS=1 to write the images afresh after an
+// intended change to the renderer.
+
+const FIXTURES = new URL('./fixtures/render/', import.meta.url);
+const SIZE = { width: 320, height: 200 };
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+const headers = ['Month', 'Sales', 'Costs'];
+const rows = [
+  { Month: 'Jan', Sales: 120, Costs: 80 },
+  { Month: 'Feb', Sales: 95, Costs: 70 },
+  { Month: 'Mar', Sales: 150, Costs: 90 },
+  { Month: 'Apr', Costs: 85 },
+  { Month: 'May', Sales: 180, Costs: 110 }
+];
+const scatterRows = [
+  { Month: 1, Sales: 120, Costs: 80 },
+  { Month: 2, Sales: 95, Costs: 70 },
+  { Month: 3, Sales: 150, Costs: 90 },
+  { Month: 5, Sales: 180, Costs: 110 }
+];
+
+const graph = (chartType, overrides = {}) => ({
+  title: `Sales by month (${chartType})`,
+  type: '2d',
+  chartType,
+  xAxis: 'Month',
+  yAxis: 'Sales,Costs',
+  config: {},
+  ...overrides
+});
+
+const CASES = {
+  bar: [graph('bar'), rows],
+  line: [graph('line'), rows],
+  area: [graph('area', { config: { colors: ['#336699', 'rgb(200, 80, 40)'] } }), rows],
+  pie: [graph('pie', { yAxis: 'Sales' }), rows],
+  scatter: [graph('scatter'), scatterRows],
+  radar: [graph('radar'), rows],
+  aggregated: [graph('bar', {
+    aggregation: { xColumn: 'Month', yColumns: ['Sales', 'Costs'], aggregation: 'sum', sort: 'value', order: 'desc' }
+  }), rows]
+};
+
+// Raw RGB rows of a PNG written by pngRasterizer.js
+const decodePixels = (png) => {
+  const idat = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    if (type === 'IDAT') idat.push(png.subarray(offset + 8, offset + 8 + length));
+    offset += length + 12;
+  }
+  return zlib.inflateSync(Buffer.concat(idat));
+};
+
+const snapshot = (name, body) => {
+  const path = new URL(name, FIXTURES);
+  if (UPDATE) {
+    fs.writeFileSync(path, body);
+  }
+  return fs.readFileSync(path);
+};
+
+for (const [name, [chart, chartRows]] of Object.entries(CASES)) {
+  test(`${name} chart renders the stored SVG`, () => {
+    const { contentType, body } = renderGraph(chart, chartRows, headers, { format: 'svg', ...SIZE });
+    assert.equal(contentType, 'image/svg+xml; charset=utf-8');
+    assert.equal(body, snapshot(`${name}.svg`, body).toString('utf8'));
+  });
+
+  test(`${name} chart renders the stored PNG`, () => {
+    const { contentType, body } = renderGraph(chart, chartRows, headers, { format: 'png', ...SIZE });
+    assert.equal(contentType, 'image/png');
+    assert.ok(decodePixels(body).equals(decodePixels(snapshot(`${name}.png`, body))));
+  });
+}
+
+test('rendering the same graph twice gives the same bytes', () => {
+  const [chart, chartRows] = CASES.line;
+  for (const format of ['svg', 'png']) {
+    const first = renderGraph(chart, chartRows, headers, { format, ...SIZE }).body;
+    const second = renderGraph(chart, chartRows, headers, { format, ...SIZE }).body;
+    assert.deepEqual(Buffer.from(first), Buffer.from(second));
+  }
+});
+
+test('PNGs rendered in a worker thread match those rendered inline', async () => {
+  const [chart, chartRows] = CASES.bar;
+  const inline = renderGraph(chart, chartRows, headers, { format: 'png', ...SIZE });
+  const rendered = await renderGraphInWorker(chart, chartRows, headers, { format: 'png', ...SIZE });
+  assert.equal(rendered.contentType, inline.contentType);
+  assert.ok(rendered.body.equals(inline.body));
+});
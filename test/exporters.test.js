@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { streamDelimited, streamJson, toDelimitedLine } from '../src/utils/exporters.js';
+
+// Stands in for an HTTP response; a stalled one never calls back, so its
+// buffer fills and writes wait for a drain
+const response = ({ stalled = false } = {}) => {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      if (!stalled) callback();
+    }
+  });
+  res.text = () => chunks.join('');
+  return res;
+};
+
+test('delimited exports keep formula-looking cells as text', () => {
+  assert.equal(toDelimitedLine(['=1+2', '@A1', '-x', '+y', 'plain'], '\t'), "'=1+2\t'@A1\t'-x\t'+y\tplain\r\n");
+  assert.equal(toDelimitedLine(['=SUM(A1,A2)'], ','), '"\'=SUM(A1,A2)"\r\n');
+});
+
+test('delimited exports leave numbers as numbers', () => {
+  assert.equal(toDelimitedLine([-5, 1.5, null, true], ','), '-5,1.5,,true\r\n');
+});
+
+test('streamDelimited writes a BOM, headers and every batch', async () => {
+  const res = response();
+  await streamDelimited(res, ['a', 'b'], [[{ a: 1, b: 'x' }], [], [{ a: 2 }]], ',');
+  assert.equal(res.text(), '﻿a,b\r\n1,x\r\n2,\r\n');
+  assert.ok(res.writableEnded);
+});
+
+test('streamJson writes an array of the rows', async () => {
+  const res = response();
+  await streamJson(res, [[{ a: 1 }], [{ a: 2 }]]);
+  assert.deepEqual(JSON.parse(res.text()), [{ a: 1 }, { a: 2 }]);
+
+  const empty = response();
+  await streamJson(empty, [[]]);
+  assert.equal(empty.text(), '[]');
+});
+
+test('streaming stops and releases its source when the client leaves', async () => {
+  let released = false;
+  async function* batches() {
+    try {
+      for (;;) yield [{ a: 'x'.repeat(64) }];
+    } finally {
+      released = true;
+    }
+  }
+
+  const res = response({ stalled: true });
+  const streaming = streamDelimited(res, ['a'], batches(), ',');
+  setImmediate(() => res.destroy());
+  await streaming;
+
+  assert.ok(released);
+  assert.ok(!res.writableEnded);
+});
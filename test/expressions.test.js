@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression, MAX_EXPRESSION_LENGTH } from '../src/utils/expressions.js';
+
+const COLUMNS = ['Price', 'Cost', 'Region', 'Order Date', 'a]b', 'constructor', 'Name'];
+
+const evaluate = (source, row = {}) => {
+  const compiled = compileExpression(source, COLUMNS);
+  assert.equal(compiled.error, undefined, compiled.error);
+  return compiled.evaluate(row);
+};
+
+test('arithmetic follows precedence and treats blanks as null', () => {
+  assert.equal(evaluate('Price - Cost * 2', { Price: 10, Cost: 3 }), 4);
+  assert.equal(evaluate('-2 ^ 2'), -4);
+  assert.equal(evaluate('(1 + 2) * 3 % 4'), 1);
+  assert.equal(evaluate('-7 % 3'), 2);
+  assert.equal(evaluate('Price + Cost', { Price: 10 }), null);
+  assert.equal(evaluate('Price * 2', { Price: '1,200' }), 2400);
+});
+
+test('comparisons, logic and text joining', () => {
+  assert.equal(evaluate('IF(Region = "EU", Price * 2, Price)', { Region: 'EU', Price: 5 }), 10);
+  assert.equal(evaluate("IF(Region <> 'EU', 1, 0)", { Region: 'US' }), 1);
+  assert.equal(evaluate('Price > 3 AND NOT Cost > 3', { Price: 5, Cost: 1 }), true);
+  assert.equal(evaluate('Price > 3 || Cost > 3', { Price: 1, Cost: 1 }), false);
+  assert.equal(evaluate('Region & "-" & Price', { Region: 'EU', Price: 3 }), 'EU-3');
+  assert.equal(evaluate('"it""s" & \'x\'\'y\''), 'it"sx\'y');
+});
+
+test('bracketed column names and literal brackets', () => {
+  assert.equal(evaluate('YEAR([Order Date]) & "-Q" & QUARTER([Order Date])', { 'Order Date': '2024-05-02' }), '2024-Q2');
+  assert.equal(evaluate('[a]]b] + 1', { 'a]b': 1 }), 2);
+});
+
+test('columns named like Object.prototype members read only the row', () => {
+  assert.equal(evaluate('constructor', {}), null);
+  assert.equal(evaluate('COALESCE([constructor], "none")', {}), 'none');
+  assert.equal(evaluate('constructor', { constructor: 'set' }), 'set');
+  assert.equal(evaluate('LEN(Name)', Object.create({ Name: 'inherited' })), 0);
+});
+
+test('functions', () => {
+  assert.equal(evaluate('ROUND(2.5)'), 3);
+  assert.equal(evaluate('ROUND(-2.5)'), -3);
+  assert.equal(evaluate('ROUND(1.005, 2)'), 1.01);
+  assert.equal(evaluate('SUM(1, Price, 2)', {}), 3);
+  assert.equal(evaluate('MAX(Price, Cost)', {}), null);
+  assert.equal(evaluate('UPPER(TRIM("  a   b "))'), 'A B');
+  assert.equal(evaluate('MID("spreadsheet", 2, 3)'), 'pre');
+  assert.equal(evaluate('SUBSTITUTE("a-b-c", "-", "+")'), 'a+b+c');
+  assert.equal(evaluate('IFERROR(1 / 0, "n/a")'), 'n/a');
+  assert.equal(evaluate('IF(FALSE, 1 / 0, 2)'), 2);
+  assert.equal(evaluate('DATEDIFF("2024-01-31", "2024-03-01", "months")'), 1);
+  assert.equal(evaluate('DATEADD("2024-01-31", 1, "day")'), '2024-02-01');
+  assert.equal(evaluate('DATEADD("2024-01-01T10:00:00Z", 90, "minutes")'), '2024-01-01T11:30:00.000Z');
+});
+
+test('runtime errors throw for the caller to handle', () => {
+  assert.throws(() => evaluate('Price / 0', { Price: 1 }), /Division by zero/);
+  assert.throws(() => evaluate('Price * 2', { Price: 'abc' }), /Cannot use "abc" as a number/);
+  assert.throws(() => evaluate('SQRT(-1)'), /SQRT of a negative number/);
+  assert.throws(() => evaluate('YEAR(Region)', { Region: 'soon' }), /as a date/);
+  assert.throws(() => evaluate('DATEADD(TODAY(), 1, "fortnights")'), /Unknown date unit/);
+  assert.throws(() => evaluate('EXP(1000)'), /not a finite number/);
+});
+
+test('parse errors report where the problem is', () => {
+  const check = (source, message, position, length) => {
+    const compiled = compileExpression(source, COLUMNS);
+    assert.match(compiled.error, message);
+    assert.equal(compiled.position, position);
+    if (length !== undefined) assert.equal(compiled.length, length);
+  };
+  check('Price + Missing', /Unknown column "Missing"/, 8, 7);
+  check('FOO(1)', /Unknown function "FOO"/, 0, 3);
+  check('"open', /Unterminated string/, 0, 5);
+  check('[Order Date', /Unterminated column reference/, 0);
+  check('[] + 1', /Empty column reference/, 0, 2);
+  check('1 + # 2', /Unexpected character "#"/, 4, 1);
+  check('(1 + 2', /Expected/, 6);
+  check('1 2', /Unexpected/, 2);
+  check('   ', /Expression is empty/, 0);
+  check('ROUND()', /ROUND/, 0);
+});
+
+test('oversized and deeply nested expressions are refused', () => {
+  assert.match(compileExpression(42, COLUMNS).error, /must be a string/);
+  const long = compileExpression('1+'.repeat(MAX_EXPRESSION_LENGTH), COLUMNS);
+  assert.match(long.error, /longer than/);
+  assert.equal(long.position, MAX_EXPRESSION_LENGTH);
+  assert.match(compileExpression(`${'('.repeat(300)}1${')'.repeat(300)}`, COLUMNS).error, /nested too deeply/);
+});
+
+test('compiled expressions list the columns they reference', () => {
+  assert.deepEqual(compileExpression('Price - Cost + Price', COLUMNS).references.sort(), ['Cost', 'Price']);
+});
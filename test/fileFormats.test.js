@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFileType, detectDelimiter, parseDelimited } from '../src/utils/fileFormats.js';
+
+const parse = (text, options) => parseDelimited(Buffer.from(text), options);
+
+test('detectFileType tells text formats apart by content', () => {
+  assert.equal(detectFileType(Buffer.from('[{"a":1}]')), 'json');
+  assert.equal(detectFileType(Buffer.from('{not json,1\n')), 'delimited');
+  assert.equal(detectFileType(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0])), 'xls');
+  assert.equal(detectFileType(Buffer.from([0, 1, 2, 3, 4, 5, 6, 7])), null);
+  assert.equal(detectFileType(Buffer.alloc(0)), null);
+});
+
+test('detectDelimiter picks the consistent delimiter', () => {
+  assert.equal(detectDelimiter('a;b;c\n1;2,5;3\n4;5;6\n'), ';');
+  assert.equal(detectDelimiter('a\tb\n1\t2\n'), '\t');
+  assert.equal(detectDelimiter('a,b\n1,2\n'), ',');
+});
+
+test('comma-delimited files read dots as decimal points', () => {
+  const { records, delimiter } = parse('a,b\n1.234,"12,5"\n');
+  assert.equal(delimiter, ',');
+  assert.deepEqual(records, [{ a: 1.234, b: '12,5' }]);
+});
+
+test('semicolon-delimited files read decimal commas and dot-grouped thousands', () => {
+  const { records } = parse('a;b;c\n1.234;12,5;"1.234"\n2.000.000;1.234,56;-0,5\n');
+  assert.deepEqual(records, [
+    { a: 1234, b: 12.5, c: 1234 },
+    { a: 2000000, b: 1234.56, c: -0.5 }
+  ]);
+});
+
+test('semicolon-delimited columns holding decimal points keep them', () => {
+  // 0.25 cannot be a thousands group, so the column uses decimal points
+  const { records } = parse('a;b\n1.234;x\n0.25;y\n');
+  assert.deepEqual(records, [{ a: 1.234, b: 'x' }, { a: 0.25, b: 'y' }]);
+});
+
+test('text that only looks partly numeric stays text', () => {
+  const { records } = parse('a;b\n1,2,3;12.34.5\n');
+  assert.deepEqual(records, [{ a: '1,2,3', b: '12.34.5' }]);
+});
+
+test('parseDelimited honours quoting, blank cells and duplicate headers', () => {
+  const { headers, records } = parse('a,a,\n"x, ""y""",,"line\nbreak"\n\n');
+  assert.deepEqual(headers, ['a', 'a_1', '__EMPTY_2']);
+  assert.deepEqual(records, [{ a: 'x, "y"', __EMPTY_2: 'line\nbreak' }]);
+});
+
+test('parseDelimited rejects a header row past the end of the file', () => {
+  assert.throws(() => parse('a,b\n1,2\n', { headerRow: 5 }), /past the end of the file/);
+});
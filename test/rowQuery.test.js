@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRowQuery,
+  parseFilterAndSort,
+  filterAndSortRows,
+  queryRows,
+  isPlainPaging,
+  pageRows
+} from '../src/utils/rowQuery.js';
+
+const HEADERS = ['name', 'amount', 'date'];
+const ROWS = [
+  { name: 'Alpha', amount: 10, date: '2024-01-05' },
+  { name: 'beta', amount: '1,200', date: '2024-03-01' },
+  { name: 'Gamma', amount: 5 },
+  { name: '', amount: 7, date: '2023-12-31' }
+];
+
+const parse = (query) => parseRowQuery(query, HEADERS);
+const filtered = (filters, sort = []) => filterAndSortRows(ROWS, { filters, sort }).map(row => row.name);
+
+test('parseRowQuery applies defaults', () => {
+  assert.deepEqual(parse({}), { options: { filters: [], sort: [], limit: 100, offset: 0 } });
+});
+
+test('parseRowQuery rejects bad JSON, columns, operators and paging', () => {
+  assert.match(parse({ filters: '[' }).error, /filters must be valid JSON/);
+  assert.match(parse({ filters: '{}' }).error, /filters must be an array/);
+  assert.match(parse({ filters: '[{"column":"nope","op":"equals","value":1}]' }).error, /Unknown column "nope"/);
+  assert.match(parse({ filters: '[{"column":"name","op":"like","value":1}]' }).error, /Unknown filter operator/);
+  assert.match(parse({ filters: '[{"column":"name","op":"equals"}]' }).error, /needs a value/);
+  assert.match(parse({ filters: '[{"column":"amount","op":"range"}]' }).error, /needs min and\/or max/);
+  assert.match(parse({ filters: '[{"column":"name","op":"in","values":"a"}]' }).error, /needs a values array/);
+  assert.match(parse({ sort: 'nope' }).error, /Unknown sort column/);
+  assert.match(parse({ sort: 'name', order: 'up' }).error, /Sort direction/);
+  assert.match(parse({ limit: '0' }).error, /limit must be an integer between 1 and 1000/);
+  assert.match(parse({ limit: '1001' }).error, /limit/);
+  assert.match(parse({ limit: '2.5' }).error, /limit/);
+  assert.match(parse({ offset: '-1' }).error, /offset must be a non-negative integer/);
+});
+
+test('parseFilterAndSort accepts a header name or a JSON sort list', () => {
+  assert.deepEqual(parseFilterAndSort({ sort: 'amount', order: 'desc' }, HEADERS).options.sort,
+    [{ column: 'amount', direction: 'desc' }]);
+  assert.deepEqual(parseFilterAndSort({ sort: '[{"column":"name"}]' }, HEADERS).options.sort,
+    [{ column: 'name', direction: 'asc' }]);
+});
+
+test('equals compares numbers numerically and text case-insensitively', () => {
+  assert.deepEqual(filtered([{ column: 'amount', op: 'equals', value: '1200' }]), ['beta']);
+  assert.deepEqual(filtered([{ column: 'name', op: 'equals', value: 'ALPHA' }]), ['Alpha']);
+  assert.deepEqual(filtered([{ column: 'name', op: 'equals', value: 'ALPHA', caseSensitive: true }]), []);
+  assert.deepEqual(filtered([{ column: 'name', op: 'notEquals', value: 'alpha' }]), ['beta', 'Gamma', '']);
+});
+
+test('contains, in and emptiness filters', () => {
+  assert.deepEqual(filtered([{ column: 'name', op: 'contains', value: 'MM' }]), ['Gamma']);
+  assert.deepEqual(filtered([{ column: 'amount', op: 'in', values: [5, '7'] }]), ['Gamma', '']);
+  assert.deepEqual(filtered([{ column: 'date', op: 'isEmpty' }]), ['Gamma']);
+  assert.deepEqual(filtered([{ column: 'name', op: 'isNotEmpty' }]), ['Alpha', 'beta', 'Gamma']);
+});
+
+test('range filters numbers and dates, skipping blanks', () => {
+  assert.deepEqual(filtered([{ column: 'amount', op: 'range', min: 6, max: 1000 }]), ['Alpha', '']);
+  assert.deepEqual(filtered([{ column: 'date', op: 'range', min: '2024-01-01' }]), ['Alpha', 'beta']);
+  assert.deepEqual(filtered([{ column: 'date', op: 'range', max: 'not a date' }]), []);
+});
+
+test('sorting keeps blanks last in either direction and leaves the input alone', () => {
+  assert.deepEqual(filtered([], [{ column: 'date', direction: 'asc' }]), ['', 'Alpha', 'beta', 'Gamma']);
+  assert.deepEqual(filtered([], [{ column: 'date', direction: 'desc' }]), ['beta', 'Alpha', '', 'Gamma']);
+  assert.deepEqual(filtered([], [{ column: 'amount', direction: 'desc' }]), ['beta', 'Alpha', '', 'Gamma']);
+  assert.deepEqual(ROWS.map(row => row.name), ['Alpha', 'beta', 'Gamma', '']);
+});
+
+test('cursors page through a query and only fit the query they came from', () => {
+  const sort = '[{"column":"amount","direction":"asc"}]';
+  const first = queryRows(ROWS, parse({ sort, limit: '3' }).options);
+  assert.deepEqual(first.rows.map(row => row.amount), [5, 7, 10]);
+  assert.equal(first.total, 4);
+  assert.equal(first.hasMore, true);
+
+  const second = queryRows(ROWS, parse({ sort, limit: '3', cursor: first.nextCursor }).options);
+  assert.deepEqual(second.rows.map(row => row.name), ['beta']);
+  assert.equal(second.hasMore, false);
+  assert.equal(second.nextCursor, null);
+
+  assert.match(parse({ sort: 'name', cursor: first.nextCursor }).error, /does not match/);
+  assert.match(parse({ cursor: 'garbage' }).error, /Invalid cursor/);
+});
+
+test('plain paging pages stored rows without a filter or sort', () => {
+  const { options } = parse({ limit: '2', offset: '2' });
+  assert.equal(isPlainPaging(options), true);
+  assert.equal(isPlainPaging(parse({ sort: 'name' }).options), false);
+
+  const page = pageRows(ROWS.slice(2, 4), 4, options);
+  assert.equal(page.offset, 2);
+  assert.equal(page.filteredTotal, 4);
+  assert.equal(page.hasMore, false);
+  assert.deepEqual(page, queryRows(ROWS, options));
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSteps, applySteps, headersMatch, MAX_STEPS } from '../src/utils/transforms.js';
+
+const HEADERS = ['name', 'city', 'amount', 'date'];
+
+const run = (rows, input, headers = HEADERS) => {
+  const { steps, error } = normalizeSteps(input, headers);
+  assert.equal(error, undefined, error);
+  return applySteps(rows, headers, steps);
+};
+
+test('normalizeSteps rejects malformed pipelines', () => {
+  const error = (input) => normalizeSteps(input, HEADERS).error;
+  assert.match(error([]), /non-empty array/);
+  assert.match(error('trimWhitespace'), /non-empty array/);
+  assert.match(error(Array(MAX_STEPS + 1).fill({ op: 'trimWhitespace' })), /at most 50 steps/);
+  assert.match(error([null]), /Step 1: op must be one of/);
+  assert.match(error([{ op: 'trimWhitespace' }, { op: 'explode' }]), /Step 2: op must be one of/);
+  assert.match(error([{ op: 'trimWhitespace', columns: ['nope'] }]), /unknown column "nope"/);
+  assert.match(error([{ op: 'trimWhitespace', columns: 'name' }]), /must be an array/);
+  assert.match(error([{ op: 'fillMissing' }]), /fillMissing needs columns/);
+  assert.match(error([{ op: 'fillMissing', columns: ['city'] }]), /needs a value/);
+  assert.match(error([{ op: 'fillMissing', columns: ['city'], strategy: 'guess' }]), /strategy must be one of/);
+  assert.match(error([{ op: 'removeDuplicates', keep: 'middle' }]), /keep must be/);
+  assert.match(error([{ op: 'renameColumns', mapping: {} }]), /mapping must be an object/);
+  assert.match(error([{ op: 'renameColumns', mapping: { name: 'city' } }]), /column "city" already exists/);
+  assert.match(error([{ op: 'renameColumns', mapping: { name: ' ' } }]), /non-empty strings/);
+  assert.match(error([{ op: 'splitColumn', column: 'name', delimiter: ' ', into: ['first'] }]), /at least two/);
+  assert.match(error([{ op: 'splitColumn', column: 'name', delimiter: '', into: ['a', 'b'] }]), /delimiter/);
+  assert.match(error([{ op: 'splitColumn', column: 'name', delimiter: ' ', into: ['a', 'a'] }]), /unique/);
+  assert.match(error([{ op: 'mergeColumns', columns: ['name'], into: 'x' }]), /at least 2/);
+  assert.match(error([{ op: 'castType', columns: ['amount'], to: 'money' }]), /castType.to/);
+  assert.match(error([{ op: 'castType', columns: ['amount'], to: 'number', onError: 'throw' }]), /onError/);
+  assert.match(error([{ op: 'dropColumns', columns: HEADERS }]), /cannot drop every column/);
+  assert.match(error([{ op: 'filterRows', filters: [] }]), /at least one filter/);
+  assert.match(error([{ op: 'filterRows', filters: [{ column: 'nope', op: 'isEmpty' }] }]), /filterRows: Unknown column/);
+});
+
+test('later steps see the columns earlier steps produce', () => {
+  const { steps, headers } = normalizeSteps([
+    { op: 'renameColumns', mapping: { name: ' Full name ' } },
+    { op: 'splitColumn', column: 'Full name', delimiter: ' ', into: ['first', 'last'] },
+    { op: 'mergeColumns', columns: ['last', 'city'], into: 'where', separator: '@' }
+  ], HEADERS);
+  assert.deepEqual(headers, ['first', 'where', 'amount', 'date']);
+  assert.equal(steps[0].mapping.name, 'Full name');
+
+  assert.match(normalizeSteps([
+    { op: 'dropColumns', columns: ['city'] },
+    { op: 'trimWhitespace', columns: ['city'] }
+  ], HEADERS).error, /Step 2: trimWhitespace: unknown column "city"/);
+});
+
+test('cleaning steps trim, drop blank rows and remove duplicates', () => {
+  const rows = [
+    { name: '  Ann  Lee ', city: 'Oslo' },
+    { name: '', city: null },
+    { name: 'ann lee', city: 'Oslo ' },
+    { name: 'Bob', city: 'Rome' }
+  ];
+  const result = run(rows, [
+    { op: 'trimWhitespace', collapse: true },
+    { op: 'removeBlankRows' },
+    { op: 'removeDuplicates', columns: ['name', 'city'], keep: 'last' }
+  ]);
+  assert.deepEqual(result.rows.map(row => row.name), ['Ann Lee', 'ann lee', 'Bob']);
+  assert.deepEqual(result.stepStats.map(stat => stat.rowsAfter), [4, 3, 3]);
+  // The input rows are left alone
+  assert.equal(rows[0].name, '  Ann  Lee ');
+});
+
+test('removeDuplicates compares values loosely by default', () => {
+  const rows = [{ name: 'a', amount: 1 }, { name: 'a', amount: '1' }, { name: 'a', amount: 2 }];
+  assert.deepEqual(run(rows, [{ op: 'removeDuplicates', columns: ['name', 'amount'] }]).rows, [rows[0], rows[2]]);
+});
+
+test('fillMissing fills from values, neighbours and statistics', () => {
+  const rows = [{ amount: 1, city: 'A' }, { amount: null }, { amount: 4, city: 'B' }, { amount: '', city: 'B' }];
+  const fill = (step) => run(rows, [{ op: 'fillMissing', columns: ['amount', 'city'], ...step }]).rows;
+  assert.deepEqual(fill({ value: 0 }).map(row => row.amount), [1, 0, 4, 0]);
+  assert.deepEqual(fill({ strategy: 'previous' }).map(row => row.amount), [1, 1, 4, 4]);
+  assert.deepEqual(fill({ strategy: 'next' }).map(row => row.city), ['A', 'B', 'B', 'B']);
+  assert.deepEqual(fill({ strategy: 'mean' }).map(row => row.amount), [1, 2.5, 4, 2.5]);
+  assert.deepEqual(fill({ strategy: 'median' }).map(row => row.amount), [1, 2.5, 4, 2.5]);
+  assert.deepEqual(fill({ strategy: 'mode' }).map(row => row.city), ['A', 'B', 'B', 'B']);
+  // Nothing to compute a mean from leaves the blanks alone
+  assert.deepEqual(fill({ strategy: 'mean' }).map(row => row.city), ['A', undefined, 'B', 'B']);
+});
+
+test('splitColumn keeps the remainder in the last column', () => {
+  const { rows, headers } = run([{ name: 'a-b-c' }, { name: 'solo' }, {}], [
+    { op: 'splitColumn', column: 'name', delimiter: '-', into: ['x', 'y'], keepOriginal: true }
+  ]);
+  assert.deepEqual(headers, ['name', 'x', 'y', 'city', 'amount', 'date']);
+  assert.deepEqual(rows, [
+    { name: 'a-b-c', x: 'a', y: 'b-c' },
+    { name: 'solo', x: 'solo', y: null },
+    { x: null, y: null }
+  ]);
+});
+
+test('mergeColumns skips blanks and replaces the merged columns', () => {
+  const { rows, headers } = run([{ name: ' Ann ', city: 'Oslo', amount: 1 }, { name: 'Bob' }, {}], [
+    { op: 'mergeColumns', columns: ['name', 'city'], into: 'label', separator: ', ' }
+  ]);
+  assert.deepEqual(headers, ['label', 'amount', 'date']);
+  assert.deepEqual(rows, [{ amount: 1, label: 'Ann, Oslo' }, { label: 'Bob' }, { label: null }]);
+});
+
+test('castType converts values and handles failures', () => {
+  const rows = [{ amount: '1,200.6', date: '2024-02-03', city: 'yes' }, { amount: 'n/a', date: 45000, city: 'maybe' }];
+  const cast = (to, column, onError) => run(rows, [{ op: 'castType', columns: [column], to, onError }]).rows.map(row => row[column]);
+  assert.deepEqual(cast('number', 'amount'), [1200.6, null]);
+  assert.deepEqual(cast('integer', 'amount', 'keep'), [1201, 'n/a']);
+  assert.deepEqual(cast('boolean', 'city'), [true, null]);
+  assert.deepEqual(cast('date', 'date').map(date => date.toISOString().slice(0, 10)), ['2024-02-03', '2023-03-15']);
+  assert.deepEqual(cast('text', 'date'), ['2024-02-03', '45000']);
+});
+
+test('dropColumns and filterRows', () => {
+  const rows = [{ name: 'a', amount: 5 }, { name: 'b', amount: 50 }];
+  const { rows: result, headers } = run(rows, [
+    { op: 'filterRows', filters: [{ column: 'amount', op: 'range', min: 10 }] },
+    { op: 'dropColumns', columns: ['amount', 'date'] }
+  ]);
+  assert.deepEqual(headers, ['name', 'city']);
+  assert.deepEqual(result, [{ name: 'b' }]);
+});
+
+test('headersMatch ignores order but not names or count', () => {
+  assert.equal(headersMatch(['a', 'b'], ['b', 'a']), true);
+  assert.equal(headersMatch(['a', 'b'], ['a', 'c']), false);
+  assert.equal(headersMatch(['a'], ['a', 'b']), false);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the module loads; keeps the timed-out pattern test short
+process.env.VALIDATION_REGEX_TIMEOUT_MS = '100';
+const { normalizeRules, runRules, normalizeOutlierOptions, buildQualityReport } = await import('../src/utils/validationRules.js');
+
+const HEADERS = ['id', 'email', 'qty', 'start', 'end', 'net', 'tax', 'gross'];
+
+const rules = (input) => {
+  const normalized = normalizeRules(input, HEADERS);
+  assert.equal(normalized.error, undefined, normalized.error);
+  return normalized.rules;
+};
+
+const reasons = (rows, input) => runRules(rows, rules(input), HEADERS).failures.map(failure => [failure.row, failure.reason]);
+
+test('normalizeRules rejects malformed rules and names the failing one', () => {
+  const error = (input) => normalizeRules(input, HEADERS).error;
+  assert.match(error([]), /non-empty array/);
+  assert.match(error([{ rule: 'required', column: 'id' }, { rule: 'spelling' }]), /Rule 2: rule must be one of/);
+  assert.match(error([{ rule: 'required', column: 'nope' }]), /Rule 1: .*nope/);
+  assert.match(error([{ rule: 'required', column: 'id', severity: 'fatal' }]), /severity/);
+  assert.match(error([{ rule: 'required', column: 'id', message: ' ' }]), /message/);
+  assert.match(error([{ rule: 'type', column: 'qty', type: 'money' }]), /type must be one of/);
+  assert.match(error([{ rule: 'regex', column: 'email', pattern: '' }]), /pattern must be a non-empty string/);
+  assert.match(error([{ rule: 'regex', column: 'email', pattern: 'a', flags: 'gg' }]), /flags may only combine/);
+  assert.match(error([{ rule: 'regex', column: 'email', pattern: '(' }]), /Invalid pattern/);
+  assert.match(error([{ rule: 'allowedValues', column: 'qty', values: [] }]), /values must be a list/);
+  assert.match(error([{ rule: 'range', column: 'qty' }]), /min or max is required/);
+  assert.match(error([{ rule: 'range', column: 'qty', min: 5, max: 1 }]), /min must not be greater than max/);
+  assert.match(error([{ rule: 'range', column: 'qty', min: 1, max: '2024-01-01' }]), /both be numbers or both be dates/);
+  assert.match(error([{ rule: 'unique', columns: [] }]), /columns must list/);
+  assert.match(error([{ rule: 'compare', column: 'end', op: '>=' }]), /Exactly one of otherColumn and value/);
+  assert.match(error([{ rule: 'compare', column: 'end', op: '=>', value: 1 }]), /op must be one of/);
+  assert.match(error([{ rule: 'expression', expression: 'net +' }]), /at position/);
+});
+
+test('regex rules refuse patterns that can backtrack exponentially', () => {
+  const error = (pattern) => normalizeRules([{ rule: 'regex', column: 'email', pattern }], HEADERS).error;
+  assert.match(error('^(a+)+$'), /could take too long to check: a repeated group/);
+  assert.match(error('^(a|aa)*$'), /could take too long/);
+  assert.match(error('^(?:x*y?)*$'), /could take too long/);
+  assert.match(error('(a)\\1'), /backreferences are not supported/);
+  assert.match(error('(?<q>a)\\k<q>'), /backreferences are not supported/);
+  assert.equal(error('^(\\d{3})+$'), undefined);
+  assert.equal(error('^[^@\\s]+@[^@\\s]+$'), undefined);
+  assert.equal(error('^([a-z]+\\.)?[a-z]+$'), undefined);
+  assert.equal(error('^(a+|b)$'), undefined);
+  assert.equal(error('[(+]+'), undefined);
+});
+
+test('regex rules skip blanks and report cells that do not match', () => {
+  const rows = [{ email: 'a@b.c' }, { email: 'nope' }, { email: '' }, { email: 'X@Y.Z' }];
+  assert.deepEqual(reasons(rows, [{ rule: 'regex', column: 'email', pattern: '^[a-z]+@[a-z.]+$', flags: 'i' }]), [
+    [2, 'Does not match /^[a-z]+@[a-z.]+$/i']
+  ]);
+});
+
+test('regex rules that run out of time fail every non-blank cell', () => {
+  const rows = [{ email: `${'a'.repeat(5000)}!` }, {}, { email: 'b' }];
+  assert.deepEqual(reasons(rows, [{ rule: 'regex', column: 'email', pattern: '^a*a*a*a*a*a*$' }]), [
+    [1, 'Pattern took over 100 ms to check; simplify it'],
+    [3, 'Pattern took over 100 ms to check; simplify it']
+  ]);
+});
+
+test('required, type, allowed values and range rules', () => {
+  const rows = [
+    { id: 1, qty: '12', start: '2024-01-05' },
+    { qty: 'many', start: 'soon' },
+    { id: 3, qty: -1, start: '2023-06-01' }
+  ];
+  assert.deepEqual(reasons(rows, [
+    { rule: 'required', column: 'id' },
+    { rule: 'type', column: 'qty', type: 'integer' },
+    { rule: 'allowedValues', column: 'qty', values: [12, -1] },
+    { rule: 'range', column: 'qty', min: 0 },
+    { rule: 'range', column: 'start', min: '2024-01-01', max: '2024-12-31' }
+  ]), [
+    [2, 'Value is required'],
+    [2, '"many" is not a valid integer'],
+    [2, '"many" is not an allowed value'],
+    [2, '"many" is not a number'],
+    [2, '"soon" is not a date'],
+    [3, 'Below the minimum of 0'],
+    [3, 'Below the minimum of 2024-01-01']
+  ]);
+});
+
+test('unique rules point at the first occurrence, across column combinations', () => {
+  const rows = [{ id: 1, email: 'a' }, { id: '1', email: 'b' }, { id: 1, email: 'a' }, { email: 'a' }];
+  assert.deepEqual(reasons(rows, [{ rule: 'unique', column: 'id' }]), [[2, 'Duplicate of row 1'], [3, 'Duplicate of row 1']]);
+  assert.deepEqual(reasons(rows, [{ rule: 'unique', columns: ['id', 'email'] }]), [[3, 'Duplicate of row 1']]);
+});
+
+test('compare and expression rules', () => {
+  const rows = [
+    { start: '2024-01-01', end: '2024-02-01', net: 10, tax: 2, gross: 12 },
+    { start: '2024-03-01', end: '2024-02-01', net: 10, tax: 2, gross: 13 },
+    { net: 'ten', tax: 2, gross: 12 }
+  ];
+  assert.deepEqual(reasons(rows, [
+    { rule: 'compare', column: 'end', op: '>=', otherColumn: 'start' },
+    { rule: 'compare', column: 'gross', op: '<', value: 13 },
+    { rule: 'expression', expression: 'net + tax = gross', column: 'gross' }
+  ]), [
+    [2, 'Must be >= start ("2024-03-01")'],
+    [2, 'Must be < 13'],
+    [2, 'Expression is false: net + tax = gross'],
+    [3, 'Could not evaluate: Cannot use "ten" as a number']
+  ]);
+});
+
+test('runRules summarises failures, severities and custom messages', () => {
+  const rows = [{ id: 1 }, {}, {}];
+  const report = runRules(rows, rules([
+    { rule: 'required', column: 'id', message: 'Needs an id' },
+    { rule: 'required', column: 'email', severity: 'warning' }
+  ]), HEADERS, { limit: 2 });
+
+  assert.deepEqual(report.summary, {
+    rowCount: 3,
+    ruleCount: 2,
+    failedRows: 3,
+    rowsWithErrors: 2,
+    failedCells: 5,
+    errors: 2,
+    warnings: 3,
+    passed: false,
+    byRule: [
+      { index: 0, rule: 'required', column: 'id', severity: 'error', failures: 2 },
+      { index: 1, rule: 'required', column: 'email', severity: 'warning', failures: 3 }
+    ]
+  });
+  assert.equal(report.failures.length, 2);
+  assert.equal(report.failures[0].reason, 'Value is required');
+  assert.equal(report.failures[1].reason, 'Needs an id');
+  assert.equal(report.truncated, true);
+});
+
+test('outlier options and detection', () => {
+  assert.deepEqual(normalizeOutlierOptions(false, HEADERS), { outliers: null });
+  assert.match(normalizeOutlierOptions({ method: 'mad' }, HEADERS).error, /outliers.method/);
+  assert.match(normalizeOutlierOptions({ threshold: -1 }, HEADERS).error, /threshold/);
+  assert.match(normalizeOutlierOptions({ columns: ['nope'] }, HEADERS).error, /Column "nope" not found/);
+
+  const sheet = { headers: HEADERS, columnTypes: { qty: 'integer', net: 'decimal' } };
+  const rows = [1, 2, 2, 3, 2, 100].map(qty => ({ qty, net: 5 }));
+  const { outliers } = buildQualityReport(sheet, rows, []);
+  assert.deepEqual(outliers.map(entry => [entry.column, entry.outlierCount]), [['qty', 1], ['net', 0]]);
+  assert.deepEqual(outliers[0].outliers, [{ row: 6, value: 100 }]);
+});